@@ -0,0 +1,257 @@
+/**
+ * Data Export Module
+ * Normalized transactions and the Ledger Master summary as CSV and JSON
+ *
+ * @fileoverview Versioned data files for other tools (docs/export-schema.md)
+ *
+ * Four files are written to the Drive folder in EXPORT_FOLDER_ID, replacing
+ * the previous export of the same name so consumers can read a fixed path:
+ *   <ORG>_TRANSACTIONS_<FY>.csv / .json
+ *   <ORG>_LEDGER_MASTER_<FY>.csv / .json
+ * CSV columns and JSON row keys are the field lists below, in that order.
+ * JSON files wrap the rows with the schema name, SCHEMA_VERSION and the run
+ * details. Within a major version fields are only ever added at the end;
+ * renaming, removing or changing the meaning of a field bumps the major
+ * version. Keep docs/export-schema.md in step with these lists.
+ */
+
+const DataExport = (function() {
+
+  const SCHEMA_VERSION = '1.0';
+
+  const TRANSACTION_FIELDS = [
+    'date', 'doc_type', 'voucher_type', 'doc_no', 'reference',
+    'party_id', 'party_name', 'category', 'particulars', 'debit', 'credit',
+    'account', 'is_expense',
+    'gstin', 'gst_type', 'gst_month', 'taxable', 'igst', 'cgst', 'sgst', 'gst',
+    'source_id', 'source_tab', 'source_row'
+  ];
+
+  const LEDGER_FIELDS = [
+    'party_id', 'party_name', 'category', 'total_debit', 'total_credit', 'balance', 'last_transaction'
+  ];
+
+  /**
+   * Reads export settings from config
+   * @param {Object} config - Configuration object
+   * @returns {Object} {folderId, orgCode, financialYear, errors}
+   */
+  function getSettings(config) {
+    return DriveFiles.getSettings(config, 'EXPORT_FOLDER_ID');
+  }
+
+  /**
+   * Formats a date as YYYY-MM-DD
+   * @param {Date|string} value - Date cell value
+   * @returns {string} ISO date, '' when blank or unreadable
+   */
+  function formatDate(value) {
+    const date = OpeningBalance.parseDate(value);
+    if (!date) return '';
+    return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0') + '-' +
+      String(date.getDate()).padStart(2, '0');
+  }
+
+  function toAmount(value) {
+    return Math.round((parseFloat(value) || 0) * 100) / 100;
+  }
+
+  function toText(value) {
+    return String(value === null || value === undefined ? '' : value).trim();
+  }
+
+  /**
+   * Builds the export record for one transaction
+   * GST fields are blank for sources without a GST breakup (contractor, bank)
+   * @param {Object} txn - Transaction from transformRow / fetchBankDataAllTabs
+   * @param {string} category - Ledger category (SU / CO / CU), '' when not routed to a ledger
+   * @returns {Object} Record keyed by TRANSACTION_FIELDS
+   */
+  function toTransactionRecord(txn, category) {
+    const hasGst = txn.docType === 'PURCHASE' || txn.docType === 'SALES';
+    const gstMonth = txn.gstMonth instanceof Date ? formatDate(txn.gstMonth) : toText(txn.gstMonth);
+
+    return {
+      date: formatDate(txn.date),
+      doc_type: toText(txn.docType),
+      voucher_type: toText(txn.voucherType),
+      doc_no: toText(txn.docNo),
+      reference: toText(txn.reference),
+      party_id: toText(txn.partyId).toUpperCase(),
+      party_name: toText(txn.partyName),
+      category: category || '',
+      particulars: toText(txn.particulars),
+      debit: toAmount(txn.debit),
+      credit: toAmount(txn.credit),
+      account: toText(txn.account),
+      is_expense: txn.isExpense === true,
+      gstin: hasGst ? toText(txn.gstin).toUpperCase() : '',
+      gst_type: hasGst ? toText(txn.gstType) : '',
+      gst_month: hasGst ? gstMonth : '',
+      taxable: hasGst ? toAmount(txn.taxable) : null,
+      igst: hasGst ? toAmount(txn.igst) : null,
+      cgst: hasGst ? toAmount(txn.cgst) : null,
+      sgst: hasGst ? toAmount(txn.sgst) : null,
+      gst: hasGst ? toAmount(txn.gst) : null,
+      source_id: toText(txn.sourceId),
+      source_tab: toText(txn.sourceTab),
+      source_row: txn.sourceRow || null
+    };
+  }
+
+  /**
+   * Builds export records for every transaction, routed as the ledgers are
+   * @param {Array} transactions - Fetched transactions
+   * @param {Array} rules - PARTY ROUTING rules from PartyRouting.getRules()
+   * @param {Object} contacts - Contact map from fetchAllContacts
+   * @returns {Array} Records keyed by TRANSACTION_FIELDS
+   */
+  function buildTransactions(transactions, rules, contacts) {
+    return transactions.map(txn => {
+      const routed = String(txn.partyId || '').trim() ?
+        PartyRouting.route(rules, txn, contacts) :
+        { category: null };
+      return toTransactionRecord(txn, routed.category);
+    });
+  }
+
+  /**
+   * Converts a Ledger Master entry to an export record
+   * @param {Object} ledger - Entry from PartyLedger.readLedgerMaster()
+   * @returns {Object} Record keyed by LEDGER_FIELDS
+   */
+  function toLedgerRecord(ledger) {
+    return {
+      party_id: ledger.id,
+      party_name: ledger.name,
+      category: ledger.ledgerCategory,
+      total_debit: toAmount(ledger.totalDebit),
+      total_credit: toAmount(ledger.totalCredit),
+      balance: toAmount(ledger.balance),
+      last_transaction: formatDate(ledger.lastTransaction)
+    };
+  }
+
+  /**
+   * Renders records as CSV (RFC 4180: CRLF line ends, quoted where needed)
+   * @param {Array} fields - Column names
+   * @param {Array} records - Records keyed by those names
+   * @returns {string} CSV text with a header row
+   */
+  function toCsv(fields, records) {
+    const lines = [fields.join(',')];
+    for (const record of records) {
+      lines.push(fields.map(field => formatCsvValue(record[field])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  function formatCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  /**
+   * Renders records as a JSON document with the schema header
+   * @param {string} schema - Schema name ('transactions' or 'ledger_master')
+   * @param {Array} records - Records
+   * @param {Object} settings - Settings from getSettings()
+   * @param {Object} period - Period from OpeningBalance.getPeriod()
+   * @param {Date} generatedAt - Time of the export
+   * @returns {string} JSON text
+   */
+  function toJson(schema, records, settings, period, generatedAt) {
+    return JSON.stringify({
+      schema: schema,
+      schema_version: SCHEMA_VERSION,
+      generated_at: generatedAt.toISOString(),
+      org_code: settings.orgCode,
+      financial_year: settings.financialYear,
+      period: {
+        from: period && period.from ? formatDate(period.from) : '',
+        to: period && period.to ? formatDate(period.to) : ''
+      },
+      row_count: records.length,
+      rows: records
+    }, null, 2) + '\n';
+  }
+
+  /**
+   * Builds an export file name
+   * @param {Object} settings - Settings from getSettings()
+   * @param {string} name - TRANSACTIONS or LEDGER_MASTER
+   * @param {string} extension - csv or json
+   * @returns {string} e.g. "CM_TRANSACTIONS_2025-26.csv"
+   */
+  function buildFileName(settings, name, extension) {
+    return DriveFiles.buildFileName([settings.orgCode, name, settings.financialYear], extension);
+  }
+
+  /**
+   * Builds the four export files
+   * @param {Array} transactions - Records from buildTransactions()
+   * @param {Array} ledgers - Records from toLedgerRecord()
+   * @param {Object} settings - Settings from getSettings()
+   * @param {Object} period - Period from OpeningBalance.getPeriod()
+   * @param {Date} generatedAt - Time of the export
+   * @returns {Array} [{fileName, content, mimeType}]
+   */
+  function buildFiles(transactions, ledgers, settings, period, generatedAt) {
+    return [
+      ['TRANSACTIONS', 'transactions', TRANSACTION_FIELDS, transactions],
+      ['LEDGER_MASTER', 'ledger_master', LEDGER_FIELDS, ledgers]
+    ].reduce((files, entry) => files.concat([
+      {
+        fileName: buildFileName(settings, entry[0], 'csv'),
+        content: toCsv(entry[2], entry[3]),
+        mimeType: 'text/csv'
+      },
+      {
+        fileName: buildFileName(settings, entry[0], 'json'),
+        content: toJson(entry[1], entry[3], settings, period, generatedAt),
+        mimeType: 'application/json'
+      }
+    ]), []);
+  }
+
+  /**
+   * Saves files to the export folder, replacing earlier files of the same name
+   * @param {Object} settings - Settings from getSettings()
+   * @param {Array} files - Files from buildFiles()
+   * @returns {Array} [{fileName, fileId, url}]
+   */
+  function save(settings, files) {
+    const folder = DriveFiles.openFolder(settings);
+    return files.map(file => DriveFiles.save(folder, file.fileName, file.content, file.mimeType));
+  }
+
+  /**
+   * Formats an export for RUN_LOG and dialogs
+   * @param {number} transactionCount - Transaction rows written
+   * @param {number} ledgerCount - Ledger Master rows written
+   * @returns {string} e.g. "Schema 1.0: 1250 transactions, 84 ledgers"
+   */
+  function formatResult(transactionCount, ledgerCount) {
+    return 'Schema ' + SCHEMA_VERSION + ': ' + transactionCount + ' transactions, ' + ledgerCount + ' ledgers';
+  }
+
+  // Public API
+  return {
+    SCHEMA_VERSION,
+    TRANSACTION_FIELDS,
+    LEDGER_FIELDS,
+    getSettings,
+    formatDate,
+    toTransactionRecord,
+    buildTransactions,
+    toLedgerRecord,
+    toCsv,
+    toJson,
+    buildFileName,
+    buildFiles,
+    save,
+    formatResult
+  };
+
+})();
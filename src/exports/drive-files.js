@@ -0,0 +1,87 @@
+/**
+ * Drive Files Module
+ * Export folder settings, file naming and saving shared by the exports
+ *
+ * @fileoverview Drive output for Statements, TallyExport and DataExport
+ *
+ * Files are named <ORG>_<...>_<FY>.<ext> from parts with characters Drive
+ * and downstream tools choke on replaced by '-'. Saving a file trashes any
+ * file of the same name in the folder first, so each export replaces the
+ * previous one and readers can rely on a fixed name.
+ */
+
+const DriveFiles = (function() {
+
+  /**
+   * Reads the folder, org code and year an export writes with
+   * @param {Object} config - Configuration object
+   * @param {string} folderKey - CONFIG key holding the Drive folder ID
+   * @returns {Object} {folderId, orgCode, financialYear, errors}
+   */
+  function getSettings(config, folderKey) {
+    const errors = [];
+    const folderId = String(config[folderKey] || '').trim();
+    if (!folderId) errors.push(folderKey + ' not set');
+
+    return {
+      folderId: folderId,
+      orgCode: String(config.ORG_CODE || '').trim().toUpperCase(),
+      financialYear: String(config.FINANCIAL_YEAR || '').trim(),
+      errors: errors
+    };
+  }
+
+  /**
+   * Builds a file name from its parts
+   * @param {Array} parts - Name parts in order; blank parts are left out
+   * @param {string} extension - e.g. 'pdf', 'csv'
+   * @returns {string} e.g. "CM_CG-SUP-0001_2025-26.pdf"
+   */
+  function buildFileName(parts, extension) {
+    return parts.filter(part => part)
+      .map(part => String(part).replace(/[\/\\?*:|"<>\s]+/g, '-'))
+      .join('_') + '.' + extension;
+  }
+
+  /**
+   * Opens the export folder
+   * @param {Object} settings - Settings from getSettings() (or a module's extension of them)
+   * @returns {Folder} Drive folder
+   * @throws {Error} When the settings have errors
+   */
+  function openFolder(settings) {
+    if (settings.errors.length > 0) {
+      throw new Error(settings.errors.join('\n'));
+    }
+    return DriveApp.getFolderById(settings.folderId);
+  }
+
+  /**
+   * Saves a file to a folder, replacing earlier files of the same name
+   * @param {Folder} folder - Drive folder from openFolder()
+   * @param {string} fileName - File name
+   * @param {string|Blob} content - Text, or a Blob when mimeType is omitted
+   * @param {string} [mimeType] - MIME type of text content
+   * @returns {Object} {fileName, fileId, url}
+   */
+  function save(folder, fileName, content, mimeType) {
+    const existing = folder.getFilesByName(fileName);
+    while (existing.hasNext()) {
+      existing.next().setTrashed(true);
+    }
+
+    const file = mimeType ?
+      folder.createFile(fileName, content, mimeType) :
+      folder.createFile(content.setName(fileName));
+    return { fileName: fileName, fileId: file.getId(), url: file.getUrl() };
+  }
+
+  // Public API
+  return {
+    getSettings,
+    buildFileName,
+    openFolder,
+    save
+  };
+
+})();
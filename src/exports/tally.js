@@ -0,0 +1,426 @@
+/**
+ * Tally Export Module
+ * Turns fetched register and bank rows into Tally import XML
+ *
+ * @fileoverview Tally voucher XML (Gateway of Tally > Import Data > Vouchers)
+ *
+ * Voucher per source row:
+ *   PURCHASE   - Purchase: party Cr grand total; purchase (or expense) ledger Dr
+ *                taxable value; Input CGST / SGST / IGST Dr
+ *   SALES      - Sales: party Dr grand total; sales ledger Cr taxable value;
+ *                Output CGST / SGST / IGST Cr
+ *   CONTRACTOR - Journal: contractor ledger Dr, party Cr
+ *   BANK       - Payment (DEBIT column: party Dr, bank Cr) or
+ *                Receipt (CREDIT column: bank Dr, party Cr)
+ * Any difference between the grand total and taxable value plus tax goes to
+ * the round-off ledger. Rows with only a GST TOTAL are split by GST TYPE
+ * (IGST, or half CGST / half SGST; treated as intra-state when GST TYPE is blank).
+ *
+ * Party ledgers are named from the contacts master (COMPANY NAME), falling
+ * back to the register's party name. Account-head ledger names come from the
+ * TALLY EXPORT section of CONFIG. Tally amounts are negative for debits
+ * (ISDEEMEDPOSITIVE Yes) and positive for credits.
+ */
+
+const TallyExport = (function() {
+
+  // CONFIG key -> default Tally ledger name
+  const LEDGER_KEYS = {
+    purchase: ['TALLY_PURCHASE_LEDGER', 'Purchase'],
+    expense: ['TALLY_EXPENSE_LEDGER', 'Indirect Expenses'],
+    sales: ['TALLY_SALES_LEDGER', 'Sales'],
+    contractor: ['TALLY_CONTRACTOR_LEDGER', 'Contract Charges'],
+    inputCgst: ['TALLY_INPUT_CGST_LEDGER', 'Input CGST'],
+    inputSgst: ['TALLY_INPUT_SGST_LEDGER', 'Input SGST'],
+    inputIgst: ['TALLY_INPUT_IGST_LEDGER', 'Input IGST'],
+    outputCgst: ['TALLY_OUTPUT_CGST_LEDGER', 'Output CGST'],
+    outputSgst: ['TALLY_OUTPUT_SGST_LEDGER', 'Output SGST'],
+    outputIgst: ['TALLY_OUTPUT_IGST_LEDGER', 'Output IGST'],
+    roundOff: ['TALLY_ROUND_OFF_LEDGER', 'Round Off']
+  };
+
+  const PARTY_NAME_STYLES = ['NAME', 'NAME_ID', 'ID'];
+
+  /**
+   * Reads Tally settings from config
+   * @param {Object} config - Configuration object
+   * @returns {Object} {folderId, orgCode, financialYear, company, ledgers, bankLedgers,
+   *   partyNameStyle, errors} - bankLedgers maps an upper-case bank tab name to its Tally ledger
+   */
+  function getSettings(config) {
+    const drive = DriveFiles.getSettings(config, 'EXPORT_FOLDER_ID');
+    const errors = drive.errors;
+
+    const ledgers = {};
+    Object.keys(LEDGER_KEYS).forEach(key => {
+      ledgers[key] = String(config[LEDGER_KEYS[key][0]] || '').trim() || LEDGER_KEYS[key][1];
+    });
+
+    // "HDFC CA=HDFC Bank A/c, ICICI=ICICI Bank"
+    const bankLedgers = {};
+    String(config.TALLY_BANK_LEDGERS || '').split(',').forEach(pair => {
+      if (!pair.trim()) return;
+      const parts = pair.split('=');
+      if (parts.length !== 2 || !parts[0].trim() || !parts[1].trim()) {
+        errors.push('TALLY_BANK_LEDGERS entry "' + pair.trim() + '" should be TAB=Tally ledger');
+        return;
+      }
+      bankLedgers[parts[0].trim().toUpperCase()] = parts[1].trim();
+    });
+
+    let partyNameStyle = String(config.TALLY_PARTY_NAME || 'NAME').trim().toUpperCase();
+    if (PARTY_NAME_STYLES.indexOf(partyNameStyle) === -1) {
+      errors.push('TALLY_PARTY_NAME should be NAME, NAME_ID or ID');
+      partyNameStyle = 'NAME';
+    }
+
+    return {
+      folderId: drive.folderId,
+      orgCode: drive.orgCode,
+      financialYear: drive.financialYear,
+      company: String(config.TALLY_COMPANY || config.ORG_NAME || '').trim(),
+      ledgers: ledgers,
+      bankLedgers: bankLedgers,
+      partyNameStyle: partyNameStyle,
+      errors: errors
+    };
+  }
+
+  /**
+   * Names the Tally ledger of a row's party
+   * @param {Object} txn - Transaction with partyId and partyName
+   * @param {Object} contacts - Contact map from fetchAllContacts
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {string} Ledger name, '' when the row has no party
+   */
+  function getPartyLedgerName(txn, contacts, settings) {
+    const partyId = String(txn.partyId || '').trim().toUpperCase();
+    const contact = partyId ? contacts[partyId] : null;
+    const name = String((contact && contact.name) || txn.partyName || '').trim();
+
+    if (settings.partyNameStyle === 'ID') return partyId || name;
+    if (settings.partyNameStyle === 'NAME_ID' && name && partyId) return name + ' (' + partyId + ')';
+    return name || partyId;
+  }
+
+  function getBankLedgerName(txn, settings) {
+    const tab = String(txn.sourceTab || '').trim();
+    return settings.bankLedgers[tab.toUpperCase()] || tab || 'Bank';
+  }
+
+  /**
+   * Splits a row's GST into CGST / SGST / IGST
+   * @returns {Object} {cgst, sgst, igst, guessed} - guessed when GST TYPE was needed but blank
+   */
+  function splitGst(txn) {
+    const igst = parseFloat(txn.igst) || 0;
+    const cgst = parseFloat(txn.cgst) || 0;
+    const sgst = parseFloat(txn.sgst) || 0;
+    if (igst || cgst || sgst) return { cgst: cgst, sgst: sgst, igst: igst, guessed: false };
+
+    const gst = parseFloat(txn.gst) || 0;
+    if (!gst) return { cgst: 0, sgst: 0, igst: 0, guessed: false };
+
+    const supply = GstSummary.getSupplyType(txn);
+    if (supply === 'INTER') return { cgst: 0, sgst: 0, igst: gst, guessed: false };
+
+    const half = round(gst / 2);
+    return { cgst: half, sgst: round(gst - half), igst: 0, guessed: supply === '' };
+  }
+
+  /**
+   * Builds the vouchers for one source row
+   * @param {Object} txn - Transaction from transformRow / fetchBankDataAllTabs
+   * @param {Object} contacts - Contact map from fetchAllContacts
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {Object} {vouchers, error, warning}
+   *   vouchers: [{type, date, number, reference, party, narration, entries}] where entries
+   *   are [{ledger, amount, bill}] with amount positive for Dr; error means the row is left out
+   */
+  function buildVouchers(txn, contacts, settings) {
+    const result = { vouchers: [], error: null, warning: null };
+
+    const date = OpeningBalance.parseDate(txn.date);
+    if (!date) {
+      result.error = 'No date';
+      return result;
+    }
+
+    const party = getPartyLedgerName(txn, contacts, settings);
+    if (!party) {
+      result.error = 'No party (blank L/F and party name)';
+      return result;
+    }
+
+    const base = {
+      date: date,
+      number: String(txn.docNo || '').trim(),
+      reference: String(txn.docNo || txn.reference || '').trim(),
+      party: party,
+      narration: String(txn.particulars || '').trim()
+    };
+    const L = settings.ledgers;
+
+    if (txn.docType === 'PURCHASE' || txn.docType === 'SALES') {
+      const isSale = txn.docType === 'SALES';
+      const total = round(isSale ? (parseFloat(txn.debit) || 0) : (parseFloat(txn.credit) || 0));
+      if (!total) {
+        result.error = 'Zero amount';
+        return result;
+      }
+
+      const gst = splitGst(txn);
+      if (gst.guessed) result.warning = 'GST TYPE blank - GST split as CGST / SGST';
+
+      const taxable = round(parseFloat(txn.taxable) || (total - gst.cgst - gst.sgst - gst.igst));
+      const heads = isSale ?
+        [[L.sales, taxable], [L.outputCgst, gst.cgst], [L.outputSgst, gst.sgst], [L.outputIgst, gst.igst]] :
+        [[txn.isExpense ? L.expense : L.purchase, taxable],
+          [L.inputCgst, gst.cgst], [L.inputSgst, gst.sgst], [L.inputIgst, gst.igst]];
+      const roundOff = round(total - heads.reduce((sum, head) => sum + head[1], 0));
+      heads.push([L.roundOff, roundOff]);
+
+      // Sales: party Dr, heads Cr. Purchases: the reverse.
+      const sign = isSale ? -1 : 1;
+      const entries = [{ ledger: party, amount: -sign * total, bill: { name: base.reference, type: 'New Ref' } }];
+      heads.filter(head => head[1] !== 0).forEach(head => {
+        entries.push({ ledger: head[0], amount: round(sign * head[1]), bill: null });
+      });
+
+      result.vouchers.push(Object.assign({ type: isSale ? 'Sales' : 'Purchase', entries: entries }, base));
+
+    } else if (txn.docType === 'CONTRACTOR') {
+      const total = round(parseFloat(txn.credit) || 0);
+      if (!total) {
+        result.error = 'Zero amount';
+        return result;
+      }
+      result.vouchers.push(Object.assign({
+        type: 'Journal',
+        entries: [
+          { ledger: L.contractor, amount: total, bill: null },
+          { ledger: party, amount: -total, bill: { name: base.reference, type: 'New Ref' } }
+        ]
+      }, base));
+
+    } else if (txn.docType === 'BANK') {
+      const bank = getBankLedgerName(txn, settings);
+      const paid = round(parseFloat(txn.debit) || 0);
+      const received = round(parseFloat(txn.credit) || 0);
+      const bankBase = Object.assign({}, base, { number: '', reference: String(txn.reference || '').trim() });
+
+      if (paid) {
+        result.vouchers.push(Object.assign({}, bankBase, {
+          type: 'Payment',
+          entries: [
+            { ledger: party, amount: paid, bill: { name: '', type: 'On Account' } },
+            { ledger: bank, amount: -paid, bill: null }
+          ]
+        }));
+      }
+      if (received) {
+        result.vouchers.push(Object.assign({}, bankBase, {
+          type: 'Receipt',
+          entries: [
+            { ledger: bank, amount: received, bill: null },
+            { ledger: party, amount: -received, bill: { name: '', type: 'On Account' } }
+          ]
+        }));
+      }
+      if (!paid && !received) result.error = 'Zero amount';
+
+    } else {
+      result.error = 'Unknown source ' + txn.docType;
+    }
+
+    return result;
+  }
+
+  /**
+   * Builds vouchers for every row
+   * @param {Array} transactions - Fetched transactions
+   * @param {Object} contacts - Contact map from fetchAllContacts
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {Object} {vouchers, skipped, warnings} - skipped / warnings are [{txn, reason}]
+   */
+  function build(transactions, contacts, settings) {
+    const vouchers = [];
+    const skipped = [];
+    const warnings = [];
+
+    for (const txn of transactions) {
+      const built = buildVouchers(txn, contacts, settings);
+      if (built.error) {
+        skipped.push({ txn: txn, reason: built.error });
+        continue;
+      }
+      if (built.warning) warnings.push({ txn: txn, reason: built.warning });
+      vouchers.push(...built.vouchers);
+    }
+
+    return { vouchers: vouchers, skipped: skipped, warnings: warnings };
+  }
+
+  /**
+   * Renders vouchers as a Tally import envelope
+   * @param {Array} vouchers - Vouchers from build()
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {string} XML document
+   */
+  function toXml(vouchers, settings) {
+    const lines = [
+      '<ENVELOPE>',
+      '  <HEADER>',
+      '    <TALLYREQUEST>Import Data</TALLYREQUEST>',
+      '  </HEADER>',
+      '  <BODY>',
+      '    <IMPORTDATA>',
+      '      <REQUESTDESC>',
+      '        <REPORTNAME>Vouchers</REPORTNAME>'
+    ];
+
+    if (settings.company) {
+      lines.push(
+        '        <STATICVARIABLES>',
+        '          <SVCURRENTCOMPANY>' + escapeXml(settings.company) + '</SVCURRENTCOMPANY>',
+        '        </STATICVARIABLES>');
+    }
+
+    lines.push(
+      '      </REQUESTDESC>',
+      '      <REQUESTDATA>');
+
+    for (const voucher of vouchers) {
+      lines.push(
+        '        <TALLYMESSAGE xmlns:UDF="TallyUDF">',
+        '          <VOUCHER VCHTYPE="' + voucher.type + '" ACTION="Create">',
+        '            <DATE>' + formatDate(voucher.date) + '</DATE>',
+        '            <VOUCHERTYPENAME>' + voucher.type + '</VOUCHERTYPENAME>');
+      if (voucher.number) {
+        lines.push('            <VOUCHERNUMBER>' + escapeXml(voucher.number) + '</VOUCHERNUMBER>');
+      }
+      if (voucher.reference) {
+        lines.push('            <REFERENCE>' + escapeXml(voucher.reference) + '</REFERENCE>');
+      }
+      lines.push(
+        '            <PARTYLEDGERNAME>' + escapeXml(voucher.party) + '</PARTYLEDGERNAME>',
+        '            <NARRATION>' + escapeXml(voucher.narration) + '</NARRATION>');
+
+      for (const entry of voucher.entries) {
+        // Tally: debits are deemed positive and carry a negative amount
+        const isDebit = entry.amount > 0;
+        lines.push(
+          '            <ALLLEDGERENTRIES.LIST>',
+          '              <LEDGERNAME>' + escapeXml(entry.ledger) + '</LEDGERNAME>',
+          '              <ISDEEMEDPOSITIVE>' + (isDebit ? 'Yes' : 'No') + '</ISDEEMEDPOSITIVE>',
+          '              <AMOUNT>' + formatAmount(-entry.amount) + '</AMOUNT>');
+        if (entry.bill) {
+          lines.push('              <BILLALLOCATIONS.LIST>');
+          if (entry.bill.name) {
+            lines.push('                <NAME>' + escapeXml(entry.bill.name) + '</NAME>');
+          }
+          lines.push(
+            '                <BILLTYPE>' + entry.bill.type + '</BILLTYPE>',
+            '                <AMOUNT>' + formatAmount(-entry.amount) + '</AMOUNT>',
+            '              </BILLALLOCATIONS.LIST>');
+        }
+        lines.push('            </ALLLEDGERENTRIES.LIST>');
+      }
+
+      lines.push(
+        '          </VOUCHER>',
+        '        </TALLYMESSAGE>');
+    }
+
+    lines.push(
+      '      </REQUESTDATA>',
+      '    </IMPORTDATA>',
+      '  </BODY>',
+      '</ENVELOPE>',
+      '');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Formats a date as Tally's YYYYMMDD
+   */
+  function formatDate(date) {
+    return date.getFullYear() + String(date.getMonth() + 1).padStart(2, '0') +
+      String(date.getDate()).padStart(2, '0');
+  }
+
+  function formatAmount(value) {
+    return (Math.round(value * 100) / 100).toFixed(2);
+  }
+
+  /**
+   * Escapes text for XML element content and attributes
+   */
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Builds the XML file name
+   * @param {Object} settings - Settings from getSettings()
+   * @param {Date} generatedAt - Time of the export
+   * @returns {string} e.g. "CM_TALLY_2025-26_20250630.xml"
+   */
+  function buildFileName(settings, generatedAt) {
+    return DriveFiles.buildFileName(
+      [settings.orgCode, 'TALLY', settings.financialYear, formatDate(generatedAt)], 'xml');
+  }
+
+  /**
+   * Saves the XML to the export folder, replacing an earlier export of the same day
+   * @param {Object} settings - Settings from getSettings()
+   * @param {string} xml - XML from toXml()
+   * @param {Date} [generatedAt] - Time of the export (default now)
+   * @returns {Object} {fileName, fileId, url}
+   */
+  function save(settings, xml, generatedAt) {
+    const folder = DriveFiles.openFolder(settings);
+    return DriveFiles.save(folder, buildFileName(settings, generatedAt || new Date()), xml, 'text/xml');
+  }
+
+  /**
+   * Counts vouchers by type for RUN_LOG and dialogs
+   * @param {Object} built - Result of build()
+   * @returns {string} e.g. "Purchase 10, Sales 4, Payment 6 (2 rows skipped, 1 warning)"
+   */
+  function formatResult(built) {
+    const counts = {};
+    built.vouchers.forEach(voucher => { counts[voucher.type] = (counts[voucher.type] || 0) + 1; });
+
+    const text = Object.keys(counts).map(type => type + ' ' + counts[type]).join(', ') || 'No vouchers';
+    const notes = [];
+    if (built.skipped.length > 0) notes.push(built.skipped.length + ' rows skipped');
+    if (built.warnings.length > 0) notes.push(built.warnings.length + ' warnings');
+    return notes.length > 0 ? text + ' (' + notes.join(', ') + ')' : text;
+  }
+
+  // Public API
+  return {
+    getSettings,
+    getPartyLedgerName,
+    buildVouchers,
+    build,
+    toXml,
+    formatDate,
+    escapeXml,
+    buildFileName,
+    save,
+    formatResult
+  };
+
+})();
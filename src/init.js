@@ -7,6 +7,9 @@
 
 const Init = (function() {
 
+  // CONFIG setting names: upper case words joined by underscores (ORG_CODE)
+  const SETTING_KEY_PATTERN = /^[A-Z][A-Z0-9]*(_[A-Z0-9]+)+$/;
+
   /**
    * Main initialization function - creates all required tabs
    * Run this on a fresh sheet to set up the structure
@@ -20,6 +23,7 @@ const Init = (function() {
       createConfigTab(ss);
       createLedgerMasterTab(ss);
       createRunLogTab(ss);
+      createOpeningBalancesTab(ss);
 
       // Test connections (will show errors if sources not configured)
       const configValid = validateConfig();
@@ -70,6 +74,10 @@ const Init = (function() {
       ['ORG_NAME', '', 'Full organization name (optional if using COMPANY_CONTACT_ID)'],
       ['COMPANY_CONTACT_ID', '', 'Contact ID for company info (e.g., CG-MAS-0001)'],
       ['FINANCIAL_YEAR', '2025-26', 'FY for this ledger'],
+      ['FROM_DATE', '', 'Ledger start date (DD-MM-YYYY) - earlier entries roll into OPENING BALANCE'],
+      ['TO_DATE', '', 'Ledger end date (DD-MM-YYYY) - later entries are excluded'],
+      ['LEDGER_SUBTOTALS', 'NONE', 'NONE / MONTHLY / QUARTERLY - period subtotal rows in party ledgers (FY quarters, Q1 = Apr-Jun)'],
+      ['LEDGER_GST_SPLIT', 'NO', 'YES = show taxable value and IGST / CGST / SGST after purchase and sales particulars'],
       ['CONTACTS_SHEET_ID', '1bqjiSyUUdfzV6AXbS13NiqyMlMUzKliXLKcn6zSdPCk', 'Contact Master Sheet ID'],
       ['CONTACTS_SHEET_NAME', 'ALL CONTACTS', 'Tab name for contacts'],
       ['', '', ''],
@@ -83,6 +91,8 @@ const Init = (function() {
       ['SALES_SHEET_ID', '', 'Google Sheet ID for Sales Register'],
       ['SALES_SHEET_NAME', 'Sales Register', 'Tab name in the sheet'],
       ['BANK_SHEET_ID', '', 'Google Sheet ID for Bank workbook (all tabs scanned)'],
+      ['CONTRACTOR_SHEET_ID', '', 'Optional - Google Sheet ID for Contractor Register'],
+      ['CONTRACTOR_SHEET_NAME', 'Contractor Register', 'Tab name in the sheet'],
       ['', '', ''],
     ];
 
@@ -155,7 +165,20 @@ const Init = (function() {
       ['', '', ''],
     ];
 
-    // Section 5: Column Mappings - Bank (prefilled with actual schema)
+    // Section 5: Column Mappings - Contractor (optional register of contractor bills)
+    const contractorMapping = [
+      ['>> CONTRACTOR COLUMN MAPPING', '', ''],
+      ['CON_LF_COL', 'L/F', 'Ledger folio / Party ID'],
+      ['CON_CONTRACTOR_NAME_COL', 'CONTRACTOR NAME', 'Contractor name'],
+      ['CON_BILL_NO_COL', 'BILL NO.', 'Bill number'],
+      ['CON_BILL_DATE_COL', 'BILL DATE', 'Bill date'],
+      ['CON_WORK_COL', 'WORK', 'Work description'],
+      ['CON_BILL_AMOUNT_COL', 'BILL AMOUNT', 'Bill amount (credited to the contractor)'],
+      ['CON_REMARKS_COL', 'REMARKS', 'Remarks'],
+      ['', '', ''],
+    ];
+
+    // Section 6: Column Mappings - Bank (prefilled with actual schema)
     const bankMapping = [
       ['>> BANK COLUMN MAPPING', '', ''],
       ['BANK_DATE_COL', 'DATE', 'Transaction date'],
@@ -174,7 +197,7 @@ const Init = (function() {
       ['', '', ''],
     ];
 
-    // Section 6: Contact Master Schema Reference
+    // Section 7: Contact Master Schema Reference
     const contactSchema = [
       ['>> CONTACT MASTER SCHEMA', '', ''],
       ['CONTACT_SL_COL', 'SL', 'Serial / Contact ID (CG-SUP-0001, CG-CUS-0001, etc.)'],
@@ -193,7 +216,79 @@ const Init = (function() {
       ['', '', ''],
     ];
 
-    // Section 7: Notification Settings
+    // Section 8: Duplicate Detection
+    const duplicateSettings = [
+      ['>> DUPLICATE DETECTION', '', ''],
+      ['DUPLICATE_CHECK', 'ON', 'ON / OFF - check source rows for duplicates before ledgers (DUPLICATES tab)'],
+      ['DUPLICATE_WINDOW_DAYS', '3', 'Likely duplicate: same party and amount within this many days'],
+      ['DUPLICATE_EXCLUDE_EXACT', 'NO', 'YES / NO - leave exact duplicates out of ledgers (tick IGNORE to keep a row)'],
+      ['', '', ''],
+    ];
+
+    // Section 9: Reconciliation
+    const reconciliationSettings = [
+      ['>> RECONCILIATION', '', ''],
+      ['RECON_TOLERANCE', '1', 'Bank amount may differ from the invoice by up to this much and still match'],
+      ['BILL_CREDIT_DAYS', '0', 'Days after the invoice date a bill falls due (OUTSTANDING BILLS days overdue)'],
+      ['', '', ''],
+    ];
+
+    // Section 10: Ageing
+    const ageingSettings = [
+      ['>> AGEING', '', ''],
+      ['AGEING_BUCKETS', '30,60,90,180', 'Bucket upper bounds in days: 30,60,90,180 = 0-30, 31-60, 61-90, 91-180, 180+'],
+      ['AGEING_AS_OF', '', 'Age bills as of this date (dd-mm-yyyy); blank = today'],
+      ['', '', ''],
+    ];
+
+    // Section 11: Statements
+    const statementSettings = [
+      ['>> STATEMENTS', '', ''],
+      ['STATEMENTS_FOLDER_ID', '', 'Drive folder ID for ledger PDFs (Ledgers > Export Statements), saved as <ORG>_<PARTYID>_<FY>.pdf'],
+      ['', '', ''],
+    ];
+
+    // Section 12: Balance Confirmation
+    const confirmationSettings = [
+      ['>> BALANCE CONFIRMATION', '', ''],
+      ['CONFIRM_AS_OF', '', 'Balance date for confirmation letters (dd-mm-yyyy); blank = the day they are sent'],
+      ['CONFIRM_REPLY_DAYS', '15', 'Days the party has to reply (REPLY_BY in the letter)'],
+      ['CONFIRM_SUBJECT', 'Balance confirmation as of {AS_OF} - {ORG_NAME}', 'Email subject - placeholders as in CONFIRM_BODY'],
+      ['CONFIRM_BODY', '', 'Letter text; blank = standard letter. {PARTY_NAME} {PARTY_ID} {ORG_NAME} {FY} {AS_OF} {REPLY_BY} {BALANCE} {BALANCE_TEXT}'],
+      ['CONFIRM_CC', '', 'Optional - copy every letter to this address'],
+      ['', '', ''],
+    ];
+
+    // Section 13: Exports (Tally ledger names for the account heads)
+    const exportSettings = [
+      ['>> EXPORTS', '', ''],
+      ['EXPORT_FOLDER_ID', '', 'Drive folder ID for export files (Export menu)'],
+      ['TALLY_COMPANY', '', 'Company name as in Tally; blank = ORG_NAME'],
+      ['TALLY_PARTY_NAME', 'NAME', 'Party ledger names: NAME (contact COMPANY NAME) / NAME_ID (name + L/F) / ID'],
+      ['TALLY_PURCHASE_LEDGER', 'Purchase', 'Tally ledger for purchase invoices (taxable value)'],
+      ['TALLY_EXPENSE_LEDGER', 'Indirect Expenses', 'Tally ledger for purchase rows marked EXPENSE'],
+      ['TALLY_SALES_LEDGER', 'Sales', 'Tally ledger for sales invoices (taxable value)'],
+      ['TALLY_CONTRACTOR_LEDGER', 'Contract Charges', 'Tally ledger debited for contractor bills (Journal)'],
+      ['TALLY_INPUT_CGST_LEDGER', 'Input CGST', 'GST on purchases'],
+      ['TALLY_INPUT_SGST_LEDGER', 'Input SGST', ''],
+      ['TALLY_INPUT_IGST_LEDGER', 'Input IGST', ''],
+      ['TALLY_OUTPUT_CGST_LEDGER', 'Output CGST', 'GST on sales'],
+      ['TALLY_OUTPUT_SGST_LEDGER', 'Output SGST', ''],
+      ['TALLY_OUTPUT_IGST_LEDGER', 'Output IGST', ''],
+      ['TALLY_ROUND_OFF_LEDGER', 'Round Off', 'Invoice total minus taxable value and GST'],
+      ['TALLY_BANK_LEDGERS', '', 'Bank tab to Tally ledger: HDFC=HDFC Bank A/c, ICICI=ICICI Bank; blank = tab name'],
+      ['', '', ''],
+    ];
+
+    // Section 14: Scheduled Refresh
+    const scheduleSettings = [
+      ['>> SCHEDULED REFRESH', '', ''],
+      ['REFRESH_SCHEDULE', 'OFF', 'OFF / HOURLY / NIGHTLY / WEEKDAYS - install via Schedule > Install from CONFIG'],
+      ['REFRESH_HOUR', '2', 'Hour (0-23) for NIGHTLY and WEEKDAYS runs, script time zone'],
+      ['', '', ''],
+    ];
+
+    // Section 15: Notification Settings
     const notificationSettings = [
       ['>> NOTIFICATIONS', '', ''],
       ['ERROR_EMAIL', '', 'Email for error notifications'],
@@ -207,8 +302,16 @@ const Init = (function() {
       ...sourceSettings,
       ...purchaseMapping,
       ...salesMapping,
+      ...contractorMapping,
       ...bankMapping,
       ...contactSchema,
+      ...duplicateSettings,
+      ...reconciliationSettings,
+      ...ageingSettings,
+      ...statementSettings,
+      ...confirmationSettings,
+      ...exportSettings,
+      ...scheduleSettings,
       ...notificationSettings
     ];
 
@@ -243,10 +346,29 @@ const Init = (function() {
       }
     }
 
+    // Section 16: Party Routing - a rule table rather than settings, so it
+    // has its own 4-column header and goes last
+    const routingStart = allData.length + 2;
+    const routingData = [
+      [PartyRouting.SECTION, '', 'First matching rule wins. MATCH: ID pattern (*-SUP-*) or TYPE:<CONTACT TYPE>', ''],
+      PartyRouting.HEADERS,
+      ...PartyRouting.DEFAULT_RULES
+    ];
+    sheet.getRange(routingStart, 1, routingData.length, 4)
+      .setValues(routingData)
+      .setFontFamily('Roboto Condensed')
+      .setFontSize(8);
+    sheet.getRange(routingStart, 1, 1, 4)
+      .setFontWeight('bold')
+      .setBackground('#d9ead3')
+      .setFontColor('#274e13');
+    sheet.getRange(routingStart + 1, 1, 1, 4).setFontWeight('bold');
+
     // Set column widths
     sheet.setColumnWidth(1, 200);
     sheet.setColumnWidth(2, 300);
     sheet.setColumnWidth(3, 250);
+    sheet.setColumnWidth(4, 100);
 
     // Freeze header
     sheet.setFrozenRows(1);
@@ -347,6 +469,47 @@ const Init = (function() {
     sheet.setFrozenRows(1);
   }
 
+  /**
+   * Creates the OPENING_BALANCES tab for manually entered openings
+   * Existing entries are kept - only the header row is rewritten
+   * @param {Spreadsheet} ss - Active spreadsheet
+   */
+  function createOpeningBalancesTab(ss) {
+    let sheet = ss.getSheetByName('OPENING_BALANCES');
+
+    if (!sheet) {
+      sheet = ss.insertSheet('OPENING_BALANCES');
+    }
+
+    // Headers
+    const headers = ['PARTY ID', 'CATEGORY', 'AMOUNT', 'DR/CR', 'REMARKS'];
+
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+
+    // Format header
+    sheet.getRange(1, 1, 1, headers.length)
+      .setFontWeight('bold')
+      .setBackground('#4a86e8')
+      .setFontColor('white');
+
+    // Category and side dropdowns
+    sheet.getRange(2, 2, sheet.getMaxRows() - 1, 1).setDataValidation(
+      SpreadsheetApp.newDataValidation().requireValueInList(['SU', 'CO', 'CU'], true).build());
+    sheet.getRange(2, 4, sheet.getMaxRows() - 1, 1).setDataValidation(
+      SpreadsheetApp.newDataValidation().requireValueInList(['DR', 'CR'], true).build());
+    sheet.getRange(2, 3, sheet.getMaxRows() - 1, 1).setNumberFormat('#,##0.00');
+
+    // Set column widths
+    sheet.setColumnWidth(1, 120); // Party ID
+    sheet.setColumnWidth(2, 80);  // Category
+    sheet.setColumnWidth(3, 120); // Amount
+    sheet.setColumnWidth(4, 60);  // DR/CR
+    sheet.setColumnWidth(5, 300); // Remarks
+
+    // Freeze header
+    sheet.setFrozenRows(1);
+  }
+
   /**
    * Reads configuration from CONFIG tab
    * @returns {Object} Configuration object
@@ -361,12 +524,29 @@ const Init = (function() {
 
     const data = sheet.getDataRange().getValues();
     const config = {};
+    let inRouting = false;
 
     for (let i = 1; i < data.length; i++) {
       const key = String(data[i][0]).trim();
       const value = data[i][1];
 
-      if (key && !key.startsWith('>>') && !key.startsWith('===')) {
+      if (key.startsWith('>>')) {
+        inRouting = key.toUpperCase() === PartyRouting.SECTION;
+        if (inRouting) config.PARTY_ROUTING = [];
+        continue;
+      }
+
+      // Routing rows are [MATCH, SOURCE, DIRECTION, ROUTE TO], not settings.
+      // A SETTING_NAME row there was appended below the section by an older
+      // setConfigValues and is still read as a setting.
+      if (inRouting && !SETTING_KEY_PATTERN.test(key)) {
+        if (key && key.toUpperCase() !== PartyRouting.HEADERS[0]) {
+          config.PARTY_ROUTING.push([key, data[i][1], data[i][2], data[i][3]]);
+        }
+        continue;
+      }
+
+      if (key && !key.startsWith('===')) {
         config[key] = value;
       }
     }
@@ -374,6 +554,43 @@ const Init = (function() {
     return config;
   }
 
+  /**
+   * Writes setting values to the CONFIG tab
+   * Settings missing from an older CONFIG tab are added above the first
+   * '>>' section (PARTY ROUTING), or at the end when there is none
+   * @param {Object} values - Map of setting name to value
+   */
+  function setConfigValues(values) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('CONFIG');
+
+    if (!sheet) {
+      throw new Error('CONFIG tab not found. Run Initialize first.');
+    }
+
+    const keys = sheet.getRange(1, 1, sheet.getLastRow(), 1).getValues()
+      .map(row => String(row[0]).trim());
+
+    for (const key of Object.keys(values)) {
+      const index = keys.indexOf(key);
+      if (index >= 0) {
+        sheet.getRange(index + 1, 2).setValue(values[key]);
+        continue;
+      }
+
+      // Rows below a section heading are read as that section, not settings
+      const sectionIndex = keys.findIndex(k => k.startsWith('>>'));
+      if (sectionIndex >= 0) {
+        sheet.insertRowBefore(sectionIndex + 1);
+        sheet.getRange(sectionIndex + 1, 1, 1, 3).setValues([[key, values[key], '']]);
+        keys.splice(sectionIndex, 0, key);
+      } else {
+        sheet.appendRow([key, values[key], '']);
+        keys.push(key);
+      }
+    }
+  }
+
   /**
    * Validates configuration completeness
    * @returns {Object} Validation result
@@ -387,10 +604,28 @@ const Init = (function() {
 
       // Required fields
       if (!config.ORG_CODE) errors.push('ORG_CODE not set');
-      if (!config.PURCHASE_SHEET_ID && !config.SALES_SHEET_ID && !config.BANK_SHEET_ID) {
+      if (!config.PURCHASE_SHEET_ID && !config.SALES_SHEET_ID && !config.BANK_SHEET_ID &&
+          !config.CONTRACTOR_SHEET_ID) {
         errors.push('At least one source sheet ID required');
       }
 
+      const subtotals = String(config.LEDGER_SUBTOTALS || '').trim().toUpperCase();
+      if (subtotals && ['NONE', 'MONTHLY', 'QUARTERLY'].indexOf(subtotals) === -1) {
+        warnings.push('LEDGER_SUBTOTALS should be NONE, MONTHLY or QUARTERLY (using NONE)');
+      }
+
+      const routing = PartyRouting.getRules(config);
+      warnings.push(...routing.errors);
+      if (config.PARTY_ROUTING && routing.rules.length === 0) {
+        warnings.push('PARTY ROUTING has no rules - no ledgers will be created');
+      }
+
+      warnings.push(...Ageing.getSettings(config).errors);
+      warnings.push(...Confirmations.getSettings(config).errors);
+
+      // Configured schedule vs installed triggers
+      warnings.push(...Schedule.check(config));
+
     } catch (e) {
       errors.push(e.message);
     }
@@ -452,6 +687,24 @@ const Init = (function() {
         results.push({ name: 'Sales', status: 'SKIPPED', message: 'Not configured' });
       }
 
+      // Test Contractor register (optional source)
+      if (config.CONTRACTOR_SHEET_ID) {
+        try {
+          const sourceSheet = SpreadsheetApp.openById(config.CONTRACTOR_SHEET_ID);
+          const tab = sourceSheet.getSheetByName(config.CONTRACTOR_SHEET_NAME || 'Contractor Register');
+          if (tab) {
+            const rowCount = tab.getLastRow();
+            results.push({ name: 'Contractor', status: 'OK', message: rowCount + ' rows' });
+          } else {
+            results.push({ name: 'Contractor', status: 'ERROR', message: 'Tab "' + (config.CONTRACTOR_SHEET_NAME || 'Contractor Register') + '" not found' });
+          }
+        } catch (e) {
+          results.push({ name: 'Contractor', status: 'ERROR', message: e.message });
+        }
+      } else {
+        results.push({ name: 'Contractor', status: 'SKIPPED', message: 'Optional - not configured' });
+      }
+
       // Test Bank - scan ALL tabs for bank schema in row 5
       if (config.BANK_SHEET_ID) {
         try {
@@ -597,25 +850,22 @@ const Init = (function() {
   }
 
   /**
-   * Reorders tabs: Ledger Master first, then ledgers, CONFIG and RUN_LOG at end
+   * Reorders tabs: Ledger Master first, then ledgers, system tabs at end
    * @param {Spreadsheet} ss - Active spreadsheet
    */
   function reorderTabs(ss) {
     const sheets = ss.getSheets();
     const totalSheets = sheets.length;
 
-    // Find CONFIG and RUN_LOG and move to end
-    const configSheet = ss.getSheetByName('CONFIG');
-    const runLogSheet = ss.getSheetByName('RUN_LOG');
+    // System tabs moved to the end in this order (CONFIG ends up last)
+    const trailingTabs = ['TRIAL BALANCE', 'GST_SUMMARY', 'AGEING', 'STATEMENTS', 'CONFIRMATIONS', 'RECONCILIATION', 'EXCEPTIONS', 'DUPLICATES', 'OPENING_BALANCES', 'RUN_LOG', 'CONFIG'];
 
-    if (runLogSheet) {
-      ss.setActiveSheet(runLogSheet);
-      ss.moveActiveSheet(totalSheets);
-    }
-
-    if (configSheet) {
-      ss.setActiveSheet(configSheet);
-      ss.moveActiveSheet(totalSheets);
+    for (const name of trailingTabs) {
+      const sheet = ss.getSheetByName(name);
+      if (sheet) {
+        ss.setActiveSheet(sheet);
+        ss.moveActiveSheet(totalSheets);
+      }
     }
 
     // Ensure Ledger Master is first
@@ -698,6 +948,7 @@ const Init = (function() {
   return {
     initialize,
     readConfig,
+    setConfigValues,
     validateConfig,
     testConnection,
     logRun,
@@ -705,6 +956,7 @@ const Init = (function() {
     createConfigTab,
     createLedgerMasterTab,
     createRunLogTab,
+    createOpeningBalancesTab,
     reorderTabs,
     fetchCompanyFromContacts
   };
@@ -0,0 +1,126 @@
+/**
+ * Bill Allocation Module
+ * Applies bank payments to individual invoices so each bill has its own balance
+ *
+ * @fileoverview Bill-by-bill outstanding for the "Outstanding bills" block of a party ledger
+ *
+ * Invoices sit on one side of a ledger (purchases credit a supplier, contractor
+ * bills credit a contractor, sales debit a customer); bank lines on the other
+ * side pay them. Payments are applied in two steps:
+ *   1. MATCHED - the allocations Reconciliation makes (invoice number quoted in
+ *                the bank reference or particulars, exact / tolerance amount,
+ *                several consecutive invoices)
+ *   2. FIFO    - whatever payment is still unallocated pays the oldest open
+ *                invoices first
+ * An OPENING BALANCE on the invoice side is treated as the oldest bill.
+ * Payment left over after both steps is shown as ON ACCOUNT.
+ *
+ * Starting from Reconciliation's matches keeps the block in line with the
+ * STATUS column: an invoice shown as Matched is never listed as open. FIFO
+ * then allocates everything Reconciliation could not explain, so the open
+ * bills add up to what the party owes.
+ */
+
+const BillAllocation = (function() {
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * Reads bill settings from config
+   * @param {Object} config - Configuration object
+   * @returns {Object} {creditDays, tolerance} - days after the invoice date a bill
+   *   falls due, and the RECON_TOLERANCE the matching step uses
+   */
+  function getSettings(config) {
+    const creditDays = parseInt(config.BILL_CREDIT_DAYS, 10);
+    return {
+      creditDays: isNaN(creditDays) || creditDays < 0 ? 0 : creditDays,
+      tolerance: Reconciliation.getSettings(config).tolerance
+    };
+  }
+
+  /**
+   * Allocates a ledger's payments to its invoices
+   * Runs Reconciliation.reconcileLedger on the transactions (which also sets
+   * their reconStatus) and builds on its allocations
+   * @param {Array} transactions - Ledger transactions, oldest first
+   * @param {string} ledgerCategory - 'SU', 'CO' or 'CU'
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {Object} {bills, onAccount}
+   *   bills: [{txn, invoiceNo, date, dueDate, amount, paid, balance}] in ledger order
+   *   onAccount: payment not applied to any invoice
+   */
+  function allocate(transactions, ledgerCategory, settings) {
+    const reconciled = Reconciliation.reconcileLedger(
+      { ledgerCategory: ledgerCategory, transactions: transactions },
+      { tolerance: settings.tolerance || 0 });
+
+    // A Matched invoice may be short by up to the tolerance; it is settled
+    const bills = reconciled.invoices.map(invoice => ({
+      txn: invoice.txn,
+      invoiceNo: invoice.txn.isOpening ? 'OPENING BALANCE' : String(invoice.txn.docNo || ''),
+      date: invoice.txn.date,
+      dueDate: addDays(invoice.txn.date, settings.creditDays),
+      amount: invoice.amount,
+      paid: invoice.allocated,
+      balance: invoice.status === Reconciliation.STATUS.MATCHED ? 0 : invoice.open
+    }));
+
+    const payments = reconciled.payments.map(payment => ({ txn: payment.txn, open: payment.open }));
+
+    // Oldest open bill first
+    for (const payment of payments) {
+      for (const bill of bills) {
+        if (payment.open <= 0) break;
+        if (bill.balance <= 0) continue;
+
+        const value = round(Math.min(payment.open, bill.balance));
+        payment.open = round(payment.open - value);
+        bill.paid = round(bill.paid + value);
+        bill.balance = round(bill.balance - value);
+      }
+    }
+
+    return {
+      bills: bills,
+      onAccount: round(payments.reduce((sum, payment) => sum + payment.open, 0))
+    };
+  }
+
+  /**
+   * Days a bill is past its due date
+   * @param {Object} bill - Bill from allocate()
+   * @param {Date} asOf - Date to count to
+   * @returns {number} Whole days overdue, 0 when not yet due or fully paid
+   */
+  function getDaysOverdue(bill, asOf) {
+    if (bill.balance <= 0 || !bill.dueDate) return 0;
+    const days = Math.floor((startOfDay(asOf) - startOfDay(bill.dueDate)) / DAY_MS);
+    return Math.max(0, days);
+  }
+
+  function addDays(value, days) {
+    if (!value) return null;
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (isNaN(date.getTime())) return null;
+    date.setDate(date.getDate() + days);
+    return date;
+  }
+
+  function startOfDay(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Public API
+  return {
+    getSettings,
+    allocate,
+    getDaysOverdue
+  };
+
+})();
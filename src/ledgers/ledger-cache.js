@@ -0,0 +1,151 @@
+/**
+ * Ledger Cache Module
+ * Content hashes of generated party ledgers for incremental refresh
+ *
+ * @fileoverview Skips rewriting ledgers whose content has not changed
+ *
+ * Each ledger's hash covers its transactions, party contact info, the
+ * company header, the layout options and the ledger layout version. Hashes are stored in
+ * document properties, one property per ledger key ("partyId|category").
+ */
+
+const LedgerCache = (function() {
+
+  const PROPERTY_PREFIX = 'LEDGER_HASH:';
+
+  // Bump when PartyLedger output changes so every ledger is rewritten once
+  const LAYOUT_VERSION = 6;
+
+  /**
+   * Builds the ledger key used for hashes
+   * @param {Object} ledger - Ledger object with id and ledgerCategory
+   * @returns {string} Key in format "partyId|category"
+   */
+  function buildKey(ledger) {
+    return ledger.id + '|' + ledger.ledgerCategory;
+  }
+
+  /**
+   * Computes the content hash of a ledger
+   * @param {Object} ledger - Ledger object (party info + transactions)
+   * @param {Object} company - Company header object
+   * @param {Object} [options] - Layout options from PartyLedger.getOptions()
+   * @returns {string} Hex MD5 digest
+   */
+  function computeHash(ledger, company, options) {
+    const content = JSON.stringify({
+      layout: LAYOUT_VERSION,
+      options: options || {},
+      category: ledger.ledgerCategory,
+      party: pickContact(ledger),
+      company: pickContact(company),
+      transactions: ledger.transactions
+    });
+
+    const digest = Utilities.computeDigest(
+      Utilities.DigestAlgorithm.MD5, content, Utilities.Charset.UTF_8);
+
+    return digest.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Picks the header fields shown on a ledger
+   */
+  function pickContact(contact) {
+    return {
+      id: contact.id || '',
+      name: contact.name || '',
+      address1: contact.address1 || '',
+      address2: contact.address2 || '',
+      gst: contact.gst || '',
+      phone: contact.phone || '',
+      email: contact.email || ''
+    };
+  }
+
+  /**
+   * Loads stored hashes from document properties
+   * @returns {Object} Map of ledger key to hash
+   */
+  function load() {
+    const all = PropertiesService.getDocumentProperties().getProperties();
+    const hashes = {};
+
+    for (const name of Object.keys(all)) {
+      if (name.indexOf(PROPERTY_PREFIX) === 0) {
+        hashes[name.substring(PROPERTY_PREFIX.length)] = all[name];
+      }
+    }
+
+    return hashes;
+  }
+
+  /**
+   * Replaces stored hashes (ledgers no longer generated are dropped)
+   * @param {Object} hashes - Map of ledger key to hash
+   */
+  function save(hashes) {
+    prune(Object.keys(hashes));
+    update(hashes);
+  }
+
+  /**
+   * Stores hashes for the given ledgers, keeping all others
+   * @param {Object} hashes - Map of ledger key to hash
+   */
+  function update(hashes) {
+    const updates = {};
+    for (const key of Object.keys(hashes)) {
+      updates[PROPERTY_PREFIX + key] = hashes[key];
+    }
+    PropertiesService.getDocumentProperties().setProperties(updates);
+  }
+
+  /**
+   * Drops stored hashes for ledgers not in the given list
+   * @param {Array} keepKeys - Ledger keys still generated
+   */
+  function prune(keepKeys) {
+    const props = PropertiesService.getDocumentProperties();
+    const keep = {};
+    keepKeys.forEach(key => { keep[key] = true; });
+
+    for (const name of Object.keys(props.getProperties())) {
+      if (name.indexOf(PROPERTY_PREFIX) === 0 && !keep[name.substring(PROPERTY_PREFIX.length)]) {
+        props.deleteProperty(name);
+      }
+    }
+  }
+
+  /**
+   * Drops stored hashes for the given ledgers so the next run rewrites them
+   * @param {Array} keys - Ledger keys to forget
+   */
+  function forget(keys) {
+    const props = PropertiesService.getDocumentProperties();
+    for (const key of keys) {
+      props.deleteProperty(PROPERTY_PREFIX + key);
+    }
+  }
+
+  /**
+   * Clears all stored hashes so the next run rewrites every ledger
+   */
+  function clear() {
+    save({});
+  }
+
+  // Public API
+  return {
+    LAYOUT_VERSION,
+    buildKey,
+    computeHash,
+    load,
+    save,
+    update,
+    prune,
+    forget,
+    clear
+  };
+
+})();
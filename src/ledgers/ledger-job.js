@@ -0,0 +1,281 @@
+/**
+ * Ledger Job Module
+ * Checkpointed ledger generation that resumes across executions
+ *
+ * @fileoverview Resumable batched writing of party ledger sheets
+ *
+ * Large orgs cannot write every ledger inside the Apps Script execution
+ * limit. Ledgers are written in snapshot order until the time budget runs
+ * out; the job then saves its progress, stores the fetched-data snapshot in
+ * Drive and schedules a continuation trigger. The Ledger Master index, the
+ * AGEING tab and tab order are only updated once every ledger has been written.
+ *
+ * Progress (document property LEDGER_JOB):
+ *   { fileId, total, nextIndex, created, updated, skipped, startedAt, triggerId }
+ * Ledgers before nextIndex in the snapshot are the keys already done.
+ */
+
+const LedgerJob = (function() {
+
+  const STATE_KEY = 'LEDGER_JOB';
+  const CONTINUE_FUNCTION = 'continueLedgerJob';
+
+  // Stop writing well before the 6 minute execution limit
+  const MAX_RUN_MS = 4.5 * 60 * 1000;
+  const CONTINUE_DELAY_MS = 60 * 1000;
+
+  // JSON stores dates as ISO strings; revive them when the snapshot is read
+  const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+  /**
+   * Starts a new job, replacing any unfinished one, and runs the first chunk
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Object} company - Company header object
+   * @param {Array} ledgers - Ledger objects with transactions and totals
+   * @param {number} [startTime] - Execution start (ms) the time budget counts from
+   * @param {Object} [options] - Layout options from PartyLedger.getOptions()
+   * @param {Object} [ageing] - Settings from Ageing.getSettings(); no AGEING tab when omitted
+   * @returns {Object} Result with count, done, created, updated, skipped, status
+   */
+  function start(ss, company, ledgers, startTime, options, ageing) {
+    cancel();
+
+    const state = {
+      fileId: null,
+      total: ledgers.length,
+      nextIndex: 0,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      startedAt: new Date().toISOString(),
+      triggerId: null
+    };
+
+    const snapshot = { company: company, ledgers: ledgers, options: options || {}, ageing: ageing || null };
+    return runChunk(ss, state, snapshot, (startTime || Date.now()) + MAX_RUN_MS);
+  }
+
+  /**
+   * Continues a saved job (called from the continuation trigger)
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @returns {Object|null} Result, or null when no job is pending
+   */
+  function resume(ss) {
+    const state = loadState();
+    if (!state) return null;
+
+    deleteTrigger(state.triggerId);
+    state.triggerId = null;
+
+    const snapshot = readSnapshot(state.fileId);
+    return runChunk(ss, state, snapshot, Date.now() + MAX_RUN_MS);
+  }
+
+  /**
+   * Reschedules a saved job without running it (the run lock was busy)
+   * @returns {boolean} True when a job is pending and was rescheduled
+   */
+  function postpone() {
+    const state = loadState();
+    if (!state) return false;
+
+    deleteTrigger(state.triggerId);
+    scheduleContinuation(state);
+    saveState(state);
+    return true;
+  }
+
+  /**
+   * Writes ledgers until done or out of time, then finishes or pauses
+   * At least one ledger is written per execution so the job always advances
+   */
+  function runChunk(ss, state, snapshot, deadline) {
+    const previousHashes = LedgerCache.load();
+    const hashes = {};
+    let processed = 0;
+
+    while (state.nextIndex < snapshot.ledgers.length) {
+      if (processed > 0 && Date.now() > deadline) break;
+
+      const ledger = snapshot.ledgers[state.nextIndex];
+      const ledgerKey = LedgerCache.buildKey(ledger);
+      const hash = LedgerCache.computeHash(ledger, snapshot.company, snapshot.options);
+      const exists = !!ss.getSheetByName(PartyLedger.buildSheetName(ledger.id, ledger.ledgerCategory));
+
+      hashes[ledgerKey] = hash;
+
+      if (exists && previousHashes[ledgerKey] === hash) {
+        state.skipped++;
+      } else {
+        PartyLedger.createPartyLedger(ss, ledger, snapshot.company, ledger.transactions,
+          ledger.ledgerCategory, snapshot.options);
+        if (exists) {
+          state.updated++;
+        } else {
+          state.created++;
+        }
+      }
+
+      state.nextIndex++;
+      processed++;
+    }
+
+    LedgerCache.update(hashes);
+
+    if (state.nextIndex < snapshot.ledgers.length) {
+      pause(ss, state, snapshot);
+      return buildResult(state, 'IN_PROGRESS');
+    }
+
+    finish(ss, state, snapshot);
+    return buildResult(state, 'SUCCESS');
+  }
+
+  /**
+   * Saves the snapshot and progress, and schedules the continuation
+   */
+  function pause(ss, state, snapshot) {
+    if (!state.fileId) {
+      const file = DriveApp.createFile('cg-accounts-ledger-job-' + ss.getId() + '.json',
+        JSON.stringify(snapshot), MimeType.PLAIN_TEXT);
+      state.fileId = file.getId();
+    }
+
+    scheduleContinuation(state);
+    saveState(state);
+  }
+
+  function scheduleContinuation(state) {
+    state.triggerId = ScriptApp.newTrigger(CONTINUE_FUNCTION)
+      .timeBased()
+      .after(CONTINUE_DELAY_MS)
+      .create()
+      .getUniqueId();
+  }
+
+  /**
+   * Final step once every ledger is written
+   */
+  function finish(ss, state, snapshot) {
+    LedgerCache.prune(snapshot.ledgers.map(ledger => LedgerCache.buildKey(ledger)));
+
+    // Update Ledger Master index
+    PartyLedger.updateLedgerMasterIndex(ss, snapshot.ledgers);
+
+    // Ageing links point at the ledger sheets, so it waits for them too
+    if (snapshot.ageing) {
+      Ageing.write(ss, snapshot.ledgers, snapshot.ageing);
+    }
+
+    // Reorder tabs: Ledger Master first, ledgers in middle, system tabs at end
+    Init.reorderTabs(ss);
+
+    trashSnapshot(state.fileId);
+    PropertiesService.getDocumentProperties().deleteProperty(STATE_KEY);
+  }
+
+  /**
+   * Writes one ledger outside a job (Create Single Ledger)
+   * The tab is built from that party's rows alone, so its stored hash is
+   * dropped: the next refresh rewrites the tab instead of skipping it as unchanged
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Object} party - Party info {id, name, address1, ...}
+   * @param {Object} company - Company header object
+   * @param {Array} transactions - Ledger transactions
+   * @param {string} ledgerCategory - 'SU', 'CO' or 'CU'
+   * @param {Object} [options] - Layout options from PartyLedger.getOptions()
+   * @returns {Object} Result from PartyLedger.createPartyLedger()
+   */
+  function writeSingle(ss, party, company, transactions, ledgerCategory, options) {
+    const result = PartyLedger.createPartyLedger(ss, party, company, transactions, ledgerCategory, options);
+    LedgerCache.forget([LedgerCache.buildKey({ id: party.id, ledgerCategory: ledgerCategory })]);
+    return result;
+  }
+
+  /**
+   * Abandons an unfinished job (trigger, snapshot and progress)
+   */
+  function cancel() {
+    const state = loadState();
+    if (!state) return;
+
+    deleteTrigger(state.triggerId);
+    trashSnapshot(state.fileId);
+    PropertiesService.getDocumentProperties().deleteProperty(STATE_KEY);
+  }
+
+  /**
+   * Gets progress of the current job for the sidebar
+   * @returns {Object} {active, done, total, text}
+   */
+  function getProgress() {
+    const state = loadState();
+    if (!state) {
+      return { active: false, done: 0, total: 0, text: '' };
+    }
+
+    return {
+      active: true,
+      done: state.nextIndex,
+      total: state.total,
+      text: state.nextIndex + ' of ' + state.total + ' ledgers'
+    };
+  }
+
+  function buildResult(state, status) {
+    return {
+      count: state.total,
+      done: state.nextIndex,
+      created: state.created,
+      updated: state.updated,
+      skipped: state.skipped,
+      status: status,
+      error: null
+    };
+  }
+
+  function loadState() {
+    const raw = PropertiesService.getDocumentProperties().getProperty(STATE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  function saveState(state) {
+    PropertiesService.getDocumentProperties().setProperty(STATE_KEY, JSON.stringify(state));
+  }
+
+  function readSnapshot(fileId) {
+    const content = DriveApp.getFileById(fileId).getBlob().getDataAsString();
+    return JSON.parse(content, (key, value) =>
+      typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value
+    );
+  }
+
+  function trashSnapshot(fileId) {
+    if (!fileId) return;
+    try {
+      DriveApp.getFileById(fileId).setTrashed(true);
+    } catch (e) {
+      Logger.log('Failed to remove ledger job snapshot: ' + e.message);
+    }
+  }
+
+  function deleteTrigger(triggerId) {
+    if (!triggerId) return;
+    for (const trigger of ScriptApp.getProjectTriggers()) {
+      if (trigger.getUniqueId() === triggerId) {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    }
+  }
+
+  // Public API
+  return {
+    start,
+    resume,
+    postpone,
+    writeSingle,
+    cancel,
+    getProgress
+  };
+
+})();
@@ -0,0 +1,234 @@
+/**
+ * Opening Balance Module
+ * Applies the FROM_DATE / TO_DATE ledger period to party transactions
+ *
+ * @fileoverview Opening balance carry-forward for party ledgers
+ *
+ * Transactions dated before FROM_DATE are collapsed into a single
+ * OPENING BALANCE entry (DR when positive, CR when negative).
+ * Transactions dated after TO_DATE are left out of the ledger.
+ * Manual openings from the OPENING_BALANCES tab override the computed amount.
+ */
+
+const OpeningBalance = (function() {
+
+  const OPENING_LABEL = 'OPENING BALANCE';
+  const OPENING_VOUCHER_TYPE = 'OPENING';
+  const MANUAL_VOUCHER_TYPE = 'OPENING (MANUAL)';
+  const MANUAL_SHEET_NAME = 'OPENING_BALANCES';
+
+  /**
+   * Parses a CONFIG or transaction date
+   * Accepts Date objects, DD-MM-YYYY / DD/MM/YYYY strings and ISO strings
+   * @param {*} value - Value to parse
+   * @returns {Date|null} Parsed date or null
+   */
+  function parseDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+    const str = String(value).trim();
+    const dmy = str.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{4})$/);
+    if (dmy) {
+      return new Date(Number(dmy[3]), Number(dmy[2]) - 1, Number(dmy[1]));
+    }
+
+    const parsed = new Date(str);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  /**
+   * Reads the ledger period from config
+   * TO_DATE is inclusive, so it is moved to the end of that day
+   * @param {Object} config - Configuration object
+   * @returns {Object} Period {from, to} (either may be null)
+   */
+  function getPeriod(config) {
+    const from = parseDate(config.FROM_DATE);
+    let to = parseDate(config.TO_DATE);
+
+    if (to) {
+      to = new Date(to.getFullYear(), to.getMonth(), to.getDate(), 23, 59, 59, 999);
+    }
+
+    return { from: from, to: to };
+  }
+
+  /**
+   * Splits transactions into the opening amount and in-period entries
+   * Undated transactions are kept in the period
+   * @param {Array} transactions - Party transactions
+   * @param {Object} period - Period from getPeriod()
+   * @returns {Object} {opening, historyCount, transactions} - opening is debit minus credit
+   */
+  function split(transactions, period) {
+    let opening = 0;
+    let historyCount = 0;
+    const inPeriod = [];
+
+    for (const txn of transactions) {
+      const date = parseDate(txn.date);
+
+      if (date && period.from && date < period.from) {
+        opening += (parseFloat(txn.debit) || 0) - (parseFloat(txn.credit) || 0);
+        historyCount++;
+        continue;
+      }
+
+      if (date && period.to && date > period.to) continue;
+
+      inPeriod.push(txn);
+    }
+
+    return {
+      opening: roundAmount(opening),
+      historyCount: historyCount,
+      transactions: inPeriod
+    };
+  }
+
+  /**
+   * Builds the OPENING BALANCE ledger entry
+   * @param {number} amount - Opening amount (positive = DR, negative = CR)
+   * @param {Date} date - Date shown on the entry (FROM_DATE)
+   * @param {string} [voucherType] - Voucher type marker (default OPENING)
+   * @param {string} [remarks] - Appended to the particulars
+   * @returns {Object} Transaction-shaped opening entry
+   */
+  function buildEntry(amount, date, voucherType, remarks) {
+    return {
+      date: date || '',
+      partyId: '',
+      partyName: '',
+      docNo: '',
+      docType: OPENING_VOUCHER_TYPE,
+      voucherType: voucherType || OPENING_VOUCHER_TYPE,
+      particulars: remarks ? OPENING_LABEL + ' - ' + remarks : OPENING_LABEL,
+      debit: amount > 0 ? amount : 0,
+      credit: amount < 0 ? -amount : 0,
+      reference: '',
+      isOpening: true
+    };
+  }
+
+  /**
+   * Applies the ledger period to a party's transactions
+   * When FROM_DATE is set, or a manual opening exists, the result starts
+   * with an OPENING BALANCE entry. A manual opening replaces the computed one.
+   * @param {Array} transactions - Party transactions (any order)
+   * @param {Object} period - Period from getPeriod()
+   * @param {Object} [manual] - Manual opening {amount, remarks} from OPENING_BALANCES
+   * @returns {Array} Ledger entries for the period
+   */
+  function apply(transactions, period, manual) {
+    const result = split(transactions, period);
+
+    if (manual) {
+      const entry = buildEntry(manual.amount, period.from, MANUAL_VOUCHER_TYPE, manual.remarks);
+      return [entry].concat(result.transactions);
+    }
+
+    if (!period.from) return result.transactions;
+
+    return [buildEntry(result.opening, period.from)].concat(result.transactions);
+  }
+
+  /**
+   * Compares a manual opening with the one computed from history
+   * Only parties with history before FROM_DATE can be reconciled
+   * @param {Array} transactions - Party transactions
+   * @param {Object} period - Period from getPeriod()
+   * @param {Object} manual - Manual opening {amount}
+   * @returns {Object|null} {computed, manual, difference} or null when they agree
+   */
+  function reconcile(transactions, period, manual) {
+    if (!manual) return null;
+
+    const result = split(transactions, period);
+    if (result.historyCount === 0) return null;
+
+    const difference = roundAmount(manual.amount - result.opening);
+    if (difference === 0) return null;
+
+    return {
+      computed: result.opening,
+      manual: manual.amount,
+      difference: difference
+    };
+  }
+
+  /**
+   * Parses OPENING_BALANCES rows into a lookup map
+   * Columns: PARTY ID | CATEGORY | AMOUNT | DR/CR | REMARKS
+   * @param {Array} data - Sheet values including the header row
+   * @returns {Object} Map of "PARTYID|CATEGORY" to {amount, remarks} (amount positive = DR)
+   */
+  function parseManualRows(data) {
+    const openings = {};
+
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const partyId = String(row[0] || '').trim().toUpperCase();
+      const category = String(row[1] || '').replace(/[\[\]\s]/g, '').toUpperCase();
+      if (!partyId || !category) continue;
+
+      let amount = typeof row[2] === 'number' ? row[2] :
+        parseFloat(String(row[2] || '').replace(/[₹$,\s]/g, '')) || 0;
+      const side = String(row[3] || '').trim().toUpperCase();
+      if (side === 'CR') amount = -Math.abs(amount);
+      if (side === 'DR') amount = Math.abs(amount);
+
+      openings[partyId + '|' + category] = {
+        amount: roundAmount(amount),
+        remarks: String(row[4] || '').trim()
+      };
+    }
+
+    return openings;
+  }
+
+  /**
+   * Reads manual openings from the OPENING_BALANCES tab
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @returns {Object} Map from parseManualRows() (empty if tab missing)
+   */
+  function readManualOpenings(ss) {
+    const sheet = ss.getSheetByName(MANUAL_SHEET_NAME);
+    if (!sheet) return {};
+
+    return parseManualRows(sheet.getDataRange().getValues());
+  }
+
+  /**
+   * Formats a signed amount as "1,234.00 DR" / "1,234.00 CR" for logs
+   */
+  function formatAmount(value) {
+    const side = value < 0 ? 'CR' : 'DR';
+    return Math.abs(value).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',') + ' ' + side;
+  }
+
+  /**
+   * Rounds an amount to paise to avoid floating point noise
+   */
+  function roundAmount(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Public API
+  return {
+    OPENING_LABEL,
+    OPENING_VOUCHER_TYPE,
+    MANUAL_VOUCHER_TYPE,
+    MANUAL_SHEET_NAME,
+    parseDate,
+    getPeriod,
+    split,
+    buildEntry,
+    apply,
+    reconcile,
+    parseManualRows,
+    readManualOpenings,
+    formatAmount
+  };
+
+})();
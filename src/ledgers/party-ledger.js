@@ -5,21 +5,28 @@
  * @fileoverview Party ledger generation matching the exact template format
  *
  * LEDGER LAYOUT:
- * Row 1: Ledger type (A1:E1 merged) + Contact ID (F1) + Company ID (G1)
- * Row 2: Company Name (A2:F2 merged, 16px, center)
- * Row 3: Company Address Line 1 (A3:F3 merged, 10px, center)
- * Row 4: Company Address Line 2 (A4:F4 merged, 10px, center)
- * Row 5: GST | Phone | Email (A5:F5 merged, 10px, center)
+ * Row 1: Ledger type (A1:G1 merged) + Contact ID (H1) + Company ID (I1)
+ * Row 2: Company Name (A2:H2 merged, 16px, center)
+ * Row 3: Company Address Line 1 (A3:H3 merged, 10px, center)
+ * Row 4: Company Address Line 2 (A4:H4 merged, 10px, center)
+ * Row 5: GST | Phone | Email (A5:H5 merged, 10px, center)
  * Row 6: Empty (20px)
- * Row 7: Party Name (A7:F7 merged, 16px, center)
- * Row 8: Party Address Line 1 (A8:F8 merged, 10px, center)
- * Row 9: Party Address Line 2 (A9:F9 merged, 10px, center)
- * Row 10: GST | Phone | Email (A10:F10 merged, 10px, center)
+ * Row 7: Party Name (A7:H7 merged, 16px, center)
+ * Row 8: Party Address Line 1 (A8:H8 merged, 10px, center)
+ * Row 9: Party Address Line 2 (A9:H9 merged, 10px, center)
+ * Row 10: GST | Phone | Email (A10:H10 merged, 10px, center)
  * Row 11: Empty
  * Row 12: Section header (merged, 12px, 30px, top/bottom border)
- * Row 13: Legend - DATE, PARTICULARS, VOUCHER TYPE, REF, DEBIT, CREDIT, FILE
- * Row 14+: Transactions (min 10 rows)
+ * Row 13: Legend - DATE, PARTICULARS, VOUCHER TYPE, REF, DEBIT, CREDIT, BALANCE, STATUS, SOURCE
+ * Row 14+: Transactions (min 10 rows), starting with OPENING BALANCE when FROM_DATE is set
+ *          STATUS is the reconciliation status (Matched / Partial / Unmatched)
+ *          Hidden column I holds each line's source locator (TYPE|SPREADSHEET ID|TAB|ROW)
+ *          With LEDGER_SUBTOTALS = MONTHLY / QUARTERLY, a bold SUBTOTAL row follows each period
+ *          With LEDGER_GST_SPLIT = YES, register lines show (Taxable + IGST / CGST + SGST)
+ *          after the particulars
  * After transactions: 2 row gap, TOTAL, CLOSING BALANCE, GRAND TOTAL
+ * Below the totals: OUTSTANDING BILLS (A:G) - each open invoice with due date, days
+ *          overdue, amount, paid and balance (payments allocated by BillAllocation)
  */
 
 const PartyLedger = (function() {
@@ -27,27 +34,78 @@ const PartyLedger = (function() {
   // Currency format for Indian Rupees
   const CURRENCY_FORMAT = '_("₹"* #,##0.00_);_("₹"* \\(#,##0.00\\);_("₹"* "-"??_);_(@_)';
 
-  // Column widths as specified
+  // Running balance format - positive is Dr, negative is Cr (shown without sign)
+  const BALANCE_FORMAT = '#,##0.00 "Dr";#,##0.00 "Cr";0.00';
+
+  // Column widths - A:H visible total fits A4 portrait when printed at fit-to-width
   const COL_WIDTHS = {
-    A: 120,
-    B: 350,
-    C: 120,
-    D: 140,  // Increased by 60
-    E: 140,
-    F: 140,
-    G: 230   // Hidden column for IDs
+    A: 85,
+    B: 230,
+    C: 95,
+    D: 110,
+    E: 105,
+    F: 105,
+    G: 120,  // Running balance
+    H: 75,   // Reconciliation status
+    I: 230   // Hidden column for IDs
+  };
+
+  // Column positions
+  const BALANCE_COL = 7;    // G - Running balance
+  const STATUS_COL = 8;     // H - Reconciliation status
+  const HIDDEN_COL = 9;     // I - Hidden ID / source locator column
+  const LAST_COL = HIDDEN_COL;
+
+  // Ledger categories in Ledger Master order: sheet prefix [SU] / [CO] / [CU]
+  const CATEGORIES = {
+    SU: { type: 'SUPPLIER', label: 'SUPPLIER LEDGER' },
+    CO: { type: 'CONTRACTOR', label: 'CONTRACTOR LEDGER' },
+    CU: { type: 'CUSTOMER', label: 'CUSTOMER LEDGER' }
+  };
+  const CATEGORY_ORDER = Object.keys(CATEGORIES);
+
+  // Reconciliation status colours
+  const STATUS_COLORS = {
+    Matched: '#38761d',
+    Partial: '#b45f06',
+    Unmatched: '#cc0000'
   };
 
+  // Ledger Master shading for parties with GSTIN problems
+  const GSTIN_ISSUE_COLOR = '#f4cccc';
+
+  // First transaction row (below the legend)
+  const FIRST_TXN_ROW = 14;
+
+  const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+  /**
+   * Reads ledger layout options from config
+   * @param {Object} config - Configuration object
+   * @returns {Object} Options {subtotals: 'NONE' | 'MONTHLY' | 'QUARTERLY', bills, gstSplit}
+   *   bills is BillAllocation.getSettings(config)
+   */
+  function getOptions(config) {
+    const subtotals = String(config.LEDGER_SUBTOTALS || 'NONE').trim().toUpperCase();
+
+    return {
+      subtotals: subtotals === 'MONTHLY' || subtotals === 'QUARTERLY' ? subtotals : 'NONE',
+      bills: BillAllocation.getSettings(config),
+      gstSplit: /^(Y|YES|TRUE|1)$/i.test(String(config.LEDGER_GST_SPLIT || '').trim())
+    };
+  }
+
   /**
    * Creates or updates a party ledger sheet
    * @param {Spreadsheet} ss - Active spreadsheet
    * @param {Object} party - Party data object
    * @param {Object} company - Company data object (the org whose ledger this is)
    * @param {Array} transactions - Array of transaction objects
-   * @param {string} ledgerCategory - Ledger category: 'SU' for supplier, 'CU' for customer
+   * @param {string} ledgerCategory - Ledger category: 'SU' supplier, 'CO' contractor, 'CU' customer
+   * @param {Object} [options] - Layout options from getOptions()
    * @returns {Object} Result with sheet name and row count
    */
-  function createPartyLedger(ss, party, company, transactions, ledgerCategory) {
+  function createPartyLedger(ss, party, company, transactions, ledgerCategory, options) {
     const sheetName = buildSheetName(party.id, ledgerCategory);
     let sheet = ss.getSheetByName(sheetName);
 
@@ -72,13 +130,15 @@ const PartyLedger = (function() {
     sheet.setColumnWidth(4, COL_WIDTHS.D);  // D - Ref
     sheet.setColumnWidth(5, COL_WIDTHS.E);  // E - Debit
     sheet.setColumnWidth(6, COL_WIDTHS.F);  // F - Credit
-    sheet.setColumnWidth(7, COL_WIDTHS.G);  // G - Hidden ID column
+    sheet.setColumnWidth(7, COL_WIDTHS.G);  // G - Balance
+    sheet.setColumnWidth(8, COL_WIDTHS.H);  // H - Status
+    sheet.setColumnWidth(9, COL_WIDTHS.I);  // I - Hidden ID column
 
-    // Hide column G and delete columns after G
-    sheet.hideColumns(7);
+    // Hide column I and delete columns after I
+    sheet.hideColumns(HIDDEN_COL);
     const maxCols = sheet.getMaxColumns();
-    if (maxCols > 7) {
-      sheet.deleteColumns(8, maxCols - 7);
+    if (maxCols > LAST_COL) {
+      sheet.deleteColumns(LAST_COL + 1, maxCols - LAST_COL);
     }
 
     // === ROW 1: Header with ledger type and IDs ===
@@ -103,22 +163,27 @@ const PartyLedger = (function() {
     writeRow13Legend(sheet);
 
     // === ROW 14+: Transactions ===
-    const transactionEndRow = writeTransactions(sheet, transactions);
+    const transactionEndRow = writeTransactions(sheet, transactions, options);
 
     // === TOTALS SECTION ===
     const grandTotalRow = writeTotalsSection(sheet, transactions, transactionEndRow);
 
-    // === CLEANUP: Delete unused rows after GRAND TOTAL ===
+    // === OUTSTANDING BILLS ===
+    const allocation = BillAllocation.allocate(transactions, ledgerCategory,
+      (options && options.bills) || BillAllocation.getSettings({}));
+    const lastRow = writeOutstandingBills(sheet, allocation, grandTotalRow);
+
+    // === CLEANUP: Delete unused rows after the last block ===
     const maxRows = sheet.getMaxRows();
-    if (maxRows > grandTotalRow) {
-      sheet.deleteRows(grandTotalRow + 1, maxRows - grandTotalRow);
+    if (maxRows > lastRow) {
+      sheet.deleteRows(lastRow + 1, maxRows - lastRow);
     }
 
-    // === CLEANUP: Ensure column G hidden and columns after G deleted ===
-    sheet.hideColumns(7);
+    // === CLEANUP: Ensure column I hidden and columns after I deleted ===
+    sheet.hideColumns(HIDDEN_COL);
     const finalMaxCols = sheet.getMaxColumns();
-    if (finalMaxCols > 7) {
-      sheet.deleteColumns(8, finalMaxCols - 7);
+    if (finalMaxCols > LAST_COL) {
+      sheet.deleteColumns(LAST_COL + 1, finalMaxCols - LAST_COL);
     }
 
     return {
@@ -130,33 +195,33 @@ const PartyLedger = (function() {
 
   /**
    * Row 1: Ledger type label + Contact ID + Company ID
-   * A1:E1 merged, light gray text, 10px
-   * F1: Party contact ID (light gray)
-   * G1: Company contact ID (light gray)
+   * A1:G1 merged, light gray text, 10px
+   * H1: Party contact ID (light gray)
+   * I1: Company contact ID (light gray, hidden)
    */
   function writeRow1Header(sheet, party, company, ledgerCategory) {
     sheet.setRowHeight(1, 30);
 
     // Determine ledger type based on category
-    let ledgerType = ledgerCategory === 'SU' ? 'SUPPLIER LEDGER' : 'CUSTOMER LEDGER';
+    const ledgerType = (CATEGORIES[ledgerCategory] || CATEGORIES.CU).label;
 
-    // A1:E1 merged - ledger type
-    sheet.getRange('A1:E1').merge()
+    // A1:G1 merged - ledger type
+    sheet.getRange('A1:G1').merge()
       .setValue(ledgerType)
       .setFontSize(10)
       .setFontColor('#999999')
       .setVerticalAlignment('middle');
 
-    // F1 - Party ID (light gray)
-    sheet.getRange('F1')
+    // H1 - Party ID (light gray)
+    sheet.getRange('H1')
       .setValue(party.id || '')
       .setFontSize(10)
       .setFontColor('#999999')
       .setHorizontalAlignment('right')
       .setVerticalAlignment('middle');
 
-    // G1 - Company ID (light gray)
-    sheet.getRange('G1')
+    // I1 - Company ID (light gray)
+    sheet.getRange('I1')
       .setValue(company.id || '')
       .setFontSize(10)
       .setFontColor('#999999')
@@ -170,7 +235,7 @@ const PartyLedger = (function() {
   function writeCompanyDetails(sheet, company) {
     // Row 2: Company Name - 16px, center, 30px height, UPPERCASE, BOLD
     sheet.setRowHeight(2, 30);
-    sheet.getRange('A2:F2').merge()
+    sheet.getRange('A2:H2').merge()
       .setValue((company.name || '').toUpperCase())
       .setFontSize(16)
       .setFontWeight('bold')
@@ -179,7 +244,7 @@ const PartyLedger = (function() {
 
     // Row 3: Address Line 1 - 10px, center, 22px height
     sheet.setRowHeight(3, 22);
-    sheet.getRange('A3:F3').merge()
+    sheet.getRange('A3:H3').merge()
       .setValue(company.address1 || '')
       .setFontSize(10)
       .setHorizontalAlignment('center')
@@ -187,7 +252,7 @@ const PartyLedger = (function() {
 
     // Row 4: Address Line 2 - 10px, center, 22px height
     sheet.setRowHeight(4, 22);
-    sheet.getRange('A4:F4').merge()
+    sheet.getRange('A4:H4').merge()
       .setValue(company.address2 || '')
       .setFontSize(10)
       .setHorizontalAlignment('center')
@@ -196,7 +261,7 @@ const PartyLedger = (function() {
     // Row 5: GST | Phone | Email - 10px, center, 22px height
     sheet.setRowHeight(5, 22);
     const contactInfo = buildContactInfo(company.gst, company.phone, company.email);
-    sheet.getRange('A5:F5').merge()
+    sheet.getRange('A5:H5').merge()
       .setValue(contactInfo)
       .setFontSize(10)
       .setHorizontalAlignment('center')
@@ -209,7 +274,7 @@ const PartyLedger = (function() {
   function writePartyDetails(sheet, party) {
     // Row 7: Party Name - 16px, center, 30px height, UPPERCASE, BOLD
     sheet.setRowHeight(7, 30);
-    sheet.getRange('A7:F7').merge()
+    sheet.getRange('A7:H7').merge()
       .setValue((party.name || '').toUpperCase())
       .setFontSize(16)
       .setFontWeight('bold')
@@ -218,7 +283,7 @@ const PartyLedger = (function() {
 
     // Row 8: Address Line 1 - 10px, center, 22px height
     sheet.setRowHeight(8, 22);
-    sheet.getRange('A8:F8').merge()
+    sheet.getRange('A8:H8').merge()
       .setValue(party.address1 || '')
       .setFontSize(10)
       .setHorizontalAlignment('center')
@@ -226,7 +291,7 @@ const PartyLedger = (function() {
 
     // Row 9: Address Line 2 - 10px, center, 22px height
     sheet.setRowHeight(9, 22);
-    sheet.getRange('A9:F9').merge()
+    sheet.getRange('A9:H9').merge()
       .setValue(party.address2 || '')
       .setFontSize(10)
       .setHorizontalAlignment('center')
@@ -235,7 +300,7 @@ const PartyLedger = (function() {
     // Row 10: GST | Phone | Email - 10px, center, 22px height
     sheet.setRowHeight(10, 22);
     const contactInfo = buildContactInfo(party.gst, party.phone, party.email);
-    sheet.getRange('A10:F10').merge()
+    sheet.getRange('A10:H10').merge()
       .setValue(contactInfo)
       .setFontSize(10)
       .setHorizontalAlignment('center')
@@ -259,7 +324,7 @@ const PartyLedger = (function() {
    */
   function writeRow12SectionHeader(sheet, party) {
     sheet.setRowHeight(12, 30);
-    sheet.getRange('A12:G12').merge()
+    sheet.getRange('A12:I12').merge()
       .setFontSize(12)
       .setBorder(true, null, true, null, null, null); // top and bottom borders
   }
@@ -270,8 +335,8 @@ const PartyLedger = (function() {
   function writeRow13Legend(sheet) {
     sheet.setRowHeight(13, 25);
 
-    const headers = ['DATE', 'PARTICULARS', 'VOUCHER TYPE', 'REF', 'DEBIT', 'CREDIT', ''];
-    sheet.getRange('A13:G13').setValues([headers])
+    const headers = ['DATE', 'PARTICULARS', 'VOUCHER TYPE', 'REF', 'DEBIT', 'CREDIT', 'BALANCE', 'STATUS', 'SOURCE'];
+    sheet.getRange('A13:I13').setValues([headers])
       .setFontSize(10)
       .setFontWeight('bold')
       .setBorder(true, null, true, null, null, null) // top and bottom borders
@@ -280,7 +345,183 @@ const PartyLedger = (function() {
     // Alignment
     sheet.getRange('A13:B13').setHorizontalAlignment('left');
     sheet.getRange('C13:D13').setHorizontalAlignment('center');
-    sheet.getRange('E13:F13').setHorizontalAlignment('right');
+    sheet.getRange('E13:G13').setHorizontalAlignment('right');
+    sheet.getRange('H13').setHorizontalAlignment('center');
+  }
+
+  /**
+   * Builds ledger rows (A:I) with a running balance after each entry
+   * The balance starts from the OPENING BALANCE entry when present
+   * @param {Array} transactions - Ledger entries in display order
+   * @param {boolean} [gstSplit] - Append the taxable / GST breakup to register lines
+   * @returns {Array} Row arrays ready for setValues
+   */
+  function buildTransactionRows(transactions, gstSplit) {
+    let balance = 0;
+
+    return transactions.map(txn => {
+      balance += (parseFloat(txn.debit) || 0) - (parseFloat(txn.credit) || 0);
+      balance = Math.round(balance * 100) / 100;
+
+      const particulars = txn.particulars || txn.narration || '';
+      const split = gstSplit ? formatGstSplit(txn) : '';
+
+      return [
+        txn.date || '',
+        split ? particulars + ' ' + split : particulars,
+        txn.voucherType || txn.docType || '',
+        txn.reference || txn.docNo || '',
+        txn.debit || '',
+        txn.credit || '',
+        balance,
+        txn.reconStatus || '',
+        buildSourceLocator(txn)
+      ];
+    });
+  }
+
+  /**
+   * Formats the taxable / GST breakup of a register line
+   * @param {Object} txn - Transaction with taxable, igst, cgst, sgst (and gst as a fallback)
+   * @returns {string} e.g. "(Taxable 1,000.00 + CGST 90.00 + SGST 90.00)", or '' when
+   *   the line carries no GST
+   */
+  function formatGstSplit(txn) {
+    const igst = parseFloat(txn.igst) || 0;
+    const cgst = parseFloat(txn.cgst) || 0;
+    const sgst = parseFloat(txn.sgst) || 0;
+    const gst = parseFloat(txn.gst) || 0;
+    if (txn.isOpening || (!igst && !cgst && !sgst && !gst)) return '';
+
+    const parts = ['Taxable ' + formatNumber(parseFloat(txn.taxable) || 0)];
+    if (igst) parts.push('IGST ' + formatNumber(igst));
+    if (cgst) parts.push('CGST ' + formatNumber(cgst));
+    if (sgst) parts.push('SGST ' + formatNumber(sgst));
+    // Only a GST TOTAL column mapped
+    if (parts.length === 1) parts.push('GST ' + formatNumber(gst));
+
+    return '(' + parts.join(' + ') + ')';
+  }
+
+  function formatNumber(value) {
+    const fixed = Math.abs(value).toFixed(2).split('.');
+    return (value < 0 ? '-' : '') + fixed[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',') + '.' + fixed[1];
+  }
+
+  /**
+   * Builds the source locator stored in the hidden column
+   * @param {Object} txn - Transaction with docType, sourceId, sourceTab, sourceRow
+   * @returns {string} "TYPE|SPREADSHEET ID|TAB|ROW", or '' when the origin is unknown
+   */
+  function buildSourceLocator(txn) {
+    if (!txn.sourceId || !txn.sourceRow) return '';
+    return [txn.docType, txn.sourceId, txn.sourceTab, txn.sourceRow].join('|');
+  }
+
+  /**
+   * Parses a source locator written by buildSourceLocator()
+   * @param {string} locator - Hidden column value
+   * @returns {Object|null} {type, spreadsheetId, tab, row} or null if not a locator
+   */
+  function parseSourceLocator(locator) {
+    const parts = String(locator || '').split('|');
+    if (parts.length < 4) return null;
+
+    // Tab names may contain '|' - everything between ID and row is the tab
+    const row = parseInt(parts[parts.length - 1], 10);
+    if (!parts[1] || !row) return null;
+
+    return {
+      type: parts[0],
+      spreadsheetId: parts[1],
+      tab: parts.slice(2, -1).join('|'),
+      row: row
+    };
+  }
+
+  /**
+   * Builds the transaction section rows, with a SUBTOTAL row after each period
+   * Period debit/credit exclude the opening entry; the subtotal balance is the
+   * running balance at the end of the period.
+   * @param {Array} transactions - Ledger entries in display order
+   * @param {string} [subtotals] - NONE, MONTHLY or QUARTERLY (Indian FY, Q1 = Apr-Jun)
+   * @param {boolean} [gstSplit] - Append the taxable / GST breakup to register lines
+   * @returns {Object} {rows, boldRows} - boldRows are indexes of opening and subtotal rows
+   */
+  function buildLedgerRows(transactions, subtotals, gstSplit) {
+    const txnRows = buildTransactionRows(transactions, gstSplit);
+    const rows = [];
+    const boldRows = [];
+
+    if (!subtotals || subtotals === 'NONE') {
+      transactions.forEach((txn, i) => {
+        if (txn.isOpening) boldRows.push(i);
+      });
+      return { rows: txnRows, boldRows: boldRows };
+    }
+
+    let periodDebit = 0;
+    let periodCredit = 0;
+    let periodCount = 0;
+
+    transactions.forEach((txn, i) => {
+      if (txn.isOpening) boldRows.push(rows.length);
+      rows.push(txnRows[i]);
+
+      if (!txn.isOpening) {
+        periodDebit += parseFloat(txn.debit) || 0;
+        periodCredit += parseFloat(txn.credit) || 0;
+        periodCount++;
+      }
+
+      const label = getPeriodLabel(txn.date, subtotals);
+      const next = transactions[i + 1];
+      const periodEnds = !next || getPeriodLabel(next.date, subtotals) !== label;
+
+      // An opening entry on its own does not make a period
+      if (periodEnds && periodCount > 0) {
+        boldRows.push(rows.length);
+        rows.push([
+          '',
+          'SUBTOTAL - ' + label,
+          '',
+          '',
+          Math.round(periodDebit * 100) / 100,
+          Math.round(periodCredit * 100) / 100,
+          txnRows[i][BALANCE_COL - 1],
+          '',
+          ''
+        ]);
+        periodDebit = 0;
+        periodCredit = 0;
+        periodCount = 0;
+      }
+    });
+
+    return { rows: rows, boldRows: boldRows };
+  }
+
+  /**
+   * Labels the subtotal period a date falls in
+   * @param {Date|string} value - Transaction date
+   * @param {string} subtotals - MONTHLY or QUARTERLY
+   * @returns {string} e.g. "APR 2025" or "Q1 FY 2025-26" ("UNDATED" when no date)
+   */
+  function getPeriodLabel(value, subtotals) {
+    const date = value instanceof Date ? value : (value ? new Date(value) : null);
+    if (!date || isNaN(date.getTime())) return 'UNDATED';
+
+    const month = date.getMonth();
+    const year = date.getFullYear();
+
+    if (subtotals === 'MONTHLY') {
+      return MONTH_NAMES[month] + ' ' + year;
+    }
+
+    // Indian financial year starts in April: Apr-Jun is Q1, Jan-Mar is Q4
+    const fyStart = month >= 3 ? year : year - 1;
+    const quarter = Math.floor(((month + 9) % 12) / 3) + 1;
+    return 'Q' + quarter + ' FY ' + fyStart + '-' + String(fyStart + 1).slice(-2);
   }
 
   /**
@@ -288,10 +529,13 @@ const PartyLedger = (function() {
    * Minimum 10 rows even if fewer transactions
    * Returns the last row number of the transaction section
    */
-  function writeTransactions(sheet, transactions) {
-    const startRow = 14;
+  function writeTransactions(sheet, transactions, options) {
+    const startRow = FIRST_TXN_ROW;
     const minRows = 10;
-    const actualRows = Math.max(transactions.length, minRows);
+    const ledgerRows = buildLedgerRows(transactions, options && options.subtotals,
+      options && options.gstSplit);
+    const dataRows = ledgerRows.rows;
+    const actualRows = Math.max(dataRows.length, minRows);
 
     // Set row heights for all transaction rows
     for (let i = 0; i < actualRows; i++) {
@@ -299,34 +543,43 @@ const PartyLedger = (function() {
     }
 
     // Write transaction data
-    if (transactions.length > 0) {
-      const dataRows = transactions.map(txn => [
-        txn.date || '',
-        txn.particulars || txn.narration || '',
-        txn.voucherType || txn.docType || '',
-        txn.reference || txn.docNo || '',
-        txn.debit || '',
-        txn.credit || '',
-        '' // File column - leave empty for now
-      ]);
-
-      sheet.getRange(startRow, 1, dataRows.length, 7).setValues(dataRows);
+    if (dataRows.length > 0) {
+      sheet.getRange(startRow, 1, dataRows.length, LAST_COL).setValues(dataRows);
     }
 
     // Format all transaction rows
-    const range = sheet.getRange(startRow, 1, actualRows, 7);
+    const range = sheet.getRange(startRow, 1, actualRows, LAST_COL);
     range.setFontSize(9);
 
-    // Alignment: A, B left; C, D center; E, F currency
+    // Alignment: A, B left; C, D center; E, F currency; G balance; H status
     sheet.getRange(startRow, 1, actualRows, 2).setHorizontalAlignment('left');
     sheet.getRange(startRow, 3, actualRows, 2).setHorizontalAlignment('center');
     sheet.getRange(startRow, 5, actualRows, 2)
       .setHorizontalAlignment('right')
       .setNumberFormat(CURRENCY_FORMAT);
+    sheet.getRange(startRow, BALANCE_COL, actualRows, 1)
+      .setHorizontalAlignment('right')
+      .setNumberFormat(BALANCE_FORMAT);
+
+    // Status: centered, coloured by value
+    const statusRange = sheet.getRange(startRow, STATUS_COL, actualRows, 1);
+    statusRange.setHorizontalAlignment('center');
+    sheet.setConditionalFormatRules(Object.keys(STATUS_COLORS).map(status =>
+      SpreadsheetApp.newConditionalFormatRule()
+        .whenTextEqualTo(status)
+        .setFontColor(STATUS_COLORS[status])
+        .setRanges([statusRange])
+        .build()
+    ));
 
     // Format date column
-    if (transactions.length > 0) {
-      sheet.getRange(startRow, 1, transactions.length, 1).setNumberFormat('dd-mm-yyyy');
+    if (dataRows.length > 0) {
+      sheet.getRange(startRow, 1, dataRows.length, 1).setNumberFormat('dd-mm-yyyy');
+    }
+
+    // Opening balance entry and subtotal rows in bold
+    for (const i of ledgerRows.boldRows) {
+      sheet.getRange(startRow + i, 1, 1, LAST_COL).setFontWeight('bold');
     }
 
     return startRow + actualRows - 1;
@@ -335,6 +588,7 @@ const PartyLedger = (function() {
   /**
    * Write totals section after transactions
    * 2 row gap, then TOTAL, CLOSING BALANCE, GRAND TOTAL
+   * Totals include the OPENING BALANCE entry, so the closing balance carries it forward
    */
   function writeTotalsSection(sheet, transactions, lastTransactionRow) {
     // Calculate totals
@@ -366,7 +620,7 @@ const PartyLedger = (function() {
     sheet.getRange(totalRow, 6).setValue(totalCredit)
       .setNumberFormat(CURRENCY_FORMAT)
       .setFontWeight('bold');
-    sheet.getRange(totalRow, 1, 1, 7).setBorder(true, null, null, null, null, null); // top border only
+    sheet.getRange(totalRow, 1, 1, LAST_COL).setBorder(true, null, null, null, null, null); // top border only
 
     // CLOSING BALANCE row - no border, not bold
     const closingRow = totalRow + 1;
@@ -378,13 +632,16 @@ const PartyLedger = (function() {
     if (closingBalance >= 0) {
       sheet.getRange(closingRow, 5).setValue(Math.abs(closingBalance))
         .setNumberFormat(CURRENCY_FORMAT);
-      sheet.getRange(closingRow, 7).setValue('DR');
     } else {
       sheet.getRange(closingRow, 6).setValue(Math.abs(closingBalance))
         .setNumberFormat(CURRENCY_FORMAT);
-      sheet.getRange(closingRow, 7).setValue('CR');
     }
 
+    // Balance column shows the signed closing balance with Dr/Cr suffix
+    sheet.getRange(closingRow, BALANCE_COL).setValue(closingBalance)
+      .setNumberFormat(BALANCE_FORMAT)
+      .setHorizontalAlignment('right');
+
     // GRAND TOTAL row - bold, top and bottom border
     // Grand total = Total + Closing Balance adjustment (so Debit = Credit after adjustment)
     const grandTotalRow = closingRow + 1;
@@ -401,7 +658,7 @@ const PartyLedger = (function() {
     sheet.getRange(grandTotalRow, 6).setValue(maxTotal)
       .setNumberFormat(CURRENCY_FORMAT)
       .setFontWeight('bold');
-    sheet.getRange(grandTotalRow, 1, 1, 7).setBorder(true, null, true, null, null, null); // top and bottom
+    sheet.getRange(grandTotalRow, 1, 1, LAST_COL).setBorder(true, null, true, null, null, null); // top and bottom
 
     // Apply font to entire sheet
     sheet.getDataRange().setFontFamily('Roboto Condensed');
@@ -410,9 +667,127 @@ const PartyLedger = (function() {
   }
 
   /**
-   * Builds sheet name in format: [SU] CG-SUP-0001 or [CU] CG-CUS-0001
+   * Builds OUTSTANDING BILLS rows (A:G) for the open invoices of a ledger
+   * The block stays within A:G so the PDF statement export (Statements) includes
+   * all of it; amounts line up with the DEBIT / CREDIT / BALANCE columns above.
+   * Column D (days overdue) is left blank here: writeOutstandingBills fills it
+   * with a TODAY() formula
+   * @param {Object} allocation - Result of BillAllocation.allocate()
+   * @returns {Object} {rows, total} - total is open bills less payments on account
+   */
+  function buildOutstandingRows(allocation) {
+    const rows = allocation.bills
+      .filter(bill => bill.balance > 0)
+      .map(bill => [
+        bill.date || '',
+        bill.invoiceNo,
+        bill.dueDate || '',
+        '',
+        bill.amount,
+        bill.paid,
+        bill.balance
+      ]);
+
+    const open = rows.reduce((sum, row) => sum + row[6], 0);
+    const total = Math.round((open - allocation.onAccount) * 100) / 100;
+
+    return { rows: rows, total: total };
+  }
+
+  /**
+   * Builds the DAYS OVERDUE formula for an OUTSTANDING BILLS row
+   * A bill with no due date (undated invoice or opening) counts as 0 days,
+   * as in BillAllocation.getDaysOverdue and the AGEING tab
+   * @param {number} row - Sheet row of the bill
+   * @returns {string} Formula counting days from the DUE DATE (C) to today
+   */
+  function buildDaysOverdueFormula(row) {
+    return '=IF(OR(C' + row + '="",G' + row + '<=0),0,MAX(0,TODAY()-C' + row + '))';
+  }
+
+  /**
+   * Writes the OUTSTANDING BILLS block after the totals section
+   * 2 row gap, title, legend, one row per open bill, ON ACCOUNT, TOTAL OUTSTANDING
+   * @returns {number} Last row written
+   */
+  function writeOutstandingBills(sheet, allocation, grandTotalRow) {
+    const outstanding = buildOutstandingRows(allocation);
+
+    sheet.setRowHeight(grandTotalRow + 1, 20);
+    sheet.setRowHeight(grandTotalRow + 2, 20);
+
+    // Title row - same look as the row 12 section header
+    const titleRow = grandTotalRow + 3;
+    sheet.setRowHeight(titleRow, 30);
+    sheet.getRange(titleRow, 1, 1, BALANCE_COL).merge()
+      .setValue('OUTSTANDING BILLS')
+      .setFontSize(12)
+      .setFontWeight('bold')
+      .setBorder(true, null, true, null, null, null);
+
+    // Legend row
+    const legendRow = titleRow + 1;
+    sheet.setRowHeight(legendRow, 25);
+    sheet.getRange(legendRow, 1, 1, BALANCE_COL)
+      .setValues([['DATE', 'INVOICE NO', 'DUE DATE', 'DAYS OVERDUE', 'AMOUNT', 'PAID', 'BALANCE']])
+      .setFontSize(10)
+      .setFontWeight('bold')
+      .setBorder(true, null, true, null, null, null);
+    sheet.getRange(legendRow, 3, 1, 2).setHorizontalAlignment('center');
+    sheet.getRange(legendRow, 5, 1, 3).setHorizontalAlignment('right');
+
+    let row = legendRow + 1;
+
+    if (outstanding.rows.length > 0) {
+      const count = outstanding.rows.length;
+      sheet.getRange(row, 1, count, BALANCE_COL).setValues(outstanding.rows).setFontSize(9);
+      sheet.getRange(row, 4, count, 1).setFormulas(outstanding.rows.map((_, i) =>
+        [buildDaysOverdueFormula(row + i)]));
+
+      sheet.getRange(row, 1, count, 1).setNumberFormat('dd-mm-yyyy');
+      sheet.getRange(row, 3, count, 1).setNumberFormat('dd-mm-yyyy');
+      sheet.getRange(row, 3, count, 2).setHorizontalAlignment('center');
+      sheet.getRange(row, 4, count, 1).setNumberFormat('0');
+      sheet.getRange(row, 5, count, 3).setHorizontalAlignment('right').setNumberFormat(CURRENCY_FORMAT);
+      for (let i = 0; i < count; i++) {
+        sheet.setRowHeight(row + i, 22);
+      }
+      row += count;
+    } else {
+      sheet.setRowHeight(row, 22);
+      sheet.getRange(row, 2).setValue('No outstanding bills').setFontSize(9).setFontStyle('italic');
+      row++;
+    }
+
+    // Payments not applied to any bill
+    if (allocation.onAccount > 0) {
+      sheet.setRowHeight(row, 22);
+      sheet.getRange(row, 2).setValue('ON ACCOUNT (UNAPPLIED PAYMENTS)').setFontSize(9);
+      sheet.getRange(row, 6, 1, 2).setValues([[allocation.onAccount, -allocation.onAccount]])
+        .setFontSize(9)
+        .setNumberFormat(CURRENCY_FORMAT);
+      row++;
+    }
+
+    // TOTAL OUTSTANDING row - bold, top and bottom border
+    sheet.setRowHeight(row, 25);
+    sheet.getRange(row, 2).setValue('TOTAL OUTSTANDING')
+      .setFontWeight('bold')
+      .setHorizontalAlignment('right');
+    sheet.getRange(row, BALANCE_COL).setValue(outstanding.total)
+      .setNumberFormat(CURRENCY_FORMAT)
+      .setFontWeight('bold');
+    sheet.getRange(row, 1, 1, LAST_COL).setBorder(true, null, true, null, null, null);
+
+    sheet.getDataRange().setFontFamily('Roboto Condensed');
+
+    return row;
+  }
+
+  /**
+   * Builds sheet name in format: [SU] CG-SUP-0001, [CO] CG-CON-0001 or [CU] CG-CUS-0001
    * @param {string} partyId - Party ID (e.g., CG-SUP-0001)
-   * @param {string} ledgerCategory - 'SU' or 'CU'
+   * @param {string} ledgerCategory - 'SU', 'CO' or 'CU'
    * @returns {string} Formatted sheet name
    */
   function buildSheetName(partyId, ledgerCategory) {
@@ -426,6 +801,8 @@ const PartyLedger = (function() {
 
   /**
    * Updates the Ledger Master index with all parties
+   * Parties with GSTIN problems (ledger.gstinIssues) are shaded red, with the
+   * problems in a note on the party ID
    * @param {Spreadsheet} ss - Active spreadsheet
    * @param {Array} ledgers - Array of ledger summary objects (with ledgerCategory)
    */
@@ -436,7 +813,7 @@ const PartyLedger = (function() {
     // Clear existing data (keep header)
     const lastRow = sheet.getLastRow();
     if (lastRow > 1) {
-      sheet.getRange(2, 1, lastRow - 1, 8).clear();
+      sheet.getRange(2, 1, lastRow - 1, 8).clear().clearNote();
     }
 
     if (ledgers.length === 0) {
@@ -448,14 +825,8 @@ const PartyLedger = (function() {
       return;
     }
 
-    // Sort ledgers by category (SU first, then CU) then by name
-    ledgers.sort((a, b) => {
-      // SU before CU
-      if (a.ledgerCategory !== b.ledgerCategory) {
-        return a.ledgerCategory === 'SU' ? -1 : 1;
-      }
-      return (a.name || '').localeCompare(b.name || '');
-    });
+    // Group by category (SU, CO, CU), then by name
+    ledgers.sort(compareLedgers);
 
     // Build rows with hyperlinks
     const rows = ledgers.map(ledger => {
@@ -465,7 +836,7 @@ const PartyLedger = (function() {
       return [
         ledger.id,
         ledger.name,
-        '[' + ledger.ledgerCategory + ']',  // Show category as [SU] or [CU]
+        '[' + ledger.ledgerCategory + ']',  // Show category as [SU], [CO] or [CU]
         ledger.totalDebit || 0,
         ledger.totalCredit || 0,
         (ledger.totalDebit || 0) - (ledger.totalCredit || 0),
@@ -490,10 +861,56 @@ const PartyLedger = (function() {
       }
     }
 
+    ledgers.forEach((ledger, i) => {
+      if (ledger.gstinIssues && ledger.gstinIssues.length > 0) {
+        sheet.getRange(2 + i, 1, 1, 8).setBackground(GSTIN_ISSUE_COLOR);
+        sheet.getRange(2 + i, 1).setNote('GSTIN:\n' + ledger.gstinIssues.join('\n'));
+      }
+    });
+
     // Apply Roboto Condensed font
     sheet.getDataRange().setFontFamily('Roboto Condensed');
   }
 
+  /**
+   * Reads the ledgers listed on Ledger Master (as updateLedgerMasterIndex wrote them)
+   * Placeholder and unrecognised rows are dropped
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @returns {Array} [{id, name, ledgerCategory, totalDebit, totalCredit, balance, lastTransaction}]
+   *   - lastTransaction is the cell value (Date or '')
+   */
+  function readLedgerMaster(ss) {
+    const sheet = ss.getSheetByName('Ledger Master');
+    if (!sheet || sheet.getLastRow() < 2) return [];
+
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, 7).getValues()
+      .map(row => ({
+        id: String(row[0] || '').trim().toUpperCase(),
+        name: String(row[1] || '').trim(),
+        ledgerCategory: String(row[2] || '').replace(/[\[\]\s]/g, '').toUpperCase(),
+        totalDebit: parseFloat(row[3]) || 0,
+        totalCredit: parseFloat(row[4]) || 0,
+        balance: parseFloat(row[5]) || 0,
+        lastTransaction: row[6] || ''
+      }))
+      .filter(ledger => ledger.id && CATEGORIES[ledger.ledgerCategory]);
+  }
+
+  /**
+   * Ledger Master sort order: category (SU, CO, CU), then party name
+   */
+  function compareLedgers(a, b) {
+    if (a.ledgerCategory !== b.ledgerCategory) {
+      return categoryRank(a.ledgerCategory) - categoryRank(b.ledgerCategory);
+    }
+    return (a.name || '').localeCompare(b.name || '');
+  }
+
+  function categoryRank(category) {
+    const rank = CATEGORY_ORDER.indexOf(category);
+    return rank >= 0 ? rank : CATEGORY_ORDER.length;
+  }
+
   /**
    * Gets the GID of a sheet for hyperlink
    */
@@ -521,8 +938,23 @@ const PartyLedger = (function() {
 
   // Public API
   return {
+    HIDDEN_COL,
+    FIRST_TXN_ROW,
+    CATEGORIES,
+    getOptions,
     createPartyLedger,
+    buildTransactionRows,
+    buildLedgerRows,
+    formatGstSplit,
+    buildOutstandingRows,
+    buildDaysOverdueFormula,
+    getPeriodLabel,
+    buildSourceLocator,
+    parseSourceLocator,
     updateLedgerMasterIndex,
+    readLedgerMaster,
+    compareLedgers,
+    getSheetGid,
     sanitizeSheetName,
     buildSheetName
   };
@@ -0,0 +1,236 @@
+/**
+ * Party Routing Module
+ * Decides which ledger ([SU] / [CO] / [CU]) a source row is posted to
+ *
+ * @fileoverview PARTY ROUTING rules from the CONFIG tab
+ *
+ * Each rule row in the '>> PARTY ROUTING' section of CONFIG has:
+ *   MATCH     - party ID pattern with * wildcards (e.g. *-SUP-*), or
+ *               TYPE:<contact type> to match the CONTACT TYPE in the contacts sheet
+ *   SOURCE    - PURCHASE, SALES, CONTRACTOR, BANK or ANY
+ *   DIRECTION - DR (row has a debit), CR (row has a credit) or ANY
+ *   ROUTE TO  - SU, CO, CU or SKIP
+ * Rules are checked top to bottom and the first match wins. A row no rule
+ * matches, or one routed to SKIP, gets no ledger and is listed on EXCEPTIONS.
+ * Sheets whose CONFIG has no PARTY ROUTING section use DEFAULT_RULES.
+ */
+
+const PartyRouting = (function() {
+
+  const SECTION = '>> PARTY ROUTING';
+  const HEADERS = ['MATCH', 'SOURCE', 'DIRECTION', 'ROUTE TO'];
+
+  const SOURCES = ['ANY', 'PURCHASE', 'SALES', 'CONTRACTOR', 'BANK'];
+  const DIRECTIONS = ['ANY', 'DR', 'CR'];
+  const ROUTES = ['SU', 'CO', 'CU', 'SKIP'];
+
+  // Registers decide the ledger; bank rows go by party ID
+  const DEFAULT_RULES = [
+    ['*', 'PURCHASE', 'ANY', 'SU'],
+    ['*', 'SALES', 'ANY', 'CU'],
+    ['*', 'CONTRACTOR', 'ANY', 'CO'],
+    ['*-SUP-*', 'BANK', 'ANY', 'SU'],
+    ['*-CUS-*', 'BANK', 'ANY', 'CU'],
+    ['*-REN-*', 'BANK', 'ANY', 'CU'],
+    ['*-DEA-*', 'BANK', 'ANY', 'CU'],
+    ['*-CON-*', 'BANK', 'ANY', 'CO'],
+    ['*-MAS-*', 'BANK', 'CR', 'SU'],
+    ['*-MAS-*', 'BANK', 'DR', 'CU'],
+    ['*', 'ANY', 'ANY', 'CU']
+  ];
+
+  /**
+   * Parses rule rows into rules
+   * @param {Array} rows - Rows [MATCH, SOURCE, DIRECTION, ROUTE TO]
+   * @returns {Object} {rules, errors} - invalid rows are left out and reported
+   */
+  function parseRules(rows) {
+    const rules = [];
+    const errors = [];
+
+    rows.forEach((row, i) => {
+      const match = String(row[0] || '').trim().toUpperCase();
+      const source = String(row[1] || '').trim().toUpperCase() || 'ANY';
+      const direction = String(row[2] || '').trim().toUpperCase() || 'ANY';
+      const route = String(row[3] || '').trim().toUpperCase().replace(/[\[\]]/g, '');
+      const label = 'PARTY ROUTING rule ' + (i + 1) + ' (' + match + ')';
+
+      if (!match) return;
+
+      if (SOURCES.indexOf(source) === -1) {
+        errors.push(label + ': SOURCE should be ' + SOURCES.join(', '));
+        return;
+      }
+      if (DIRECTIONS.indexOf(direction) === -1) {
+        errors.push(label + ': DIRECTION should be ' + DIRECTIONS.join(', '));
+        return;
+      }
+      if (ROUTES.indexOf(route) === -1) {
+        errors.push(label + ': ROUTE TO should be ' + ROUTES.join(', '));
+        return;
+      }
+
+      const isType = match.indexOf('TYPE:') === 0;
+      rules.push({
+        index: i + 1,
+        match: match,
+        contactType: isType ? match.substring(5).trim() : null,
+        pattern: isType ? null : globToRegExp(match),
+        source: source,
+        direction: direction,
+        route: route
+      });
+    });
+
+    return { rules: rules, errors: errors };
+  }
+
+  function globToRegExp(glob) {
+    const escaped = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp('^' + escaped.join('.*') + '$');
+  }
+
+  /**
+   * Gets the rules for a config
+   * @param {Object} config - Configuration object (PARTY_ROUTING rows from readConfig)
+   * @returns {Object} {rules, errors}
+   */
+  function getRules(config) {
+    return parseRules(config.PARTY_ROUTING || DEFAULT_RULES);
+  }
+
+  /**
+   * Routes one source row
+   * @param {Array} rules - Rules from getRules()
+   * @param {Object} txn - Transaction (docType, partyId, debit, credit)
+   * @param {Object} contacts - Contact map from fetchAllContacts (for TYPE: rules)
+   * @returns {Object} {category, skipped, rule} - category is null when skipped or unmatched
+   */
+  function route(rules, txn, contacts) {
+    const partyId = String(txn.partyId || '').trim().toUpperCase();
+    const contact = contacts[partyId];
+    const contactType = contact ? String(contact.type || '').toUpperCase() : '';
+    const direction = getDirection(txn);
+
+    for (const rule of rules) {
+      if (rule.source !== 'ANY' && rule.source !== txn.docType) continue;
+      if (rule.direction !== 'ANY' && rule.direction !== direction) continue;
+
+      const matched = rule.contactType !== null ?
+        rule.contactType === contactType :
+        rule.pattern.test(partyId);
+      if (!matched) continue;
+
+      if (rule.route === 'SKIP') {
+        return { category: null, skipped: true, rule: rule };
+      }
+      return { category: rule.route, skipped: false, rule: rule };
+    }
+
+    return { category: null, skipped: false, rule: null };
+  }
+
+  function getDirection(txn) {
+    if ((parseFloat(txn.debit) || 0) > 0) return 'DR';
+    if ((parseFloat(txn.credit) || 0) > 0) return 'CR';
+    return '';
+  }
+
+  /**
+   * Describes a rule for previews
+   * @param {Object} rule - Rule from parseRules()
+   * @returns {string} e.g. "#4 *-SUP-* / BANK / ANY -> SU"
+   */
+  function describeRule(rule) {
+    return '#' + rule.index + ' ' + rule.match + ' / ' + rule.source + ' / ' + rule.direction +
+      ' -> ' + rule.route;
+  }
+
+  /**
+   * Routes every row without writing anything
+   * @param {Array} rules - Rules from getRules()
+   * @param {Array} transactions - Fetched transactions
+   * @param {Object} contacts - Contact map from fetchAllContacts
+   * @returns {Object} {total, blank, byCategory, byRule, skipped, unmatched, unmatchedIds}
+   */
+  function preview(rules, transactions, contacts) {
+    const result = {
+      total: transactions.length,
+      blank: 0,
+      byCategory: { SU: 0, CO: 0, CU: 0 },
+      byRule: rules.map(rule => ({ rule: rule, count: 0 })),
+      skipped: 0,
+      unmatched: 0,
+      unmatchedIds: []
+    };
+
+    for (const txn of transactions) {
+      if (!String(txn.partyId || '').trim()) {
+        result.blank++;
+        continue;
+      }
+
+      const routed = route(rules, txn, contacts);
+
+      if (routed.rule) {
+        result.byRule[rules.indexOf(routed.rule)].count++;
+      }
+
+      if (routed.category) {
+        result.byCategory[routed.category]++;
+      } else if (routed.skipped) {
+        result.skipped++;
+      } else {
+        result.unmatched++;
+        const partyId = String(txn.partyId).trim().toUpperCase();
+        if (result.unmatchedIds.indexOf(partyId) === -1) result.unmatchedIds.push(partyId);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Formats a preview as plain text for the Test Routing dialog
+   * @param {Object} result - Result from preview()
+   * @returns {string} Multi-line summary
+   */
+  function formatPreview(result) {
+    const lines = [
+      result.total + ' source rows (' + result.blank + ' with blank L/F)',
+      '',
+      'Routed: [SU] ' + result.byCategory.SU + ', [CO] ' + result.byCategory.CO +
+        ', [CU] ' + result.byCategory.CU,
+      'Skipped: ' + result.skipped,
+      'No matching rule: ' + result.unmatched,
+      '',
+      'Rows per rule:'
+    ];
+
+    result.byRule.forEach(entry => {
+      lines.push('  ' + describeRule(entry.rule) + ': ' + entry.count);
+    });
+
+    if (result.unmatchedIds.length > 0) {
+      const shown = result.unmatchedIds.slice(0, 10);
+      lines.push('', 'Unrouted party IDs: ' + shown.join(', ') +
+        (result.unmatchedIds.length > shown.length ? ' and ' + (result.unmatchedIds.length - shown.length) + ' more' : ''));
+    }
+
+    return lines.join('\n');
+  }
+
+  // Public API
+  return {
+    SECTION,
+    HEADERS,
+    DEFAULT_RULES,
+    parseRules,
+    getRules,
+    route,
+    describeRule,
+    preview,
+    formatPreview
+  };
+
+})();
@@ -56,9 +56,22 @@ function onOpen(e) {
     .addSeparator()
     .addSubMenu(ui.createMenu('Ledgers')
       .addItem('Create All Ledgers', 'createAllLedgers')
-      .addItem('Create Single Ledger...', 'createSingleLedgerPrompt'))
+      .addItem('Create Single Ledger...', 'createSingleLedgerPrompt')
+      .addItem('Jump to Source Row', 'jumpToSourceRow')
+      .addItem('Test Routing', 'testRouting')
+      .addSeparator()
+      .addItem('Export This Statement (PDF)', 'exportCurrentStatement')
+      .addItem('Export Statements (PDF)...', 'exportStatementsPrompt')
+      .addItem('Send Statements...', 'sendStatementsPrompt'))
     .addSeparator()
     .addItem('Refresh Data', 'refreshData')
+    .addSubMenu(ui.createMenu('Schedule')
+      .addItem('Install from CONFIG', 'installScheduleFromConfig')
+      .addItem('Show Installed Triggers', 'showSchedule')
+      .addItem('Remove Schedule', 'removeSchedule'))
+    .addSubMenu(ui.createMenu('Export')
+      .addItem('Tally Vouchers (XML)', 'exportTallyXml')
+      .addItem('Transactions & Ledger Master (CSV / JSON)', 'exportDataFiles'))
     .addSeparator()
     .addSubMenu(ui.createMenu('View')
       .addItem('Run Logs', 'showLogs')
@@ -134,7 +147,7 @@ function createHomepageCard() {
       CardService.newTextButton()
         .setText('Refresh Data')
         .setOnClickAction(
-          CardService.newAction().setFunctionName('refreshData')
+          CardService.newAction().setFunctionName('refreshDataFromCard')
         )
     )
     .addWidget(
@@ -157,22 +170,159 @@ function createHomepageCard() {
   return builder.build();
 }
 
+/**
+ * Web app entry point - read-only JSON ledger balances (see WebApi)
+ * @param {Object} e - Request event with parameter and pathInfo
+ * @returns {TextOutput} JSON response
+ */
+function doGet(e) {
+  return WebApi.toJson(WebApi.handle(e, {
+    properties: PropertiesService.getScriptProperties().getProperties(),
+    openById: id => SpreadsheetApp.openById(id),
+    now: new Date()
+  }));
+}
+
+/**
+ * Time-driven trigger handler installed by Schedule
+ * Runs headless; failures and source errors are emailed to ERROR_EMAIL
+ */
+function scheduledRefresh() {
+  Logger.log('Starting scheduled refresh at ' + new Date().toISOString());
+
+  const result = Refresh.run({ source: 'TRIGGER' });
+  Logger.log('Scheduled refresh finished: ' + result.status);
+
+  if (result.status === 'ERROR' || result.status === 'WARNING') {
+    sendErrorNotification('Scheduled Refresh ' + (result.status === 'ERROR' ? 'Failed' : 'Completed With Errors'),
+      Refresh.formatSummary(result));
+  }
+}
+
 /**
  * Installable trigger for hourly refresh
+ * Kept for triggers added by hand in the editor; Schedule installs scheduledRefresh
  */
 function hourlyRefresh() {
-  const startTime = new Date();
-  Logger.log('Starting hourly refresh at ' + startTime.toISOString());
+  scheduledRefresh();
+}
+
+// ============ SCHEDULE ============
+
+/**
+ * Installs the refresh triggers described by REFRESH_SCHEDULE - called from menu
+ */
+function installScheduleFromConfig() {
+  const ui = SpreadsheetApp.getUi();
 
   try {
-    const result = refreshData();
-    Logger.log('Hourly refresh completed: ' + JSON.stringify(result));
+    const settings = Schedule.getSettings(Init.readConfig());
+    if (settings.errors.length > 0) {
+      ui.alert('Schedule', settings.errors.join('\n'), ui.ButtonSet.OK);
+      return;
+    }
+
+    const installed = Schedule.install(settings);
+    Init.logRun('SCHEDULE', 'Install', 0, installed ? installed.triggerIds.length : 0,
+      'SUCCESS', 0, Schedule.describe(settings));
+
+    ui.alert('Schedule', installed ?
+      'Scheduled refresh installed: ' + Schedule.describe(settings) :
+      'REFRESH_SCHEDULE is OFF - all refresh triggers removed.', ui.ButtonSet.OK);
+
   } catch (error) {
-    Logger.log('Hourly refresh failed: ' + error.message);
-    sendErrorNotification('Hourly Refresh Failed', error);
+    ui.alert('Schedule Failed', error.message, ui.ButtonSet.OK);
   }
 }
 
+/**
+ * Shows the configured schedule, installed triggers and any mismatch - called from menu
+ */
+function showSchedule() {
+  const ui = SpreadsheetApp.getUi();
+  const status = getScheduleForUI();
+
+  const lines = [
+    'CONFIG: ' + status.configured,
+    'Installed: ' + (status.installed ? status.installed + ' (' + status.installedAt + ')' : 'nothing'),
+    'Refresh triggers for your account: ' + status.triggers.length
+  ];
+
+  if (status.warnings.length > 0) {
+    lines.push('', 'Warnings:');
+    status.warnings.forEach(warning => lines.push('- ' + warning));
+  }
+
+  ui.alert('Schedule', lines.join('\n'), ui.ButtonSet.OK);
+}
+
+/**
+ * Removes all refresh triggers and sets REFRESH_SCHEDULE to OFF - called from menu
+ */
+function removeSchedule() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.alert('Remove Schedule',
+    'Delete all scheduled refresh triggers and set REFRESH_SCHEDULE to OFF?', ui.ButtonSet.YES_NO);
+
+  if (response !== ui.Button.YES) return;
+
+  const deleted = removeScheduleFromSidebar().deleted;
+  ui.alert('Schedule', deleted + ' refresh trigger(s) removed.', ui.ButtonSet.OK);
+}
+
+/**
+ * Gets the schedule status for the sidebar
+ * @returns {Object} {schedule, hour, configured, installed, installedAt, triggers, warnings}
+ */
+function getScheduleForUI() {
+  const settings = Schedule.getSettings(Init.readConfig());
+  const installed = Schedule.getInstalled();
+  const triggers = Schedule.list();
+
+  return {
+    schedule: settings.schedule,
+    hour: settings.hour,
+    configured: Schedule.describe(settings),
+    installed: installed ? Schedule.describe(installed) : '',
+    installedAt: installed ? installed.installedAt : '',
+    triggers: triggers,
+    warnings: settings.errors.concat(Schedule.compare(settings, installed, triggers))
+  };
+}
+
+/**
+ * Saves a schedule chosen in the sidebar to CONFIG and installs it
+ * @param {string} schedule - OFF, HOURLY, NIGHTLY or WEEKDAYS
+ * @param {number} hour - Hour (0-23) for NIGHTLY / WEEKDAYS
+ * @returns {Object} Updated status from getScheduleForUI()
+ */
+function saveScheduleFromSidebar(schedule, hour) {
+  const settings = Schedule.getSettings({ REFRESH_SCHEDULE: schedule, REFRESH_HOUR: hour });
+  if (settings.errors.length > 0) {
+    throw new Error(settings.errors.join('; '));
+  }
+
+  Init.setConfigValues({ REFRESH_SCHEDULE: settings.schedule, REFRESH_HOUR: settings.hour });
+
+  const installed = Schedule.install(settings);
+  Init.logRun('SCHEDULE', 'Install', 0, installed ? installed.triggerIds.length : 0,
+    'SUCCESS', 0, Schedule.describe(settings));
+
+  return getScheduleForUI();
+}
+
+/**
+ * Removes all refresh triggers and sets REFRESH_SCHEDULE to OFF
+ * @returns {Object} {deleted}
+ */
+function removeScheduleFromSidebar() {
+  const deleted = Schedule.remove();
+  Init.setConfigValues({ REFRESH_SCHEDULE: 'OFF' });
+  Init.logRun('SCHEDULE', 'Remove', 0, deleted, 'SUCCESS', 0, '');
+
+  return { deleted: deleted };
+}
+
 /**
  * Shows the main sidebar
  */
@@ -221,87 +371,55 @@ function testConnection() {
 }
 
 /**
- * Main refresh function - fetches all data and generates ledgers
+ * Refresh Data menu command - runs the pipeline and shows the result in a dialog
+ * @returns {Object} Result from Refresh.run()
  */
 function refreshData() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const ui = SpreadsheetApp.getUi();
-  const startTime = new Date();
-
-  const result = {
-    purchase: { rows: 0, status: 'pending' },
-    sales: { rows: 0, status: 'pending' },
-    bank: { rows: 0, status: 'pending' },
-    ledgers: { count: 0, status: 'pending' }
-  };
-
-  try {
-    // Read config from local CONFIG tab
-    const config = Init.readConfig();
-
-    if (!config.ORG_CODE) {
-      ui.alert('Configuration Error', 'ORG_CODE not set in CONFIG tab.', ui.ButtonSet.OK);
-      return result;
-    }
-
-    // Fetch from sources (sidebar handles its own loading UI)
-    if (config.PURCHASE_SHEET_ID) {
-      result.purchase = fetchSourceData(config, 'PURCHASE');
-      Init.logRun('PURCHASE', 'Fetch', result.purchase.rows, 0,
-        result.purchase.status, Date.now() - startTime, result.purchase.error);
-    }
-
-    if (config.SALES_SHEET_ID) {
-      result.sales = fetchSourceData(config, 'SALES');
-      Init.logRun('SALES', 'Fetch', result.sales.rows, 0,
-        result.sales.status, Date.now() - startTime, result.sales.error);
-    }
+  return runRefreshWithDialog({ source: 'MENU' });
+}
 
-    if (config.BANK_SHEET_ID) {
-      const bankTransactions = fetchBankDataAllTabs(config);
-      result.bank.data = bankTransactions;
-      result.bank.rows = bankTransactions.length;
-      result.bank.status = 'SUCCESS';
-      Init.logRun('BANK', 'Fetch', result.bank.rows, 0,
-        result.bank.status, Date.now() - startTime, result.bank.error);
-    }
+/**
+ * Runs Refresh.run() and shows its summary in a dialog
+ * @param {Object} options - Options for Refresh.run()
+ * @returns {Object} Result from Refresh.run()
+ */
+function runRefreshWithDialog(options) {
+  const ui = SpreadsheetApp.getUi();
+  const result = Refresh.run(options);
 
-    // Combine all data and generate ledgers
-    const allTransactions = [
-      ...(result.purchase.data || []),
-      ...(result.sales.data || []),
-      ...(result.bank.data || [])
-    ];
-
-    if (allTransactions.length > 0) {
-      result.ledgers = generateAllLedgers(ss, config, allTransactions);
-      Init.logRun('LEDGER', 'Generate', 0, result.ledgers.count,
-        result.ledgers.status, Date.now() - startTime, result.ledgers.error);
-    }
+  const titles = { ERROR: 'Refresh Failed', SKIPPED: 'Refresh Skipped' };
+  ui.alert(titles[result.status] || 'Refresh Complete', Refresh.formatSummary(result), ui.ButtonSet.OK);
 
-    // Show completion
-    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    ui.alert('Refresh Complete',
-      'Org: ' + config.ORG_CODE + '\n\n' +
-      'Purchase: ' + result.purchase.rows + ' rows\n' +
-      'Sales: ' + result.sales.rows + ' rows\n' +
-      'Bank: ' + result.bank.rows + ' rows\n\n' +
-      'Ledgers generated: ' + result.ledgers.count + '\n' +
-      'Duration: ' + duration + 's',
-      ui.ButtonSet.OK);
+  return result;
+}
 
-  } catch (error) {
-    Init.logRun('REFRESH', 'Error', 0, 0, 'ERROR', Date.now() - startTime, error.message);
-    ui.alert('Refresh Failed', error.message, ui.ButtonSet.OK);
-  }
+/**
+ * Sidebar refresh - returns the result for the sidebar to display
+ * @returns {Object} Result from Refresh.run()
+ */
+function refreshDataFromSidebar() {
+  return Refresh.run({ source: 'SIDEBAR' });
+}
 
-  return result;
+/**
+ * Homepage card refresh - shows the outcome as a card notification
+ * @returns {ActionResponse} Notification response
+ */
+function refreshDataFromCard() {
+  const result = Refresh.run({ source: 'CARD' });
+  let text = 'Refresh complete: ' + formatLedgerProgress(result.ledgers);
+  if (result.status === 'ERROR') text = 'Refresh failed: ' + result.error;
+  if (result.status === 'SKIPPED') text = result.error;
+
+  return CardService.newActionResponseBuilder()
+    .setNotification(CardService.newNotification().setText(text))
+    .build();
 }
 
 /**
  * Fetches data from a source sheet
  * @param {Object} config - Configuration object
- * @param {string} sourceType - PURCHASE, SALES, or BANK
+ * @param {string} sourceType - PURCHASE, SALES, or CONTRACTOR (bank uses fetchBankDataAllTabs)
  * @returns {Object} Result with data array
  */
 function fetchSourceData(config, sourceType) {
@@ -347,10 +465,12 @@ function fetchSourceData(config, sourceType) {
     const headers = allData[headerRow];
     const rows = allData.slice(headerRow + 1);  // Data starts after header row
 
-    // Transform each row
-    result.data = rows
-      .filter(row => row.some(cell => cell !== ''))
-      .map(row => transformRow(row, headers, mapping, sourceType));
+    // Transform each row, keeping its 1-based sheet row for traceability
+    rows.forEach((row, idx) => {
+      if (!row.some(cell => cell !== '')) return;
+      result.data.push(transformRow(row, headers, mapping, sourceType,
+        { spreadsheetId: sheetId, tab: sheetName, row: headerRow + idx + 2 }));
+    });
 
     result.rows = result.data.length;
     result.status = 'SUCCESS';
@@ -377,6 +497,15 @@ function getColumnMapping(config, sourceType) {
       invoice: config.PUR_INVOICE_NO_COL,
       amount: config.PUR_GRAND_TOTAL_COL,
       gst: config.PUR_GST_TOTAL_COL,
+      gstin: config.PUR_GST_NUMBER_COL,
+      assValue: config.PUR_ASS_VALUE_COL,
+      igst: config.PUR_IGST_COL,
+      cgst: config.PUR_CGST_COL,
+      sgst: config.PUR_SGST_COL,
+      gstType: config.PUR_GST_TYPE_COL,
+      gstMonth: config.PUR_GST_MONTH_COL,
+      account: config.PUR_ACCOUNT_COL,
+      expense: config.PUR_EXPENSE_COL,
       particulars: config.PUR_ACCOUNT_COL,
       remarks: config.PUR_REMARKS_COL
     };
@@ -388,9 +517,27 @@ function getColumnMapping(config, sourceType) {
       invoice: config.SAL_INVOICE_NO_COL,
       amount: config.SAL_GRAND_TOTAL_COL,
       gst: config.SAL_GST_TOTAL_COL,
+      gstin: config.SAL_BILLING_GST_COL,
+      assValue: config.SAL_ASS_VALUE_COL,
+      igst: config.SAL_IGST_COL,
+      cgst: config.SAL_CGST_COL,
+      sgst: config.SAL_SGST_COL,
+      gstType: config.SAL_GST_TYPE_COL,
+      gstMonth: config.SAL_GST_MONTH_COL,
+      account: config.SAL_TYPE_COL,
       particulars: config.SAL_TYPE_COL,
       remarks: config.SAL_REMARKS_COL
     };
+  } else if (sourceType === 'CONTRACTOR') {
+    return {
+      date: config.CON_BILL_DATE_COL,
+      partyId: config.CON_LF_COL,  // L/F column contains party ID
+      partyName: config.CON_CONTRACTOR_NAME_COL,
+      invoice: config.CON_BILL_NO_COL,
+      amount: config.CON_BILL_AMOUNT_COL,
+      particulars: config.CON_WORK_COL,
+      remarks: config.CON_REMARKS_COL
+    };
   } else {
     // BANK
     return {
@@ -410,7 +557,7 @@ function getColumnMapping(config, sourceType) {
 /**
  * Auto-detects which row contains the headers by scanning for known column names
  * @param {Array} allData - All data from the sheet
- * @param {string} sourceType - PURCHASE, SALES, or BANK
+ * @param {string} sourceType - PURCHASE, SALES, CONTRACTOR, or BANK
  * @returns {number} 0-indexed row number, or -1 if not found
  */
 function detectHeaderRow(allData, sourceType) {
@@ -418,6 +565,7 @@ function detectHeaderRow(allData, sourceType) {
   const keyColumns = {
     PURCHASE: ['L/F', 'SUPPLIER NAME', 'INVOICE NO', 'GRAND TOTAL'],
     SALES: ['L/F', 'CUSTOMER NAME', 'INVOICE NO', 'GRAND TOTAL'],
+    CONTRACTOR: ['L/F', 'CONTRACTOR NAME', 'BILL NO', 'BILL AMOUNT'],
     BANK: ['DATE', 'PARTICULARS', 'DEBIT', 'CREDIT', 'BALANCE', 'L/F']
   };
 
@@ -471,8 +619,13 @@ function detectHeaderRow(allData, sourceType) {
 
 /**
  * Transforms a source row to standardized format
+ * @param {Array} row - Source row values
+ * @param {Array} headers - Header row values
+ * @param {Object} mapping - Column mapping from getColumnMapping()
+ * @param {string} sourceType - PURCHASE, SALES, CONTRACTOR, or BANK
+ * @param {Object} [location] - Source location {spreadsheetId, tab, row} (row is 1-based)
  */
-function transformRow(row, headers, mapping, sourceType) {
+function transformRow(row, headers, mapping, sourceType, location) {
   function getVal(columnName) {
     if (!columnName) return null;
     const idx = headers.findIndex(h =>
@@ -498,34 +651,63 @@ function transformRow(row, headers, mapping, sourceType) {
     particulars: String(getVal(mapping.particulars) || getVal(mapping.remarks) || ''),
     debit: 0,
     credit: 0,
-    reference: String(getVal(mapping.reference) || '')
+    reference: String(getVal(mapping.reference) || ''),
+    account: String(getVal(mapping.account) || '').trim(),  // Purchase account / sale type
+    gst: parseNum(getVal(mapping.gst)),
+    sourceId: location ? location.spreadsheetId : '',
+    sourceTab: location ? location.tab : '',
+    sourceRow: location ? location.row : null
   };
 
   // Handle amounts based on source type
   if (sourceType === 'PURCHASE') {
     entry.credit = parseNum(getVal(mapping.amount));
+    entry.isExpense = /^(Y|YES|TRUE|1)$/i.test(String(getVal(mapping.expense) || '').trim());
     entry.particulars = entry.particulars || 'Purchase Invoice: ' + entry.docNo;
   } else if (sourceType === 'SALES') {
     entry.debit = parseNum(getVal(mapping.amount));
     entry.particulars = entry.particulars || 'Sales Invoice: ' + entry.docNo;
+  } else if (sourceType === 'CONTRACTOR') {
+    entry.credit = parseNum(getVal(mapping.amount));
+    entry.particulars = entry.particulars || 'Contractor Bill: ' + entry.docNo;
   } else if (sourceType === 'BANK') {
     entry.debit = parseNum(getVal(mapping.debit));
     entry.credit = parseNum(getVal(mapping.credit));
   }
 
+  // GST breakup for the registers that carry one
+  if (sourceType === 'PURCHASE' || sourceType === 'SALES') {
+    entry.igst = parseNum(getVal(mapping.igst));
+    entry.cgst = parseNum(getVal(mapping.cgst));
+    entry.sgst = parseNum(getVal(mapping.sgst));
+    entry.gst = entry.gst || Math.round((entry.igst + entry.cgst + entry.sgst) * 100) / 100;
+    entry.taxable = parseNum(getVal(mapping.assValue)) ||
+      Math.round(((entry.debit || entry.credit) - entry.gst) * 100) / 100;
+    entry.gstType = String(getVal(mapping.gstType) || '').trim();
+    entry.gstMonth = getVal(mapping.gstMonth) || '';
+    entry.gstin = String(getVal(mapping.gstin) || '').trim().toUpperCase();
+  }
+
   return entry;
 }
 
 /**
  * Generates all party ledgers from transactions
- * Separates into [SU] Supplier and [CU] Customer ledgers
+ * Separates into [SU] Supplier, [CO] Contractor and [CU] Customer ledgers
+ * Ledgers whose content hash is unchanged since the last run are skipped
  * @param {Spreadsheet} ss - Active spreadsheet
  * @param {Object} config - Configuration object
  * @param {Array} transactions - Array of all transactions
- * @returns {Object} Result with count, status, and error
+ * @param {number} [startTime] - Execution start (ms), used for the batch time budget
+ * @returns {Object} Result with count, done, created, updated, skipped, exceptions, duplicates,
+ *   reconciliation, status, and error
+ *   (status IN_PROGRESS when the remaining ledgers continue in a later execution)
  */
-function generateAllLedgers(ss, config, transactions) {
-  const result = { count: 0, status: 'pending', error: null };
+function generateAllLedgers(ss, config, transactions, startTime) {
+  const result = {
+    count: 0, done: 0, created: 0, updated: 0, skipped: 0, exceptions: 0,
+    duplicates: null, reconciliation: null, status: 'pending', error: null
+  };
 
   try {
     // Get company info for ledger headers
@@ -534,19 +716,69 @@ function generateAllLedgers(ss, config, transactions) {
     // Batch load all contacts once (performance optimization)
     const allContacts = fetchAllContacts(config);
 
+    // Ledger period (FROM_DATE / TO_DATE) for opening balance carry-forward
+    const period = OpeningBalance.getPeriod(config);
+
+    // Manual openings from OPENING_BALANCES tab, keyed "partyId|category"
+    const manualOpenings = OpeningBalance.readManualOpenings(ss);
+
+    // Duplicate check - excluded duplicates never reach a ledger
+    const checked = applyDuplicateCheck(ss, config, transactions);
+    const findings = checked.findings;
+    transactions = checked.transactions;
+    if (findings) {
+      DuplicateCheck.write(ss, findings);
+      result.duplicates = DuplicateCheck.summarize(findings);
+
+      Init.logRun('DUPLICATES', 'Check', 0, findings.length,
+        result.duplicates.exact + result.duplicates.likely > 0 ? 'WARNING' : 'SUCCESS', 0,
+        formatDuplicateCounts(result.duplicates));
+    }
+
+    // Input vs output tax by GST MONTH, from every register row that survived the duplicate check
+    const gstSummary = GstSummary.build(transactions);
+    const gstMonths = GstSummary.write(ss, gstSummary);
+    Init.logRun('GST', 'Summary', 0, gstMonths, 'SUCCESS', 0, GstSummary.formatResult(gstSummary));
+
+    // PARTY ROUTING rules from CONFIG (defaults when the section is absent)
+    const routingRules = PartyRouting.getRules(config).rules;
+
     // Group transactions by party AND ledger category
-    // Key format: "partyId|category" where category is SU or CU
+    // Key format: "partyId|category" where category is SU, CO or CU
     const ledgerMap = {};
 
+    // Source rows for the EXCEPTIONS tab: {txn, reason}
+    const exceptions = [];
+
+    // GSTIN problems per party ID, highlighted on Ledger Master
+    const gstinIssues = {};
+    function flagGstin(partyId, issue) {
+      if (!gstinIssues[partyId]) gstinIssues[partyId] = [];
+      if (gstinIssues[partyId].indexOf(issue) === -1) gstinIssues[partyId].push(issue);
+    }
+
     for (const txn of transactions) {
-      if (!txn.partyId) continue;
+      const partyIdUpper = String(txn.partyId || '').trim().toUpperCase();
 
-      const partyIdUpper = String(txn.partyId).toUpperCase();
+      // Ledger category from the first matching routing rule
+      const routed = partyIdUpper ?
+        PartyRouting.route(routingRules, txn, allContacts) :
+        { category: null, skipped: false };
+      const ledgerCategory = routed.category;
 
-      // Determine ledger category based on source and party type
-      const ledgerCategory = determineLedgerCategory(partyIdUpper, txn.docType, txn);
+      const reason = ExceptionReport.classify(txn, ledgerCategory, allContacts, routed.skipped);
+      if (reason) {
+        exceptions.push({ txn: txn, reason: reason });
+      }
 
-      // Skip if category is null (e.g., contractors)
+      // Register GSTIN against its check character and the contact master
+      const gstinIssue = GstinCheck.checkRow(txn, allContacts);
+      if (gstinIssue) {
+        exceptions.push({ txn: txn, reason: gstinIssue });
+        if (partyIdUpper) flagGstin(partyIdUpper, gstinIssue);
+      }
+
+      // Skip blank L/F and rows routed nowhere
       if (!ledgerCategory) continue;
 
       const ledgerKey = partyIdUpper + '|' + ledgerCategory;
@@ -556,7 +788,7 @@ function generateAllLedgers(ss, config, transactions) {
           id: partyIdUpper,
           name: txn.partyName || '',
           ledgerCategory: ledgerCategory,
-          type: ledgerCategory === 'SU' ? 'SUPPLIER' : 'CUSTOMER',
+          type: PartyLedger.CATEGORIES[ledgerCategory].type,
           transactions: [],
           totalDebit: 0,
           totalCredit: 0,
@@ -565,18 +797,65 @@ function generateAllLedgers(ss, config, transactions) {
       }
 
       ledgerMap[ledgerKey].transactions.push(txn);
-      ledgerMap[ledgerKey].totalDebit += parseFloat(txn.debit) || 0;
-      ledgerMap[ledgerKey].totalCredit += parseFloat(txn.credit) || 0;
+    }
 
-      if (!ledgerMap[ledgerKey].lastTransaction ||
-          txn.date > ledgerMap[ledgerKey].lastTransaction) {
-        ledgerMap[ledgerKey].lastTransaction = txn.date;
+    // Parties with a manual opening but no fetched transactions yet
+    for (const ledgerKey of Object.keys(manualOpenings)) {
+      if (ledgerMap[ledgerKey]) continue;
+
+      const parts = ledgerKey.split('|');
+      ledgerMap[ledgerKey] = {
+        id: parts[0],
+        name: '',
+        ledgerCategory: parts[1],
+        type: (PartyLedger.CATEGORIES[parts[1]] || PartyLedger.CATEGORIES.CU).type,
+        transactions: [],
+        totalDebit: 0,
+        totalCredit: 0,
+        lastTransaction: null
+      };
+    }
+
+    // Collapse history before FROM_DATE into an opening balance entry
+    // (manual openings take its place, differences are logged to RUN_LOG)
+    const ledgers = [];
+    for (const ledgerKey of Object.keys(ledgerMap)) {
+      const ledger = ledgerMap[ledgerKey];
+      const manual = manualOpenings[ledgerKey];
+      sortTransactionsByDate(ledger.transactions);
+
+      const mismatch = OpeningBalance.reconcile(ledger.transactions, period, manual);
+      if (mismatch) {
+        Init.logRun('OPENING', 'Reconcile: ' + ledgerKey, 0, 0, 'WARNING', 0,
+          'Manual ' + OpeningBalance.formatAmount(mismatch.manual) +
+          ' vs computed ' + OpeningBalance.formatAmount(mismatch.computed) +
+          ' (difference ' + OpeningBalance.formatAmount(mismatch.difference) + ')');
       }
+
+      ledger.transactions = OpeningBalance.apply(ledger.transactions, period, manual);
+
+      // Nothing in the period and nothing carried forward
+      if (!ledger.transactions.some(txn => !txn.isOpening || txn.debit || txn.credit)) continue;
+
+      summarizeLedger(ledger);
+      ledgers.push(ledger);
     }
 
-    const ledgers = Object.values(ledgerMap);
+    // Account-head totals; an imbalance is flagged in RUN_LOG
+    const trialBalance = TrialBalance.build(ledgers);
+    TrialBalance.write(ss, trialBalance);
+    Init.logRun('TRIAL BALANCE', 'Build', 0, trialBalance.lines.length,
+      trialBalance.difference === 0 ? 'SUCCESS' : 'WARNING', 0, TrialBalance.formatResult(trialBalance));
+
+    // Match bank lines to open invoices; sets the STATUS column on ledger lines
+    const reconSettings = Reconciliation.getSettings(config);
+    const reconResults = ledgers.map(ledger => ({
+      ledger: ledger,
+      result: Reconciliation.reconcileLedger(ledger, reconSettings)
+    }));
 
     // Enrich party info from contacts (using pre-loaded data)
+    const checkedContacts = {};
     for (const ledger of ledgers) {
       const contactInfo = allContacts[ledger.id];
       if (contactInfo) {
@@ -586,29 +865,52 @@ function generateAllLedgers(ss, config, transactions) {
         ledger.gst = contactInfo.gst || '';
         ledger.phone = contactInfo.phone || '';
         ledger.email = contactInfo.email || '';
+
+        // Contact GSTIN format and state, once per party (it may have several ledgers)
+        const contactIssue = checkedContacts[ledger.id] ? null : GstinCheck.checkContact(contactInfo);
+        checkedContacts[ledger.id] = true;
+        if (contactIssue) {
+          exceptions.push({
+            txn: {
+              docType: 'CONTACTS',
+              sourceTab: config.CONTACTS_SHEET_NAME || 'ALL CONTACTS',
+              sourceRow: contactInfo.row || '',
+              partyId: ledger.id,
+              partyName: contactInfo.name || ''
+            },
+            reason: contactIssue
+          });
+          flagGstin(ledger.id, contactIssue);
+        }
       }
     }
 
-    // Create individual ledger sheets
     for (const ledger of ledgers) {
-      // Sort transactions by date
-      ledger.transactions.sort((a, b) => {
-        const dateA = a.date instanceof Date ? a.date : new Date(a.date || 0);
-        const dateB = b.date instanceof Date ? b.date : new Date(b.date || 0);
-        return dateA - dateB;
-      });
-
-      PartyLedger.createPartyLedger(ss, ledger, company, ledger.transactions, ledger.ledgerCategory);
-      result.count++;
+      ledger.gstinIssues = gstinIssues[ledger.id] || [];
     }
-
-    // Update Ledger Master index
-    PartyLedger.updateLedgerMasterIndex(ss, ledgers);
-
-    // Reorder tabs: Ledger Master first, ledgers in middle, CONFIG and RUN_LOG at end
-    Init.reorderTabs(ss);
-
-    result.status = 'SUCCESS';
+    const gstinParties = Object.keys(gstinIssues).length;
+    Init.logRun('GSTIN', 'Check', 0, gstinParties, gstinParties > 0 ? 'WARNING' : 'SUCCESS', 0,
+      gstinParties > 0 ? gstinParties + ' party ID(s) with GSTIN problems' : '');
+
+    Reconciliation.write(ss, reconResults);
+    result.reconciliation = Reconciliation.summarize(reconResults);
+    Init.logRun('RECONCILIATION', 'Match', 0, reconResults.length, 'SUCCESS', 0,
+      formatReconciliationCounts(result.reconciliation));
+
+    // Rebuild the EXCEPTIONS tab on every refresh
+    const exceptionCount = ExceptionReport.write(ss, exceptions);
+    Init.logRun('EXCEPTIONS', 'Report', 0, exceptionCount,
+      exceptionCount > 0 ? 'WARNING' : 'SUCCESS', 0,
+      exceptionCount > 0 ? exceptionCount + ' source row(s) need attention' : '');
+
+    // Write ledger sheets (skipping unchanged ones) in resumable batches;
+    // Ledger Master and tab order are updated once the last batch is done
+    const jobResult = LedgerJob.start(ss, company, ledgers, startTime, PartyLedger.getOptions(config),
+      Ageing.getSettings(config));
+    jobResult.exceptions = exceptionCount;
+    jobResult.duplicates = result.duplicates;
+    jobResult.reconciliation = result.reconciliation;
+    return jobResult;
 
   } catch (error) {
     result.status = 'ERROR';
@@ -620,50 +922,132 @@ function generateAllLedgers(ss, config, transactions) {
 }
 
 /**
- * Determines the ledger category (SU or CU) based on party ID and transaction source
- * @param {string} partyId - Party ID (uppercase)
- * @param {string} docType - Document type: PURCHASE, SALES, or BANK
- * @param {Object} txn - Transaction object (for bank debit/credit check)
- * @returns {string|null} 'SU' for supplier, 'CU' for customer, null to skip
+ * Runs the duplicate check every ledger and export path uses
+ * Detects duplicates, honours the IGNORE ticks on DUPLICATES and drops the
+ * excluded rows; the DUPLICATES tab itself is not rewritten here
+ * @param {Spreadsheet} ss - Active spreadsheet
+ * @param {Object} config - Configuration object
+ * @param {Array} transactions - Transactions from fetchAllTransactions(), in source order
+ * @returns {Object} {transactions, findings} - findings is null when DUPLICATE_CHECK is OFF
  */
-function determineLedgerCategory(partyId, docType, txn) {
-  // Source-based routing takes priority
-  if (docType === 'PURCHASE') {
-    return 'SU';  // Purchase = Supplier ledger
+function applyDuplicateCheck(ss, config, transactions) {
+  const duplicateSettings = DuplicateCheck.getSettings(config);
+  if (!duplicateSettings.enabled) {
+    return { transactions: transactions, findings: null };
   }
 
-  if (docType === 'SALES') {
-    return 'CU';  // Sales = Customer ledger
+  const findings = DuplicateCheck.resolve(
+    DuplicateCheck.detect(transactions, duplicateSettings),
+    DuplicateCheck.readIgnored(ss),
+    duplicateSettings);
+  return { transactions: DuplicateCheck.filter(transactions, findings), findings: findings };
+}
+
+/**
+ * Formats created/updated/skipped ledger counts for RUN_LOG and dialogs
+ * @param {Object} ledgerResult - Result from generateAllLedgers()
+ * @returns {string} Summary like "Created: 2, Updated: 5, Skipped: 120"
+ */
+function formatLedgerCounts(ledgerResult) {
+  return 'Created: ' + (ledgerResult.created || 0) +
+    ', Updated: ' + (ledgerResult.updated || 0) +
+    ', Skipped: ' + (ledgerResult.skipped || 0);
+}
+
+/**
+ * Formats ledger counts, noting batches still to run in the background
+ * @param {Object} ledgerResult - Result from generateAllLedgers() or LedgerJob
+ * @returns {string} e.g. "120 (Created: 2, Updated: 5, Skipped: 113)" or
+ *   "40 of 120 ledgers (Created: 2, ...) - continuing in background"
+ */
+function formatLedgerProgress(ledgerResult) {
+  if (ledgerResult.status === 'IN_PROGRESS') {
+    return ledgerResult.done + ' of ' + ledgerResult.count + ' ledgers (' +
+      formatLedgerCounts(ledgerResult) + ') - continuing in background';
   }
+  return ledgerResult.count + ' (' + formatLedgerCounts(ledgerResult) + ')';
+}
 
-  // For BANK transactions, route based on party ID prefix
-  if (docType === 'BANK') {
-    if (partyId.includes('-SUP-')) {
-      return 'SU';
-    }
-    if (partyId.includes('-CUS-') || partyId.includes('-REN-') || partyId.includes('-DEA-')) {
-      return 'CU';
-    }
-    if (partyId.includes('-CON-')) {
-      return null;  // Skip contractors for now
-    }
-    if (partyId.includes('-MAS-')) {
-      // For Master parties in bank, use debit/credit to determine
-      // Credit to bank (we paid them) = Supplier
-      // Debit to bank (they paid us) = Customer
-      if ((txn.credit || 0) > 0) {
-        return 'SU';  // Payment made = Supplier
-      }
-      if ((txn.debit || 0) > 0) {
-        return 'CU';  // Payment received = Customer
-      }
+/**
+ * Formats duplicate check counts for RUN_LOG and dialogs
+ * @param {Object} duplicates - Summary from DuplicateCheck.summarize()
+ * @returns {string} e.g. "2 exact (2 excluded), 1 likely"
+ */
+function formatDuplicateCounts(duplicates) {
+  return duplicates.exact + ' exact (' + duplicates.excluded + ' excluded), ' +
+    duplicates.likely + ' likely';
+}
+
+/**
+ * Formats reconciliation status counts for RUN_LOG and dialogs
+ * @param {Object} summary - Summary from Reconciliation.summarize()
+ * @returns {string} e.g. "40 matched, 3 partial, 5 unmatched"
+ */
+function formatReconciliationCounts(summary) {
+  return summary.matched + ' matched, ' + summary.partial + ' partial, ' + summary.unmatched + ' unmatched';
+}
+
+/**
+ * Continues a batched ledger job - run by the time-based trigger LedgerJob schedules
+ */
+function continueLedgerJob() {
+  const startTime = Date.now();
+
+  const lock = RunLock.acquire('Generate (continued)');
+  if (!lock.acquired) {
+    LedgerJob.postpone();
+    return;
+  }
+
+  try {
+    const result = LedgerJob.resume(SpreadsheetApp.getActiveSpreadsheet());
+    if (!result) return;
+
+    Init.logRun('LEDGER', 'Generate (continued)', 0, result.created + result.updated,
+      result.status, Date.now() - startTime, formatLedgerProgress(result));
+  } catch (error) {
+    Init.logRun('LEDGER', 'Generate (continued)', 0, 0, 'ERROR', Date.now() - startTime, error.message);
+    sendErrorNotification('Ledger Generation Failed', error);
+  } finally {
+    RunLock.release(lock.token);
+  }
+}
+
+/**
+ * Sorts transactions in place by date (oldest first)
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array} The same array, sorted
+ */
+function sortTransactionsByDate(transactions) {
+  return transactions.sort((a, b) => {
+    const dateA = a.date instanceof Date ? a.date : new Date(a.date || 0);
+    const dateB = b.date instanceof Date ? b.date : new Date(b.date || 0);
+    return dateA - dateB;
+  });
+}
+
+/**
+ * Recalculates ledger totals from its transactions
+ * Totals include the opening balance entry, so BALANCE carries it forward.
+ * Last transaction date ignores the opening entry.
+ * @param {Object} ledger - Ledger object with transactions
+ * @returns {Object} The same ledger
+ */
+function summarizeLedger(ledger) {
+  ledger.totalDebit = 0;
+  ledger.totalCredit = 0;
+  ledger.lastTransaction = null;
+
+  for (const txn of ledger.transactions) {
+    ledger.totalDebit += parseFloat(txn.debit) || 0;
+    ledger.totalCredit += parseFloat(txn.credit) || 0;
+
+    if (!txn.isOpening && (!ledger.lastTransaction || txn.date > ledger.lastTransaction)) {
+      ledger.lastTransaction = txn.date;
     }
-    // Default bank transactions without clear party type to Customer
-    return 'CU';
   }
 
-  // Default fallback
-  return 'CU';
+  return ledger;
 }
 
 /**
@@ -756,6 +1140,17 @@ function validateConfigFromUI() {
   return Init.validateConfig();
 }
 
+/**
+ * Gets batched ledger generation progress for the sidebar
+ */
+function getLedgerJobProgress() {
+  try {
+    return LedgerJob.getProgress();
+  } catch (e) {
+    return { active: false, done: 0, total: 0, text: '' };
+  }
+}
+
 // ============ MANUAL LEDGER CREATION ============
 
 /**
@@ -766,14 +1161,67 @@ function createAllLedgers() {
   const ui = SpreadsheetApp.getUi();
   const response = ui.alert(
     'Create All Ledgers',
-    'This will create/update ledger sheets for all parties found in Purchase, Sales, and Bank data.\n\n' +
+    'This will rewrite ledger sheets for all parties found in Purchase, Sales, and Bank data, ' +
+    'including ledgers that have not changed since the last refresh.\n\n' +
     'Continue?',
     ui.ButtonSet.YES_NO
   );
 
   if (response !== ui.Button.YES) return;
 
-  refreshData();
+  runRefreshWithDialog({ source: 'MENU', rebuild: true });
+}
+
+/**
+ * Opens the source register row behind the selected ledger line
+ * Reads the locator from the hidden column of the active party ledger row
+ */
+function jumpToSourceRow() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const row = sheet.getActiveRange().getRow();
+
+  const source = row >= PartyLedger.FIRST_TXN_ROW ?
+    PartyLedger.parseSourceLocator(sheet.getRange(row, PartyLedger.HIDDEN_COL).getValue()) : null;
+
+  if (!source) {
+    ui.alert('Jump to Source Row',
+      'Select a transaction line on a party ledger.\n\n' +
+      'Opening balances, totals and blank rows have no source row.',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  let url = 'https://docs.google.com/spreadsheets/d/' + source.spreadsheetId + '/edit';
+  try {
+    const tab = SpreadsheetApp.openById(source.spreadsheetId).getSheetByName(source.tab);
+    if (tab) {
+      url += '#gid=' + tab.getSheetId() + '&range=A' + source.row;
+    }
+  } catch (e) {
+    Logger.log('Could not open source sheet: ' + e.message);
+  }
+
+  const label = escapeHtml(source.type + ' - ' + source.tab + ', row ' + source.row);
+  const html = HtmlService.createHtmlOutput(
+    '<p style="font-family: Arial, sans-serif; font-size: 13px;">' + label + '</p>' +
+    '<p style="font-family: Arial, sans-serif; font-size: 13px;">' +
+    '<a href="' + escapeHtml(url) + '" target="_blank">Open source row</a></p>' +
+    '<script>if (window.open(' + JSON.stringify(url) + ', "_blank")) google.script.host.close();</script>'
+  ).setWidth(360).setHeight(120);
+
+  ui.showModalDialog(html, 'Jump to Source Row');
+}
+
+/**
+ * Escapes text for HTML dialogs
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 /**
@@ -807,6 +1255,12 @@ function createSingleLedger(partyId) {
   const ui = SpreadsheetApp.getUi();
   const startTime = Date.now();
 
+  const lock = RunLock.acquire('Create Single: ' + partyId);
+  if (!lock.acquired) {
+    ui.alert('Ledger Not Created', lock.message, ui.ButtonSet.OK);
+    return;
+  }
+
   try {
     const config = Init.readConfig();
 
@@ -820,17 +1274,51 @@ function createSingleLedger(partyId) {
       return;
     }
 
-    // Fetch all transactions for this party
-    const transactions = fetchTransactionsForParty(config, partyId);
+    // Route the party's rows; the ledger is the category most of them go to
+    const routingRules = PartyRouting.getRules(config).rules;
+    const contacts = {};
+    contacts[partyId] = partyInfo;
+
+    // Same rows a refresh would use: excluded duplicates are left out
+    const partyRows = applyDuplicateCheck(ss, config, fetchAllTransactions(config)).transactions
+      .filter(txn => String(txn.partyId || '').trim().toUpperCase() === partyId);
 
-    // Determine ledger category based on party ID prefix
-    let ledgerCategory = 'CU';  // Default to customer
-    if (partyId.includes('-SUP-')) {
-      ledgerCategory = 'SU';
+    const routedRows = { SU: [], CO: [], CU: [] };
+    for (const txn of partyRows) {
+      const category = PartyRouting.route(routingRules, txn, contacts).category;
+      if (category) routedRows[category].push(txn);
     }
 
-    // Create the ledger
-    const result = PartyLedger.createPartyLedger(ss, partyInfo, company, transactions, ledgerCategory);
+    const manualOpenings = OpeningBalance.readManualOpenings(ss);
+    let ledgerCategory = null;
+    for (const category of Object.keys(routedRows)) {
+      if (routedRows[category].length > 0 &&
+          (!ledgerCategory || routedRows[category].length > routedRows[ledgerCategory].length)) {
+        ledgerCategory = category;
+      }
+    }
+    if (!ledgerCategory) {
+      ledgerCategory = Object.keys(routedRows).find(category => manualOpenings[partyId + '|' + category]) || null;
+    }
+    if (!ledgerCategory) {
+      ui.alert('Ledger Not Created',
+        'No rows for "' + partyId + '" are routed to a ledger. Check PARTY ROUTING in CONFIG.',
+        ui.ButtonSet.OK);
+      return;
+    }
+
+    // Opening balance first
+    const period = OpeningBalance.getPeriod(config);
+    const manual = manualOpenings[partyId + '|' + ledgerCategory];
+    const transactions = OpeningBalance.apply(
+      sortTransactionsByDate(routedRows[ledgerCategory]), period, manual);
+
+    // Reconciliation status for the STATUS column
+    Reconciliation.reconcileLedger({ ledgerCategory: ledgerCategory, transactions: transactions },
+      Reconciliation.getSettings(config));
+
+    // Create the ledger (the next refresh rewrites it rather than trusting its cached hash)
+    LedgerJob.writeSingle(ss, partyInfo, company, transactions, ledgerCategory, PartyLedger.getOptions(config));
 
     // Reorder tabs after creating ledger
     Init.reorderTabs(ss);
@@ -841,7 +1329,7 @@ function createSingleLedger(partyId) {
       'Party: ' + partyId + '\n' +
       'Name: ' + (partyInfo.name || 'N/A') + '\n' +
       'Type: [' + ledgerCategory + ']\n' +
-      'Transactions: ' + transactions.length + '\n' +
+      'Transactions: ' + transactions.filter(txn => !txn.isOpening).length + '\n' +
       'Duration: ' + duration + 's',
       ui.ButtonSet.OK
     );
@@ -851,6 +1339,331 @@ function createSingleLedger(partyId) {
   } catch (error) {
     Init.logRun('LEDGER', 'Create Single: ' + partyId, 0, 0, 'ERROR', Date.now() - startTime, error.message);
     ui.alert('Error', 'Failed to create ledger: ' + error.message, ui.ButtonSet.OK);
+  } finally {
+    RunLock.release(lock.token);
+  }
+}
+
+/**
+ * Previews how PARTY ROUTING in CONFIG would route the current source data
+ * Fetches every source but writes nothing
+ */
+function testRouting() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const config = Init.readConfig();
+    const routing = PartyRouting.getRules(config);
+
+    const transactions = fetchAllTransactions(config);
+
+    const preview = PartyRouting.preview(routing.rules, transactions, fetchAllContacts(config));
+    const source = config.PARTY_ROUTING ? 'CONFIG' : 'default rules (no PARTY ROUTING section in CONFIG)';
+
+    ui.alert('Test Routing',
+      'Rules: ' + source + '\n\n' +
+      (routing.errors.length > 0 ? 'Ignored rules:\n' + routing.errors.join('\n') + '\n\n' : '') +
+      PartyRouting.formatPreview(preview),
+      ui.ButtonSet.OK);
+
+  } catch (error) {
+    ui.alert('Error', 'Routing test failed: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Fetches every configured source register and all bank tabs
+ * @param {Object} config - Configuration object
+ * @returns {Array} Transactions from fetchSourceData and fetchBankDataAllTabs
+ * @throws {Error} When a register or the bank workbook cannot be read
+ */
+function fetchAllTransactions(config) {
+  const transactions = [];
+  for (const type of ['PURCHASE', 'SALES', 'CONTRACTOR']) {
+    if (!config[type + '_SHEET_ID']) continue;
+    const fetched = fetchSourceData(config, type);
+    if (fetched.status === 'ERROR') {
+      throw new Error(type + ': ' + fetched.error);
+    }
+    transactions.push(...fetched.data);
+  }
+  if (config.BANK_SHEET_ID) {
+    const bank = fetchBankDataAllTabs(config);
+    if (bank.status === 'ERROR') {
+      throw new Error('BANK: ' + bank.error);
+    }
+    transactions.push(...bank.data);
+  }
+  return transactions;
+}
+
+/**
+ * Narrows fetched transactions to what the ledgers show, for exports
+ * Drops excluded duplicates (using the IGNORE ticks on DUPLICATES, without
+ * rewriting that tab) and dated rows outside FROM_DATE / TO_DATE
+ * @param {Spreadsheet} ss - Active spreadsheet
+ * @param {Object} config - Configuration object
+ * @param {Array} transactions - Transactions from fetchAllTransactions()
+ * @returns {Array} Transactions to export
+ */
+function selectExportTransactions(ss, config, transactions) {
+  transactions = applyDuplicateCheck(ss, config, transactions).transactions;
+
+  const period = OpeningBalance.getPeriod(config);
+  return transactions.filter(txn => {
+    const date = OpeningBalance.parseDate(txn.date);
+    if (!date) return true;
+    return !(period.from && date < period.from) && !(period.to && date > period.to);
+  });
+}
+
+/**
+ * Exports the registers and bank rows as Tally vouchers (Export > Tally Vouchers)
+ * Saves the XML to EXPORT_FOLDER_ID for Gateway of Tally > Import Data > Vouchers
+ */
+function exportTallyXml() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const startTime = Date.now();
+
+  try {
+    const config = Init.readConfig();
+    const settings = TallyExport.getSettings(config);
+    if (settings.errors.length > 0) {
+      ui.alert('Tally Export', settings.errors.join('\n') + '\n\nSet it in the EXPORTS section of CONFIG.',
+        ui.ButtonSet.OK);
+      return;
+    }
+
+    const transactions = selectExportTransactions(ss, config, fetchAllTransactions(config));
+    const built = TallyExport.build(transactions, fetchAllContacts(config), settings);
+    const file = TallyExport.save(settings, TallyExport.toXml(built.vouchers, settings));
+
+    const summary = TallyExport.formatResult(built);
+    Init.logRun('TALLY', 'Export XML', transactions.length, built.vouchers.length,
+      built.skipped.length > 0 || built.warnings.length > 0 ? 'WARNING' : 'SUCCESS',
+      Date.now() - startTime, summary);
+
+    const notes = built.skipped.map(item => 'Skipped ' + describeSourceRow(item.txn) + ': ' + item.reason)
+      .concat(built.warnings.map(item => describeSourceRow(item.txn) + ': ' + item.reason));
+
+    ui.alert('Tally Export',
+      summary + '\n\nSaved ' + file.fileName + ' to the export folder.' +
+      (notes.length > 0 ? '\n\n' + notes.slice(0, 15).join('\n') +
+        (notes.length > 15 ? '\n... and ' + (notes.length - 15) + ' more' : '') : ''),
+      ui.ButtonSet.OK);
+
+  } catch (error) {
+    Init.logRun('TALLY', 'Export XML', 0, 0, 'ERROR', Date.now() - startTime, error.message);
+    ui.alert('Error', 'Tally export failed: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Exports normalized transactions and the Ledger Master summary as CSV and JSON
+ * (Export > Transactions & Ledger Master). Schema: docs/export-schema.md
+ */
+function exportDataFiles() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const startTime = Date.now();
+
+  try {
+    const config = Init.readConfig();
+    const settings = DataExport.getSettings(config);
+    if (settings.errors.length > 0) {
+      ui.alert('Data Export', settings.errors.join('\n') + '\n\nSet it in the EXPORTS section of CONFIG.',
+        ui.ButtonSet.OK);
+      return;
+    }
+
+    const transactions = DataExport.buildTransactions(
+      selectExportTransactions(ss, config, fetchAllTransactions(config)),
+      PartyRouting.getRules(config).rules,
+      fetchAllContacts(config));
+    const ledgers = PartyLedger.readLedgerMaster(ss).map(DataExport.toLedgerRecord);
+
+    const files = DataExport.save(settings, DataExport.buildFiles(
+      transactions, ledgers, settings, OpeningBalance.getPeriod(config), new Date()));
+
+    const summary = DataExport.formatResult(transactions.length, ledgers.length);
+    Init.logRun('EXPORT', 'CSV / JSON', transactions.length, transactions.length + ledgers.length,
+      'SUCCESS', Date.now() - startTime, summary);
+
+    ui.alert('Data Export',
+      summary + '\n\nSaved to the export folder:\n' + files.map(file => file.fileName).join('\n') +
+      (ledgers.length === 0 ? '\n\nLedger Master is empty - run Refresh Data first.' : ''),
+      ui.ButtonSet.OK);
+
+  } catch (error) {
+    Init.logRun('EXPORT', 'CSV / JSON', 0, 0, 'ERROR', Date.now() - startTime, error.message);
+    ui.alert('Error', 'Data export failed: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Describes where a transaction came from, for dialogs
+ * @param {Object} txn - Transaction with docType, sourceTab, sourceRow and docNo
+ * @returns {string} e.g. "PURCHASE Sheet1 row 12 (INV-001)"
+ */
+function describeSourceRow(txn) {
+  let text = txn.docType + ' ' + (txn.sourceTab || '') + (txn.sourceRow ? ' row ' + txn.sourceRow : '');
+  if (txn.docNo) text += ' (' + txn.docNo + ')';
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Exports the active party ledger tab to PDF (Ledgers > Export This Statement)
+ */
+function exportCurrentStatement() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = ss.getActiveSheet().getName();
+
+  const ledger = PartyLedger.readLedgerMaster(ss).find(entry =>
+    PartyLedger.buildSheetName(entry.id, entry.ledgerCategory) === sheetName);
+
+  if (!ledger) {
+    ui.alert('Export Statement',
+      'Open a party ledger tab listed on Ledger Master first.',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  runStatementExport(ss, [ledger]);
+}
+
+/**
+ * Prompts for a ledger filter and exports every matching ledger to PDF
+ */
+function exportStatementsPrompt() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(
+    'Export Statements',
+    'Ledgers to export - blank for all, a category (SU, CO, CU) or party IDs with * ' +
+      '(e.g. CG-SUP-*). Separate several with commas:',
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const ledgers = Statements.selectLedgers(PartyLedger.readLedgerMaster(ss), response.getResponseText());
+
+  if (ledgers.length === 0) {
+    ui.alert('Export Statements', 'No ledgers on Ledger Master match that filter.', ui.ButtonSet.OK);
+    return;
+  }
+
+  runStatementExport(ss, ledgers);
+}
+
+/**
+ * Exports ledgers to PDF, records them on STATEMENTS and reports the result
+ * @param {Spreadsheet} ss - Active spreadsheet
+ * @param {Array} ledgers - Ledgers {id, name, ledgerCategory} to export
+ */
+function runStatementExport(ss, ledgers) {
+  const ui = SpreadsheetApp.getUi();
+  const startTime = Date.now();
+
+  try {
+    const config = Init.readConfig();
+    const settings = Statements.getSettings(config);
+    if (settings.errors.length > 0) {
+      ui.alert('Export Statements', settings.errors.join('\n') + '\n\nSet it in the STATEMENTS section of CONFIG.',
+        ui.ButtonSet.OK);
+      return;
+    }
+
+    const run = Statements.exportLedgers(ss, ledgers, settings, startTime);
+    Statements.record(ss, run.results);
+    Init.reorderTabs(ss);
+
+    const summary = Statements.formatResult(run);
+    Init.logRun('STATEMENTS', 'Export PDF', ledgers.length, run.saved,
+      run.failed > 0 || run.remaining > 0 ? 'WARNING' : 'SUCCESS', Date.now() - startTime, summary);
+
+    ui.alert('Export Statements',
+      summary + '\n\n' +
+      (run.remaining > 0 ? 'Run the export again for the ledgers not reached.\n\n' : '') +
+      'Links and errors are listed on the STATEMENTS tab.',
+      ui.ButtonSet.OK);
+
+  } catch (error) {
+    Init.logRun('STATEMENTS', 'Export PDF', ledgers.length, 0, 'ERROR', Date.now() - startTime, error.message);
+    ui.alert('Error', 'Statement export failed: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Emails statements with balance confirmation letters (Ledgers > Send Statements)
+ * Always shows a dry-run preview first; nothing is sent unless it is accepted
+ */
+function sendStatementsPrompt() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(
+    'Send Statements',
+    'Parties to send to - blank for all, a category (SU, CO, CU) or party IDs with * ' +
+      '(e.g. CG-CUS-*). Separate several with commas:',
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const startTime = Date.now();
+
+  try {
+    const config = Init.readConfig();
+    const settings = Confirmations.getSettings(config);
+    const statementSettings = Statements.getSettings(config);
+    const errors = settings.errors.concat(statementSettings.errors);
+    if (errors.length > 0) {
+      ui.alert('Send Statements', errors.join('\n'), ui.ButtonSet.OK);
+      return;
+    }
+
+    const ledgers = Statements.selectLedgers(PartyLedger.readLedgerMaster(ss), response.getResponseText());
+    const prepared = Confirmations.prepare(ss, ledgers, fetchAllContacts(config), settings);
+    const preview = Confirmations.formatPreview(prepared);
+
+    if (prepared.letters.length === 0) {
+      ui.alert('Send Statements - Preview', preview + '\n\nNothing to send.', ui.ButtonSet.OK);
+      return;
+    }
+
+    const quota = MailApp.getRemainingDailyQuota();
+    if (quota < prepared.letters.length) {
+      ui.alert('Send Statements - Preview', preview + '\n\nOnly ' + quota +
+        ' email(s) left in today\'s quota. Narrow the filter or send tomorrow.', ui.ButtonSet.OK);
+      return;
+    }
+
+    const confirm = ui.alert('Send Statements - Preview (dry run)',
+      preview + '\n\nSend ' + prepared.letters.length + ' email(s) now?',
+      ui.ButtonSet.YES_NO);
+    if (confirm !== ui.Button.YES) return;
+
+    const run = Confirmations.send(ss, prepared.letters, settings, statementSettings, startTime);
+    Init.reorderTabs(ss);
+
+    const summary = Confirmations.formatResult(run);
+    Init.logRun('CONFIRMATIONS', 'Send', prepared.letters.length, run.sent,
+      run.sent < prepared.letters.length ? 'WARNING' : 'SUCCESS', Date.now() - startTime, summary);
+
+    const replies = Confirmations.readReplies(ss);
+    ui.alert('Send Statements', summary + '\n\n' +
+      (run.remaining > 0 ? 'Time limit reached. Run Send Statements again with the same filter; ' +
+        'parties already sent a letter for this as-of date are skipped.\n\n' : '') +
+      'Replies so far: ' + replies.PENDING + ' pending, ' + replies.CONFIRMED + ' confirmed, ' +
+      replies.DISPUTED + ' disputed\n\n' +
+      'Each send is logged on the CONFIRMATIONS tab. Set REPLY to CONFIRMED or DISPUTED ' +
+      'as parties answer.', ui.ButtonSet.OK);
+
+  } catch (error) {
+    Init.logRun('CONFIRMATIONS', 'Send', 0, 0, 'ERROR', Date.now() - startTime, error.message);
+    ui.alert('Error', 'Sending statements failed: ' + error.message, ui.ButtonSet.OK);
   }
 }
 
@@ -896,18 +1709,9 @@ function fetchPartyFromContacts(config, partyId) {
       const rowId = String(row[colIdx.sl] || '').trim().toUpperCase();
 
       if (rowId === partyId) {
-        // Determine party type from ID prefix
-        let type = 'OTHER';
-        if (partyId.includes('SUP')) type = 'SUPPLIER';
-        else if (partyId.includes('CUS')) type = 'CUSTOMER';
-        else if (partyId.includes('CON')) type = 'CONTRACTOR';
-        else if (partyId.includes('DEA')) type = 'DEALER';
-        else if (partyId.includes('REN')) type = 'RENTAL';
-        else if (partyId.includes('MAS')) type = 'MASTER';
-
         return {
           id: partyId,
-          type: type,
+          type: readContactType(row, colIdx),
           name: row[colIdx.company] || '',
           address1: row[colIdx.addr1] || '',
           address2: [row[colIdx.district], row[colIdx.state], row[colIdx.pin]].filter(x => x).join(', '),
@@ -927,68 +1731,25 @@ function fetchPartyFromContacts(config, partyId) {
   }
 }
 
-/**
- * Fetches all transactions for a specific party from all sources
- * @param {Object} config - Configuration object
- * @param {string} partyId - Party ID to filter by
- * @returns {Array} Array of transaction objects
- */
-function fetchTransactionsForParty(config, partyId) {
-  const transactions = [];
-
-  // Fetch from Purchase
-  if (config.PURCHASE_SHEET_ID) {
-    const purchaseData = fetchSourceData(config, 'PURCHASE');
-    if (purchaseData.data) {
-      const filtered = purchaseData.data.filter(txn =>
-        String(txn.partyId).toUpperCase() === partyId
-      );
-      transactions.push(...filtered);
-    }
-  }
-
-  // Fetch from Sales
-  if (config.SALES_SHEET_ID) {
-    const salesData = fetchSourceData(config, 'SALES');
-    if (salesData.data) {
-      const filtered = salesData.data.filter(txn =>
-        String(txn.partyId).toUpperCase() === partyId
-      );
-      transactions.push(...filtered);
-    }
-  }
-
-  // Fetch from Bank (all tabs)
-  if (config.BANK_SHEET_ID) {
-    const bankData = fetchBankDataAllTabs(config);
-    if (bankData) {
-      const filtered = bankData.filter(txn =>
-        String(txn.partyId).toUpperCase() === partyId
-      );
-      transactions.push(...filtered);
-    }
-  }
-
-  // Sort by date
-  transactions.sort((a, b) => {
-    const dateA = a.date instanceof Date ? a.date : new Date(a.date || 0);
-    const dateB = b.date instanceof Date ? b.date : new Date(b.date || 0);
-    return dateA - dateB;
-  });
-
-  return transactions;
-}
-
 /**
  * Fetches bank data from all tabs that match the bank schema
+ * The reference (used as doc number and for reference matching) is read from
+ * the row-5 column headed BANK_REFERENCE_COL; it is blank on tabs without one
  * @param {Object} config - Configuration object
- * @returns {Array} Array of transaction objects from all bank tabs
+ * @returns {Object} Result {data, rows, status, error}, as fetchSourceData -
+ *   status is ERROR when the bank workbook cannot be opened
  */
 function fetchBankDataAllTabs(config) {
-  const transactions = [];
+  const result = { data: [], rows: 0, status: 'pending', error: null };
+  const transactions = result.data;
   const BANK_SCHEMA_HEADERS = ['DATE', 'PARTICULARS', 'DEBIT', 'CREDIT', 'BALANCE', 'L/F'];
+  const referenceHeader = String(config.BANK_REFERENCE_COL || 'REFERENCE').trim().toUpperCase();
 
-  if (!config.BANK_SHEET_ID) return transactions;
+  if (!config.BANK_SHEET_ID) {
+    result.status = 'SKIPPED';
+    result.error = 'Not configured';
+    return result;
+  }
 
   try {
     const bankWorkbook = SpreadsheetApp.openById(config.BANK_SHEET_ID);
@@ -997,22 +1758,27 @@ function fetchBankDataAllTabs(config) {
     for (const sheet of allSheets) {
       try {
         // Check row 5 for bank schema
-        const row5 = sheet.getRange(5, 1, 1, 13).getValues()[0];
+        const width = Math.max(sheet.getLastColumn(), 13);
+        const row5 = sheet.getRange(5, 1, 1, width).getValues()[0];
         const headers = row5.map(h => String(h).trim().toUpperCase());
 
         // Verify first 6 columns match
         const matches = BANK_SCHEMA_HEADERS.every((h, i) => headers[i] === h);
         if (!matches) continue;
 
+        const referenceIdx = headers.indexOf(referenceHeader);
+
         // Get data starting from row 6
         const lastRow = sheet.getLastRow();
         if (lastRow < 6) continue;
 
-        const data = sheet.getRange(6, 1, lastRow - 5, 13).getValues();
+        const data = sheet.getRange(6, 1, lastRow - 5, width).getValues();
 
-        for (const row of data) {
+        for (let i = 0; i < data.length; i++) {
+          const row = data[i];
           if (!row[0]) continue; // Skip empty rows
 
+          const reference = referenceIdx >= 0 ? String(row[referenceIdx] || '').trim() : '';
           transactions.push({
             date: row[0],
             particulars: row[1] || '',
@@ -1021,20 +1787,29 @@ function fetchBankDataAllTabs(config) {
             partyId: String(row[5] || '').trim(),
             partyName: String(row[6] || ''),
             voucherType: String(row[8] || 'BANK'),
-            reference: String(row[9] || ''),
+            reference: reference,
             docType: 'BANK',
-            docNo: String(row[9] || '')
+            docNo: reference,
+            sourceId: config.BANK_SHEET_ID,
+            sourceTab: sheet.getName(),
+            sourceRow: i + 6
           });
         }
       } catch (e) {
         // Skip sheets that can't be read
       }
     }
+
+    result.rows = transactions.length;
+    result.status = 'SUCCESS';
+
   } catch (error) {
+    result.status = 'ERROR';
+    result.error = error.message;
     Logger.log('Error fetching bank data: ' + error.message);
   }
 
-  return transactions;
+  return result;
 }
 
 /**
@@ -1093,26 +1868,19 @@ function fetchAllContacts(config) {
 
       if (!partyId) continue;
 
-      // Determine party type from ID prefix
-      let type = 'OTHER';
-      if (partyId.includes('SUP')) type = 'SUPPLIER';
-      else if (partyId.includes('CUS')) type = 'CUSTOMER';
-      else if (partyId.includes('CON')) type = 'CONTRACTOR';
-      else if (partyId.includes('DEA')) type = 'DEALER';
-      else if (partyId.includes('REN')) type = 'RENTAL';
-      else if (partyId.includes('MAS')) type = 'MASTER';
-
       contactMap[partyId] = {
         id: partyId,
-        type: type,
+        type: readContactType(row, colIdx),
         name: row[colIdx.company] || '',
         address1: row[colIdx.addr1] || '',
         address2: [row[colIdx.district], row[colIdx.state], row[colIdx.pin]].filter(x => x).join(', '),
         gst: row[colIdx.gst] || '',
+        state: row[colIdx.state] || '',
         phone: row[colIdx.mobile] || '',
         email: row[colIdx.email] || '',
         relatedCompany: row[colIdx.related] || '',
-        contactPerson: row[colIdx.contact] || ''
+        contactPerson: row[colIdx.contact] || '',
+        row: i + 1
       };
     }
 
@@ -1122,3 +1890,14 @@ function fetchAllContacts(config) {
 
   return contactMap;
 }
+
+/**
+ * Reads the CONTACT TYPE column of a contacts row (used by TYPE: routing rules)
+ * @param {Array} row - Contacts sheet row
+ * @param {Object} colIdx - Column indices
+ * @returns {string} Contact type in upper case, or 'OTHER' when blank
+ */
+function readContactType(row, colIdx) {
+  const type = colIdx.type >= 0 ? String(row[colIdx.type] || '').trim().toUpperCase() : '';
+  return type || 'OTHER';
+}
@@ -0,0 +1,205 @@
+/**
+ * Refresh Module
+ * Runs the fetch + ledger pipeline without touching the UI
+ *
+ * @fileoverview Headless refresh shared by the menu, sidebar, card and triggers
+ *
+ * Refresh.run() never calls SpreadsheetApp.getUi(), so it is safe in
+ * time-driven triggers. Each entry point presents the returned result in its
+ * own way (dialog, sidebar status, card notification, error email).
+ * Runs hold RunLock; a run started while another is writing ledgers is
+ * skipped with status SKIPPED.
+ */
+
+const Refresh = (function() {
+
+  /**
+   * Runs a full refresh: fetch Purchase, Sales, Contractor and Bank, then generate ledgers
+   * @param {Object} [options] - {source: 'MENU' | 'SIDEBAR' | 'CARD' | 'TRIGGER',
+   *   rebuild: true to rewrite every ledger, changed or not}
+   * @returns {Object} Result {status, source, orgCode, purchase, sales, contractor, bank, ledgers,
+   *   durationMs, error}
+   *   status is SUCCESS, WARNING (a source failed), IN_PROGRESS (ledgers continue
+   *   in the background), SKIPPED (another run holds the lock; error has the message) or ERROR
+   */
+  function run(options) {
+    const source = (options && options.source) || 'MENU';
+    const rebuild = !!(options && options.rebuild);
+    const startTime = Date.now();
+
+    const result = {
+      status: 'pending',
+      source: source,
+      orgCode: '',
+      purchase: { rows: 0, status: 'pending' },
+      sales: { rows: 0, status: 'pending' },
+      contractor: { rows: 0, status: 'pending' },
+      bank: { rows: 0, status: 'pending' },
+      ledgers: { count: 0, done: 0, created: 0, updated: 0, skipped: 0, exceptions: 0, status: 'pending' },
+      durationMs: 0,
+      error: null
+    };
+
+    const lock = RunLock.acquire((rebuild ? 'Rebuild' : 'Refresh') + ' (' + source + ')');
+    if (!lock.acquired) {
+      result.status = 'SKIPPED';
+      result.error = lock.message;
+      return result;
+    }
+
+    try {
+      // Read config from local CONFIG tab
+      const config = Init.readConfig();
+      result.orgCode = config.ORG_CODE || '';
+
+      if (!config.ORG_CODE) {
+        throw new Error('ORG_CODE not set in CONFIG tab.');
+      }
+
+      // Forget stored hashes so every ledger is rewritten
+      if (rebuild) {
+        LedgerCache.clear();
+      }
+
+      // Fetch from sources
+      if (config.PURCHASE_SHEET_ID) {
+        result.purchase = fetchSourceData(config, 'PURCHASE');
+        Init.logRun('PURCHASE', 'Fetch', result.purchase.rows, 0,
+          result.purchase.status, Date.now() - startTime, result.purchase.error);
+      }
+
+      if (config.SALES_SHEET_ID) {
+        result.sales = fetchSourceData(config, 'SALES');
+        Init.logRun('SALES', 'Fetch', result.sales.rows, 0,
+          result.sales.status, Date.now() - startTime, result.sales.error);
+      }
+
+      if (config.CONTRACTOR_SHEET_ID) {
+        result.contractor = fetchSourceData(config, 'CONTRACTOR');
+        Init.logRun('CONTRACTOR', 'Fetch', result.contractor.rows, 0,
+          result.contractor.status, Date.now() - startTime, result.contractor.error);
+      }
+
+      if (config.BANK_SHEET_ID) {
+        result.bank = fetchBankDataAllTabs(config);
+        Init.logRun('BANK', 'Fetch', result.bank.rows, 0,
+          result.bank.status, Date.now() - startTime, result.bank.error);
+      }
+
+      // Combine all data and generate ledgers
+      const allTransactions = [
+        ...(result.purchase.data || []),
+        ...(result.sales.data || []),
+        ...(result.contractor.data || []),
+        ...(result.bank.data || [])
+      ];
+
+      if (allTransactions.length > 0) {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        result.ledgers = generateAllLedgers(ss, config, allTransactions, startTime);
+        Init.logRun('LEDGER', 'Generate', 0, result.ledgers.created + result.ledgers.updated,
+          result.ledgers.status, Date.now() - startTime,
+          result.ledgers.error || formatLedgerProgress(result.ledgers));
+      }
+
+      result.status = getOverallStatus(result);
+      result.error = result.ledgers.error ||
+        [result.purchase, result.sales, result.contractor, result.bank].map(r => r.status === 'ERROR' ? r.error : null).filter(e => e)[0] ||
+        null;
+
+    } catch (error) {
+      result.status = 'ERROR';
+      result.error = error.message;
+    } finally {
+      RunLock.release(lock.token);
+    }
+
+    // Fetched rows are only needed inside the run
+    delete result.purchase.data;
+    delete result.sales.data;
+    delete result.contractor.data;
+    delete result.bank.data;
+
+    result.durationMs = Date.now() - startTime;
+
+    Init.logRun('REFRESH', (rebuild ? 'Rebuild' : 'Run') + ' (' + source + ')',
+      result.purchase.rows + result.sales.rows + result.contractor.rows + result.bank.rows,
+      (result.ledgers.created || 0) + (result.ledgers.updated || 0),
+      result.status, result.durationMs, result.error || '');
+
+    return result;
+  }
+
+  /**
+   * Works out the overall status from the individual steps
+   */
+  function getOverallStatus(result) {
+    if (result.ledgers.status === 'ERROR') return 'ERROR';
+
+    const fetchFailed = [result.purchase, result.sales, result.contractor, result.bank].some(r => r.status === 'ERROR');
+    if (fetchFailed) return 'WARNING';
+
+    if (result.ledgers.status === 'IN_PROGRESS') return 'IN_PROGRESS';
+    return 'SUCCESS';
+  }
+
+  /**
+   * Formats a refresh result as plain text for dialogs and emails
+   * @param {Object} result - Result from run()
+   * @returns {string} Multi-line summary
+   */
+  function formatSummary(result) {
+    if (result.status === 'SKIPPED') {
+      return result.error;
+    }
+    if (result.status === 'ERROR' && !result.orgCode) {
+      return 'Refresh failed: ' + result.error;
+    }
+
+    const ledgers = result.ledgers;
+    const lines = [
+      'Org: ' + result.orgCode,
+      '',
+      'Purchase: ' + formatSource(result.purchase),
+      'Sales: ' + formatSource(result.sales)
+    ];
+
+    // Contractor register is optional; only listed when configured
+    if (result.contractor.status !== 'pending') {
+      lines.push('Contractor: ' + formatSource(result.contractor));
+    }
+
+    lines.push(
+      'Bank: ' + formatSource(result.bank),
+      '',
+      'Ledgers: ' + (ledgers.error ? 'failed - ' + ledgers.error : formatLedgerProgress(ledgers)),
+      'Exceptions: ' + (ledgers.exceptions || 0) + (ledgers.exceptions ? ' (see EXCEPTIONS tab)' : '')
+    );
+
+    if (ledgers.duplicates) {
+      lines.push('Duplicates: ' + formatDuplicateCounts(ledgers.duplicates));
+    }
+    if (ledgers.reconciliation) {
+      lines.push('Reconciliation: ' + formatReconciliationCounts(ledgers.reconciliation));
+    }
+    if (result.status === 'ERROR' && !ledgers.error) {
+      lines.push('', 'Error: ' + result.error);
+    }
+
+    lines.push('Duration: ' + (result.durationMs / 1000).toFixed(1) + 's');
+
+    return lines.join('\n');
+  }
+
+  function formatSource(sourceResult) {
+    if (sourceResult.status === 'ERROR') return 'failed - ' + sourceResult.error;
+    return sourceResult.rows + ' rows';
+  }
+
+  // Public API
+  return {
+    run,
+    formatSummary
+  };
+
+})();
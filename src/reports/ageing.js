@@ -0,0 +1,222 @@
+/**
+ * Ageing Module
+ * Receivables and payables split into age buckets
+ *
+ * @fileoverview AGEING tab, rebuilt whenever a ledger run finishes
+ *
+ * Each party's open bills (from BillAllocation, the same figures as the
+ * OUTSTANDING BILLS block on its ledger) are bucketed by days overdue as of
+ * AGEING_AS_OF (blank = today). A bill with no due date (undated, or an
+ * opening balance without FROM_DATE) counts as 0 days, as in the ledger's
+ * DAYS OVERDUE column. AGEING_BUCKETS holds the upper bounds, e.g.
+ * 30,60,90,180 gives 0-30, 31-60, 61-90, 91-180 and 180+.
+ * [CU] ledgers are receivables; [SU] and [CO] ledgers are payables.
+ * Payments not applied to any bill are shown as ON ACCOUNT and reduce TOTAL.
+ */
+
+const Ageing = (function() {
+
+  const SHEET_NAME = 'AGEING';
+
+  const DEFAULT_BOUNDS = [30, 60, 90, 180];
+
+  /**
+   * Reads ageing settings from config
+   * @param {Object} config - Configuration object
+   * @returns {Object} {bounds, asOf, bills, errors} - bills is BillAllocation.getSettings(config)
+   *   asOf is null when the report should use the day it is written
+   */
+  function getSettings(config) {
+    const errors = [];
+
+    let bounds = DEFAULT_BOUNDS;
+    const rawBounds = String(config.AGEING_BUCKETS || '').trim();
+    if (rawBounds) {
+      const parsed = rawBounds.split(/[\s,;]+/).map(Number);
+      const ascending = parsed.every((n, i) => Number.isInteger(n) && n > 0 && (i === 0 || n > parsed[i - 1]));
+      if (ascending) {
+        bounds = parsed;
+      } else {
+        errors.push('AGEING_BUCKETS should be increasing day counts like 30,60,90,180 (using 30,60,90,180)');
+      }
+    }
+
+    const rawAsOf = config.AGEING_AS_OF;
+    const asOf = OpeningBalance.parseDate(rawAsOf);
+    if (!asOf && String(rawAsOf || '').trim()) {
+      errors.push('AGEING_AS_OF should be a date (using today)');
+    }
+
+    return {
+      bounds: bounds,
+      asOf: asOf,
+      bills: BillAllocation.getSettings(config),
+      errors: errors
+    };
+  }
+
+  /**
+   * Builds bucket labels from the upper bounds
+   * @param {Array} bounds - e.g. [30, 60, 90, 180]
+   * @returns {Array} e.g. ['0-30', '31-60', '61-90', '91-180', '180+']
+   */
+  function getBucketLabels(bounds) {
+    const labels = bounds.map((bound, i) => (i === 0 ? 0 : bounds[i - 1] + 1) + '-' + bound);
+    labels.push(bounds[bounds.length - 1] + '+');
+    return labels;
+  }
+
+  /**
+   * Ages every ledger's open bills
+   * @param {Array} ledgers - Ledger objects with id, name, ledgerCategory, transactions
+   * @param {Object} settings - Settings from getSettings()
+   * @param {Date} asOf - Date the ages are counted to
+   * @returns {Object} {receivables, payables} - entries
+   *   {id, name, ledgerCategory, buckets, onAccount, total}, parties with nothing open left out
+   */
+  function summarize(ledgers, settings, asOf) {
+    const receivables = [];
+    const payables = [];
+
+    for (const ledger of ledgers.slice().sort(PartyLedger.compareLedgers)) {
+      const allocation = BillAllocation.allocate(ledger.transactions, ledger.ledgerCategory, settings.bills);
+
+      const buckets = settings.bounds.map(() => 0).concat([0]);
+      for (const bill of allocation.bills) {
+        if (bill.balance <= 0) continue;
+        const index = getBucketIndex(BillAllocation.getDaysOverdue(bill, asOf), settings.bounds);
+        buckets[index] = round(buckets[index] + bill.balance);
+      }
+
+      const open = buckets.reduce((sum, amount) => sum + amount, 0);
+      if (open === 0 && allocation.onAccount === 0) continue;
+
+      const entry = {
+        id: ledger.id,
+        name: ledger.name || '',
+        ledgerCategory: ledger.ledgerCategory,
+        buckets: buckets,
+        onAccount: allocation.onAccount,
+        total: round(open - allocation.onAccount)
+      };
+
+      if (ledger.ledgerCategory === 'CU') {
+        receivables.push(entry);
+      } else {
+        payables.push(entry);
+      }
+    }
+
+    return { receivables: receivables, payables: payables };
+  }
+
+  function getBucketIndex(days, bounds) {
+    for (let i = 0; i < bounds.length; i++) {
+      if (days <= bounds[i]) return i;
+    }
+    return bounds.length;
+  }
+
+  /**
+   * Adds up a list of entries column by column
+   * @param {Array} entries - Entries from summarize()
+   * @param {number} bucketCount - Number of buckets
+   * @returns {Object} {buckets, onAccount, total}
+   */
+  function sumEntries(entries, bucketCount) {
+    const totals = { buckets: new Array(bucketCount).fill(0), onAccount: 0, total: 0 };
+    for (const entry of entries) {
+      entry.buckets.forEach((amount, i) => { totals.buckets[i] = round(totals.buckets[i] + amount); });
+      totals.onAccount = round(totals.onAccount + entry.onAccount);
+      totals.total = round(totals.total + entry.total);
+    }
+    return totals;
+  }
+
+  /**
+   * Rewrites the AGEING tab
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Array} ledgers - Ledger objects with transactions
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {number} Number of party rows written
+   */
+  function write(ss, ledgers, settings) {
+    const asOf = settings.asOf ? new Date(settings.asOf) : new Date();
+    const labels = getBucketLabels(settings.bounds);
+    const headers = ['PARTY ID', 'PARTY NAME', 'TYPE'].concat(labels, ['ON ACCOUNT', 'TOTAL', 'LINK']);
+    const width = headers.length;
+    const summary = summarize(ledgers, settings, asOf);
+
+    let sheet = ss.getSheetByName(SHEET_NAME);
+    if (!sheet) {
+      sheet = ss.insertSheet(SHEET_NAME);
+    } else {
+      // Section title rows are merged; a clear() alone would keep the merges
+      sheet.getDataRange().breakApart();
+      sheet.clear();
+    }
+
+    sheet.getRange(1, 1, 1, width)
+      .setValues([headers])
+      .setFontWeight('bold')
+      .setBackground('#4a86e8')
+      .setFontColor('white');
+    sheet.setFrozenRows(1);
+
+    const asOfText = Utilities.formatDate(asOf, Session.getScriptTimeZone(), 'dd-MM-yyyy');
+    let row = 2;
+
+    const sections = [
+      { title: 'RECEIVABLES [CU] AS OF ' + asOfText, totalLabel: 'TOTAL RECEIVABLES', entries: summary.receivables },
+      { title: 'PAYABLES [SU] [CO] AS OF ' + asOfText, totalLabel: 'TOTAL PAYABLES', entries: summary.payables }
+    ];
+
+    for (const section of sections) {
+      sheet.getRange(row, 1, 1, width).merge()
+        .setValue(section.title)
+        .setFontWeight('bold')
+        .setBackground('#d9ead3')
+        .setFontColor('#274e13');
+      row++;
+
+      if (section.entries.length > 0) {
+        const rows = section.entries.map(entry => {
+          const sheetName = PartyLedger.buildSheetName(entry.id, entry.ledgerCategory);
+          const link = '=HYPERLINK("#gid=' + PartyLedger.getSheetGid(ss, sheetName) + '", "Open")';
+          return [entry.id, entry.name, '[' + entry.ledgerCategory + ']']
+            .concat(entry.buckets, [entry.onAccount, entry.total, link]);
+        });
+        sheet.getRange(row, 1, rows.length, width).setValues(rows);
+        sheet.getRange(row, 4, rows.length, labels.length + 2).setNumberFormat('#,##0.00');
+        row += rows.length;
+      }
+
+      const totals = sumEntries(section.entries, labels.length);
+      sheet.getRange(row, 1, 1, width)
+        .setValues([['', section.totalLabel, ''].concat(totals.buckets, [totals.onAccount, totals.total, ''])])
+        .setFontWeight('bold')
+        .setBorder(true, null, true, null, null, null);
+      sheet.getRange(row, 4, 1, labels.length + 2).setNumberFormat('#,##0.00');
+      row += 2;
+    }
+
+    const widths = [120, 220, 60].concat(labels.map(() => 100), [100, 110, 60]);
+    widths.forEach((w, i) => sheet.setColumnWidth(i + 1, w));
+
+    return summary.receivables.length + summary.payables.length;
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Public API
+  return {
+    SHEET_NAME,
+    getSettings,
+    getBucketLabels,
+    summarize,
+    write
+  };
+
+})();
@@ -0,0 +1,486 @@
+/**
+ * Confirmations Module
+ * Emails ledger statements with a balance confirmation letter
+ *
+ * @fileoverview Send Statements workflow and the CONFIRMATIONS send log
+ *
+ * For each selected ledger the balance as of CONFIRM_AS_OF (blank = today) is
+ * read from the ledger tab's running balance, the letter is filled in from
+ * CONFIRM_SUBJECT / CONFIRM_BODY (blank = the standard letter) and sent to the
+ * contact's EMAIL ID with the ledger PDF (exported through Statements).
+ *
+ * Letters are always previewed first (dry run); nothing is sent until the
+ * preview is accepted. Each send is appended to the CONFIRMATIONS tab as soon
+ * as it is made, with a REPLY column (PENDING / CONFIRMED / DISPUTED) that is
+ * kept up to date by hand as parties answer. A run stops starting new sends
+ * before the execution time limit; running it again skips parties already
+ * SENT a letter for the same as-of date.
+ *
+ * Template placeholders:
+ *   {PARTY_NAME} {PARTY_ID} {ORG_NAME} {FY} {AS_OF} {REPLY_BY}
+ *   {BALANCE} - e.g. "1,234.00 DR"
+ *   {BALANCE_TEXT} - e.g. "1,234.00 DR (due from you)"
+ */
+
+const Confirmations = (function() {
+
+  const SHEET_NAME = 'CONFIRMATIONS';
+
+  const HEADERS = ['SENT AT', 'PARTY ID', 'PARTY NAME', 'TYPE', 'EMAIL', 'AS OF', 'BALANCE', 'DR/CR',
+    'STATEMENT', 'SEND STATUS', 'REPLY', 'REPLY DATE', 'NOTES'];
+
+  const REPLY_COL = 11;
+  const REPLY_STATUSES = ['PENDING', 'CONFIRMED', 'DISPUTED'];
+
+  const DEFAULT_SUBJECT = 'Balance confirmation as of {AS_OF} - {ORG_NAME}';
+
+  const DEFAULT_BODY = [
+    'Dear {PARTY_NAME},',
+    '',
+    'Sub: Confirmation of balance as of {AS_OF} (ledger {PARTY_ID})',
+    '',
+    'As per our books of account, your account shows a balance of Rs. {BALANCE_TEXT} as of {AS_OF}. ' +
+      'Your ledger statement for FY {FY} is attached. It runs to the date of this email, so it may include ' +
+      'entries after {AS_OF} and close on a different balance - please confirm the balance as of {AS_OF}.',
+    '',
+    'Please reply to this email by {REPLY_BY} confirming the balance. If it does not agree with your books, ' +
+      'please reply with the balance as per your books and a statement of your account so the difference ' +
+      'can be reconciled.',
+    '',
+    'If we do not hear from you by {REPLY_BY}, the balance will be taken as confirmed.',
+    '',
+    'Regards,',
+    'Accounts Department',
+    '{ORG_NAME}'
+  ].join('\n');
+
+  /**
+   * Reads confirmation settings from config
+   * @param {Object} config - Configuration object
+   * @param {Date} [today] - Date used when CONFIRM_AS_OF is blank
+   * @returns {Object} {asOf, replyBy, subject, body, cc, orgName, financialYear, errors}
+   */
+  function getSettings(config, today) {
+    const errors = [];
+
+    let asOf = today || new Date();
+    if (String(config.CONFIRM_AS_OF || '').trim() || config.CONFIRM_AS_OF instanceof Date) {
+      const parsed = OpeningBalance.parseDate(config.CONFIRM_AS_OF);
+      if (parsed) {
+        asOf = parsed;
+      } else {
+        errors.push('CONFIRM_AS_OF should be a date (dd-mm-yyyy)');
+      }
+    }
+    asOf = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+
+    let replyDays = parseInt(config.CONFIRM_REPLY_DAYS, 10);
+    if (isNaN(replyDays) || replyDays < 0) replyDays = 15;
+    const replyBy = new Date(today ? today.getTime() : Date.now());
+    replyBy.setDate(replyBy.getDate() + replyDays);
+
+    return {
+      asOf: asOf,
+      replyBy: replyBy,
+      subject: String(config.CONFIRM_SUBJECT || '').trim() || DEFAULT_SUBJECT,
+      body: String(config.CONFIRM_BODY || '').trim() || DEFAULT_BODY,
+      cc: String(config.CONFIRM_CC || '').trim(),
+      orgName: String(config.ORG_NAME || config.ORG_CODE || '').trim(),
+      financialYear: String(config.FINANCIAL_YEAR || '').trim(),
+      errors: errors
+    };
+  }
+
+  /**
+   * Finds the running balance of a ledger as of a date
+   * @param {Array} rows - Ledger tab values A:G from PartyLedger.FIRST_TXN_ROW down
+   * @param {Date} asOf - Balance date (inclusive)
+   * @returns {number} Balance (positive = Dr), 0 when nothing is dated on or before asOf
+   */
+  function getBalanceAsOf(rows, asOf) {
+    const cutoff = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate() + 1).getTime();
+    let balance = 0;
+
+    for (const row of rows) {
+      // The transaction section ends at the TOTAL row
+      if (String(row[1] || '').trim() === 'TOTAL') break;
+
+      const date = row[0];
+      if (!(date instanceof Date) || isNaN(date.getTime())) continue;
+      if (date.getTime() >= cutoff) break;
+
+      balance = parseFloat(row[6]) || 0;
+    }
+
+    return Math.round(balance * 100) / 100;
+  }
+
+  /**
+   * Reads a ledger tab's balance as of a date
+   * @param {Sheet} sheet - Party ledger tab
+   * @param {Date} asOf - Balance date
+   * @returns {number} Balance (positive = Dr)
+   */
+  function readBalance(sheet, asOf) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow < PartyLedger.FIRST_TXN_ROW) return 0;
+
+    const rows = sheet.getRange(PartyLedger.FIRST_TXN_ROW, 1,
+      lastRow - PartyLedger.FIRST_TXN_ROW + 1, 7).getValues();
+    return getBalanceAsOf(rows, asOf);
+  }
+
+  /**
+   * Finds party ledgers already sent a letter for an as-of date
+   * @param {Array} rows - CONFIRMATIONS values below the header
+   * @param {Date} asOf - As-of date of the letters being prepared
+   * @returns {Object} Map of "PARTY ID|[TYPE]" to the SENT AT of the latest send
+   */
+  function findSent(rows, asOf) {
+    const day = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate()).getTime();
+    const sent = {};
+
+    for (const row of rows) {
+      if (String(row[9] || '').trim() !== 'SENT') continue;
+      const rowAsOf = row[5];
+      if (!(rowAsOf instanceof Date) ||
+        new Date(rowAsOf.getFullYear(), rowAsOf.getMonth(), rowAsOf.getDate()).getTime() !== day) continue;
+      sent[String(row[1]) + '|' + String(row[3])] = row[0];
+    }
+
+    return sent;
+  }
+
+  /**
+   * Fills a template
+   * @param {string} template - Text with {PLACEHOLDER}s
+   * @param {Object} values - Placeholder values by name
+   * @returns {string} Filled text; unknown placeholders are left as they are
+   */
+  function fillTemplate(template, values) {
+    return String(template).replace(/\{([A-Z_]+)\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match);
+  }
+
+  /**
+   * Builds the letter for one party
+   * @param {Object} settings - Settings from getSettings()
+   * @param {Object} ledger - Ledger {id, name, ledgerCategory}
+   * @param {number} balance - Balance as of settings.asOf (positive = Dr)
+   * @param {string} timeZone - Time zone for dates in the letter
+   * @returns {Object} {subject, body}
+   */
+  function buildLetter(settings, ledger, balance, timeZone) {
+    const amount = OpeningBalance.formatAmount(balance);
+    const values = {
+      PARTY_NAME: ledger.name || ledger.id,
+      PARTY_ID: ledger.id,
+      ORG_NAME: settings.orgName,
+      FY: settings.financialYear,
+      AS_OF: Utilities.formatDate(settings.asOf, timeZone, 'dd-MM-yyyy'),
+      REPLY_BY: Utilities.formatDate(settings.replyBy, timeZone, 'dd-MM-yyyy'),
+      BALANCE: amount,
+      BALANCE_TEXT: balance === 0 ? 'NIL' :
+        amount + (balance > 0 ? ' (due from you)' : ' (due to you)')
+    };
+
+    return {
+      subject: fillTemplate(settings.subject, values),
+      body: fillTemplate(settings.body, values)
+    };
+  }
+
+  /**
+   * Prepares letters without sending anything (the dry run)
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Array} ledgers - Ledgers {id, name, ledgerCategory} from Statements.selectLedgers
+   * @param {Object} contacts - Contact map from fetchAllContacts
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {Object} {letters, skipped}
+   *   letters: [{ledger, email, balance, subject, body}]
+   *   skipped: [{ledger, reason}] - no email, no ledger tab or already sent for the as-of date
+   */
+  function prepare(ss, ledgers, contacts, settings) {
+    const timeZone = Session.getScriptTimeZone();
+    const letters = [];
+    const skipped = [];
+
+    const log = ss.getSheetByName(SHEET_NAME);
+    const sent = log && log.getLastRow() > 1 ?
+      findSent(log.getRange(2, 1, log.getLastRow() - 1, HEADERS.length).getValues(), settings.asOf) : {};
+
+    for (const ledger of ledgers) {
+      const sentAt = sent[ledger.id + '|[' + ledger.ledgerCategory + ']'];
+      if (sentAt) {
+        skipped.push({ ledger: ledger, reason: 'Already sent for this as-of date' +
+          (sentAt instanceof Date ? ' on ' + Utilities.formatDate(sentAt, timeZone, 'dd-MM-yyyy') : '') });
+        continue;
+      }
+
+      const contact = contacts[ledger.id];
+      const email = contact ? String(contact.email || '').trim() : '';
+      if (!email) {
+        skipped.push({ ledger: ledger, reason: 'No EMAIL ID in contacts' });
+        continue;
+      }
+
+      const sheet = ss.getSheetByName(PartyLedger.buildSheetName(ledger.id, ledger.ledgerCategory));
+      if (!sheet) {
+        skipped.push({ ledger: ledger, reason: 'Ledger tab not found' });
+        continue;
+      }
+
+      const named = { id: ledger.id, name: (contact && contact.name) || ledger.name, ledgerCategory: ledger.ledgerCategory };
+      const balance = readBalance(sheet, settings.asOf);
+      const letter = buildLetter(settings, named, balance, timeZone);
+
+      letters.push({
+        ledger: named,
+        email: email,
+        balance: balance,
+        subject: letter.subject,
+        body: letter.body
+      });
+    }
+
+    return { letters: letters, skipped: skipped };
+  }
+
+  /**
+   * Formats a dry run for the preview dialog
+   * @param {Object} prepared - Result of prepare()
+   * @returns {string} Multi-line preview: counts, recipients, skipped parties and the first letter
+   */
+  function formatPreview(prepared) {
+    const lines = [prepared.letters.length + ' letter(s) ready, ' + prepared.skipped.length + ' skipped', ''];
+
+    const shown = prepared.letters.slice(0, 15);
+    shown.forEach(letter => {
+      lines.push('  ' + letter.ledger.id + ' -> ' + letter.email + ': ' + OpeningBalance.formatAmount(letter.balance));
+    });
+    if (prepared.letters.length > shown.length) {
+      lines.push('  ... and ' + (prepared.letters.length - shown.length) + ' more');
+    }
+
+    if (prepared.skipped.length > 0) {
+      lines.push('', 'Skipped:');
+      prepared.skipped.slice(0, 10).forEach(item => {
+        lines.push('  ' + item.ledger.id + ' [' + item.ledger.ledgerCategory + ']: ' + item.reason);
+      });
+      if (prepared.skipped.length > 10) {
+        lines.push('  ... and ' + (prepared.skipped.length - 10) + ' more');
+      }
+    }
+
+    if (prepared.letters.length > 0) {
+      const first = prepared.letters[0];
+      lines.push('', '--- First letter ---', 'To: ' + first.email, 'Subject: ' + first.subject, '', first.body);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Sends prepared letters with their ledger PDFs
+   * Letters go one at a time - export the PDF, email it, then log both on the
+   * STATEMENTS and CONFIRMATIONS tabs - so a run cut short has logged every
+   * email it sent. No new letter is started after Statements.MAX_RUN_MS.
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Array} letters - Letters from prepare()
+   * @param {Object} settings - Settings from getSettings()
+   * @param {Object} statementSettings - Settings from Statements.getSettings()
+   * @param {number} [startTime] - Execution start (ms), used for the time budget
+   * @returns {Object} {sent, results, remaining}
+   *   results: [{letter, status, error, statementUrl}]; remaining were not reached in time
+   */
+  function send(ss, letters, settings, statementSettings, startTime) {
+    const exportOne = Statements.startExport(ss, statementSettings);
+    const deadline = (startTime || Date.now()) + Statements.MAX_RUN_MS;
+
+    const results = [];
+    for (const letter of letters) {
+      if (Date.now() > deadline) break;
+
+      const exported = exportOne(letter.ledger);
+      const result = sendLetter(letter, exported, settings);
+      results.push(result);
+
+      Statements.record(ss, [exported]);
+      record(ss, [result], settings);
+    }
+
+    return {
+      sent: results.filter(result => result.status === 'SENT').length,
+      results: results,
+      remaining: letters.length - results.length
+    };
+  }
+
+  /**
+   * Emails one letter with its exported statement
+   * @param {Object} letter - Letter from prepare()
+   * @param {Object} exported - Result of the Statements export for the letter's ledger
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {Object} {letter, status, error, statementUrl} - status SENT or ERROR
+   */
+  function sendLetter(letter, exported, settings) {
+    const result = { letter: letter, status: 'pending', error: null, statementUrl: exported.url };
+
+    try {
+      if (exported.status !== 'SAVED') throw new Error('Statement PDF: ' + exported.error);
+
+      const message = {
+        to: letter.email,
+        subject: letter.subject,
+        body: letter.body,
+        attachments: [DriveApp.getFileById(exported.fileId).getBlob()]
+      };
+      if (settings.cc) message.cc = settings.cc;
+      if (settings.orgName) message.name = settings.orgName;
+
+      MailApp.sendEmail(message);
+      result.status = 'SENT';
+
+    } catch (error) {
+      result.status = 'ERROR';
+      result.error = error.message;
+      Logger.log('Confirmation send error for ' + letter.ledger.id + ': ' + error.message);
+    }
+
+    return result;
+  }
+
+  /**
+   * Builds CONFIRMATIONS rows for send results
+   * @param {Array} results - Results from send()
+   * @param {Object} settings - Settings from getSettings()
+   * @param {Date} sentAt - Time of the send run
+   * @returns {Array} Row arrays matching HEADERS
+   */
+  function buildRows(results, settings, sentAt) {
+    return results.map(result => {
+      const letter = result.letter;
+      const sent = result.status === 'SENT';
+      return [
+        sentAt,
+        letter.ledger.id,
+        letter.ledger.name || '',
+        '[' + letter.ledger.ledgerCategory + ']',
+        letter.email,
+        settings.asOf,
+        Math.abs(letter.balance),
+        letter.balance === 0 ? '' : (letter.balance > 0 ? 'DR' : 'CR'),
+        result.statementUrl ? '=HYPERLINK("' + result.statementUrl + '", "PDF")' : '',
+        sent ? 'SENT' : 'ERROR: ' + result.error,
+        sent ? 'PENDING' : '',
+        '',
+        ''
+      ];
+    });
+  }
+
+  /**
+   * Appends send results to the CONFIRMATIONS tab
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Array} results - Results from send()
+   * @param {Object} settings - Settings from getSettings()
+   * @param {Date} [sentAt] - Time of the send run (default now)
+   * @returns {number} Number of rows written
+   */
+  function record(ss, results, settings, sentAt) {
+    let sheet = ss.getSheetByName(SHEET_NAME);
+
+    if (!sheet) {
+      sheet = ss.insertSheet(SHEET_NAME);
+      sheet.getRange(1, 1, 1, HEADERS.length)
+        .setValues([HEADERS])
+        .setFontWeight('bold')
+        .setBackground('#4a86e8')
+        .setFontColor('white');
+      sheet.setFrozenRows(1);
+
+      const widths = [130, 120, 220, 60, 200, 90, 110, 50, 60, 160, 100, 90, 240];
+      widths.forEach((width, i) => sheet.setColumnWidth(i + 1, width));
+    }
+
+    const rows = buildRows(results, settings, sentAt || new Date());
+    if (rows.length === 0) return 0;
+
+    const startRow = sheet.getLastRow() + 1;
+    sheet.getRange(startRow, 1, rows.length, HEADERS.length).setValues(rows);
+    sheet.getRange(startRow, 1, rows.length, 1).setNumberFormat('dd-mm-yyyy hh:mm');
+    sheet.getRange(startRow, 6, rows.length, 1).setNumberFormat('dd-mm-yyyy');
+    sheet.getRange(startRow, 7, rows.length, 1).setNumberFormat('#,##0.00');
+    sheet.getRange(startRow, 12, rows.length, 1).setNumberFormat('dd-mm-yyyy');
+
+    const replyRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(REPLY_STATUSES, true)
+      .setAllowInvalid(false)
+      .build();
+    sheet.getRange(startRow, REPLY_COL, rows.length, 1).setDataValidation(replyRule);
+
+    return rows.length;
+  }
+
+  /**
+   * Counts replies on the send log, latest send per party
+   * @param {Array} rows - CONFIRMATIONS values below the header
+   * @returns {Object} {PENDING, CONFIRMED, DISPUTED} party counts
+   */
+  function summarizeReplies(rows) {
+    const latest = {};
+    for (const row of rows) {
+      const status = String(row[REPLY_COL - 1] || '').trim().toUpperCase();
+      if (REPLY_STATUSES.indexOf(status) === -1) continue;
+      latest[String(row[1]) + '|' + String(row[3])] = status;
+    }
+
+    const counts = { PENDING: 0, CONFIRMED: 0, DISPUTED: 0 };
+    Object.keys(latest).forEach(key => { counts[latest[key]]++; });
+    return counts;
+  }
+
+  /**
+   * Reads the reply counts from the CONFIRMATIONS tab
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @returns {Object} {PENDING, CONFIRMED, DISPUTED} party counts (all 0 without a log)
+   */
+  function readReplies(ss) {
+    const sheet = ss.getSheetByName(SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) return summarizeReplies([]);
+    return summarizeReplies(sheet.getRange(2, 1, sheet.getLastRow() - 1, HEADERS.length).getValues());
+  }
+
+  /**
+   * Formats a send run for RUN_LOG and dialogs
+   * @param {Object} run - Result of send()
+   * @returns {string} e.g. "Sent: 12, Failed: 1, Not reached: 30"
+   */
+  function formatResult(run) {
+    let text = 'Sent: ' + run.sent + ', Failed: ' + (run.results.length - run.sent);
+    if (run.remaining > 0) text += ', Not reached: ' + run.remaining;
+    return text;
+  }
+
+  // Public API
+  return {
+    SHEET_NAME,
+    HEADERS,
+    REPLY_STATUSES,
+    DEFAULT_BODY,
+    getSettings,
+    getBalanceAsOf,
+    findSent,
+    fillTemplate,
+    buildLetter,
+    prepare,
+    formatPreview,
+    send,
+    buildRows,
+    record,
+    summarizeReplies,
+    readReplies,
+    formatResult
+  };
+
+})();
@@ -0,0 +1,304 @@
+/**
+ * Duplicate Check Module
+ * Finds repeated source rows before ledgers are generated
+ *
+ * @fileoverview DUPLICATES review tab with per-row ignore override
+ *
+ * EXACT:  same source, party, doc number and amount (e.g. an invoice pasted
+ *         twice, or a bank line present on two bank tabs)
+ * LIKELY: same party and amount on the same side, dated within
+ *         DUPLICATE_WINDOW_DAYS of each other
+ *
+ * The first occurrence is kept; later occurrences are reported. By default
+ * findings are only flagged: the exact key has no date, so genuine repeat
+ * lines of one invoice and amount match too. Exact duplicates are left out of
+ * the ledgers only when DUPLICATE_EXCLUDE_EXACT is YES.
+ * Ticking IGNORE on a row marks it as genuine: it is kept in the ledgers and
+ * the tick survives later refreshes (rows are matched by a content key).
+ */
+
+const DuplicateCheck = (function() {
+
+  const SHEET_NAME = 'DUPLICATES';
+
+  const HEADERS = [
+    'MATCH', 'SOURCE', 'TAB', 'ROW', 'DATE', 'L/F', 'PARTY NAME', 'DOC NO',
+    'AMOUNT', 'DUPLICATE OF', 'STATUS', 'IGNORE', 'KEY'
+  ];
+  const IGNORE_COL = 12;
+  const KEY_COL = 13;
+
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  /**
+   * Reads duplicate detection settings from config
+   * @param {Object} config - Configuration object
+   * @returns {Object} {enabled, windowDays, excludeExact}
+   */
+  function getSettings(config) {
+    const windowDays = parseInt(config.DUPLICATE_WINDOW_DAYS, 10);
+
+    return {
+      enabled: String(config.DUPLICATE_CHECK || 'ON').trim().toUpperCase() !== 'OFF',
+      windowDays: isNaN(windowDays) ? 3 : Math.max(windowDays, 0),
+      excludeExact: String(config.DUPLICATE_EXCLUDE_EXACT || 'NO').trim().toUpperCase() === 'YES'
+    };
+  }
+
+  /**
+   * Finds exact and likely duplicates
+   * Rows without a party ID are not checked (they never reach a ledger)
+   * @param {Array} transactions - Transactions in source order
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {Array} Findings {txn, original, match, key} for each later occurrence
+   */
+  function detect(transactions, settings) {
+    const findings = [];
+    const flagged = new Set();
+    const keyCounts = {};
+    const exactGroups = {};
+    const amountGroups = {};
+
+    for (const txn of transactions) {
+      const info = describe(txn);
+      if (!info) continue;
+
+      // Occurrence number keeps keys of identical rows distinct
+      keyCounts[info.fingerprint] = (keyCounts[info.fingerprint] || 0) + 1;
+      const rowKey = info.fingerprint + '#' + keyCounts[info.fingerprint];
+
+      if (info.docNo) {
+        const exactKey = [txn.docType, info.partyId, info.docNo, info.side, info.amount].join('|');
+        if (exactGroups[exactKey]) {
+          findings.push({ txn: txn, original: exactGroups[exactKey], match: 'EXACT', key: rowKey });
+          flagged.add(txn);
+          continue;
+        }
+        exactGroups[exactKey] = txn;
+      }
+
+      const amountKey = [info.partyId, info.side, info.amount].join('|');
+      (amountGroups[amountKey] = amountGroups[amountKey] || []).push({ txn: txn, date: info.date, key: rowKey });
+    }
+
+    // Likely duplicates: compare each row with earlier rows of the same amount
+    for (const amountKey of Object.keys(amountGroups)) {
+      const group = amountGroups[amountKey].filter(item => item.date);
+      if (group.length < 2) continue;
+
+      group.sort((a, b) => a.date - b.date);
+
+      for (let i = 1; i < group.length; i++) {
+        const current = group[i];
+        const previous = group[i - 1];
+
+        if (flagged.has(current.txn)) continue;
+        if ((current.date - previous.date) / MS_PER_DAY > settings.windowDays) continue;
+
+        findings.push({ txn: current.txn, original: previous.txn, match: 'LIKELY', key: current.key });
+        flagged.add(current.txn);
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Normalizes the fields duplicates are compared on
+   * @returns {Object|null} {partyId, docNo, side, amount, date, fingerprint}
+   */
+  function describe(txn) {
+    const partyId = String(txn.partyId || '').trim().toUpperCase();
+    if (!partyId) return null;
+
+    const debit = parseFloat(txn.debit) || 0;
+    const credit = parseFloat(txn.credit) || 0;
+    const side = debit ? 'DR' : 'CR';
+    const amount = (Math.round((debit || credit) * 100) / 100).toFixed(2);
+    const docNo = String(txn.docNo || '').trim().toUpperCase();
+    const date = OpeningBalance.parseDate(txn.date);
+    const dateKey = date ?
+      date.getFullYear() + '-' + (date.getMonth() + 1) + '-' + date.getDate() : '';
+
+    return {
+      partyId: partyId,
+      docNo: docNo,
+      side: side,
+      amount: amount,
+      date: date,
+      fingerprint: [txn.docType, txn.sourceTab || '', partyId, docNo, side, amount, dateKey].join('|')
+    };
+  }
+
+  /**
+   * Works out what happens to each finding
+   * @param {Array} findings - Findings from detect()
+   * @param {Object} ignored - Keys ticked IGNORE (from readIgnored)
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {Array} The findings with status EXCLUDED, FLAGGED or IGNORED
+   */
+  function resolve(findings, ignored, settings) {
+    for (const finding of findings) {
+      if (ignored[finding.key]) {
+        finding.status = 'IGNORED';
+      } else if (finding.match === 'EXACT' && settings.excludeExact) {
+        finding.status = 'EXCLUDED';
+      } else {
+        finding.status = 'FLAGGED';
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Removes excluded duplicates from the transaction list
+   * @param {Array} transactions - All transactions
+   * @param {Array} findings - Findings from resolve()
+   * @returns {Array} Transactions that go into ledgers
+   */
+  function filter(transactions, findings) {
+    const excluded = new Set(findings.filter(f => f.status === 'EXCLUDED').map(f => f.txn));
+    return transactions.filter(txn => !excluded.has(txn));
+  }
+
+  /**
+   * Reads the IGNORE ticks from the existing DUPLICATES tab
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @returns {Object} Map of row key to true
+   */
+  function readIgnored(ss) {
+    const sheet = ss.getSheetByName(SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) return {};
+
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, KEY_COL).getValues();
+    return parseIgnoredRows(data);
+  }
+
+  /**
+   * Collects keys of rows with IGNORE ticked (checkbox, TRUE or YES)
+   * @param {Array} data - DUPLICATES rows without the header
+   * @returns {Object} Map of row key to true
+   */
+  function parseIgnoredRows(data) {
+    const ignored = {};
+
+    for (const row of data) {
+      const flag = row[IGNORE_COL - 1];
+      const key = String(row[KEY_COL - 1] || '');
+      if (key && (flag === true || /^(TRUE|YES)$/i.test(String(flag).trim()))) {
+        ignored[key] = true;
+      }
+    }
+
+    return ignored;
+  }
+
+  /**
+   * Builds the DUPLICATES sheet rows
+   * @param {Array} findings - Findings from resolve()
+   * @returns {Array} Row arrays matching HEADERS
+   */
+  function buildRows(findings) {
+    return findings.map(finding => {
+      const txn = finding.txn;
+      const original = finding.original;
+
+      return [
+        finding.match,
+        txn.docType || '',
+        txn.sourceTab || '',
+        txn.sourceRow || '',
+        txn.date || '',
+        txn.partyId || '',
+        txn.partyName || '',
+        txn.docNo || '',
+        (parseFloat(txn.debit) || 0) || (parseFloat(txn.credit) || 0),
+        (original.sourceTab || original.docType) + ' row ' + (original.sourceRow || '?'),
+        finding.status,
+        finding.status === 'IGNORED',
+        finding.key
+      ];
+    });
+  }
+
+  /**
+   * Rewrites the DUPLICATES tab, keeping IGNORE ticks via the row keys
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Array} findings - Findings from resolve()
+   * @returns {number} Number of rows written
+   */
+  function write(ss, findings) {
+    let sheet = ss.getSheetByName(SHEET_NAME);
+
+    if (!sheet) {
+      sheet = ss.insertSheet(SHEET_NAME);
+    } else {
+      sheet.clear();
+      sheet.getDataRange().clearDataValidations();
+    }
+
+    sheet.getRange(1, 1, 1, HEADERS.length)
+      .setValues([HEADERS])
+      .setFontWeight('bold')
+      .setBackground('#4a86e8')
+      .setFontColor('white');
+    sheet.setFrozenRows(1);
+
+    const rows = buildRows(findings);
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, HEADERS.length).setValues(rows);
+      sheet.getRange(2, 5, rows.length, 1).setNumberFormat('dd-mm-yyyy');
+      sheet.getRange(2, 9, rows.length, 1).setNumberFormat('#,##0.00');
+      sheet.getRange(2, IGNORE_COL, rows.length, 1).insertCheckboxes();
+    }
+
+    sheet.setColumnWidth(1, 70);    // Match
+    sheet.setColumnWidth(2, 90);    // Source
+    sheet.setColumnWidth(3, 140);   // Tab
+    sheet.setColumnWidth(4, 60);    // Row
+    sheet.setColumnWidth(5, 95);    // Date
+    sheet.setColumnWidth(6, 120);   // L/F
+    sheet.setColumnWidth(7, 220);   // Party name
+    sheet.setColumnWidth(8, 110);   // Doc no
+    sheet.setColumnWidth(9, 105);   // Amount
+    sheet.setColumnWidth(10, 160);  // Duplicate of
+    sheet.setColumnWidth(11, 90);   // Status
+    sheet.setColumnWidth(12, 60);   // Ignore
+    sheet.hideColumns(KEY_COL);
+
+    return rows.length;
+  }
+
+  /**
+   * Counts findings still needing review (not ignored) by match type
+   * @param {Array} findings - Findings from resolve()
+   * @returns {Object} {exact, likely, excluded}
+   */
+  function summarize(findings) {
+    const summary = { exact: 0, likely: 0, excluded: 0 };
+
+    for (const finding of findings) {
+      if (finding.status === 'IGNORED') continue;
+      if (finding.match === 'EXACT') summary.exact++;
+      if (finding.match === 'LIKELY') summary.likely++;
+      if (finding.status === 'EXCLUDED') summary.excluded++;
+    }
+
+    return summary;
+  }
+
+  // Public API
+  return {
+    SHEET_NAME,
+    getSettings,
+    detect,
+    resolve,
+    filter,
+    readIgnored,
+    parseIgnoredRows,
+    buildRows,
+    write,
+    summarize
+  };
+
+})();
@@ -0,0 +1,124 @@
+/**
+ * Exception Report Module
+ * Source rows that could not be posted to a known party ledger
+ *
+ * @fileoverview EXCEPTIONS tab, rebuilt on every refresh
+ *
+ * A row is reported when its L/F is blank, the ID is malformed, the ID is
+ * not in the contacts sheet, or PARTY ROUTING skips it or has no rule for it.
+ * Rows with unknown or malformed IDs still get a ledger - the report is there
+ * so the source register can be corrected.
+ * GSTIN problems found by GstinCheck are listed here too, one row per
+ * register row (or contacts row) with the problem as the reason.
+ */
+
+const ExceptionReport = (function() {
+
+  const SHEET_NAME = 'EXCEPTIONS';
+
+  const HEADERS = ['SOURCE', 'TAB', 'ROW', 'DATE', 'L/F', 'PARTY NAME', 'DOC NO', 'AMOUNT', 'REASON'];
+
+  const REASONS = {
+    BLANK_LF: 'Blank L/F',
+    MALFORMED_ID: 'Malformed ID',
+    NOT_IN_CONTACTS: 'ID not in contacts',
+    NO_CATEGORY: 'No ledger category',
+    SKIPPED: 'Skipped by routing rule'
+  };
+
+  // Party IDs look like CG-SUP-0001: org prefix, party type, number
+  const ID_PATTERN = /^[A-Z0-9]+-[A-Z]{3}-\d+$/;
+
+  /**
+   * Finds the reason a transaction should be reported, if any
+   * @param {Object} txn - Transaction from transformRow / fetchBankDataAllTabs
+   * @param {string|null} category - Ledger category from PartyRouting.route (null = not posted)
+   * @param {Object} contacts - Contact map from fetchAllContacts (empty = not checked)
+   * @param {boolean} [skipped] - True when a SKIP routing rule matched
+   * @returns {string|null} Reason text, or null when the row is fine
+   */
+  function classify(txn, category, contacts, skipped) {
+    const partyId = String(txn.partyId || '').trim().toUpperCase();
+
+    if (!partyId) return REASONS.BLANK_LF;
+    if (!ID_PATTERN.test(partyId)) return REASONS.MALFORMED_ID;
+    if (!category) return skipped ? REASONS.SKIPPED : REASONS.NO_CATEGORY;
+    if (Object.keys(contacts).length > 0 && !contacts[partyId]) return REASONS.NOT_IN_CONTACTS;
+
+    return null;
+  }
+
+  /**
+   * Builds the EXCEPTIONS sheet rows
+   * @param {Array} exceptions - Entries {txn, reason}
+   * @returns {Array} Row arrays matching HEADERS
+   */
+  function buildRows(exceptions) {
+    return exceptions.map(item => {
+      const txn = item.txn;
+      return [
+        txn.docType || '',
+        txn.sourceTab || '',
+        txn.sourceRow || '',
+        txn.date || '',
+        txn.partyId || '',
+        txn.partyName || '',
+        txn.docNo || '',
+        (parseFloat(txn.debit) || 0) || (parseFloat(txn.credit) || 0),
+        item.reason
+      ];
+    });
+  }
+
+  /**
+   * Rewrites the EXCEPTIONS tab
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Array} exceptions - Entries {txn, reason}
+   * @returns {number} Number of rows written
+   */
+  function write(ss, exceptions) {
+    let sheet = ss.getSheetByName(SHEET_NAME);
+
+    if (!sheet) {
+      sheet = ss.insertSheet(SHEET_NAME);
+    } else {
+      sheet.clear();
+    }
+
+    sheet.getRange(1, 1, 1, HEADERS.length)
+      .setValues([HEADERS])
+      .setFontWeight('bold')
+      .setBackground('#4a86e8')
+      .setFontColor('white');
+    sheet.setFrozenRows(1);
+
+    const rows = buildRows(exceptions);
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, HEADERS.length).setValues(rows);
+      sheet.getRange(2, 4, rows.length, 1).setNumberFormat('dd-mm-yyyy');
+      sheet.getRange(2, 8, rows.length, 1).setNumberFormat('#,##0.00');
+    }
+
+    sheet.setColumnWidth(1, 90);   // Source
+    sheet.setColumnWidth(2, 140);  // Tab
+    sheet.setColumnWidth(3, 60);   // Row
+    sheet.setColumnWidth(4, 95);   // Date
+    sheet.setColumnWidth(5, 120);  // L/F
+    sheet.setColumnWidth(6, 220);  // Party name
+    sheet.setColumnWidth(7, 110);  // Doc no
+    sheet.setColumnWidth(8, 105);  // Amount
+    sheet.setColumnWidth(9, 300);  // Reason
+
+    return rows.length;
+  }
+
+  // Public API
+  return {
+    SHEET_NAME,
+    REASONS,
+    classify,
+    buildRows,
+    write
+  };
+
+})();
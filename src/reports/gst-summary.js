@@ -0,0 +1,231 @@
+/**
+ * GST Summary Module
+ * Input vs output tax per GST month from the Purchase and Sales registers
+ *
+ * @fileoverview GST_SUMMARY tab, rebuilt on every refresh
+ *
+ * Rows are grouped by the register's GST MONTH column (falling back to the
+ * invoice date when blank). Sales are output tax, purchases input tax:
+ *   NET LIABILITY = OUTPUT TAX - INPUT TAX (negative is a credit carried forward)
+ * A line is inter-state when it has IGST and intra-state when it has CGST / SGST;
+ * lines with only a GST TOTAL go by the GST TYPE column (IGST / INTER vs
+ * CGST / SGST / LOCAL / INTRA), and are left out of the split when that is blank.
+ * Every register row is counted, including rows that reach no ledger
+ * (blank L/F), since they are still on the return. Excluded duplicates are not.
+ */
+
+const GstSummary = (function() {
+
+  const SHEET_NAME = 'GST_SUMMARY';
+
+  const HEADERS = [
+    'GST MONTH',
+    'OUTPUT TAXABLE', 'OUTPUT INTRA-STATE', 'OUTPUT INTER-STATE', 'OUTPUT IGST', 'OUTPUT CGST', 'OUTPUT SGST', 'OUTPUT TAX',
+    'INPUT TAXABLE', 'INPUT INTRA-STATE', 'INPUT INTER-STATE', 'INPUT IGST', 'INPUT CGST', 'INPUT SGST', 'INPUT TAX',
+    'NET LIABILITY'
+  ];
+
+  const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+  /**
+   * Works out the GST month a register line is filed in
+   * @param {Object} txn - Transaction with gstMonth and date
+   * @returns {string} 'yyyy-MM' when it can be read (e.g. APR-2025, 04/2025, 2025-04 or a date),
+   *   otherwise the GST MONTH text as entered, or 'UNDATED'
+   */
+  function getMonthKey(txn) {
+    const raw = txn.gstMonth;
+
+    if (raw instanceof Date && !isNaN(raw.getTime())) {
+      return formatKey(raw.getFullYear(), raw.getMonth());
+    }
+
+    const text = String(raw || '').trim().toUpperCase();
+    if (text) {
+      let match = text.match(/^([A-Z]{3})[A-Z]*[\s\-\/.']*(\d{2}|\d{4})$/);
+      if (match && MONTH_NAMES.indexOf(match[1]) >= 0) {
+        return formatKey(expandYear(match[2]), MONTH_NAMES.indexOf(match[1]));
+      }
+      match = text.match(/^(\d{1,2})[\-\/.](\d{4})$/);
+      if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) {
+        return formatKey(Number(match[2]), Number(match[1]) - 1);
+      }
+      match = text.match(/^(\d{4})[\-\/.](\d{1,2})$/);
+      if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+        return formatKey(Number(match[1]), Number(match[2]) - 1);
+      }
+      return text;
+    }
+
+    const date = txn.date instanceof Date ? txn.date : (txn.date ? new Date(txn.date) : null);
+    if (!date || isNaN(date.getTime())) return 'UNDATED';
+    return formatKey(date.getFullYear(), date.getMonth());
+  }
+
+  function expandYear(text) {
+    return text.length === 2 ? 2000 + Number(text) : Number(text);
+  }
+
+  function formatKey(year, month) {
+    return year + '-' + String(month + 1).padStart(2, '0');
+  }
+
+  /**
+   * Classifies a register line as intra- or inter-state supply
+   * @param {Object} txn - Transaction with igst, cgst, sgst, gstType
+   * @returns {string} 'INTER', 'INTRA' or '' when it cannot be told
+   */
+  function getSupplyType(txn) {
+    if ((parseFloat(txn.igst) || 0) !== 0) return 'INTER';
+    if ((parseFloat(txn.cgst) || 0) !== 0 || (parseFloat(txn.sgst) || 0) !== 0) return 'INTRA';
+
+    const type = String(txn.gstType || '').trim().toUpperCase();
+    if (/IGST|INTER/.test(type)) return 'INTER';
+    if (/CGST|SGST|LOCAL|INTRA/.test(type)) return 'INTRA';
+    return '';
+  }
+
+  function emptySide() {
+    return { taxable: 0, intra: 0, inter: 0, igst: 0, cgst: 0, sgst: 0, tax: 0 };
+  }
+
+  /**
+   * Adds up GST by month
+   * @param {Array} transactions - Fetched transactions (only PURCHASE and SALES are used)
+   * @returns {Object} {months, total}
+   *   months: [{month, output, input, net}] oldest first, where output / input are
+   *   {taxable, intra, inter, igst, cgst, sgst, tax}; intra / inter are taxable values
+   *   total: {output, input, net}
+   */
+  function build(transactions) {
+    const byMonth = {};
+    const total = { output: emptySide(), input: emptySide() };
+
+    for (const txn of transactions) {
+      let sideName;
+      if (txn.docType === 'SALES') {
+        sideName = 'output';
+      } else if (txn.docType === 'PURCHASE') {
+        sideName = 'input';
+      } else {
+        continue;
+      }
+
+      const month = getMonthKey(txn);
+      if (!byMonth[month]) {
+        byMonth[month] = { month: month, output: emptySide(), input: emptySide() };
+      }
+
+      const taxable = parseFloat(txn.taxable) || 0;
+      const supply = getSupplyType(txn);
+      const amounts = {
+        taxable: taxable,
+        intra: supply === 'INTRA' ? taxable : 0,
+        inter: supply === 'INTER' ? taxable : 0,
+        igst: parseFloat(txn.igst) || 0,
+        cgst: parseFloat(txn.cgst) || 0,
+        sgst: parseFloat(txn.sgst) || 0,
+        tax: parseFloat(txn.gst) || 0
+      };
+
+      for (const side of [byMonth[month][sideName], total[sideName]]) {
+        Object.keys(amounts).forEach(key => { side[key] = round(side[key] + amounts[key]); });
+      }
+    }
+
+    const months = Object.keys(byMonth).sort().map(key => {
+      const entry = byMonth[key];
+      entry.net = round(entry.output.tax - entry.input.tax);
+      return entry;
+    });
+    total.net = round(total.output.tax - total.input.tax);
+
+    return { months: months, total: total };
+  }
+
+  function sideValues(side) {
+    return [side.taxable, side.intra, side.inter, side.igst, side.cgst, side.sgst, side.tax];
+  }
+
+  /**
+   * Formats a month key for display
+   * @param {string} key - Key from getMonthKey()
+   * @returns {string} e.g. "APR 2025"; unreadable keys are returned unchanged
+   */
+  function formatMonth(key) {
+    const match = String(key).match(/^(\d{4})-(\d{2})$/);
+    return match ? MONTH_NAMES[Number(match[2]) - 1] + ' ' + match[1] : key;
+  }
+
+  /**
+   * Rewrites the GST_SUMMARY tab
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Object} summary - Result of build()
+   * @returns {number} Number of month rows written
+   */
+  function write(ss, summary) {
+    let sheet = ss.getSheetByName(SHEET_NAME);
+
+    if (!sheet) {
+      sheet = ss.insertSheet(SHEET_NAME);
+    } else {
+      sheet.clear();
+    }
+
+    sheet.getRange(1, 1, 1, HEADERS.length)
+      .setValues([HEADERS])
+      .setFontWeight('bold')
+      .setBackground('#4a86e8')
+      .setFontColor('white')
+      .setWrap(true);
+    sheet.setFrozenRows(1);
+    sheet.setFrozenColumns(1);
+
+    const rows = summary.months.map(entry =>
+      [formatMonth(entry.month)].concat(sideValues(entry.output), sideValues(entry.input), [entry.net]));
+    rows.push(['TOTAL'].concat(sideValues(summary.total.output), sideValues(summary.total.input), [summary.total.net]));
+
+    sheet.getRange(2, 1, rows.length, HEADERS.length).setValues(rows);
+    sheet.getRange(2, 2, rows.length, HEADERS.length - 1).setNumberFormat('#,##0.00');
+
+    const totalRow = rows.length + 1;
+    sheet.getRange(totalRow, 1, 1, HEADERS.length)
+      .setFontWeight('bold')
+      .setBorder(true, null, true, null, null, null);
+    sheet.getRange(2, HEADERS.length, rows.length, 1).setFontWeight('bold');
+
+    sheet.setColumnWidth(1, 100);
+    for (let col = 2; col <= HEADERS.length; col++) {
+      sheet.setColumnWidth(col, 110);
+    }
+
+    return summary.months.length;
+  }
+
+  /**
+   * Formats the totals for RUN_LOG
+   * @param {Object} summary - Result of build()
+   * @returns {string} e.g. "Output 1800.00, Input 900.00, Net liability 900.00"
+   */
+  function formatResult(summary) {
+    return 'Output ' + summary.total.output.tax.toFixed(2) +
+      ', Input ' + summary.total.input.tax.toFixed(2) +
+      ', Net liability ' + summary.total.net.toFixed(2);
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Public API
+  return {
+    SHEET_NAME,
+    getMonthKey,
+    getSupplyType,
+    build,
+    formatMonth,
+    write,
+    formatResult
+  };
+
+})();
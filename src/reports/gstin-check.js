@@ -0,0 +1,185 @@
+/**
+ * GSTIN Check Module
+ * Validates GST numbers in the registers and the contact master
+ *
+ * @fileoverview GSTIN problems for the EXCEPTIONS tab and Ledger Master
+ *
+ * A GSTIN is 15 characters: 2-digit state code, 10-character PAN, entity
+ * number, 'Z', and a check character (mod 36 over the first 14).
+ * Three things are checked:
+ *   1. Structure and check character of every GSTIN
+ *   2. Contact GSTIN state code against the contact's STATE column
+ *   3. Register GSTIN (PUR_GST_NUMBER_COL / SAL_BILLING_GST_COL) against the
+ *      contact's GSTIN for the same L/F
+ * A blank register GSTIN is not compared (unregistered / B2C sale), and a
+ * STATE the module does not recognise is not compared either.
+ */
+
+const GstinCheck = (function() {
+
+  const CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+  const PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+  // GST state codes with the names (and old names) a STATE column may use
+  const STATES = {
+    '01': ['JAMMU AND KASHMIR', 'J&K'],
+    '02': ['HIMACHAL PRADESH'],
+    '03': ['PUNJAB'],
+    '04': ['CHANDIGARH'],
+    '05': ['UTTARAKHAND', 'UTTARANCHAL'],
+    '06': ['HARYANA'],
+    '07': ['DELHI', 'NEW DELHI', 'NCT OF DELHI'],
+    '08': ['RAJASTHAN'],
+    '09': ['UTTAR PRADESH'],
+    '10': ['BIHAR'],
+    '11': ['SIKKIM'],
+    '12': ['ARUNACHAL PRADESH'],
+    '13': ['NAGALAND'],
+    '14': ['MANIPUR'],
+    '15': ['MIZORAM'],
+    '16': ['TRIPURA'],
+    '17': ['MEGHALAYA'],
+    '18': ['ASSAM'],
+    '19': ['WEST BENGAL'],
+    '20': ['JHARKHAND'],
+    '21': ['ODISHA', 'ORISSA'],
+    '22': ['CHHATTISGARH', 'CHATTISGARH'],
+    '23': ['MADHYA PRADESH'],
+    '24': ['GUJARAT'],
+    '25': ['DAMAN AND DIU', 'DADRA AND NAGAR HAVELI AND DAMAN AND DIU'],
+    '26': ['DADRA AND NAGAR HAVELI', 'DADRA AND NAGAR HAVELI AND DAMAN AND DIU'],
+    '27': ['MAHARASHTRA'],
+    '28': ['ANDHRA PRADESH'],
+    '29': ['KARNATAKA'],
+    '30': ['GOA'],
+    '31': ['LAKSHADWEEP'],
+    '32': ['KERALA'],
+    '33': ['TAMIL NADU'],
+    '34': ['PUDUCHERRY', 'PONDICHERRY'],
+    '35': ['ANDAMAN AND NICOBAR ISLANDS', 'ANDAMAN AND NICOBAR'],
+    '36': ['TELANGANA'],
+    '37': ['ANDHRA PRADESH'],
+    '38': ['LADAKH'],
+    '97': ['OTHER TERRITORY'],
+    '99': ['CENTRE JURISDICTION']
+  };
+
+  /**
+   * Computes the check character for the first 14 characters of a GSTIN
+   * @param {string} base - First 14 characters, upper case
+   * @returns {string} Expected 15th character
+   */
+  function computeCheckChar(base) {
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+      const product = CHARSET.indexOf(base.charAt(i)) * (i % 2 === 0 ? 1 : 2);
+      sum += Math.floor(product / 36) + (product % 36);
+    }
+    return CHARSET.charAt((36 - (sum % 36)) % 36);
+  }
+
+  /**
+   * Validates a GSTIN
+   * @param {string} value - GSTIN as entered
+   * @returns {Object} {gstin, valid, error, stateCode}
+   *   gstin is the cleaned value (upper case, spaces removed); error is '' when valid
+   */
+  function validate(value) {
+    const gstin = normalize(value);
+    const result = { gstin: gstin, valid: false, error: '', stateCode: gstin.substring(0, 2) };
+
+    if (gstin.length !== 15) {
+      result.error = 'should be 15 characters';
+    } else if (!PATTERN.test(gstin)) {
+      result.error = 'bad format';
+    } else if (!STATES[result.stateCode]) {
+      result.error = 'unknown state code ' + result.stateCode;
+    } else if (computeCheckChar(gstin) !== gstin.charAt(14)) {
+      result.error = 'bad check character';
+    } else {
+      result.valid = true;
+    }
+
+    return result;
+  }
+
+  function normalize(value) {
+    return String(value || '').toUpperCase().replace(/[\s\-.]/g, '');
+  }
+
+  function normalizeState(value) {
+    return String(value || '').toUpperCase()
+      .replace(/&/g, ' AND ')
+      .replace(/[^A-Z]/g, '');
+  }
+
+  /**
+   * Finds the state codes a STATE value refers to
+   * @param {string} state - STATE column value (name or 2-digit code)
+   * @returns {Array} Matching codes (Andhra Pradesh has two), empty when not recognised
+   */
+  function getStateCodes(state) {
+    const text = String(state || '').trim();
+    const code = text.padStart(2, '0');
+    if (/^\d{1,2}$/.test(text) && STATES[code]) return [code];
+
+    const name = normalizeState(text);
+    if (!name) return [];
+    return Object.keys(STATES).filter(key =>
+      STATES[key].some(candidate => normalizeState(candidate) === name));
+  }
+
+  /**
+   * Checks a contact's own GSTIN
+   * @param {Object} contact - Contact from fetchAllContacts ({gst, state})
+   * @returns {string|null} Problem text, or null when fine or blank
+   */
+  function checkContact(contact) {
+    if (!normalize(contact.gst)) return null;
+
+    const check = validate(contact.gst);
+    if (!check.valid) return 'Invalid contact GSTIN ' + check.gstin + ': ' + check.error;
+
+    const codes = getStateCodes(contact.state);
+    if (codes.length > 0 && codes.indexOf(check.stateCode) === -1) {
+      return 'Contact GSTIN state ' + check.stateCode + ' does not match STATE ' +
+        String(contact.state).trim().toUpperCase();
+    }
+
+    return null;
+  }
+
+  /**
+   * Checks the GSTIN on a register row against its own format and the contact master
+   * @param {Object} txn - Transaction with gstin and partyId
+   * @param {Object} contacts - Contact map from fetchAllContacts
+   * @returns {string|null} Problem text, or null when fine or blank
+   */
+  function checkRow(txn, contacts) {
+    const gstin = normalize(txn.gstin);
+    if (!gstin) return null;
+
+    const check = validate(gstin);
+    if (!check.valid) return 'Invalid register GSTIN ' + gstin + ': ' + check.error;
+
+    const contact = contacts[String(txn.partyId || '').trim().toUpperCase()];
+    if (!contact) return null;
+
+    const contactGstin = normalize(contact.gst);
+    if (!contactGstin) return 'Register GSTIN ' + gstin + ' missing in contacts';
+    if (contactGstin !== gstin) return 'Register GSTIN ' + gstin + ' differs from contacts ' + contactGstin;
+
+    return null;
+  }
+
+  // Public API
+  return {
+    computeCheckChar,
+    validate,
+    getStateCodes,
+    checkContact,
+    checkRow
+  };
+
+})();
@@ -0,0 +1,303 @@
+/**
+ * Reconciliation Module
+ * Matches bank payments and receipts to open Purchase / Sales invoices
+ *
+ * @fileoverview Bank-to-register reconciliation per party ledger
+ *
+ * Invoices sit on one side of a ledger (purchases credit a supplier, contractor
+ * bills credit a contractor, sales debit a customer); bank lines on the other
+ * side settle them. Matching runs in passes, each pass only seeing what
+ * earlier passes left open:
+ *   1. REFERENCE  - an invoice number appears in the bank reference or particulars
+ *   2. EXACT      - payment equals an open invoice amount
+ *   3. TOLERANCE  - payment within RECON_TOLERANCE of an open invoice amount
+ *   4. MULTIPLE   - payment equals (within tolerance) consecutive open invoices, oldest first
+ * An OPENING BALANCE on the invoice side is treated as one more open invoice.
+ *
+ * Each invoice and bank line gets a status (Matched / Partial / Unmatched),
+ * shown in the STATUS column of the party ledger.
+ *
+ * The bank reference comes from the column headed BANK_REFERENCE_COL. The bank
+ * workbook's RECONCILED column (BANK_RECONCILED_COL) is left alone: it records
+ * whether a line was cleared against the bank statement, kept by hand in a
+ * workbook this script only reads. A cleared line still has to settle its
+ * invoices here, so it is matched like any other bank line.
+ */
+
+const Reconciliation = (function() {
+
+  const SHEET_NAME = 'RECONCILIATION';
+
+  const HEADERS = [
+    'PARTY ID', 'PARTY NAME', 'TYPE', 'BANK DATE', 'BANK TAB', 'BANK REF', 'BANK AMOUNT',
+    'INVOICE NO', 'INVOICE DATE', 'INVOICE AMOUNT', 'ALLOCATED', 'METHOD', 'STATUS'
+  ];
+
+  // Source registers whose rows are invoices / bills
+  const INVOICE_TYPES = ['PURCHASE', 'SALES', 'CONTRACTOR'];
+
+  const STATUS = {
+    MATCHED: 'Matched',
+    PARTIAL: 'Partial',
+    UNMATCHED: 'Unmatched'
+  };
+
+  /**
+   * Reads reconciliation settings from config
+   * @param {Object} config - Configuration object
+   * @returns {Object} {tolerance} - amount difference still treated as a match
+   */
+  function getSettings(config) {
+    const tolerance = parseFloat(config.RECON_TOLERANCE);
+    return {
+      tolerance: isNaN(tolerance) ? 1 : Math.abs(tolerance)
+    };
+  }
+
+  /**
+   * Reconciles one party ledger and sets reconStatus on its entries
+   * @param {Object} ledger - Ledger with ledgerCategory and transactions
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {Object} {invoices, payments, allocations}
+   */
+  function reconcileLedger(ledger, settings) {
+    // Suppliers and contractors: invoices are credits, payments debits. Customers: the reverse.
+    const invoiceSide = ledger.ledgerCategory === 'SU' || ledger.ledgerCategory === 'CO' ? 'credit' : 'debit';
+    const paymentSide = invoiceSide === 'credit' ? 'debit' : 'credit';
+    const tolerance = settings.tolerance;
+
+    const invoices = [];
+    const payments = [];
+
+    for (const txn of ledger.transactions) {
+      const invoiceAmount = parseFloat(txn[invoiceSide]) || 0;
+      const paymentAmount = parseFloat(txn[paymentSide]) || 0;
+
+      if ((INVOICE_TYPES.indexOf(txn.docType) >= 0 || txn.isOpening) && invoiceAmount > 0) {
+        invoices.push({ txn: txn, amount: invoiceAmount, open: invoiceAmount, allocated: 0 });
+      } else if (txn.docType === 'BANK' && paymentAmount > 0) {
+        payments.push({ txn: txn, amount: paymentAmount, open: paymentAmount, allocated: 0 });
+      }
+    }
+
+    const allocations = [];
+
+    function allocate(payment, invoice, amount, method) {
+      const value = round(Math.min(amount, payment.open));
+      payment.open = round(payment.open - value);
+      payment.allocated = round(payment.allocated + value);
+      invoice.open = round(invoice.open - value);
+      invoice.allocated = round(invoice.allocated + value);
+      allocations.push({ payment: payment, invoice: invoice, amount: value, method: method });
+    }
+
+    // Settle an invoice fully when the payment is within tolerance of it
+    function settle(payment, invoice, method) {
+      const value = Math.min(payment.open, invoice.open);
+      allocate(payment, invoice, value, method);
+      if (invoice.open <= tolerance) invoice.open = 0;
+      if (payment.open <= tolerance) payment.open = 0;
+    }
+
+    const openInvoices = () => invoices.filter(inv => inv.open > 0);
+
+    // Pass 1: invoice numbers quoted in the bank reference / particulars
+    for (const payment of payments) {
+      const tokens = tokenize(payment.txn.reference + ' ' + payment.txn.docNo + ' ' + payment.txn.particulars);
+      for (const invoice of openInvoices()) {
+        if (payment.open <= 0) break;
+        const invoiceNo = normalizeRef(invoice.txn.docNo);
+        if (invoiceNo.length >= 3 && tokens.indexOf(invoiceNo) >= 0) {
+          allocate(payment, invoice, Math.min(payment.open, invoice.open), 'REFERENCE');
+          if (payment.open <= tolerance) payment.open = 0;
+        }
+      }
+    }
+
+    // Pass 2: exact amount
+    for (const payment of payments) {
+      if (payment.open <= 0) continue;
+      const invoice = openInvoices().find(inv => inv.open === payment.open);
+      if (invoice) settle(payment, invoice, 'EXACT');
+    }
+
+    // Pass 3: amount within tolerance
+    for (const payment of payments) {
+      if (payment.open <= 0) continue;
+      const invoice = openInvoices().find(inv => Math.abs(inv.open - payment.open) <= tolerance);
+      if (invoice) settle(payment, invoice, 'TOLERANCE');
+    }
+
+    // Pass 4: one payment settling several consecutive open invoices
+    for (const payment of payments) {
+      if (payment.open <= 0) continue;
+      const group = findInvoiceRun(openInvoices(), payment.open, tolerance);
+      if (!group) continue;
+
+      group.forEach(invoice => allocate(payment, invoice, invoice.open, 'MULTIPLE'));
+      if (payment.open <= tolerance) payment.open = 0;
+    }
+
+    for (const item of invoices.concat(payments)) {
+      item.status = getStatus(item, tolerance);
+      item.txn.reconStatus = item.status;
+    }
+
+    return { invoices: invoices, payments: payments, allocations: allocations };
+  }
+
+  /**
+   * Finds consecutive open invoices (oldest first) adding up to an amount
+   * @returns {Array|null} Invoices, or null when no run of two or more matches
+   */
+  function findInvoiceRun(openInvoices, amount, tolerance) {
+    for (let start = 0; start < openInvoices.length; start++) {
+      let total = 0;
+      for (let end = start; end < openInvoices.length; end++) {
+        total = round(total + openInvoices[end].open);
+        if (total > amount + tolerance) break;
+        if (end > start && Math.abs(total - amount) <= tolerance) {
+          return openInvoices.slice(start, end + 1);
+        }
+      }
+    }
+    return null;
+  }
+
+  function getStatus(item, tolerance) {
+    if (item.allocated <= 0) return STATUS.UNMATCHED;
+    if (item.open <= tolerance) return STATUS.MATCHED;
+    return STATUS.PARTIAL;
+  }
+
+  /**
+   * Splits bank text into normalized reference tokens
+   */
+  function tokenize(text) {
+    return String(text || '')
+      .split(/[\s,;:|()]+/)
+      .map(normalizeRef)
+      .filter(token => token);
+  }
+
+  function normalizeRef(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Builds RECONCILIATION rows: one per allocation, then whatever is left open
+   * @param {Array} results - Entries {ledger, result} from reconcileLedger()
+   * @returns {Array} Row arrays matching HEADERS
+   */
+  function buildRows(results) {
+    const rows = [];
+
+    for (const entry of results) {
+      const ledger = entry.ledger;
+      const result = entry.result;
+      const party = [ledger.id, ledger.name || '', '[' + ledger.ledgerCategory + ']'];
+
+      for (const allocation of result.allocations) {
+        rows.push(party.concat(
+          bankCells(allocation.payment),
+          invoiceCells(allocation.invoice),
+          [allocation.amount, allocation.method, allocation.invoice.status]
+        ));
+      }
+
+      for (const payment of result.payments) {
+        if (payment.status === STATUS.MATCHED) continue;
+        rows.push(party.concat(bankCells(payment), ['', '', ''], [payment.open, 'OPEN PAYMENT', payment.status]));
+      }
+
+      for (const invoice of result.invoices) {
+        if (invoice.status === STATUS.MATCHED) continue;
+        rows.push(party.concat(['', '', '', ''], invoiceCells(invoice), [invoice.open, 'OPEN INVOICE', invoice.status]));
+      }
+    }
+
+    return rows;
+  }
+
+  function bankCells(payment) {
+    const txn = payment.txn;
+    return [txn.date || '', txn.sourceTab || '', txn.reference || txn.docNo || '', payment.amount];
+  }
+
+  function invoiceCells(invoice) {
+    const txn = invoice.txn;
+    return [txn.isOpening ? txn.particulars : (txn.docNo || ''), txn.date || '', invoice.amount];
+  }
+
+  /**
+   * Rewrites the RECONCILIATION tab
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Array} results - Entries {ledger, result}
+   * @returns {number} Number of rows written
+   */
+  function write(ss, results) {
+    let sheet = ss.getSheetByName(SHEET_NAME);
+
+    if (!sheet) {
+      sheet = ss.insertSheet(SHEET_NAME);
+    } else {
+      sheet.clear();
+    }
+
+    sheet.getRange(1, 1, 1, HEADERS.length)
+      .setValues([HEADERS])
+      .setFontWeight('bold')
+      .setBackground('#4a86e8')
+      .setFontColor('white');
+    sheet.setFrozenRows(1);
+
+    const rows = buildRows(results);
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, HEADERS.length).setValues(rows);
+      sheet.getRange(2, 4, rows.length, 1).setNumberFormat('dd-mm-yyyy');
+      sheet.getRange(2, 9, rows.length, 1).setNumberFormat('dd-mm-yyyy');
+      sheet.getRange(2, 7, rows.length, 1).setNumberFormat('#,##0.00');
+      sheet.getRange(2, 10, rows.length, 2).setNumberFormat('#,##0.00');
+    }
+
+    const widths = [120, 220, 60, 95, 120, 140, 105, 120, 95, 105, 105, 110, 90];
+    widths.forEach((width, i) => sheet.setColumnWidth(i + 1, width));
+
+    return rows.length;
+  }
+
+  /**
+   * Counts invoices and bank lines by status
+   * @param {Array} results - Entries {ledger, result}
+   * @returns {Object} {matched, partial, unmatched}
+   */
+  function summarize(results) {
+    const summary = { matched: 0, partial: 0, unmatched: 0 };
+
+    for (const entry of results) {
+      for (const item of entry.result.invoices.concat(entry.result.payments)) {
+        if (item.status === STATUS.MATCHED) summary.matched++;
+        else if (item.status === STATUS.PARTIAL) summary.partial++;
+        else summary.unmatched++;
+      }
+    }
+
+    return summary;
+  }
+
+  // Public API
+  return {
+    SHEET_NAME,
+    STATUS,
+    getSettings,
+    reconcileLedger,
+    buildRows,
+    write,
+    summarize
+  };
+
+})();
@@ -0,0 +1,281 @@
+/**
+ * Statements Module
+ * Party ledgers exported to PDF for sending to parties
+ *
+ * @fileoverview PDF export of ledger tabs and the STATEMENTS tab
+ *
+ * Each ledger tab is exported through the spreadsheet's PDF export URL,
+ * columns A:G, A4 portrait at fit-to-width. That covers the transactions,
+ * totals and the whole OUTSTANDING BILLS block (days overdue included); the
+ * transactions' reconciliation STATUS (H) and hidden source column (I) are
+ * internal and left out. Files are saved to the Drive folder
+ * in STATEMENTS_FOLDER_ID as <ORG>_<PARTYID>_<FY>.pdf, replacing an earlier
+ * file of the same name; a party with more than one ledger gets the category
+ * too (<ORG>_<PARTYID>_<SU>_<FY>.pdf). Every export, saved or failed, is
+ * appended to the STATEMENTS tab.
+ *
+ * Ledgers to export are read from Ledger Master (PartyLedger.readLedgerMaster)
+ * and chosen with a filter:
+ *   blank or *   - every ledger
+ *   SU / [CU]    - every ledger of that category
+ *   CG-SUP-*     - party IDs matching the pattern
+ * Several filters can be given comma-separated; a ledger matching any is exported.
+ */
+
+const Statements = (function() {
+
+  const SHEET_NAME = 'STATEMENTS';
+
+  const HEADERS = ['GENERATED AT', 'PARTY ID', 'PARTY NAME', 'TYPE', 'FILE NAME', 'LINK', 'FILE ID', 'STATUS'];
+
+  // Exported columns of a party ledger
+  const EXPORT_COLUMNS = 'A1:G';
+
+  // Stop starting new exports after this long (Apps Script limit is 6 min)
+  const MAX_RUN_MS = 4.5 * 60 * 1000;
+
+  /**
+   * Reads statement settings from config
+   * @param {Object} config - Configuration object
+   * @returns {Object} {folderId, orgCode, financialYear, errors}
+   */
+  function getSettings(config) {
+    return DriveFiles.getSettings(config, 'STATEMENTS_FOLDER_ID');
+  }
+
+  /**
+   * Picks the ledgers matching a filter
+   * @param {Array} ledgers - Ledgers from PartyLedger.readLedgerMaster()
+   * @param {string} filter - e.g. '', 'SU', '[CU]', 'CG-SUP-*', 'SU, CG-CUS-0001'
+   * @returns {Array} Matching ledgers in their original order
+   */
+  function selectLedgers(ledgers, filter) {
+    const terms = String(filter || '').split(',')
+      .map(term => term.trim().toUpperCase().replace(/[\[\]]/g, ''))
+      .filter(term => term);
+
+    if (terms.length === 0 || terms.indexOf('*') >= 0) return ledgers.slice();
+
+    const matchers = terms.map(term => {
+      if (PartyLedger.CATEGORIES[term]) return ledger => ledger.ledgerCategory === term;
+      const pattern = new RegExp('^' + term.split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+      return ledger => pattern.test(ledger.id);
+    });
+
+    return ledgers.filter(ledger => matchers.some(matches => matches(ledger)));
+  }
+
+  /**
+   * Builds the PDF file name for a ledger
+   * @param {Object} settings - Settings from getSettings()
+   * @param {Object} ledger - Ledger {id, ledgerCategory}
+   * @param {boolean} [withCategory] - Add the category (party has more than one ledger)
+   * @returns {string} e.g. "CM_CG-SUP-0001_2025-26.pdf"
+   */
+  function buildFileName(settings, ledger, withCategory) {
+    const parts = [settings.orgCode, ledger.id];
+    if (withCategory) parts.push(ledger.ledgerCategory);
+    parts.push(settings.financialYear);
+
+    return DriveFiles.buildFileName(parts, 'pdf');
+  }
+
+  /**
+   * Builds the PDF export URL for one ledger tab
+   * @param {string} spreadsheetId - Spreadsheet ID
+   * @param {number} gid - Sheet ID of the ledger tab
+   * @param {number} lastRow - Last row to include
+   * @returns {string} Export URL
+   */
+  function buildExportUrl(spreadsheetId, gid, lastRow) {
+    const params = {
+      format: 'pdf',
+      gid: gid,
+      range: EXPORT_COLUMNS + lastRow,
+      size: 'A4',
+      portrait: 'true',
+      fitw: 'true',
+      gridlines: 'false',
+      printtitle: 'false',
+      sheetnames: 'false',
+      pagenum: 'CENTER',
+      fzr: 'false',
+      top_margin: '0.5',
+      bottom_margin: '0.5',
+      left_margin: '0.5',
+      right_margin: '0.5'
+    };
+
+    return 'https://docs.google.com/spreadsheets/d/' + spreadsheetId + '/export?' +
+      Object.keys(params).map(key => key + '=' + encodeURIComponent(params[key])).join('&');
+  }
+
+  /**
+   * Exports one ledger tab to PDF and saves it to the folder
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Folder} folder - Drive folder
+   * @param {Object} ledger - Ledger {id, name, ledgerCategory}
+   * @param {string} fileName - PDF file name
+   * @returns {Object} {ledger, fileName, fileId, url, status, error}
+   */
+  function exportLedger(ss, folder, ledger, fileName) {
+    const result = { ledger: ledger, fileName: fileName, fileId: '', url: '', status: 'pending', error: null };
+
+    try {
+      const sheet = ss.getSheetByName(PartyLedger.buildSheetName(ledger.id, ledger.ledgerCategory));
+      if (!sheet) throw new Error('Ledger tab not found - run Create All Ledgers');
+
+      const response = UrlFetchApp.fetch(buildExportUrl(ss.getId(), sheet.getSheetId(), sheet.getLastRow()), {
+        headers: { Authorization: 'Bearer ' + ScriptApp.getOAuthToken() },
+        muteHttpExceptions: true
+      });
+      if (response.getResponseCode() !== 200) {
+        throw new Error('PDF export failed (HTTP ' + response.getResponseCode() + ')');
+      }
+
+      // Replaces last month's statement rather than piling up copies
+      const file = DriveFiles.save(folder, fileName, response.getBlob());
+      result.fileId = file.fileId;
+      result.url = file.url;
+      result.status = 'SAVED';
+
+    } catch (error) {
+      result.status = 'ERROR';
+      result.error = error.message;
+      Logger.log('Statement export error for ' + ledger.id + ': ' + error.message);
+    }
+
+    return result;
+  }
+
+  /**
+   * Sets up an export run: opens the folder and works out file names
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Object} settings - Settings from getSettings()
+   * @returns {Function} function(ledger) exporting one ledger, returning an exportLedger() result
+   * @throws {Error} When the settings have errors
+   */
+  function startExport(ss, settings) {
+    const folder = DriveFiles.openFolder(settings);
+
+    // Party IDs with more than one ledger need the category in the file name
+    const counts = {};
+    for (const ledger of PartyLedger.readLedgerMaster(ss)) {
+      counts[ledger.id] = (counts[ledger.id] || 0) + 1;
+    }
+
+    // Ledger tabs must be written out before the export URL reads them
+    SpreadsheetApp.flush();
+
+    return ledger => exportLedger(ss, folder, ledger,
+      buildFileName(settings, ledger, (counts[ledger.id] || 0) > 1));
+  }
+
+  /**
+   * Exports ledgers to PDF, stopping before the execution time limit
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Array} ledgers - Ledgers to export (from selectLedgers)
+   * @param {Object} settings - Settings from getSettings()
+   * @param {number} [startTime] - Execution start (ms), used for the time budget
+   * @returns {Object} {results, saved, failed, remaining} - remaining were not reached in time
+   */
+  function exportLedgers(ss, ledgers, settings, startTime) {
+    const exportOne = startExport(ss, settings);
+    const deadline = (startTime || Date.now()) + MAX_RUN_MS;
+
+    const results = [];
+    for (const ledger of ledgers) {
+      if (Date.now() > deadline) break;
+      results.push(exportOne(ledger));
+    }
+
+    return {
+      results: results,
+      saved: results.filter(result => result.status === 'SAVED').length,
+      failed: results.filter(result => result.status === 'ERROR').length,
+      remaining: ledgers.length - results.length
+    };
+  }
+
+  /**
+   * Builds STATEMENTS rows for export results
+   * @param {Array} results - Results from exportLedger()
+   * @param {Date} generatedAt - Time of the export run
+   * @returns {Array} Row arrays matching HEADERS
+   */
+  function buildRows(results, generatedAt) {
+    return results.map(result => [
+      generatedAt,
+      result.ledger.id,
+      result.ledger.name || '',
+      '[' + result.ledger.ledgerCategory + ']',
+      result.fileName,
+      result.url ? '=HYPERLINK("' + result.url + '", "Open PDF")' : '',
+      result.fileId,
+      result.status === 'ERROR' ? 'ERROR: ' + result.error : result.status
+    ]);
+  }
+
+  /**
+   * Appends export results to the STATEMENTS tab (newest at the bottom)
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Array} results - Results from exportLedger()
+   * @param {Date} [generatedAt] - Time of the export run (default now)
+   * @returns {number} Number of rows written
+   */
+  function record(ss, results, generatedAt) {
+    let sheet = ss.getSheetByName(SHEET_NAME);
+
+    if (!sheet) {
+      sheet = ss.insertSheet(SHEET_NAME);
+      sheet.getRange(1, 1, 1, HEADERS.length)
+        .setValues([HEADERS])
+        .setFontWeight('bold')
+        .setBackground('#4a86e8')
+        .setFontColor('white');
+      sheet.setFrozenRows(1);
+
+      const widths = [140, 120, 220, 60, 240, 80, 120, 200];
+      widths.forEach((width, i) => sheet.setColumnWidth(i + 1, width));
+    }
+
+    const rows = buildRows(results, generatedAt || new Date());
+    if (rows.length === 0) return 0;
+
+    const startRow = sheet.getLastRow() + 1;
+    sheet.getRange(startRow, 1, rows.length, HEADERS.length).setValues(rows);
+    sheet.getRange(startRow, 1, rows.length, 1).setNumberFormat('dd-mm-yyyy hh:mm');
+
+    return rows.length;
+  }
+
+  /**
+   * Formats an export run for RUN_LOG and dialogs
+   * @param {Object} run - Result of exportLedgers()
+   * @returns {string} e.g. "Saved: 12, Failed: 1, Not reached: 30"
+   */
+  function formatResult(run) {
+    let text = 'Saved: ' + run.saved + ', Failed: ' + run.failed;
+    if (run.remaining > 0) text += ', Not reached: ' + run.remaining;
+    return text;
+  }
+
+  // Public API
+  return {
+    SHEET_NAME,
+    HEADERS,
+    MAX_RUN_MS,
+    getSettings,
+    selectLedgers,
+    buildFileName,
+    buildExportUrl,
+    exportLedger,
+    startExport,
+    exportLedgers,
+    buildRows,
+    record,
+    formatResult
+  };
+
+})();
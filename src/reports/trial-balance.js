@@ -0,0 +1,213 @@
+/**
+ * Trial Balance Module
+ * Account-head totals for everything posted to party ledgers
+ *
+ * @fileoverview TRIAL BALANCE tab, rebuilt on every refresh
+ *
+ * Every party ledger line has a counterpart account head:
+ *   PURCHASE   - PURCHASE - <PUR_ACCOUNT_COL> (EXPENSE - <account> when PUR_EXPENSE_COL
+ *                is ticked) for the taxable value, with the GST TOTAL going to GST INPUT
+ *   SALES      - SALES - <SAL_TYPE_COL> for the taxable value, with the GST TOTAL
+ *                going to GST OUTPUT
+ *   CONTRACTOR - CONTRACTOR BILLS
+ *   BANK       - BANK - <bank tab>
+ *   OPENING    - OPENING BALANCES B/F
+ * Party control lines are the [SU] / [CO] / [CU] ledger totals. Register heads
+ * are posted from the register's own ASS. VALUE and GST TOTAL rather than the
+ * grand total the party was charged, so a difference means a register row
+ * whose taxable value and GST do not add up to its total, or a ledger total
+ * that does not match its lines.
+ * Rows that reach no ledger (see EXCEPTIONS) are not included.
+ */
+
+const TrialBalance = (function() {
+
+  const SHEET_NAME = 'TRIAL BALANCE';
+
+  const HEADERS = ['GROUP', 'ACCOUNT', 'DEBIT', 'CREDIT'];
+
+  // Groups in the order they are listed
+  const GROUPS = {
+    PURCHASE: 'PURCHASE ACCOUNTS',
+    EXPENSE: 'EXPENSES',
+    CONTRACTOR: 'CONTRACTOR BILLS',
+    SALES: 'SALES ACCOUNTS',
+    GST: 'DUTIES & TAXES',
+    BANK: 'BANK ACCOUNTS',
+    CONTROL: 'PARTY CONTROL',
+    OPENING: 'OPENING BALANCES'
+  };
+  const GROUP_ORDER = Object.keys(GROUPS).map(key => GROUPS[key]);
+
+  const CONTROL_ACCOUNTS = {
+    SU: 'SUNDRY CREDITORS [SU]',
+    CO: 'CONTRACTORS [CO]',
+    CU: 'SUNDRY DEBTORS [CU]'
+  };
+
+  /**
+   * Builds the trial balance from ledgers
+   * @param {Array} ledgers - Ledger objects with ledgerCategory, transactions, totalDebit, totalCredit
+   * @returns {Object} {lines, totalDebit, totalCredit, difference}
+   *   lines: [{group, account, debit, credit}], each account netted to one side; nil balances left out
+   */
+  function build(ledgers) {
+    const accounts = {};
+
+    function post(group, account, debit, credit) {
+      const key = group + '|' + account;
+      if (!accounts[key]) {
+        accounts[key] = { group: group, account: account, debit: 0, credit: 0 };
+      }
+      accounts[key].debit = round(accounts[key].debit + debit);
+      accounts[key].credit = round(accounts[key].credit + credit);
+    }
+
+    for (const ledger of ledgers) {
+      const control = CONTROL_ACCOUNTS[ledger.ledgerCategory] || CONTROL_ACCOUNTS.CU;
+      post(GROUPS.CONTROL, control, round(ledger.totalDebit || 0), round(ledger.totalCredit || 0));
+
+      for (const txn of ledger.transactions) {
+        // The counterpart takes the opposite side of the party posting
+        const debit = parseFloat(txn.credit) || 0;
+        const credit = parseFloat(txn.debit) || 0;
+        if (debit === 0 && credit === 0) continue;
+
+        if (txn.isOpening) {
+          post(GROUPS.OPENING, 'OPENING BALANCES B/F', debit, credit);
+        } else if (txn.docType === 'PURCHASE') {
+          const head = txn.isExpense ?
+            [GROUPS.EXPENSE, 'EXPENSE - ' + accountName(txn)] :
+            [GROUPS.PURCHASE, 'PURCHASE - ' + accountName(txn)];
+          postRegisterLine(post, head, 'GST INPUT', txn, debit, credit);
+        } else if (txn.docType === 'SALES') {
+          postRegisterLine(post, [GROUPS.SALES, 'SALES - ' + accountName(txn)], 'GST OUTPUT', txn, debit, credit);
+        } else if (txn.docType === 'CONTRACTOR') {
+          post(GROUPS.CONTRACTOR, 'CONTRACTOR BILLS', debit, credit);
+        } else if (txn.docType === 'BANK') {
+          post(GROUPS.BANK, 'BANK - ' + (String(txn.sourceTab || '').trim() || 'UNNAMED TAB'), debit, credit);
+        } else {
+          post(GROUPS.OPENING, 'UNCLASSIFIED', debit, credit);
+        }
+      }
+    }
+
+    const lines = Object.keys(accounts)
+      .map(key => netAccount(accounts[key]))
+      .filter(line => line.debit !== 0 || line.credit !== 0)
+      .sort((a, b) => GROUP_ORDER.indexOf(a.group) - GROUP_ORDER.indexOf(b.group) ||
+        a.account.localeCompare(b.account));
+
+    const totalDebit = round(lines.reduce((sum, line) => sum + line.debit, 0));
+    const totalCredit = round(lines.reduce((sum, line) => sum + line.credit, 0));
+
+    return {
+      lines: lines,
+      totalDebit: totalDebit,
+      totalCredit: totalCredit,
+      difference: round(totalDebit - totalCredit)
+    };
+  }
+
+  /**
+   * Posts a register line's taxable value to its account head and its GST
+   * Rows without a taxable value (older data) use the line amount less GST
+   */
+  function postRegisterLine(post, head, gstAccount, txn, debit, credit) {
+    const gst = round(parseFloat(txn.gst) || 0);
+    const hasTaxable = txn.taxable !== undefined && txn.taxable !== null && txn.taxable !== '';
+    const taxable = hasTaxable ? round(parseFloat(txn.taxable) || 0) : round((debit || credit) - gst);
+
+    post(head[0], head[1], debit ? taxable : 0, credit ? taxable : 0);
+    if (gst !== 0) {
+      post(GROUPS.GST, gstAccount, debit ? gst : 0, credit ? gst : 0);
+    }
+  }
+
+  function accountName(txn) {
+    return String(txn.account || '').trim().toUpperCase() || 'UNSPECIFIED';
+  }
+
+  function netAccount(account) {
+    const balance = round(account.debit - account.credit);
+    return {
+      group: account.group,
+      account: account.account,
+      debit: balance > 0 ? balance : 0,
+      credit: balance < 0 ? -balance : 0
+    };
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Rewrites the TRIAL BALANCE tab
+   * @param {Spreadsheet} ss - Active spreadsheet
+   * @param {Object} trialBalance - Result of build()
+   * @returns {number} Number of account lines written
+   */
+  function write(ss, trialBalance) {
+    let sheet = ss.getSheetByName(SHEET_NAME);
+
+    if (!sheet) {
+      sheet = ss.insertSheet(SHEET_NAME);
+    } else {
+      sheet.clear();
+    }
+
+    sheet.getRange(1, 1, 1, HEADERS.length)
+      .setValues([HEADERS])
+      .setFontWeight('bold')
+      .setBackground('#4a86e8')
+      .setFontColor('white');
+    sheet.setFrozenRows(1);
+
+    const rows = trialBalance.lines.map(line => [line.group, line.account, line.debit || '', line.credit || '']);
+    rows.push(['', 'TOTAL', trialBalance.totalDebit, trialBalance.totalCredit]);
+
+    sheet.getRange(2, 1, rows.length, HEADERS.length).setValues(rows);
+    sheet.getRange(2, 3, rows.length, 2).setNumberFormat('#,##0.00');
+
+    const totalRow = rows.length + 1;
+    sheet.getRange(totalRow, 1, 1, HEADERS.length)
+      .setFontWeight('bold')
+      .setBorder(true, null, true, null, null, null);
+
+    if (trialBalance.difference !== 0) {
+      sheet.getRange(totalRow + 1, 2, 1, 2)
+        .setValues([['DIFFERENCE (DR - CR)', trialBalance.difference]])
+        .setFontWeight('bold')
+        .setFontColor('#cc0000');
+      sheet.getRange(totalRow + 1, 3).setNumberFormat('#,##0.00');
+    }
+
+    const widths = [160, 260, 120, 120];
+    widths.forEach((width, i) => sheet.setColumnWidth(i + 1, width));
+
+    return trialBalance.lines.length;
+  }
+
+  /**
+   * Formats the result for RUN_LOG
+   * @param {Object} trialBalance - Result of build()
+   * @returns {string} e.g. "Balanced: Dr 1200.00, Cr 1200.00" or
+   *   "Out of balance by 50.00 (Dr 1250.00, Cr 1200.00)"
+   */
+  function formatResult(trialBalance) {
+    const totals = 'Dr ' + trialBalance.totalDebit.toFixed(2) + ', Cr ' + trialBalance.totalCredit.toFixed(2);
+    return trialBalance.difference === 0 ?
+      'Balanced: ' + totals :
+      'Out of balance by ' + Math.abs(trialBalance.difference).toFixed(2) + ' (' + totals + ')';
+  }
+
+  // Public API
+  return {
+    SHEET_NAME,
+    build,
+    write,
+    formatResult
+  };
+
+})();
@@ -0,0 +1,156 @@
+/**
+ * Run Lock Module
+ * Keeps refreshes and ledger writes from running on top of each other
+ *
+ * @fileoverview Document-wide lease lock for runs that rewrite ledger tabs
+ *
+ * Two runs clearing and rewriting the same [SU]/[CU] tabs or the Ledger
+ * Master corrupt each other, so every run that writes ledgers takes a lease
+ * first. The lease lives in the document property RUN_LOCK:
+ *   { token, owner, action, startedAt, expiresAt }
+ * so a blocked user can be told who holds it and since when.
+ * LockService only guards the read-and-write of the lease itself.
+ *
+ * An execution cannot outlive the 6 minute Apps Script limit, so a lease
+ * still present after LEASE_MS was left behind by a run that crashed or was
+ * killed; the next run takes it over and logs the recovery.
+ */
+
+const RunLock = (function() {
+
+  const STATE_KEY = 'RUN_LOCK';
+  const LEASE_MS = 10 * 60 * 1000;
+  const WAIT_MS = 10 * 1000;
+
+  /**
+   * Takes the lease, or reports who holds it
+   * Skipped and recovered runs are written to RUN_LOG
+   * @param {string} action - What the caller is about to do (e.g. "Refresh (MENU)")
+   * @returns {Object} {acquired, token, holder, message}
+   *   holder and message are set when the lease is held by another run
+   */
+  function acquire(action) {
+    const now = Date.now();
+    const guard = getGuard();
+
+    if (!guard.tryLock(WAIT_MS)) {
+      return skip(action, getHolder() || { owner: 'another run', action: '', startedAt: new Date(now).toISOString() });
+    }
+
+    try {
+      const current = readLease();
+
+      if (current && !isExpired(current, now)) {
+        return skip(action, current);
+      }
+
+      if (current) {
+        Init.logRun('LOCK', 'Recovered', 0, 0, 'WARNING', 0,
+          'Released stale lock: ' + describeHolder(current));
+      }
+
+      const lease = {
+        token: Utilities.getUuid(),
+        owner: getUser(),
+        action: action,
+        startedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + LEASE_MS).toISOString()
+      };
+      PropertiesService.getDocumentProperties().setProperty(STATE_KEY, JSON.stringify(lease));
+
+      return { acquired: true, token: lease.token, holder: null, message: '' };
+
+    } finally {
+      guard.releaseLock();
+    }
+  }
+
+  /**
+   * Releases the lease if it is still ours
+   * @param {string} token - Token from acquire()
+   */
+  function release(token) {
+    if (!token) return;
+
+    const guard = getGuard();
+    if (!guard.tryLock(WAIT_MS)) {
+      // Leave it; it expires on its own
+      Logger.log('Could not release run lock ' + token);
+      return;
+    }
+
+    try {
+      const current = readLease();
+      if (current && current.token === token) {
+        PropertiesService.getDocumentProperties().deleteProperty(STATE_KEY);
+      }
+    } finally {
+      guard.releaseLock();
+    }
+  }
+
+  /**
+   * Gets the current lease holder
+   * @returns {Object|null} Lease, or null when free or expired
+   */
+  function getHolder() {
+    const lease = readLease();
+    return lease && !isExpired(lease, Date.now()) ? lease : null;
+  }
+
+  /**
+   * Builds the message shown when a run is blocked
+   * @param {Object} holder - Lease from getHolder()
+   * @returns {string} e.g. "Refresh already in progress by a@b.com since 14:05 (Refresh (TRIGGER))"
+   */
+  function formatBusyMessage(holder) {
+    return 'Refresh already in progress by ' + describeHolder(holder) +
+      '. Try again when it has finished.';
+  }
+
+  function describeHolder(lease) {
+    return (lease.owner || 'another user') + ' since ' + formatTime(lease.startedAt) +
+      (lease.action ? ' (' + lease.action + ')' : '');
+  }
+
+  function skip(action, holder) {
+    const message = formatBusyMessage(holder);
+    Init.logRun('LOCK', 'Skipped ' + action, 0, 0, 'SKIPPED', 0, message);
+    return { acquired: false, token: null, holder: holder, message: message };
+  }
+
+  function isExpired(lease, now) {
+    return new Date(lease.expiresAt).getTime() <= now;
+  }
+
+  function readLease() {
+    const raw = PropertiesService.getDocumentProperties().getProperty(STATE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  function getGuard() {
+    return LockService.getDocumentLock() || LockService.getScriptLock();
+  }
+
+  function getUser() {
+    try {
+      return Session.getEffectiveUser().getEmail() || 'another user';
+    } catch (e) {
+      return 'another user';
+    }
+  }
+
+  function formatTime(isoString) {
+    return Utilities.formatDate(new Date(isoString), Session.getScriptTimeZone(), 'HH:mm');
+  }
+
+  // Public API
+  return {
+    LEASE_MS,
+    acquire,
+    release,
+    getHolder,
+    formatBusyMessage
+  };
+
+})();
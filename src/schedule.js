@@ -0,0 +1,246 @@
+/**
+ * Schedule Module
+ * Installs, lists and removes the time-driven refresh triggers
+ *
+ * @fileoverview Scheduled refresh driven by REFRESH_SCHEDULE in CONFIG
+ *
+ * Schedules:
+ *   OFF      - no scheduled refresh
+ *   HOURLY   - every hour
+ *   NIGHTLY  - every day at REFRESH_HOUR
+ *   WEEKDAYS - Monday to Friday at REFRESH_HOUR
+ * Hours are in the script time zone (appsscript.json).
+ *
+ * Apps Script triggers do not expose their frequency, so what was installed
+ * is recorded in the document property REFRESH_SCHEDULE:
+ *   { schedule, hour, triggerIds, installedAt }
+ * check() compares that record and the live triggers against CONFIG.
+ * Triggers belong to the user who installed them; another user's triggers
+ * are not visible and show up as missing.
+ */
+
+const Schedule = (function() {
+
+  const STATE_KEY = 'REFRESH_SCHEDULE';
+  const HANDLER = 'scheduledRefresh';
+
+  // hourlyRefresh triggers added by hand in the editor are managed too
+  const HANDLERS = [HANDLER, 'hourlyRefresh'];
+
+  const SCHEDULES = ['OFF', 'HOURLY', 'NIGHTLY', 'WEEKDAYS'];
+  const WEEKDAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY'];
+  const DEFAULT_HOUR = 2;
+
+  /**
+   * Reads the schedule from config
+   * @param {Object} config - Configuration object
+   * @returns {Object} {schedule, hour, errors} - invalid values fall back to OFF / DEFAULT_HOUR
+   */
+  function getSettings(config) {
+    const errors = [];
+
+    let schedule = String(config.REFRESH_SCHEDULE || 'OFF').trim().toUpperCase();
+    if (SCHEDULES.indexOf(schedule) === -1) {
+      errors.push('REFRESH_SCHEDULE should be ' + SCHEDULES.join(', ') + ' (using OFF)');
+      schedule = 'OFF';
+    }
+
+    const rawHour = String(config.REFRESH_HOUR === undefined ? '' : config.REFRESH_HOUR).trim();
+    let hour = rawHour === '' ? DEFAULT_HOUR : Number(rawHour);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      errors.push('REFRESH_HOUR should be a whole hour from 0 to 23 (using ' + DEFAULT_HOUR + ')');
+      hour = DEFAULT_HOUR;
+    }
+
+    return { schedule: schedule, hour: hour, errors: errors };
+  }
+
+  /**
+   * Describes a schedule for dialogs and RUN_LOG
+   * @param {Object} settings - {schedule, hour}
+   * @returns {string} e.g. "Hourly", "Nightly at 02:00", "Weekdays at 07:00"
+   */
+  function describe(settings) {
+    const time = String(settings.hour).padStart(2, '0') + ':00';
+
+    switch (settings.schedule) {
+      case 'HOURLY': return 'Hourly';
+      case 'NIGHTLY': return 'Nightly at ' + time;
+      case 'WEEKDAYS': return 'Weekdays at ' + time;
+      default: return 'Off';
+    }
+  }
+
+  /**
+   * Lists the triggers a schedule needs
+   * @param {Object} settings - {schedule, hour}
+   * @returns {Array} Specs {everyHours} | {everyDays, atHour} | {weekDay, atHour}
+   */
+  function buildTriggerSpecs(settings) {
+    switch (settings.schedule) {
+      case 'HOURLY':
+        return [{ everyHours: 1 }];
+      case 'NIGHTLY':
+        return [{ everyDays: 1, atHour: settings.hour }];
+      case 'WEEKDAYS':
+        return WEEKDAYS.map(day => ({ weekDay: day, atHour: settings.hour }));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Replaces the refresh triggers with the given schedule
+   * @param {Object} settings - {schedule, hour}
+   * @returns {Object} Installed record {schedule, hour, triggerIds, installedAt}, or null for OFF
+   */
+  function install(settings) {
+    remove();
+
+    const specs = buildTriggerSpecs(settings);
+    if (specs.length === 0) return null;
+
+    const triggerIds = specs.map(spec => createTrigger(spec).getUniqueId());
+
+    const state = {
+      schedule: settings.schedule,
+      hour: settings.hour,
+      triggerIds: triggerIds,
+      installedAt: new Date().toISOString()
+    };
+    PropertiesService.getDocumentProperties().setProperty(STATE_KEY, JSON.stringify(state));
+
+    return state;
+  }
+
+  function createTrigger(spec) {
+    let builder = ScriptApp.newTrigger(HANDLER).timeBased();
+
+    if (spec.everyHours) {
+      builder = builder.everyHours(spec.everyHours);
+    } else if (spec.everyDays) {
+      builder = builder.everyDays(spec.everyDays).atHour(spec.atHour).nearMinute(0);
+    } else {
+      builder = builder.onWeekDay(ScriptApp.WeekDay[spec.weekDay]).atHour(spec.atHour).nearMinute(0);
+    }
+
+    return builder.create();
+  }
+
+  /**
+   * Deletes every refresh trigger and the installed record
+   * @returns {number} Number of triggers deleted
+   */
+  function remove() {
+    let deleted = 0;
+
+    for (const trigger of getRefreshTriggers()) {
+      ScriptApp.deleteTrigger(trigger);
+      deleted++;
+    }
+
+    PropertiesService.getDocumentProperties().deleteProperty(STATE_KEY);
+    return deleted;
+  }
+
+  /**
+   * Gets the installed record
+   * @returns {Object|null} {schedule, hour, triggerIds, installedAt}
+   */
+  function getInstalled() {
+    const raw = PropertiesService.getDocumentProperties().getProperty(STATE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Lists this user's refresh triggers
+   * @returns {Array} Entries {id, handler, managed} - managed when installed from CONFIG
+   */
+  function list() {
+    const installed = getInstalled();
+    const installedIds = installed ? installed.triggerIds : [];
+
+    return getRefreshTriggers().map(trigger => ({
+      id: trigger.getUniqueId(),
+      handler: trigger.getHandlerFunction(),
+      managed: installedIds.indexOf(trigger.getUniqueId()) >= 0
+    }));
+  }
+
+  function getRefreshTriggers() {
+    return ScriptApp.getProjectTriggers()
+      .filter(trigger => HANDLERS.indexOf(trigger.getHandlerFunction()) >= 0);
+  }
+
+  /**
+   * Compares CONFIG with what is installed
+   * @param {Object} settings - Settings from getSettings()
+   * @param {Object|null} installed - Record from getInstalled()
+   * @param {Array} triggers - Entries from list()
+   * @returns {Array} Warning messages (empty when they agree)
+   */
+  function compare(settings, installed, triggers) {
+    const warnings = [];
+    const configured = describe(settings);
+    const liveIds = triggers.map(t => t.id);
+    const unmanaged = triggers.filter(t => !t.managed).length;
+
+    if (settings.schedule === 'OFF') {
+      if (triggers.length > 0) {
+        warnings.push('REFRESH_SCHEDULE is OFF but ' + triggers.length +
+          ' refresh trigger(s) are installed - use Schedule > Remove Schedule');
+      }
+      return warnings;
+    }
+
+    if (!installed) {
+      warnings.push('REFRESH_SCHEDULE is ' + configured +
+        ' but it has not been installed - use Schedule > Install from CONFIG');
+    } else {
+      if (installed.schedule !== settings.schedule ||
+          (settings.schedule !== 'HOURLY' && installed.hour !== settings.hour)) {
+        warnings.push('Installed schedule (' + describe(installed) + ') differs from CONFIG (' +
+          configured + ') - use Schedule > Install from CONFIG');
+      }
+
+      const missing = installed.triggerIds.filter(id => liveIds.indexOf(id) === -1).length;
+      if (missing > 0) {
+        warnings.push(missing + ' installed refresh trigger(s) are missing ' +
+          '(deleted, or installed by another user) - use Schedule > Install from CONFIG');
+      }
+    }
+
+    if (unmanaged > 0) {
+      warnings.push(unmanaged + ' refresh trigger(s) were not installed from CONFIG ' +
+        'and will also run - use Schedule > Install from CONFIG to replace them');
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Checks config against the installed triggers (used by Init.validateConfig)
+   * @param {Object} config - Configuration object
+   * @returns {Array} Warning messages
+   */
+  function check(config) {
+    const settings = getSettings(config);
+    return settings.errors.concat(compare(settings, getInstalled(), list()));
+  }
+
+  // Public API
+  return {
+    HANDLER,
+    SCHEDULES,
+    getSettings,
+    describe,
+    buildTriggerSpecs,
+    install,
+    remove,
+    getInstalled,
+    list,
+    compare,
+    check
+  };
+
+})();
@@ -0,0 +1,316 @@
+/**
+ * Web API Module
+ * Read-only JSON endpoints for ledger balances (doGet web app)
+ *
+ * @fileoverview Routing and serialization behind doGet in main.js
+ *
+ * Requests are GET <web app URL>/<action>?key=<secret>&... (or ?action=<action>):
+ *   parties    - Ledger Master: every party ledger with totals and balance
+ *                optional: category=SU|CO|CU
+ *   party      - One ledger's lines as written on its tab
+ *                id=<party ID>, category when the party has more than one ledger
+ *   statement  - A ledger between two dates with opening and closing balance
+ *                id, category as above; from / to as YYYY-MM-DD or dd-mm-yyyy (either optional)
+ *
+ * Script properties (Project Settings > Script properties):
+ *   API_SECRET - shared secret, passed as key=; the API answers nothing without it
+ *   API_SHEETS - ledger sheets served, ORG=spreadsheet ID comma-separated
+ *                (CM=1AbC..., KM=1XyZ...); pick one with org=, optional when only one
+ *
+ * Everything is read from the ledger sheet as the last refresh wrote it - the
+ * API never fetches sources or writes. Apps Script web apps always answer
+ * HTTP 200, so failures are {ok: false, error: {code, message}} with code
+ * BAD_REQUEST, UNAUTHORIZED, NOT_FOUND, NOT_CONFIGURED or ERROR.
+ * handle() takes its services as arguments so tests can stub them.
+ */
+
+const WebApi = (function() {
+
+  const API_VERSION = '1';
+
+  const ACTIONS = ['parties', 'party', 'statement'];
+
+  /**
+   * Reads API settings from script properties
+   * @param {Object} properties - Script properties (key -> value)
+   * @returns {Object} {secret, sheets, errors} - sheets maps an org code to a spreadsheet ID
+   */
+  function getSettings(properties) {
+    const errors = [];
+    const secret = String(properties.API_SECRET || '');
+    if (!secret) errors.push('API_SECRET not set');
+
+    const sheets = {};
+    String(properties.API_SHEETS || '').split(',').forEach(pair => {
+      if (!pair.trim()) return;
+      const parts = pair.split('=');
+      if (parts.length !== 2 || !parts[0].trim() || !parts[1].trim()) {
+        errors.push('API_SHEETS entry "' + pair.trim() + '" should be ORG=spreadsheet ID');
+        return;
+      }
+      sheets[parts[0].trim().toUpperCase()] = parts[1].trim();
+    });
+    if (Object.keys(sheets).length === 0) errors.push('API_SHEETS not set');
+
+    return { secret: secret, sheets: sheets, errors: errors };
+  }
+
+  /**
+   * Compares the key with the secret in time independent of where they differ
+   * @param {string} key - key= parameter
+   * @param {string} secret - API_SECRET
+   * @returns {boolean} True when they match
+   */
+  function checkKey(key, secret) {
+    const given = String(key || '');
+    if (!secret || given.length !== secret.length) return false;
+
+    let diff = 0;
+    for (let i = 0; i < secret.length; i++) {
+      diff |= given.charCodeAt(i) ^ secret.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+
+  /**
+   * Parses a from / to parameter
+   * @param {string} value - YYYY-MM-DD or dd-mm-yyyy
+   * @returns {Date|null} Local date, null when blank
+   * @throws {Error} When the value is not a date
+   */
+  function parseDateParam(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const date = iso ?
+      new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) :
+      OpeningBalance.parseDate(text);
+    if (!date || isNaN(date.getTime())) throw apiError('BAD_REQUEST', 'Not a date: ' + text);
+    return date;
+  }
+
+  function apiError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Serializes a ledger tab's transaction rows
+   * Stops at the TOTAL row; blank padding rows and SUBTOTAL rows are left out
+   * @param {Array} rows - Ledger tab values A:I from PartyLedger.FIRST_TXN_ROW down
+   * @returns {Array} [{date, particulars, voucher_type, reference, debit, credit, balance,
+   *   status, is_opening, source}] - balance is the running balance (positive = Dr),
+   *   source is {type, spreadsheet_id, tab, row} or null
+   */
+  function serializeLedgerRows(rows) {
+    const lines = [];
+
+    for (const row of rows) {
+      const particulars = String(row[1] || '').trim();
+      if (particulars === 'TOTAL') break;
+      if (!particulars && !row[0] && !row[4] && !row[5]) continue;
+      if (particulars.indexOf('SUBTOTAL') === 0) continue;
+
+      const locator = PartyLedger.parseSourceLocator(row[8]);
+      lines.push({
+        date: DataExport.formatDate(row[0]),
+        particulars: particulars,
+        voucher_type: String(row[2] || '').trim(),
+        reference: String(row[3] || '').trim(),
+        debit: round(parseFloat(row[4]) || 0),
+        credit: round(parseFloat(row[5]) || 0),
+        balance: round(parseFloat(row[6]) || 0),
+        status: String(row[7] || '').trim(),
+        is_opening: particulars.indexOf(OpeningBalance.OPENING_LABEL) === 0,
+        source: locator ? {
+          type: locator.type,
+          spreadsheet_id: locator.spreadsheetId,
+          tab: locator.tab,
+          row: locator.row
+        } : null
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Cuts ledger lines down to a date range with opening and closing balances
+   * The ledger's opening entry and undated lines count as before the range
+   * @param {Array} lines - Lines from serializeLedgerRows()
+   * @param {Date|null} from - First day (inclusive), null for the start of the ledger
+   * @param {Date|null} to - Last day (inclusive), null for the end of the ledger
+   * @returns {Object} {from, to, opening_balance, total_debit, total_credit, closing_balance, transactions}
+   */
+  function buildStatement(lines, from, to) {
+    const fromKey = from ? DataExport.formatDate(from) : '';
+    const toKey = to ? DataExport.formatDate(to) : '';
+
+    let opening = 0;
+    const transactions = [];
+    for (const line of lines) {
+      // YYYY-MM-DD strings compare in date order
+      if (line.is_opening || !line.date || (fromKey && line.date < fromKey)) {
+        opening = line.balance;
+        continue;
+      }
+      if (toKey && line.date > toKey) break;
+      transactions.push(line);
+    }
+
+    const totalDebit = round(transactions.reduce((sum, line) => sum + line.debit, 0));
+    const totalCredit = round(transactions.reduce((sum, line) => sum + line.credit, 0));
+
+    return {
+      from: fromKey,
+      to: toKey,
+      opening_balance: opening,
+      total_debit: totalDebit,
+      total_credit: totalCredit,
+      closing_balance: round(opening + totalDebit - totalCredit),
+      transactions: transactions
+    };
+  }
+
+  /**
+   * Finds the one ledger a party / statement request refers to
+   * @param {Array} ledgers - Records from DataExport.toLedgerRecord()
+   * @param {Object} params - Request parameters (id, category)
+   * @returns {Object} Ledger Master record
+   */
+  function findLedger(ledgers, params) {
+    const id = String(params.id || '').trim().toUpperCase();
+    if (!id) throw apiError('BAD_REQUEST', 'id is required');
+
+    const category = String(params.category || '').replace(/[\[\]\s]/g, '').toUpperCase();
+    const matches = ledgers.filter(ledger =>
+      ledger.party_id === id && (!category || ledger.category === category));
+
+    if (matches.length === 0) throw apiError('NOT_FOUND', 'No ledger for ' + id + (category ? ' [' + category + ']' : ''));
+    if (matches.length > 1) {
+      throw apiError('BAD_REQUEST', id + ' has more than one ledger - add category=' +
+        matches.map(ledger => ledger.category).join(' or '));
+    }
+    return matches[0];
+  }
+
+  /**
+   * Reads a ledger tab's lines
+   * @param {Spreadsheet} ss - Ledger spreadsheet
+   * @param {Object} ledger - Ledger Master record
+   * @returns {Array} Lines from serializeLedgerRows()
+   */
+  function readLedgerLines(ss, ledger) {
+    const sheet = ss.getSheetByName(PartyLedger.buildSheetName(ledger.party_id, ledger.category));
+    if (!sheet) throw apiError('NOT_FOUND', 'Ledger tab missing for ' + ledger.party_id + ' - run Refresh Data');
+
+    const lastRow = sheet.getLastRow();
+    if (lastRow < PartyLedger.FIRST_TXN_ROW) return [];
+
+    return serializeLedgerRows(sheet.getRange(PartyLedger.FIRST_TXN_ROW, 1,
+      lastRow - PartyLedger.FIRST_TXN_ROW + 1, 9).getValues());
+  }
+
+  /**
+   * Handles a web app request
+   * @param {Object} e - doGet event ({parameter, pathInfo})
+   * @param {Object} services - {properties: script properties object,
+   *   openById: function(id) returning a Spreadsheet, now: Date}
+   * @returns {Object} Response body (serialize with toJson)
+   */
+  function handle(e, services) {
+    const params = (e && e.parameter) || {};
+    const action = String((e && e.pathInfo) || params.action || '').replace(/^\/+|\/+$/g, '').toLowerCase();
+
+    try {
+      const settings = getSettings(services.properties);
+      if (!settings.secret) throw apiError('NOT_CONFIGURED', 'API is not configured');
+      if (!checkKey(params.key, settings.secret)) throw apiError('UNAUTHORIZED', 'Invalid key');
+      if (settings.errors.length > 0) throw apiError('NOT_CONFIGURED', settings.errors.join('; '));
+
+      if (ACTIONS.indexOf(action) === -1) {
+        throw apiError('BAD_REQUEST', 'Unknown action "' + action + '" - use ' + ACTIONS.join(', '));
+      }
+
+      const orgs = Object.keys(settings.sheets);
+      const org = String(params.org || (orgs.length === 1 ? orgs[0] : '')).trim().toUpperCase();
+      if (!org) throw apiError('BAD_REQUEST', 'org is required - one of ' + orgs.join(', '));
+      if (!settings.sheets[org]) throw apiError('NOT_FOUND', 'Unknown org ' + org);
+
+      const ss = services.openById(settings.sheets[org]);
+      const ledgers = PartyLedger.readLedgerMaster(ss).map(DataExport.toLedgerRecord);
+
+      const body = {
+        ok: true,
+        api_version: API_VERSION,
+        action: action,
+        org_code: org,
+        generated_at: (services.now || new Date()).toISOString()
+      };
+
+      if (action === 'parties') {
+        const category = String(params.category || '').replace(/[\[\]\s]/g, '').toUpperCase();
+        body.parties = category ? ledgers.filter(ledger => ledger.category === category) : ledgers;
+        return body;
+      }
+
+      const ledger = findLedger(ledgers, params);
+      const lines = readLedgerLines(ss, ledger);
+      body.party = ledger;
+
+      if (action === 'party') {
+        body.transactions = lines;
+        return body;
+      }
+
+      const from = parseDateParam(params.from);
+      const to = parseDateParam(params.to);
+      if (from && to && from > to) throw apiError('BAD_REQUEST', 'from is after to');
+      body.statement = buildStatement(lines, from, to);
+      return body;
+
+    } catch (error) {
+      if (!error.code) Logger.log('Web API error: ' + error.message);
+      return {
+        ok: false,
+        api_version: API_VERSION,
+        action: action,
+        error: {
+          code: error.code || 'ERROR',
+          message: error.code ? error.message : 'Internal error'
+        }
+      };
+    }
+  }
+
+  /**
+   * Wraps a response body as JSON web app output
+   * @param {Object} body - Body from handle()
+   * @returns {TextOutput} JSON output
+   */
+  function toJson(body) {
+    return ContentService.createTextOutput(JSON.stringify(body))
+      .setMimeType(ContentService.MimeType.JSON);
+  }
+
+  // Public API
+  return {
+    API_VERSION,
+    ACTIONS,
+    getSettings,
+    checkKey,
+    parseDateParam,
+    serializeLedgerRows,
+    buildStatement,
+    findLedger,
+    handle,
+    toJson
+  };
+
+})();
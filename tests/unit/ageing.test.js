@@ -0,0 +1,134 @@
+/**
+ * Unit tests for Ageing module
+ */
+
+// Load the modules (replace const with global assignment for Jest compatibility)
+const fs = require('fs');
+eval(fs.readFileSync('./src/ledgers/opening-balance.js', 'utf8')
+  .replace('const OpeningBalance =', 'global.OpeningBalance ='));
+eval(fs.readFileSync('./src/reports/reconciliation.js', 'utf8')
+  .replace('const Reconciliation =', 'global.Reconciliation ='));
+eval(fs.readFileSync('./src/ledgers/bill-allocation.js', 'utf8')
+  .replace('const BillAllocation =', 'global.BillAllocation ='));
+eval(fs.readFileSync('./src/ledgers/party-ledger.js', 'utf8')
+  .replace('const PartyLedger =', 'global.PartyLedger ='));
+eval(fs.readFileSync('./src/reports/ageing.js', 'utf8')
+  .replace('const Ageing =', 'global.Ageing ='));
+const Ageing = global.Ageing;
+
+describe('Ageing', () => {
+
+  const asOf = new Date(2025, 5, 30);
+
+  function daysBefore(days) {
+    return new Date(2025, 5, 30 - days);
+  }
+
+  describe('getSettings', () => {
+    test('defaults to 30,60,90,180 as of today', () => {
+      expect(Ageing.getSettings({})).toEqual({ bounds: [30, 60, 90, 180], asOf: null, bills: { creditDays: 0, tolerance: 1 }, errors: [] });
+    });
+
+    test('reads custom bounds, an as-of date and credit days', () => {
+      const settings = Ageing.getSettings({ AGEING_BUCKETS: '15, 45,120', AGEING_AS_OF: '31-03-2025', BILL_CREDIT_DAYS: 30 });
+
+      expect(settings.bounds).toEqual([15, 45, 120]);
+      expect(settings.asOf).toEqual(new Date(2025, 2, 31));
+      expect(settings.bills.creditDays).toBe(30);
+    });
+
+    test('accepts a date cell as is', () => {
+      expect(Ageing.getSettings({ AGEING_AS_OF: asOf }).asOf).toBe(asOf);
+    });
+
+    test('falls back and reports invalid values', () => {
+      const settings = Ageing.getSettings({ AGEING_BUCKETS: '60,30', AGEING_AS_OF: 'month end' });
+
+      expect(settings.bounds).toEqual([30, 60, 90, 180]);
+      expect(settings.asOf).toBeNull();
+      expect(settings.errors).toHaveLength(2);
+    });
+  });
+
+  describe('getBucketLabels', () => {
+    test('builds ranges from the bounds', () => {
+      expect(Ageing.getBucketLabels([30, 60, 90, 180])).toEqual(['0-30', '31-60', '61-90', '91-180', '180+']);
+    });
+  });
+
+  describe('summarize', () => {
+    const settings = { bounds: [30, 60, 90, 180], bills: { creditDays: 0, tolerance: 1 } };
+
+    const customer = {
+      id: 'CG-CUS-0001', name: 'Beta Traders', ledgerCategory: 'CU',
+      transactions: [
+        { date: daysBefore(200), docType: 'SALES', docNo: 'S-1', debit: 100 },
+        { date: daysBefore(75), docType: 'SALES', docNo: 'S-2', debit: 250 },
+        { date: daysBefore(30), docType: 'SALES', docNo: 'S-3', debit: 400 },
+        { date: daysBefore(10), docType: 'BANK', credit: 150 }
+      ]
+    };
+    const supplier = {
+      id: 'CG-SUP-0001', name: 'Alpha Steel', ledgerCategory: 'SU',
+      transactions: [
+        { date: daysBefore(31), docType: 'PURCHASE', docNo: 'P-1', credit: 500 }
+      ]
+    };
+    const contractor = {
+      id: 'CG-CON-0001', name: 'Civil Works', ledgerCategory: 'CO',
+      transactions: [
+        { date: daysBefore(100), docType: 'CONTRACTOR', docNo: 'B-1', credit: 300 },
+        { date: daysBefore(5), docType: 'BANK', debit: 350 }
+      ]
+    };
+    const settled = {
+      id: 'CG-CUS-0002', name: 'Paid Up', ledgerCategory: 'CU',
+      transactions: [
+        { date: daysBefore(40), docType: 'SALES', docNo: 'S-9', debit: 100 },
+        { date: daysBefore(20), docType: 'BANK', credit: 100 }
+      ]
+    };
+
+    test('buckets open bills by age after FIFO allocation', () => {
+      const { receivables } = Ageing.summarize([customer], settings, asOf);
+
+      expect(receivables).toEqual([{
+        id: 'CG-CUS-0001', name: 'Beta Traders', ledgerCategory: 'CU',
+        buckets: [400, 0, 200, 0, 0], onAccount: 0, total: 600
+      }]);
+    });
+
+    test('separates receivables from payables and drops settled parties', () => {
+      const { receivables, payables } = Ageing.summarize([customer, contractor, settled, supplier], settings, asOf);
+
+      expect(receivables.map(e => e.id)).toEqual(['CG-CUS-0001']);
+      expect(payables.map(e => e.id)).toEqual(['CG-SUP-0001', 'CG-CON-0001']);
+      expect(payables[0].buckets).toEqual([0, 500, 0, 0, 0]);
+    });
+
+    test('nets payments on account against the total', () => {
+      const { payables } = Ageing.summarize([contractor], settings, asOf);
+
+      expect(payables[0]).toMatchObject({ buckets: [0, 0, 0, 0, 0], onAccount: 50, total: -50 });
+    });
+
+    test('puts bills with no due date in the first bucket', () => {
+      const undated = {
+        id: 'CG-CUS-0003', name: 'No Dates', ledgerCategory: 'CU',
+        transactions: [
+          { date: '', particulars: 'OPENING BALANCE', debit: 300, isOpening: true },
+          { date: '', docType: 'SALES', docNo: 'S-5', debit: 200 }
+        ]
+      };
+
+      const { receivables } = Ageing.summarize([undated], settings, asOf);
+      expect(receivables[0].buckets).toEqual([500, 0, 0, 0, 0]);
+    });
+
+    test('ages from the due date when credit days are set', () => {
+      const { payables } = Ageing.summarize([supplier], { bounds: [30, 60, 90, 180], bills: { creditDays: 15, tolerance: 1 } }, asOf);
+      expect(payables[0].buckets[0]).toBe(500);
+    });
+  });
+
+});
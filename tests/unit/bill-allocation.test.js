@@ -0,0 +1,144 @@
+/**
+ * Unit tests for BillAllocation module
+ */
+
+// Load the modules (replace const with global assignment for Jest compatibility)
+const reconCode = require('fs').readFileSync('./src/reports/reconciliation.js', 'utf8');
+eval(reconCode.replace('const Reconciliation =', 'global.Reconciliation ='));
+const billCode = require('fs').readFileSync('./src/ledgers/bill-allocation.js', 'utf8');
+eval(billCode.replace('const BillAllocation =', 'global.BillAllocation ='));
+const BillAllocation = global.BillAllocation;
+
+describe('BillAllocation', () => {
+
+  const settings = { creditDays: 0 };
+
+  function sale(day, docNo, amount) {
+    return { date: new Date(2025, 3, day), docType: 'SALES', docNo: docNo, debit: amount, credit: 0 };
+  }
+
+  function receipt(day, amount, reference) {
+    return { date: new Date(2025, 3, day), docType: 'BANK', reference: reference || '', debit: 0, credit: amount };
+  }
+
+  describe('getSettings', () => {
+    test('reads BILL_CREDIT_DAYS and defaults to 0', () => {
+      expect(BillAllocation.getSettings({ BILL_CREDIT_DAYS: 45 }).creditDays).toBe(45);
+      expect(BillAllocation.getSettings({ BILL_CREDIT_DAYS: '-3' }).creditDays).toBe(0);
+      expect(BillAllocation.getSettings({}).creditDays).toBe(0);
+    });
+
+    test('uses the reconciliation tolerance', () => {
+      expect(BillAllocation.getSettings({ RECON_TOLERANCE: '2.5' }).tolerance).toBe(2.5);
+      expect(BillAllocation.getSettings({}).tolerance).toBe(1);
+    });
+  });
+
+  describe('allocate', () => {
+    test('applies payments to the oldest bills first', () => {
+      const { bills, onAccount } = BillAllocation.allocate([
+        sale(1, 'S-1', 1000), sale(5, 'S-2', 500), sale(8, 'S-3', 300), receipt(10, 1200)
+      ], 'CU', settings);
+
+      expect(bills.map(b => [b.invoiceNo, b.paid, b.balance])).toEqual([
+        ['S-1', 1000, 0],
+        ['S-2', 200, 300],
+        ['S-3', 0, 300]
+      ]);
+      expect(onAccount).toBe(0);
+    });
+
+    test('applies a payment quoting an invoice number in the reference to that invoice', () => {
+      const { bills } = BillAllocation.allocate([
+        sale(1, 'S-101', 1000), sale(5, 'S-102', 500), receipt(10, 500, 'NEFT/ S-102')
+      ], 'CU', settings);
+
+      expect(bills.map(b => b.balance)).toEqual([1000, 0]);
+    });
+
+    test('an explicit payment larger than its invoice spills over FIFO', () => {
+      const { bills } = BillAllocation.allocate([
+        sale(1, 'S-101', 1000), sale(5, 'S-102', 500), receipt(10, 700, 'S-102')
+      ], 'CU', settings);
+
+      expect(bills.map(b => b.balance)).toEqual([800, 0]);
+    });
+
+    test('reads invoice numbers in particulars, as Reconciliation does', () => {
+      const { bills } = BillAllocation.allocate([
+        sale(1, 'S-101', 1000), sale(5, 'S-102', 500),
+        Object.assign(receipt(10, 500), { particulars: 'against S-102' })
+      ], 'CU', settings);
+
+      expect(bills.map(b => b.balance)).toEqual([1000, 0]);
+    });
+
+    test('treats supplier credits as bills and bank debits as payments', () => {
+      const { bills } = BillAllocation.allocate([
+        { date: new Date(2025, 3, 1), docType: 'PURCHASE', docNo: 'P-1', credit: 400 },
+        { date: new Date(2025, 3, 3), docType: 'CONTRACTOR', docNo: 'B-7', credit: 100 },
+        { date: new Date(2025, 3, 9), docType: 'BANK', debit: 450 }
+      ], 'SU', settings);
+
+      expect(bills.map(b => b.balance)).toEqual([0, 50]);
+    });
+
+    test('treats an opening balance as the oldest bill', () => {
+      const { bills } = BillAllocation.allocate([
+        { date: new Date(2025, 3, 1), particulars: 'OPENING BALANCE', debit: 250, credit: 0, isOpening: true },
+        sale(5, 'S-1', 500), receipt(10, 300)
+      ], 'CU', settings);
+
+      expect(bills[0].invoiceNo).toBe('OPENING BALANCE');
+      expect(bills.map(b => b.balance)).toEqual([0, 450]);
+    });
+
+    test('keeps payments beyond all bills on account', () => {
+      const { bills, onAccount } = BillAllocation.allocate([sale(1, 'S-1', 100), receipt(2, 175.5)], 'CU', settings);
+
+      expect(bills[0].balance).toBe(0);
+      expect(onAccount).toBe(75.5);
+    });
+
+    test('keeps Reconciliation matches ahead of FIFO so Matched bills are never open', () => {
+      const transactions = [sale(1, 'S-1', 1000), sale(5, 'S-2', 500), receipt(10, 500), receipt(12, 999.5)];
+
+      const { bills, onAccount } = BillAllocation.allocate(transactions, 'CU', { creditDays: 0, tolerance: 1 });
+      const statuses = Reconciliation.reconcileLedger({ ledgerCategory: 'CU', transactions: transactions }, { tolerance: 1 })
+        .invoices.map(invoice => invoice.status);
+
+      expect(statuses).toEqual(['Matched', 'Matched']);
+      expect(bills.map(b => [b.invoiceNo, b.paid, b.balance])).toEqual([['S-1', 999.5, 0], ['S-2', 500, 0]]);
+      expect(onAccount).toBe(0);
+      expect(transactions.map(txn => txn.reconStatus)).toEqual(['Matched', 'Matched', 'Matched', 'Matched']);
+    });
+
+    test('FIFO only uses payment Reconciliation left unallocated', () => {
+      const transactions = [sale(1, 'S-1', 1000), sale(5, 'S-2', 500), receipt(10, 500), receipt(12, 300)];
+
+      const { bills } = BillAllocation.allocate(transactions, 'CU', settings);
+
+      expect(transactions.map(txn => txn.reconStatus)).toEqual(['Unmatched', 'Matched', 'Matched', 'Unmatched']);
+      expect(bills.map(b => b.balance)).toEqual([700, 0]);
+    });
+
+    test('sets the due date from credit days', () => {
+      const { bills } = BillAllocation.allocate([sale(25, 'S-1', 100)], 'CU', { creditDays: 10 });
+      expect(bills[0].dueDate).toEqual(new Date(2025, 4, 5));
+    });
+  });
+
+  describe('getDaysOverdue', () => {
+    test('counts whole days past the due date', () => {
+      const bill = { balance: 100, dueDate: new Date(2025, 3, 1) };
+
+      expect(BillAllocation.getDaysOverdue(bill, new Date(2025, 3, 11, 18, 30))).toBe(10);
+      expect(BillAllocation.getDaysOverdue(bill, new Date(2025, 2, 20))).toBe(0);
+    });
+
+    test('paid bills are never overdue', () => {
+      expect(BillAllocation.getDaysOverdue({ balance: 0, dueDate: new Date(2025, 0, 1) }, new Date(2025, 5, 1))).toBe(0);
+    });
+  });
+
+});
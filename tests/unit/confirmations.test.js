@@ -0,0 +1,314 @@
+/**
+ * Unit tests for Confirmations module
+ */
+
+// Mock Google Apps Script globals
+global.Logger = { log: () => {} };
+global.Session = { getScriptTimeZone: () => 'Asia/Kolkata' };
+global.Utilities = {
+  formatDate: (date) => [date.getDate(), date.getMonth() + 1, date.getFullYear()]
+    .map((n, i) => String(n).padStart(i === 2 ? 4 : 2, '0')).join('-')
+};
+global.MailApp = { sendEmail: jest.fn() };
+global.DriveApp = { getFileById: (id) => ({ getBlob: () => ({ pdf: id }) }) };
+const validationBuilder = {
+  requireValueInList: () => validationBuilder,
+  setAllowInvalid: () => validationBuilder,
+  build: () => ({})
+};
+global.SpreadsheetApp = { newDataValidation: () => validationBuilder };
+
+global.PartyLedger = {
+  FIRST_TXN_ROW: 14,
+  buildSheetName: (id, category) => '[' + category + '] ' + id
+};
+
+let exportStatus = 'SAVED';
+let exportCount = 0;
+let onExport = () => {};
+global.Statements = {
+  MAX_RUN_MS: 4.5 * 60 * 1000,
+  startExport: jest.fn(() => (ledger) => {
+    exportCount++;
+    onExport();
+    return {
+      ledger: ledger,
+      fileId: 'file-' + exportCount,
+      url: 'https://drive/file-' + exportCount,
+      status: exportStatus,
+      error: exportStatus === 'SAVED' ? null : 'HTTP 500'
+    };
+  }),
+  record: jest.fn()
+};
+
+// Load the modules (replace const with global assignment for Jest compatibility)
+const openingCode = require('fs').readFileSync('./src/ledgers/opening-balance.js', 'utf8');
+eval(openingCode.replace('const OpeningBalance =', 'global.OpeningBalance ='));
+
+const confirmationsCode = require('fs').readFileSync('./src/reports/confirmations.js', 'utf8');
+eval(confirmationsCode.replace('const Confirmations =', 'global.Confirmations ='));
+const Confirmations = global.Confirmations;
+
+describe('Confirmations', () => {
+
+  const TODAY = new Date(2026, 2, 20);
+
+  // Ledger tab rows A:G from row 14
+  const LEDGER_ROWS = [
+    [new Date(2025, 3, 1), 'OPENING BALANCE', '', '', 0, 5000, -5000],
+    [new Date(2026, 1, 10), 'Purchase Invoice: P-1', 'PURCHASE', 'P-1', '', 11800, -16800],
+    [new Date(2026, 2, 31), 'Payment', 'BANK', 'UTR1', 10000, '', -6800],
+    ['', '', '', '', '', '', ''],
+    ['', 'TOTAL', '', '', 10000, 16800, ''],
+    [new Date(2026, 3, 5), 'DUE DATE LIKE ROW', '', '', '', '', 999]
+  ];
+
+  function makeSpreadsheet(log) {
+    const ledgerSheet = {
+      getLastRow: () => 14 + LEDGER_ROWS.length - 1,
+      getRange: () => ({ getValues: () => LEDGER_ROWS })
+    };
+    const sheets = { '[SU] CG-SUP-0001': ledgerSheet, CONFIRMATIONS: log };
+    return {
+      getSheetByName: (name) => sheets[name] || null
+    };
+  }
+
+  // CONFIRMATIONS tab holding its rows below the header; new rows are appended
+  function makeLog(rows) {
+    const log = {
+      rows: rows || [],
+      getLastRow: () => log.rows.length + 1,
+      getRange: (row, col, numRows) => {
+        const range = {
+          getValues: () => log.rows.slice(row - 2, row - 2 + numRows),
+          setValues: (values) => { log.rows.push(...values.map(value => value.slice())); return range; },
+          setNumberFormat: () => range,
+          setDataValidation: () => range
+        };
+        return range;
+      }
+    };
+    return log;
+  }
+
+  const contacts = {
+    'CG-SUP-0001': { name: 'Alpha Steels', email: 'accounts@alpha.test' },
+    'CG-CUS-0001': { name: 'Beta Motors', email: '' },
+    'CG-CUS-0002': { name: 'Gamma Retail', email: 'gamma@retail.test' }
+  };
+
+  const ledgers = [
+    { id: 'CG-SUP-0001', name: 'Alpha', ledgerCategory: 'SU' },
+    { id: 'CG-CUS-0001', name: 'Beta', ledgerCategory: 'CU' },
+    { id: 'CG-CUS-0002', name: 'Gamma', ledgerCategory: 'CU' }
+  ];
+
+  const config = { ORG_NAME: 'Congzhou Machinery', FINANCIAL_YEAR: '2025-26', CONFIRM_AS_OF: '28-02-2026' };
+
+  beforeEach(() => {
+    exportStatus = 'SAVED';
+    exportCount = 0;
+    onExport = () => {};
+    jest.clearAllMocks();
+  });
+
+  describe('getSettings', () => {
+    test('reads the as-of date and reply window', () => {
+      const settings = Confirmations.getSettings({ CONFIRM_AS_OF: '31-03-2026', CONFIRM_REPLY_DAYS: '10' }, TODAY);
+      expect(settings.asOf).toEqual(new Date(2026, 2, 31));
+      expect(settings.replyBy).toEqual(new Date(2026, 2, 30));
+      expect(settings.errors).toEqual([]);
+    });
+
+    test('defaults to today, 15 days and the standard letter', () => {
+      const settings = Confirmations.getSettings({}, TODAY);
+      expect(settings.asOf).toEqual(TODAY);
+      expect(settings.replyBy).toEqual(new Date(2026, 3, 4));
+      expect(settings.body).toBe(Confirmations.DEFAULT_BODY);
+      expect(settings.subject).toBe('Balance confirmation as of {AS_OF} - {ORG_NAME}');
+    });
+
+    test('reports an unreadable as-of date', () => {
+      expect(Confirmations.getSettings({ CONFIRM_AS_OF: 'soon' }, TODAY).errors)
+        .toEqual(['CONFIRM_AS_OF should be a date (dd-mm-yyyy)']);
+    });
+  });
+
+  describe('getBalanceAsOf', () => {
+    test('takes the running balance of the last line on or before the date', () => {
+      expect(Confirmations.getBalanceAsOf(LEDGER_ROWS, new Date(2026, 1, 28))).toBe(-16800);
+      expect(Confirmations.getBalanceAsOf(LEDGER_ROWS, new Date(2026, 1, 10))).toBe(-16800);
+      expect(Confirmations.getBalanceAsOf(LEDGER_ROWS, new Date(2026, 2, 31))).toBe(-6800);
+    });
+
+    test('stops at the TOTAL row and returns 0 before the first line', () => {
+      expect(Confirmations.getBalanceAsOf(LEDGER_ROWS, new Date(2026, 11, 31))).toBe(-6800);
+      expect(Confirmations.getBalanceAsOf(LEDGER_ROWS, new Date(2025, 0, 1))).toBe(0);
+    });
+  });
+
+  describe('buildLetter', () => {
+    const settings = Confirmations.getSettings(config, TODAY);
+
+    test('states the balance with its side and the reply date', () => {
+      const letter = Confirmations.buildLetter(settings, ledgers[0], -16800, 'Asia/Kolkata');
+      expect(letter.subject).toBe('Balance confirmation as of 28-02-2026 - Congzhou Machinery');
+      expect(letter.body).toContain('Dear Alpha,');
+      expect(letter.body).toContain('balance of Rs. 16,800.00 CR (due to you) as of 28-02-2026');
+      expect(letter.body).toContain('by 04-04-2026');
+      expect(letter.body).toContain('FY 2025-26');
+      expect(letter.body).toContain('may include entries after 28-02-2026 and close on a different balance');
+    });
+
+    test('uses CONFIG templates and leaves unknown placeholders alone', () => {
+      const custom = Confirmations.getSettings(Object.assign({
+        CONFIRM_SUBJECT: '{PARTY_ID} balance',
+        CONFIRM_BODY: '{BALANCE} / {BALANCE_TEXT} / {UNKNOWN}'
+      }, config), TODAY);
+      const letter = Confirmations.buildLetter(custom, ledgers[2], 1200, 'Asia/Kolkata');
+      expect(letter.subject).toBe('CG-CUS-0002 balance');
+      expect(letter.body).toBe('1,200.00 DR / 1,200.00 DR (due from you) / {UNKNOWN}');
+    });
+  });
+
+  describe('prepare', () => {
+    test('builds letters from the ledger tab and skips parties it cannot send to', () => {
+      const settings = Confirmations.getSettings(config, TODAY);
+      const prepared = Confirmations.prepare(makeSpreadsheet(), ledgers, contacts, settings);
+
+      expect(prepared.letters).toHaveLength(1);
+      expect(prepared.letters[0]).toMatchObject({
+        email: 'accounts@alpha.test',
+        balance: -16800,
+        ledger: { id: 'CG-SUP-0001', name: 'Alpha Steels', ledgerCategory: 'SU' }
+      });
+      expect(prepared.skipped.map(item => item.reason)).toEqual(['No EMAIL ID in contacts', 'Ledger tab not found']);
+      expect(MailApp.sendEmail).not.toHaveBeenCalled();
+
+      const preview = Confirmations.formatPreview(prepared);
+      expect(preview).toContain('1 letter(s) ready, 2 skipped');
+      expect(preview).toContain('CG-SUP-0001 -> accounts@alpha.test: 16,800.00 CR');
+      expect(preview).toContain('CG-CUS-0001 [CU]: No EMAIL ID in contacts');
+      expect(preview).toContain('Subject: Balance confirmation as of 28-02-2026');
+    });
+
+    test('skips party ledgers already sent a letter for the as-of date', () => {
+      const settings = Confirmations.getSettings(config, TODAY);
+      const sentAt = new Date(2026, 2, 19, 10, 30);
+      const log = makeLog([
+        [sentAt, 'CG-SUP-0001', 'Alpha', '[SU]', 'accounts@alpha.test', new Date(2026, 1, 28), 16800, 'CR', '', 'SENT', 'PENDING', '', '']
+      ]);
+
+      const prepared = Confirmations.prepare(makeSpreadsheet(log), ledgers, contacts, settings);
+
+      expect(prepared.letters).toHaveLength(0);
+      expect(prepared.skipped[0].reason).toBe('Already sent for this as-of date on 19-03-2026');
+    });
+  });
+
+  describe('findSent', () => {
+    test('keeps only successful sends for the same as-of day', () => {
+      const asOf = new Date(2026, 1, 28);
+      const row = (id, type, rowAsOf, status) => [new Date(2026, 2, 19), id, '', type, '', rowAsOf, 0, '', '', status, '', '', ''];
+
+      expect(Object.keys(Confirmations.findSent([
+        row('CG-SUP-0001', '[SU]', new Date(2026, 1, 28, 15, 0), 'SENT'),
+        row('CG-SUP-0002', '[SU]', new Date(2026, 1, 28), 'ERROR: HTTP 500'),
+        row('CG-CUS-0001', '[CU]', new Date(2026, 0, 31), 'SENT'),
+        row('CG-CUS-0002', '[CU]', '', 'SENT')
+      ], asOf))).toEqual(['CG-SUP-0001|[SU]']);
+    });
+  });
+
+  describe('send', () => {
+    const settings = Confirmations.getSettings(Object.assign({ CONFIRM_CC: 'audit@org.test' }, config), TODAY);
+    const letter = { ledger: ledgers[0], email: 'accounts@alpha.test', balance: -16800, subject: 'S', body: 'B' };
+
+    test('emails each letter with its statement PDF and logs it', () => {
+      const log = makeLog();
+      const run = Confirmations.send(makeSpreadsheet(log), [letter], settings, { folderId: 'f' });
+
+      expect(run.sent).toBe(1);
+      expect(run.remaining).toBe(0);
+      expect(MailApp.sendEmail).toHaveBeenCalledWith({
+        to: 'accounts@alpha.test',
+        cc: 'audit@org.test',
+        name: 'Congzhou Machinery',
+        subject: 'S',
+        body: 'B',
+        attachments: [{ pdf: 'file-1' }]
+      });
+      expect(run.results[0].statementUrl).toBe('https://drive/file-1');
+      expect(Statements.record).toHaveBeenCalledTimes(1);
+      expect(log.rows.map(row => row[9])).toEqual(['SENT']);
+    });
+
+    test('does not send when the statement PDF failed', () => {
+      exportStatus = 'ERROR';
+      const log = makeLog();
+      const run = Confirmations.send(makeSpreadsheet(log), [letter], settings, { folderId: 'f' });
+
+      expect(run.sent).toBe(0);
+      expect(run.results[0].error).toBe('Statement PDF: HTTP 500');
+      expect(MailApp.sendEmail).not.toHaveBeenCalled();
+      expect(log.rows[0][9]).toBe('ERROR: Statement PDF: HTTP 500');
+      expect(Confirmations.formatResult(run)).toBe('Sent: 0, Failed: 1');
+    });
+
+    test('stops at the time limit having logged every email it sent', () => {
+      // Each export takes 3 minutes; the third letter would start past MAX_RUN_MS
+      const start = Date.UTC(2026, 2, 20, 5, 30);
+      let clock = start;
+      const now = jest.spyOn(Date, 'now').mockImplementation(() => clock);
+      onExport = () => {
+        expect(log.rows).toHaveLength(exportCount - 1);
+        clock += 3 * 60 * 1000;
+      };
+      const log = makeLog();
+      const letters = [letter, letter, letter].map((item, i) =>
+        Object.assign({}, item, { ledger: Object.assign({}, item.ledger, { id: 'CG-SUP-000' + (i + 1) }) }));
+
+      try {
+        const run = Confirmations.send(makeSpreadsheet(log), letters, settings, { folderId: 'f' }, start);
+
+        expect(run.sent).toBe(2);
+        expect(run.remaining).toBe(1);
+        expect(MailApp.sendEmail).toHaveBeenCalledTimes(2);
+        expect(Statements.record).toHaveBeenCalledTimes(2);
+        expect(log.rows.map(row => row[1])).toEqual(['CG-SUP-0001', 'CG-SUP-0002']);
+        expect(Confirmations.formatResult(run)).toBe('Sent: 2, Failed: 0, Not reached: 1');
+
+        // Running again for the same as-of date picks up where the first run stopped
+        const again = Confirmations.findSent(log.rows, settings.asOf);
+        expect(Object.keys(again)).toEqual(['CG-SUP-0001|[SU]', 'CG-SUP-0002|[SU]']);
+      } finally {
+        now.mockRestore();
+      }
+    });
+
+    test('logs sends as PENDING replies', () => {
+      const run = Confirmations.send(makeSpreadsheet(makeLog()), [letter], settings, { folderId: 'f' });
+      const when = new Date(2026, 2, 20, 11, 0);
+      const rows = Confirmations.buildRows(run.results, settings, when);
+
+      expect(rows[0]).toEqual([when, 'CG-SUP-0001', 'Alpha', '[SU]', 'accounts@alpha.test', settings.asOf,
+        16800, 'CR', '=HYPERLINK("https://drive/file-1", "PDF")', 'SENT', 'PENDING', '', '']);
+      expect(rows[0]).toHaveLength(Confirmations.HEADERS.length);
+    });
+  });
+
+  describe('summarizeReplies', () => {
+    test('counts the latest reply per party ledger', () => {
+      const row = (id, type, reply) => ['', id, '', type, '', '', '', '', '', 'SENT', reply, '', ''];
+      expect(Confirmations.summarizeReplies([
+        row('CG-SUP-0001', '[SU]', 'PENDING'),
+        row('CG-SUP-0001', '[SU]', 'CONFIRMED'),
+        row('CG-CUS-0001', '[CU]', 'DISPUTED'),
+        row('CG-CUS-0002', '[CU]', 'PENDING'),
+        row('CG-CUS-0003', '[CU]', '')
+      ])).toEqual({ PENDING: 1, CONFIRMED: 1, DISPUTED: 1 });
+    });
+  });
+});
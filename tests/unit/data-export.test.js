@@ -0,0 +1,198 @@
+/**
+ * Unit tests for DataExport module
+ */
+
+const fs = require('fs');
+
+// Mock Google Apps Script globals
+let driveFiles = [];
+const folder = {
+  getFilesByName: (name) => {
+    const matches = driveFiles.filter(file => file.name === name && !file.trashed);
+    return { hasNext: () => matches.length > 0, next: () => matches.shift() };
+  },
+  createFile: jest.fn((name, content, mimeType) => {
+    const file = { id: 'file-' + (driveFiles.length + 1), name: name, content: content, mimeType: mimeType, trashed: false };
+    file.getId = () => file.id;
+    file.getUrl = () => 'https://drive.google.com/file/d/' + file.id;
+    file.setTrashed = (value) => { file.trashed = value; };
+    driveFiles.push(file);
+    return file;
+  })
+};
+global.DriveApp = { getFolderById: jest.fn(() => folder) };
+
+// Load the modules (replace const with global assignment for Jest compatibility)
+const driveCode = fs.readFileSync('./src/exports/drive-files.js', 'utf8');
+eval(driveCode.replace('const DriveFiles =', 'global.DriveFiles ='));
+const openingCode = fs.readFileSync('./src/ledgers/opening-balance.js', 'utf8');
+eval(openingCode.replace('const OpeningBalance =', 'global.OpeningBalance ='));
+const routingCode = fs.readFileSync('./src/ledgers/party-routing.js', 'utf8');
+eval(routingCode.replace('const PartyRouting =', 'global.PartyRouting ='));
+const exportCode = fs.readFileSync('./src/exports/data-export.js', 'utf8');
+eval(exportCode.replace('const DataExport =', 'global.DataExport ='));
+const DataExport = global.DataExport;
+
+describe('DataExport', () => {
+
+  const settings = DataExport.getSettings({ ORG_CODE: 'cm', FINANCIAL_YEAR: '2025-26', EXPORT_FOLDER_ID: 'folder-1' });
+
+  const purchase = {
+    date: new Date(2025, 3, 5), docType: 'PURCHASE', voucherType: 'PURCHASE', docNo: 'AT/101', reference: '',
+    partyId: 'cg-sup-0001 ', partyName: 'Apex Tyres', particulars: 'Tyres, tubes', debit: 0, credit: 11800.4,
+    account: 'Spares', isExpense: false, gstin: '27aapfu0939f1zv', gstType: 'CGST/SGST', gstMonth: 'APR-2025',
+    taxable: 10000, igst: 0, cgst: 900, sgst: 900, gst: 1800,
+    sourceId: 'pur-1', sourceTab: 'Register', sourceRow: 12
+  };
+
+  const bank = {
+    date: '16-04-2025', docType: 'BANK', voucherType: 'BANK', docNo: 'UTR456', reference: 'UTR456',
+    partyId: 'CG-CUS-0001', partyName: 'Shree "SM" Motors', particulars: 'RTGS', debit: 0, credit: 50000,
+    sourceId: 'bank-1', sourceTab: 'HDFC', sourceRow: 8
+  };
+
+  describe('getSettings', () => {
+    test('reads the folder, org code and year', () => {
+      expect(settings).toEqual({ folderId: 'folder-1', orgCode: 'CM', financialYear: '2025-26', errors: [] });
+    });
+
+    test('reports a missing folder', () => {
+      expect(DataExport.getSettings({}).errors).toEqual(['EXPORT_FOLDER_ID not set']);
+    });
+  });
+
+  describe('toTransactionRecord', () => {
+    test('carries party, category, GST fields and the source locator', () => {
+      const record = DataExport.toTransactionRecord(purchase, 'SU');
+      expect(Object.keys(record)).toEqual(DataExport.TRANSACTION_FIELDS);
+      expect(record).toMatchObject({
+        date: '2025-04-05', party_id: 'CG-SUP-0001', category: 'SU', credit: 11800.4,
+        gstin: '27AAPFU0939F1ZV', gst_month: 'APR-2025', taxable: 10000, cgst: 900, gst: 1800,
+        source_id: 'pur-1', source_tab: 'Register', source_row: 12
+      });
+    });
+
+    test('leaves GST fields blank for bank rows and category blank when not routed', () => {
+      const record = DataExport.toTransactionRecord(bank, null);
+      expect(record.date).toBe('2025-04-16');
+      expect(record.category).toBe('');
+      expect(record.gstin).toBe('');
+      expect(record.taxable).toBeNull();
+      expect(record.gst).toBeNull();
+      expect(record.is_expense).toBe(false);
+    });
+  });
+
+  describe('buildTransactions', () => {
+    test('routes rows with the PARTY ROUTING rules', () => {
+      const rules = PartyRouting.getRules({}).rules;
+      const records = DataExport.buildTransactions([purchase, bank, { docType: 'BANK', debit: 10 }], rules, {});
+      expect(records.map(record => record.category)).toEqual(['SU', 'CU', '']);
+    });
+  });
+
+  describe('toLedgerRecord', () => {
+    test('maps a Ledger Master entry to the schema fields', () => {
+      const record = DataExport.toLedgerRecord({
+        id: 'CG-SUP-0001', name: 'Apex Tyres', ledgerCategory: 'SU',
+        totalDebit: 0, totalCredit: 11800.404, balance: -11800.404, lastTransaction: new Date(2025, 3, 15)
+      });
+
+      expect(Object.keys(record)).toEqual(DataExport.LEDGER_FIELDS);
+      expect(record).toEqual({
+        party_id: 'CG-SUP-0001', party_name: 'Apex Tyres', category: 'SU',
+        total_debit: 0, total_credit: 11800.4, balance: -11800.4, last_transaction: '2025-04-15'
+      });
+    });
+  });
+
+  describe('toCsv', () => {
+    test('writes a header row and quotes values that need it', () => {
+      const csv = DataExport.toCsv(['a', 'b', 'c'], [{ a: 'x, y', b: 'say "hi"', c: null }, { a: 1, b: true, c: 0 }]);
+      expect(csv).toBe('a,b,c\r\n"x, y","say ""hi""",\r\n1,true,0\r\n');
+    });
+
+    test('uses the schema field order', () => {
+      const csv = DataExport.toCsv(DataExport.TRANSACTION_FIELDS, [DataExport.toTransactionRecord(purchase, 'SU')]);
+      const lines = csv.split('\r\n');
+      expect(lines[0]).toBe(DataExport.TRANSACTION_FIELDS.join(','));
+      expect(lines[1]).toBe('2025-04-05,PURCHASE,PURCHASE,AT/101,,CG-SUP-0001,Apex Tyres,SU,"Tyres, tubes",0,11800.4,' +
+        'Spares,false,27AAPFU0939F1ZV,CGST/SGST,APR-2025,10000,0,900,900,1800,pur-1,Register,12');
+    });
+  });
+
+  describe('toJson', () => {
+    test('wraps rows with the schema header', () => {
+      const period = { from: new Date(2025, 3, 1), to: null };
+      const json = JSON.parse(DataExport.toJson('ledger_master', [{ party_id: 'X' }], settings, period,
+        new Date(Date.UTC(2025, 5, 30, 10, 15))));
+
+      expect(json).toEqual({
+        schema: 'ledger_master',
+        schema_version: DataExport.SCHEMA_VERSION,
+        generated_at: '2025-06-30T10:15:00.000Z',
+        org_code: 'CM',
+        financial_year: '2025-26',
+        period: { from: '2025-04-01', to: '' },
+        row_count: 1,
+        rows: [{ party_id: 'X' }]
+      });
+    });
+  });
+
+  describe('buildFiles and save', () => {
+    beforeEach(() => {
+      driveFiles = [];
+      folder.createFile.mockClear();
+    });
+
+    test('writes CSV and JSON for both schemas, replacing earlier files', () => {
+      driveFiles.push({ name: 'CM_TRANSACTIONS_2025-26.csv', trashed: false, setTrashed(value) { this.trashed = value; } });
+
+      const files = DataExport.buildFiles([DataExport.toTransactionRecord(bank, 'CU')], [], settings, {}, new Date());
+      const saved = DataExport.save(settings, files);
+
+      expect(saved.map(file => file.fileName)).toEqual([
+        'CM_TRANSACTIONS_2025-26.csv',
+        'CM_TRANSACTIONS_2025-26.json',
+        'CM_LEDGER_MASTER_2025-26.csv',
+        'CM_LEDGER_MASTER_2025-26.json'
+      ]);
+      expect(folder.createFile.mock.calls.map(call => call[2]))
+        .toEqual(['text/csv', 'application/json', 'text/csv', 'application/json']);
+      expect(driveFiles[0].trashed).toBe(true);
+      expect(files[3].content).toContain('"row_count": 0');
+    });
+
+    test('throws when EXPORT_FOLDER_ID is missing', () => {
+      expect(() => DataExport.save(DataExport.getSettings({}), [])).toThrow('EXPORT_FOLDER_ID not set');
+    });
+  });
+
+  describe('schema document', () => {
+    const doc = fs.readFileSync('./docs/export-schema.md', 'utf8');
+
+    function documentedFields(heading) {
+      const section = doc.split('\n## ' + heading + '\n')[1].split('\n## ')[0];
+      return section.split('\n')
+        .map(line => line.match(/^\| \d+ \| `([a-z_]+)` \|/))
+        .filter(match => match)
+        .map(match => match[1]);
+    }
+
+    test('states the current schema version', () => {
+      expect(doc).toContain('**Schema version:** ' + DataExport.SCHEMA_VERSION);
+    });
+
+    test('lists every field in order', () => {
+      expect(documentedFields('Transactions')).toEqual(DataExport.TRANSACTION_FIELDS);
+      expect(documentedFields('Ledger Master')).toEqual(DataExport.LEDGER_FIELDS);
+    });
+  });
+
+  describe('formatResult', () => {
+    test('includes the schema version and counts', () => {
+      expect(DataExport.formatResult(1250, 84)).toBe('Schema 1.0: 1250 transactions, 84 ledgers');
+    });
+  });
+});
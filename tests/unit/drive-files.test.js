@@ -0,0 +1,86 @@
+/**
+ * Unit tests for DriveFiles module
+ */
+
+const fs = require('fs');
+
+// Mock Google Apps Script globals - a folder backed by a file array
+let driveFiles = [];
+const folder = {
+  getFilesByName: (name) => {
+    const matches = driveFiles.filter(file => file.name === name && !file.trashed);
+    return { hasNext: () => matches.length > 0, next: () => matches.shift() };
+  },
+  createFile: jest.fn((nameOrBlob, content, mimeType) => {
+    const name = typeof nameOrBlob === 'string' ? nameOrBlob : nameOrBlob.name;
+    const file = { id: 'file-' + (driveFiles.length + 1), name: name, content: content, mimeType: mimeType, trashed: false };
+    file.getId = () => file.id;
+    file.getUrl = () => 'https://drive.google.com/file/d/' + file.id;
+    file.setTrashed = (value) => { file.trashed = value; };
+    driveFiles.push(file);
+    return file;
+  })
+};
+global.DriveApp = { getFolderById: jest.fn(() => folder) };
+
+// Load the module (replace const with global assignment for Jest compatibility)
+const driveCode = fs.readFileSync('./src/exports/drive-files.js', 'utf8');
+eval(driveCode.replace('const DriveFiles =', 'global.DriveFiles ='));
+const DriveFiles = global.DriveFiles;
+
+describe('DriveFiles', () => {
+
+  beforeEach(() => {
+    driveFiles = [];
+    jest.clearAllMocks();
+  });
+
+  describe('getSettings', () => {
+    test('reads the folder from the given key with the org code and year', () => {
+      expect(DriveFiles.getSettings({ STATEMENTS_FOLDER_ID: ' f1 ', ORG_CODE: 'cm', FINANCIAL_YEAR: '2025-26' },
+        'STATEMENTS_FOLDER_ID')).toEqual({ folderId: 'f1', orgCode: 'CM', financialYear: '2025-26', errors: [] });
+    });
+
+    test('names the missing key', () => {
+      expect(DriveFiles.getSettings({}, 'EXPORT_FOLDER_ID').errors).toEqual(['EXPORT_FOLDER_ID not set']);
+    });
+  });
+
+  describe('buildFileName', () => {
+    test('joins the parts, skipping blanks and replacing unsafe characters', () => {
+      expect(DriveFiles.buildFileName(['CM', 'A B', '', '2025/26'], 'pdf')).toBe('CM_A-B_2025-26.pdf');
+      expect(DriveFiles.buildFileName(['CM', 'x:"y"?'], 'csv')).toBe('CM_x-y-.csv');
+    });
+  });
+
+  describe('openFolder', () => {
+    test('opens the configured folder', () => {
+      expect(DriveFiles.openFolder({ folderId: 'folder-1', errors: [] })).toBe(folder);
+      expect(DriveApp.getFolderById).toHaveBeenCalledWith('folder-1');
+    });
+
+    test('throws the settings errors instead', () => {
+      expect(() => DriveFiles.openFolder(DriveFiles.getSettings({}, 'EXPORT_FOLDER_ID')))
+        .toThrow('EXPORT_FOLDER_ID not set');
+      expect(DriveApp.getFolderById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('save', () => {
+    test('trashes files of the same name before writing text', () => {
+      DriveFiles.save(folder, 'CM_TALLY.xml', '<A/>', 'text/xml');
+      const saved = DriveFiles.save(folder, 'CM_TALLY.xml', '<B/>', 'text/xml');
+
+      expect(saved).toEqual({ fileName: 'CM_TALLY.xml', fileId: 'file-2', url: 'https://drive.google.com/file/d/file-2' });
+      expect(driveFiles.map(file => [file.content, file.trashed])).toEqual([['<A/>', true], ['<B/>', false]]);
+    });
+
+    test('names and saves a blob', () => {
+      const blob = { name: '', setName: (name) => { blob.name = name; return blob; } };
+      DriveFiles.save(folder, 'CM_CG-SUP-0001_2025-26.pdf', blob);
+
+      expect(folder.createFile).toHaveBeenCalledWith(blob);
+      expect(driveFiles[0].name).toBe('CM_CG-SUP-0001_2025-26.pdf');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for DuplicateCheck module
+ */
+
+// Load the modules (replace const with global assignment for Jest compatibility)
+const fs = require('fs');
+eval(fs.readFileSync('./src/ledgers/opening-balance.js', 'utf8')
+  .replace('const OpeningBalance =', 'global.OpeningBalance ='));
+eval(fs.readFileSync('./src/reports/duplicates.js', 'utf8')
+  .replace('const DuplicateCheck =', 'global.DuplicateCheck ='));
+const DuplicateCheck = global.DuplicateCheck;
+
+describe('DuplicateCheck', () => {
+
+  const settings = { enabled: true, windowDays: 3, excludeExact: true };
+  const defaults = { enabled: true, windowDays: 3, excludeExact: false };
+
+  function purchase(row, docNo, amount, date) {
+    return {
+      docType: 'PURCHASE', sourceTab: 'Purchase Register', sourceRow: row,
+      partyId: 'CG-SUP-0001', docNo: docNo, date: date || new Date(2025, 4, 1),
+      debit: 0, credit: amount
+    };
+  }
+
+  describe('getSettings', () => {
+    test('defaults to on, 3 days, flagging exact duplicates without excluding them', () => {
+      expect(DuplicateCheck.getSettings({})).toEqual(defaults);
+    });
+
+    test('reads CONFIG values', () => {
+      expect(DuplicateCheck.getSettings({
+        DUPLICATE_CHECK: 'off', DUPLICATE_WINDOW_DAYS: 7, DUPLICATE_EXCLUDE_EXACT: 'yes'
+      })).toEqual({ enabled: false, windowDays: 7, excludeExact: true });
+    });
+  });
+
+  describe('detect', () => {
+    test('flags a repeated invoice as an exact duplicate of the first row', () => {
+      const first = purchase(10, 'INV-1', 5000);
+      const second = purchase(25, 'inv-1 ', 5000, new Date(2025, 5, 1));
+
+      const findings = DuplicateCheck.detect([first, second], settings);
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0]).toMatchObject({ txn: second, original: first, match: 'EXACT' });
+    });
+
+    test('flags a bank line present on two bank tabs', () => {
+      const line = { docType: 'BANK', partyId: 'CG-CUS-0001', docNo: 'UTR9', date: new Date(2025, 4, 2), debit: 0, credit: 800 };
+      const findings = DuplicateCheck.detect([
+        { ...line, sourceTab: 'HDFC', sourceRow: 6 },
+        { ...line, sourceTab: 'HDFC OLD', sourceRow: 40 }
+      ], settings);
+
+      expect(findings.map(f => f.match)).toEqual(['EXACT']);
+    });
+
+    test('flags same party and amount within the window as likely', () => {
+      const findings = DuplicateCheck.detect([
+        purchase(10, 'INV-1', 5000, new Date(2025, 4, 1)),
+        purchase(11, 'INV-2', 5000, new Date(2025, 4, 3))
+      ], settings);
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0].match).toBe('LIKELY');
+      expect(findings[0].txn.sourceRow).toBe(11);
+    });
+
+    test('ignores same amounts outside the window or on the other side', () => {
+      const invoice = purchase(10, 'INV-1', 5000, new Date(2025, 4, 1));
+      const later = purchase(11, 'INV-2', 5000, new Date(2025, 4, 10));
+      const payment = { ...invoice, docType: 'BANK', docNo: 'UTR1', debit: 5000, credit: 0 };
+
+      expect(DuplicateCheck.detect([invoice, later, payment], settings)).toEqual([]);
+    });
+
+    test('skips rows without a party ID', () => {
+      const row = { ...purchase(10, 'INV-1', 5000), partyId: '' };
+      expect(DuplicateCheck.detect([row, { ...row }], settings)).toEqual([]);
+    });
+
+    test('gives identical rows distinct, stable keys', () => {
+      const rows = [purchase(10, 'INV-1', 5000), purchase(11, 'INV-1', 5000), purchase(12, 'INV-1', 5000)];
+      const keys = DuplicateCheck.detect(rows, settings).map(f => f.key);
+
+      expect(new Set(keys).size).toBe(2);
+      expect(DuplicateCheck.detect(rows.map(r => ({ ...r, sourceRow: r.sourceRow + 5 })), settings)
+        .map(f => f.key)).toEqual(keys);
+    });
+  });
+
+  describe('resolve / filter', () => {
+    test('excludes exact duplicates unless ignored', () => {
+      const rows = [purchase(10, 'INV-1', 5000), purchase(11, 'INV-1', 5000), purchase(12, 'INV-1', 5000)];
+      const findings = DuplicateCheck.detect(rows, settings);
+      const ignored = { [findings[0].key]: true };
+
+      DuplicateCheck.resolve(findings, ignored, settings);
+
+      expect(findings.map(f => f.status)).toEqual(['IGNORED', 'EXCLUDED']);
+      expect(DuplicateCheck.filter(rows, findings)).toEqual([rows[0], rows[1]]);
+      expect(DuplicateCheck.summarize(findings)).toEqual({ exact: 1, likely: 0, excluded: 1 });
+    });
+
+    test('only flags exact duplicates with the default settings', () => {
+      const rows = [purchase(10, 'INV-1', 5000), purchase(11, 'INV-1', 5000)];
+      const findings = DuplicateCheck.resolve(DuplicateCheck.detect(rows, defaults), {},
+        DuplicateCheck.getSettings({}));
+
+      expect(findings[0].status).toBe('FLAGGED');
+      expect(DuplicateCheck.filter(rows, findings)).toHaveLength(2);
+    });
+  });
+
+  describe('review tab rows', () => {
+    test('round-trips the IGNORE tick through the hidden key', () => {
+      const rows = [purchase(10, 'INV-1', 5000), purchase(11, 'INV-1', 5000)];
+      const findings = DuplicateCheck.resolve(DuplicateCheck.detect(rows, settings), {}, settings);
+      const sheetRows = DuplicateCheck.buildRows(findings);
+
+      expect(sheetRows[0].slice(0, 4)).toEqual(['EXACT', 'PURCHASE', 'Purchase Register', 11]);
+      expect(sheetRows[0][9]).toBe('Purchase Register row 10');
+      expect(sheetRows[0][11]).toBe(false);
+
+      sheetRows[0][11] = true;
+      expect(DuplicateCheck.parseIgnoredRows(sheetRows)).toEqual({ [findings[0].key]: true });
+    });
+  });
+
+});
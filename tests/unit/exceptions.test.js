@@ -0,0 +1,69 @@
+/**
+ * Unit tests for ExceptionReport module
+ */
+
+// Load the module (replace const with global assignment for Jest compatibility)
+const exceptionsCode = require('fs').readFileSync('./src/reports/exceptions.js', 'utf8');
+eval(exceptionsCode.replace('const ExceptionReport =', 'global.ExceptionReport ='));
+const ExceptionReport = global.ExceptionReport;
+
+describe('ExceptionReport', () => {
+
+  const contacts = {
+    'CG-SUP-0001': { id: 'CG-SUP-0001', name: 'Supplier One' }
+  };
+
+  describe('classify', () => {
+    test('accepts a known, well-formed party', () => {
+      expect(ExceptionReport.classify({ partyId: 'cg-sup-0001 ' }, 'SU', contacts)).toBeNull();
+    });
+
+    test('reports blank L/F', () => {
+      expect(ExceptionReport.classify({ partyId: '  ' }, null, contacts)).toBe('Blank L/F');
+    });
+
+    test('reports rows with no ledger category', () => {
+      expect(ExceptionReport.classify({ partyId: 'CG-XYZ-0001' }, null, contacts)).toBe('No ledger category');
+    });
+
+    test('reports rows skipped by a routing rule', () => {
+      expect(ExceptionReport.classify({ partyId: 'CG-SUP-0001' }, null, contacts, true)).toBe('Skipped by routing rule');
+    });
+
+    test('reports malformed IDs', () => {
+      expect(ExceptionReport.classify({ partyId: 'SUP 12' }, 'CU', contacts)).toBe('Malformed ID');
+      expect(ExceptionReport.classify({ partyId: 'CG-SUP-' }, 'SU', contacts)).toBe('Malformed ID');
+    });
+
+    test('reports a malformed ID ahead of a missing ledger category', () => {
+      expect(ExceptionReport.classify({ partyId: 'SUP 12' }, null, contacts)).toBe('Malformed ID');
+      expect(ExceptionReport.classify({ partyId: 'SUP 12' }, null, contacts, true)).toBe('Malformed ID');
+    });
+
+    test('reports IDs missing from contacts', () => {
+      expect(ExceptionReport.classify({ partyId: 'CG-SUP-0099' }, 'SU', contacts)).toBe('ID not in contacts');
+    });
+
+    test('skips the contacts check when contacts are not loaded', () => {
+      expect(ExceptionReport.classify({ partyId: 'CG-SUP-0099' }, 'SU', {})).toBeNull();
+    });
+  });
+
+  describe('buildRows', () => {
+    test('lists source, location, date, amount and reason', () => {
+      const date = new Date(2025, 4, 1);
+      const rows = ExceptionReport.buildRows([
+        {
+          txn: {
+            docType: 'BANK', sourceTab: 'HDFC', sourceRow: 42, date: date,
+            partyId: '', partyName: 'Cash', docNo: 'UTR1', debit: 0, credit: 1500
+          },
+          reason: ExceptionReport.REASONS.BLANK_LF
+        }
+      ]);
+
+      expect(rows).toEqual([['BANK', 'HDFC', 42, date, '', 'Cash', 'UTR1', 1500, 'Blank L/F']]);
+    });
+  });
+
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for GstSummary module
+ */
+
+// Load the module (replace const with global assignment for Jest compatibility)
+const gstCode = require('fs').readFileSync('./src/reports/gst-summary.js', 'utf8');
+eval(gstCode.replace('const GstSummary =', 'global.GstSummary ='));
+const GstSummary = global.GstSummary;
+
+describe('GstSummary', () => {
+
+  describe('getMonthKey', () => {
+    test('reads the common GST MONTH formats', () => {
+      expect(GstSummary.getMonthKey({ gstMonth: 'APR-2025' })).toBe('2025-04');
+      expect(GstSummary.getMonthKey({ gstMonth: 'April 25' })).toBe('2025-04');
+      expect(GstSummary.getMonthKey({ gstMonth: '04/2025' })).toBe('2025-04');
+      expect(GstSummary.getMonthKey({ gstMonth: '2025-4' })).toBe('2025-04');
+      expect(GstSummary.getMonthKey({ gstMonth: new Date(2025, 3, 1) })).toBe('2025-04');
+    });
+
+    test('falls back to the invoice date, then the raw text', () => {
+      expect(GstSummary.getMonthKey({ gstMonth: '', date: new Date(2025, 4, 20) })).toBe('2025-05');
+      expect(GstSummary.getMonthKey({ gstMonth: 'q1 fy26' })).toBe('Q1 FY26');
+      expect(GstSummary.getMonthKey({})).toBe('UNDATED');
+    });
+  });
+
+  describe('getSupplyType', () => {
+    test('uses the tax heads before the GST TYPE text', () => {
+      expect(GstSummary.getSupplyType({ igst: 18 })).toBe('INTER');
+      expect(GstSummary.getSupplyType({ cgst: 9, sgst: 9, gstType: 'IGST' })).toBe('INTRA');
+      expect(GstSummary.getSupplyType({ gstType: 'Inter-State' })).toBe('INTER');
+      expect(GstSummary.getSupplyType({ gstType: 'Local' })).toBe('INTRA');
+      expect(GstSummary.getSupplyType({ gstType: '' })).toBe('');
+    });
+  });
+
+  describe('build', () => {
+    const transactions = [
+      { docType: 'SALES', gstMonth: 'APR-2025', taxable: 1000, cgst: 90, sgst: 90, gst: 180 },
+      { docType: 'SALES', gstMonth: 'APR-2025', taxable: 500, igst: 90, gst: 90 },
+      { docType: 'PURCHASE', gstMonth: 'APR-2025', taxable: 800, igst: 144, gst: 144 },
+      { docType: 'PURCHASE', gstMonth: 'MAY-2025', taxable: 1000, cgst: 90, sgst: 90, gst: 180 },
+      { docType: 'BANK', date: new Date(2025, 3, 5), debit: 500 },
+      { docType: 'CONTRACTOR', date: new Date(2025, 3, 5), credit: 500 }
+    ];
+
+    test('groups by month, oldest first, with registers only', () => {
+      const summary = GstSummary.build(transactions);
+      expect(summary.months.map(m => m.month)).toEqual(['2025-04', '2025-05']);
+    });
+
+    test('splits output and input tax with intra / inter taxable values', () => {
+      const april = GstSummary.build(transactions).months[0];
+      expect(april.output).toEqual({ taxable: 1500, intra: 1000, inter: 500, igst: 90, cgst: 90, sgst: 90, tax: 270 });
+      expect(april.input).toEqual({ taxable: 800, intra: 0, inter: 800, igst: 144, cgst: 0, sgst: 0, tax: 144 });
+      expect(april.net).toBe(126);
+    });
+
+    test('totals every month and allows a negative net (credit carried forward)', () => {
+      const summary = GstSummary.build(transactions);
+      expect(summary.months[1].net).toBe(-180);
+      expect(summary.total.output.tax).toBe(270);
+      expect(summary.total.input.tax).toBe(324);
+      expect(summary.total.net).toBe(-54);
+      expect(GstSummary.formatResult(summary)).toBe('Output 270.00, Input 324.00, Net liability -54.00');
+    });
+
+    test('returns an empty summary when there are no register rows', () => {
+      const summary = GstSummary.build([{ docType: 'BANK', debit: 100 }]);
+      expect(summary.months).toEqual([]);
+      expect(summary.total.net).toBe(0);
+    });
+  });
+
+  describe('formatMonth', () => {
+    test('shows month keys as MON YYYY', () => {
+      expect(GstSummary.formatMonth('2025-04')).toBe('APR 2025');
+      expect(GstSummary.formatMonth('Q1 FY26')).toBe('Q1 FY26');
+    });
+  });
+});
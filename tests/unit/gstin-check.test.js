@@ -0,0 +1,100 @@
+/**
+ * Unit tests for GstinCheck module
+ */
+
+// Load the module (replace const with global assignment for Jest compatibility)
+const gstinCode = require('fs').readFileSync('./src/reports/gstin-check.js', 'utf8');
+eval(gstinCode.replace('const GstinCheck =', 'global.GstinCheck ='));
+const GstinCheck = global.GstinCheck;
+
+describe('GstinCheck', () => {
+
+  const VALID = '27AAPFU0939F1ZV';
+  const OTHER_VALID = '29AAGCB7383J1Z4';
+
+  describe('validate', () => {
+    test('accepts a valid GSTIN, ignoring case and spaces', () => {
+      expect(GstinCheck.validate(VALID).valid).toBe(true);
+      expect(GstinCheck.validate(' 27aapfu0939f1zv ')).toEqual(
+        { gstin: VALID, valid: true, error: '', stateCode: '27' });
+    });
+
+    test('rejects a wrong check character', () => {
+      const result = GstinCheck.validate('27AAPFU0939F1ZX');
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('bad check character');
+    });
+
+    test('rejects wrong length, bad format and unknown state codes', () => {
+      expect(GstinCheck.validate('27AAPFU0939F1Z').error).toBe('should be 15 characters');
+      expect(GstinCheck.validate('27AAPFU0939F1AV').error).toBe('bad format');
+      expect(GstinCheck.validate('27AAPF10939F1ZV').error).toBe('bad format');
+      expect(GstinCheck.validate('45AAPFU0939F1ZV').error).toBe('unknown state code 45');
+    });
+  });
+
+  describe('computeCheckChar', () => {
+    test('matches the check character of known GSTINs', () => {
+      expect(GstinCheck.computeCheckChar(VALID)).toBe('V');
+      expect(GstinCheck.computeCheckChar(OTHER_VALID)).toBe('4');
+    });
+  });
+
+  describe('getStateCodes', () => {
+    test('reads names, old names, & and 2-digit codes', () => {
+      expect(GstinCheck.getStateCodes('Maharashtra')).toEqual(['27']);
+      expect(GstinCheck.getStateCodes('Orissa')).toEqual(['21']);
+      expect(GstinCheck.getStateCodes('Jammu & Kashmir')).toEqual(['01']);
+      expect(GstinCheck.getStateCodes('7')).toEqual(['07']);
+      expect(GstinCheck.getStateCodes('Andhra Pradesh')).toEqual(['28', '37']);
+    });
+
+    test('returns nothing for blank or unknown states', () => {
+      expect(GstinCheck.getStateCodes('')).toEqual([]);
+      expect(GstinCheck.getStateCodes('Atlantis')).toEqual([]);
+    });
+  });
+
+  describe('checkContact', () => {
+    test('passes a valid GSTIN in the right state, or no GSTIN at all', () => {
+      expect(GstinCheck.checkContact({ gst: VALID, state: 'MAHARASHTRA' })).toBeNull();
+      expect(GstinCheck.checkContact({ gst: VALID, state: '' })).toBeNull();
+      expect(GstinCheck.checkContact({ gst: '', state: 'KARNATAKA' })).toBeNull();
+    });
+
+    test('reports an invalid GSTIN', () => {
+      expect(GstinCheck.checkContact({ gst: '27AAPFU0939F1ZX', state: 'MAHARASHTRA' }))
+        .toBe('Invalid contact GSTIN 27AAPFU0939F1ZX: bad check character');
+    });
+
+    test('reports a state code that does not match STATE', () => {
+      expect(GstinCheck.checkContact({ gst: VALID, state: 'Karnataka' }))
+        .toBe('Contact GSTIN state 27 does not match STATE KARNATAKA');
+    });
+  });
+
+  describe('checkRow', () => {
+    const contacts = {
+      'CG-SUP-0001': { gst: VALID },
+      'CG-SUP-0002': { gst: '' }
+    };
+
+    test('passes a matching or blank register GSTIN', () => {
+      expect(GstinCheck.checkRow({ partyId: 'cg-sup-0001', gstin: VALID }, contacts)).toBeNull();
+      expect(GstinCheck.checkRow({ partyId: 'CG-SUP-0001', gstin: '' }, contacts)).toBeNull();
+      expect(GstinCheck.checkRow({ partyId: 'CG-SUP-0009', gstin: VALID }, contacts)).toBeNull();
+    });
+
+    test('reports an invalid register GSTIN before comparing', () => {
+      expect(GstinCheck.checkRow({ partyId: 'CG-SUP-0001', gstin: 'ABC' }, contacts))
+        .toBe('Invalid register GSTIN ABC: should be 15 characters');
+    });
+
+    test('reports a register GSTIN that differs from or is missing in contacts', () => {
+      expect(GstinCheck.checkRow({ partyId: 'CG-SUP-0001', gstin: OTHER_VALID }, contacts))
+        .toBe('Register GSTIN ' + OTHER_VALID + ' differs from contacts ' + VALID);
+      expect(GstinCheck.checkRow({ partyId: 'CG-SUP-0002', gstin: VALID }, contacts))
+        .toBe('Register GSTIN ' + VALID + ' missing in contacts');
+    });
+  });
+});
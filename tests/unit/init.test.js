@@ -0,0 +1,92 @@
+/**
+ * Unit tests for Init module (CONFIG reading and writing)
+ */
+
+const fs = require('fs');
+
+// Mock Google Apps Script globals - a CONFIG tab backed by a row array
+let rows;
+const configSheet = {
+  getDataRange: () => ({ getValues: () => rows.map(row => row.slice()) }),
+  getLastRow: () => rows.length,
+  getRange: (row, col, numRows) => ({
+    getValues: () => rows.slice(row - 1, row - 1 + (numRows || 1)).map(r => r.slice(col - 1, col)),
+    setValue: (value) => { rows[row - 1][col - 1] = value; },
+    setValues: (values) => { values[0].forEach((value, i) => { rows[row - 1][col - 1 + i] = value; }); }
+  }),
+  insertRowBefore: (row) => { rows.splice(row - 1, 0, ['', '', '', '']); },
+  appendRow: (row) => { rows.push(row.concat(['']).slice(0, 4)); }
+};
+global.SpreadsheetApp = {
+  getActiveSpreadsheet: () => ({ getSheetByName: (name) => name === 'CONFIG' ? configSheet : null })
+};
+global.Logger = { log: jest.fn() };
+
+// Load the modules (replace const with global assignment for Jest compatibility)
+const routingCode = fs.readFileSync('./src/ledgers/party-routing.js', 'utf8');
+eval(routingCode.replace('const PartyRouting =', 'global.PartyRouting ='));
+const initCode = fs.readFileSync('./src/init.js', 'utf8');
+eval(initCode.replace('const Init =', 'global.Init ='));
+const Init = global.Init;
+
+describe('Init', () => {
+
+  beforeEach(() => {
+    rows = [
+      ['KEY', 'VALUE', 'DESCRIPTION', ''],
+      ['=== GENERAL ===', '', '', ''],
+      ['ORG_CODE', 'CM', 'Org code', ''],
+      ['', '', '', ''],
+      ['>> PARTY ROUTING', '', '', ''],
+      ['MATCH', 'SOURCE', 'DIRECTION', 'ROUTE TO'],
+      ['*', 'PURCHASE', 'ANY', 'SU'],
+      ['*', 'ANY', 'ANY', 'CU']
+    ];
+  });
+
+  describe('readConfig', () => {
+    test('reads settings and the routing rules below the section heading', () => {
+      const config = Init.readConfig();
+
+      expect(config.ORG_CODE).toBe('CM');
+      expect(config.PARTY_ROUTING).toEqual([['*', 'PURCHASE', 'ANY', 'SU'], ['*', 'ANY', 'ANY', 'CU']]);
+    });
+
+    test('reads a setting appended below the routing rules as a setting', () => {
+      rows.push(['REFRESH_SCHEDULE', 'DAILY', '', '']);
+
+      const config = Init.readConfig();
+
+      expect(config.REFRESH_SCHEDULE).toBe('DAILY');
+      expect(config.PARTY_ROUTING).toHaveLength(2);
+    });
+  });
+
+  describe('setConfigValues', () => {
+    test('updates settings already on the tab', () => {
+      Init.setConfigValues({ ORG_CODE: 'KM' });
+
+      expect(rows[2]).toEqual(['ORG_CODE', 'KM', 'Org code', '']);
+      expect(rows).toHaveLength(8);
+    });
+
+    test('adds missing settings above the routing section', () => {
+      Init.setConfigValues({ REFRESH_SCHEDULE: 'DAILY', REFRESH_HOUR: 6 });
+
+      expect(rows.slice(4, 7).map(row => row[0])).toEqual(['REFRESH_SCHEDULE', 'REFRESH_HOUR', '>> PARTY ROUTING']);
+
+      const config = Init.readConfig();
+      expect(config.REFRESH_SCHEDULE).toBe('DAILY');
+      expect(config.REFRESH_HOUR).toBe(6);
+      expect(config.PARTY_ROUTING).toEqual([['*', 'PURCHASE', 'ANY', 'SU'], ['*', 'ANY', 'ANY', 'CU']]);
+    });
+
+    test('appends at the end when the tab has no section', () => {
+      rows = rows.slice(0, 4);
+
+      Init.setConfigValues({ REFRESH_SCHEDULE: 'OFF' });
+
+      expect(rows[4]).toEqual(['REFRESH_SCHEDULE', 'OFF', '', '']);
+    });
+  });
+});
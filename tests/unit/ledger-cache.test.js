@@ -0,0 +1,133 @@
+/**
+ * Unit tests for LedgerCache module
+ */
+
+const crypto = require('crypto');
+
+// Mock Google Apps Script globals
+global.Utilities = {
+  DigestAlgorithm: { MD5: 'md5' },
+  Charset: { UTF_8: 'utf8' },
+  computeDigest: (algorithm, value) =>
+    Array.from(crypto.createHash(algorithm).update(value, 'utf8').digest()).map(b => (b > 127 ? b - 256 : b))
+};
+
+let store = {};
+global.PropertiesService = {
+  getDocumentProperties: () => ({
+    getProperties: () => ({ ...store }),
+    setProperties: (props) => { Object.assign(store, props); },
+    deleteProperty: (name) => { delete store[name]; }
+  })
+};
+
+// Load the module (replace const with global assignment for Jest compatibility)
+const cacheCode = require('fs').readFileSync('./src/ledgers/ledger-cache.js', 'utf8');
+eval(cacheCode.replace('const LedgerCache =', 'global.LedgerCache ='));
+const LedgerCache = global.LedgerCache;
+
+describe('LedgerCache', () => {
+
+  const company = { id: 'CG-MAS-0001', name: 'Classic Group' };
+
+  function makeLedger() {
+    return {
+      id: 'CG-SUP-0001',
+      name: 'Supplier One',
+      ledgerCategory: 'SU',
+      transactions: [{ date: new Date(2025, 4, 1), docNo: 'P-1', debit: 0, credit: 1000 }]
+    };
+  }
+
+  beforeEach(() => {
+    store = {};
+  });
+
+  describe('computeHash', () => {
+    test('returns a stable hex digest', () => {
+      const hash = LedgerCache.computeHash(makeLedger(), company);
+      expect(hash).toMatch(/^[0-9a-f]{32}$/);
+      expect(LedgerCache.computeHash(makeLedger(), company)).toBe(hash);
+    });
+
+    test('changes when a transaction changes', () => {
+      const ledger = makeLedger();
+      const before = LedgerCache.computeHash(ledger, company);
+      ledger.transactions[0].credit = 1100;
+      expect(LedgerCache.computeHash(ledger, company)).not.toBe(before);
+    });
+
+    test('changes when contact info or company header changes', () => {
+      const ledger = makeLedger();
+      const before = LedgerCache.computeHash(ledger, company);
+
+      ledger.email = 'accounts@supplier.in';
+      expect(LedgerCache.computeHash(ledger, company)).not.toBe(before);
+
+      delete ledger.email;
+      expect(LedgerCache.computeHash(ledger, { ...company, gst: '06AAACC1206D1ZM' })).not.toBe(before);
+    });
+
+    test('changes when layout options change', () => {
+      const ledger = makeLedger();
+      expect(LedgerCache.computeHash(ledger, company, { subtotals: 'MONTHLY' }))
+        .not.toBe(LedgerCache.computeHash(ledger, company, { subtotals: 'NONE' }));
+    });
+
+    test('ignores derived totals', () => {
+      const ledger = makeLedger();
+      const before = LedgerCache.computeHash(ledger, company);
+      ledger.totalCredit = 1000;
+      expect(LedgerCache.computeHash(ledger, company)).toBe(before);
+    });
+  });
+
+  describe('load / save', () => {
+    test('round-trips hashes by ledger key', () => {
+      LedgerCache.save({ 'CG-SUP-0001|SU': 'abc', 'CG-CUS-0001|CU': 'def' });
+      expect(LedgerCache.load()).toEqual({ 'CG-SUP-0001|SU': 'abc', 'CG-CUS-0001|CU': 'def' });
+    });
+
+    test('drops ledgers that are no longer generated', () => {
+      LedgerCache.save({ 'CG-SUP-0001|SU': 'abc', 'CG-CUS-0001|CU': 'def' });
+      LedgerCache.save({ 'CG-SUP-0001|SU': 'xyz' });
+      expect(LedgerCache.load()).toEqual({ 'CG-SUP-0001|SU': 'xyz' });
+    });
+
+    test('leaves unrelated document properties alone', () => {
+      store.OTHER_SETTING = 'keep';
+      LedgerCache.save({ 'CG-SUP-0001|SU': 'abc' });
+      LedgerCache.clear();
+      expect(store).toEqual({ OTHER_SETTING: 'keep' });
+    });
+  });
+
+  describe('update / prune', () => {
+    test('update merges hashes batch by batch', () => {
+      LedgerCache.update({ 'CG-SUP-0001|SU': 'abc' });
+      LedgerCache.update({ 'CG-CUS-0001|CU': 'def' });
+      expect(LedgerCache.load()).toEqual({ 'CG-SUP-0001|SU': 'abc', 'CG-CUS-0001|CU': 'def' });
+    });
+
+    test('prune keeps only the listed ledgers', () => {
+      store.OTHER_SETTING = 'keep';
+      LedgerCache.update({ 'CG-SUP-0001|SU': 'abc', 'CG-CUS-0001|CU': 'def' });
+      LedgerCache.prune(['CG-CUS-0001|CU']);
+      expect(LedgerCache.load()).toEqual({ 'CG-CUS-0001|CU': 'def' });
+      expect(store.OTHER_SETTING).toBe('keep');
+    });
+
+    test('forget drops only the given ledgers', () => {
+      LedgerCache.update({ 'CG-SUP-0001|SU': 'abc', 'CG-CUS-0001|CU': 'def' });
+      LedgerCache.forget(['CG-SUP-0001|SU', 'CG-XYZ-0001|CU']);
+      expect(LedgerCache.load()).toEqual({ 'CG-CUS-0001|CU': 'def' });
+    });
+  });
+
+  describe('buildKey', () => {
+    test('joins party ID and category', () => {
+      expect(LedgerCache.buildKey(makeLedger())).toBe('CG-SUP-0001|SU');
+    });
+  });
+
+});
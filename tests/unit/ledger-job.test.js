@@ -0,0 +1,230 @@
+/**
+ * Unit tests for LedgerJob module
+ */
+
+// Mock Google Apps Script globals
+let store = {};
+global.PropertiesService = {
+  getDocumentProperties: () => ({
+    getProperty: (name) => (name in store ? store[name] : null),
+    setProperty: (name, value) => { store[name] = value; },
+    deleteProperty: (name) => { delete store[name]; }
+  })
+};
+
+let files = {};
+global.MimeType = { PLAIN_TEXT: 'text/plain' };
+global.DriveApp = {
+  createFile: (name, content) => {
+    const id = 'file-' + (Object.keys(files).length + 1);
+    files[id] = { name: name, content: content, trashed: false };
+    return { getId: () => id };
+  },
+  getFileById: (id) => ({
+    getBlob: () => ({ getDataAsString: () => files[id].content }),
+    setTrashed: (value) => { files[id].trashed = value; }
+  })
+};
+
+let triggers = [];
+global.ScriptApp = {
+  newTrigger: (fn) => ({
+    timeBased: () => ({
+      after: (ms) => ({
+        create: () => {
+          const trigger = { fn: fn, after: ms, getUniqueId: () => 'trigger-' + triggers.length };
+          triggers.push(trigger);
+          return trigger;
+        }
+      })
+    })
+  }),
+  getProjectTriggers: () => triggers.slice(),
+  deleteTrigger: (trigger) => { triggers = triggers.filter(t => t !== trigger); }
+};
+
+global.Logger = { log: () => {} };
+
+let hashes = {};
+global.LedgerCache = {
+  buildKey: (ledger) => ledger.id + '|' + ledger.ledgerCategory,
+  computeHash: (ledger) => 'hash-' + ledger.transactions.length,
+  load: () => ({ ...hashes }),
+  update: jest.fn((batch) => { Object.assign(hashes, batch); }),
+  prune: jest.fn(),
+  forget: jest.fn((keys) => { keys.forEach(key => { delete hashes[key]; }); })
+};
+
+let written = [];
+global.PartyLedger = {
+  buildSheetName: (id, category) => '[' + category + '] ' + id,
+  createPartyLedger: jest.fn((ss, ledger) => { written.push(ledger.id); }),
+  updateLedgerMasterIndex: jest.fn()
+};
+
+global.Init = { reorderTabs: jest.fn() };
+global.Ageing = { write: jest.fn() };
+
+// Load the module (replace const with global assignment for Jest compatibility)
+const jobCode = require('fs').readFileSync('./src/ledgers/ledger-job.js', 'utf8');
+eval(jobCode.replace('const LedgerJob =', 'global.LedgerJob ='));
+const LedgerJob = global.LedgerJob;
+
+describe('LedgerJob', () => {
+
+  const company = { id: 'CG-MAS-0001', name: 'Classic Group' };
+  let existingSheets;
+  const ss = {
+    getId: () => 'ss-1',
+    getSheetByName: (name) => (existingSheets.indexOf(name) >= 0 ? {} : null)
+  };
+
+  function makeLedgers(count) {
+    const ledgers = [];
+    for (let i = 1; i <= count; i++) {
+      ledgers.push({
+        id: 'CG-SUP-000' + i,
+        ledgerCategory: 'SU',
+        transactions: [{ date: new Date(2025, 4, i), debit: 0, credit: 100 * i }]
+      });
+    }
+    return ledgers;
+  }
+
+  beforeEach(() => {
+    store = {};
+    files = {};
+    triggers = [];
+    hashes = {};
+    written = [];
+    existingSheets = [];
+    jest.clearAllMocks();
+  });
+
+  test('writes every ledger and finishes within the time budget', () => {
+    const result = LedgerJob.start(ss, company, makeLedgers(3));
+
+    expect(result).toMatchObject({ count: 3, done: 3, created: 3, status: 'SUCCESS' });
+    expect(written).toEqual(['CG-SUP-0001', 'CG-SUP-0002', 'CG-SUP-0003']);
+    expect(PartyLedger.updateLedgerMasterIndex).toHaveBeenCalledTimes(1);
+    expect(Init.reorderTabs).toHaveBeenCalledTimes(1);
+    expect(triggers).toHaveLength(0);
+    expect(LedgerJob.getProgress().active).toBe(false);
+  });
+
+  test('skips unchanged ledgers that already have a sheet', () => {
+    existingSheets = ['[SU] CG-SUP-0001'];
+    hashes = { 'CG-SUP-0001|SU': 'hash-1' };
+
+    const result = LedgerJob.start(ss, company, makeLedgers(2));
+
+    expect(result).toMatchObject({ created: 1, updated: 0, skipped: 1 });
+    expect(written).toEqual(['CG-SUP-0002']);
+  });
+
+  test('a refresh after Create Single Ledger rewrites that tab', () => {
+    const ledgers = makeLedgers(2);
+    LedgerJob.start(ss, company, ledgers);
+    existingSheets = ['[SU] CG-SUP-0001', '[SU] CG-SUP-0002'];
+
+    // Written from the party's rows alone; the refresh data has not changed
+    LedgerJob.writeSingle(ss, { id: 'CG-SUP-0001', name: 'Alpha' }, company, [], 'SU', {});
+    written = [];
+    const result = LedgerJob.start(ss, company, ledgers);
+
+    expect(LedgerCache.forget).toHaveBeenCalledWith(['CG-SUP-0001|SU']);
+    expect(result).toMatchObject({ updated: 1, skipped: 1 });
+    expect(written).toEqual(['CG-SUP-0001']);
+  });
+
+  test('pauses with a snapshot and continuation trigger when out of time', () => {
+    // Execution started long ago: only the first ledger is written
+    const result = LedgerJob.start(ss, company, makeLedgers(3), Date.now() - 10 * 60 * 1000);
+
+    expect(result).toMatchObject({ count: 3, done: 1, status: 'IN_PROGRESS' });
+    expect(written).toEqual(['CG-SUP-0001']);
+    expect(PartyLedger.updateLedgerMasterIndex).not.toHaveBeenCalled();
+    expect(triggers).toHaveLength(1);
+    expect(triggers[0].fn).toBe('continueLedgerJob');
+    expect(Object.keys(files)).toHaveLength(1);
+    expect(LedgerJob.getProgress()).toEqual({ active: true, done: 1, total: 3, text: '1 of 3 ledgers' });
+  });
+
+  test('resume continues from the checkpoint and finishes once', () => {
+    LedgerJob.start(ss, company, makeLedgers(3), Date.now() - 10 * 60 * 1000);
+    const result = LedgerJob.resume(ss);
+
+    expect(result).toMatchObject({ done: 3, created: 3, status: 'SUCCESS' });
+    expect(written).toEqual(['CG-SUP-0001', 'CG-SUP-0002', 'CG-SUP-0003']);
+    expect(PartyLedger.updateLedgerMasterIndex).toHaveBeenCalledTimes(1);
+    expect(PartyLedger.updateLedgerMasterIndex.mock.calls[0][1]).toHaveLength(3);
+    expect(LedgerCache.prune).toHaveBeenCalledWith(['CG-SUP-0001|SU', 'CG-SUP-0002|SU', 'CG-SUP-0003|SU']);
+    expect(triggers).toHaveLength(0);
+    expect(files['file-1'].trashed).toBe(true);
+    expect(store).toEqual({});
+  });
+
+  test('revives transaction dates from the snapshot', () => {
+    LedgerJob.start(ss, company, makeLedgers(2), Date.now() - 10 * 60 * 1000);
+    LedgerJob.resume(ss);
+
+    const ledger = PartyLedger.createPartyLedger.mock.calls[1][1];
+    expect(ledger.transactions[0].date).toBeInstanceOf(Date);
+  });
+
+  test('keeps layout options across executions', () => {
+    const options = { subtotals: 'QUARTERLY' };
+    LedgerJob.start(ss, company, makeLedgers(2), Date.now() - 10 * 60 * 1000, options);
+    LedgerJob.resume(ss);
+
+    expect(PartyLedger.createPartyLedger.mock.calls.map(call => call[5])).toEqual([options, options]);
+  });
+
+  test('writes the AGEING tab once the last batch is done', () => {
+    const ageing = { bounds: [30, 60], asOf: new Date(2025, 5, 30), bills: { creditDays: 0, tolerance: 1 }, errors: [] };
+    LedgerJob.start(ss, company, makeLedgers(2), Date.now() - 10 * 60 * 1000, {}, ageing);
+    expect(Ageing.write).not.toHaveBeenCalled();
+
+    LedgerJob.resume(ss);
+
+    expect(Ageing.write).toHaveBeenCalledTimes(1);
+    expect(Ageing.write.mock.calls[0][1]).toHaveLength(2);
+    expect(Ageing.write.mock.calls[0][2]).toEqual(ageing);
+  });
+
+  test('skips the AGEING tab without ageing settings', () => {
+    LedgerJob.start(ss, company, makeLedgers(1));
+    expect(Ageing.write).not.toHaveBeenCalled();
+  });
+
+  test('resume does nothing when no job is pending', () => {
+    expect(LedgerJob.resume(ss)).toBeNull();
+    expect(PartyLedger.createPartyLedger).not.toHaveBeenCalled();
+  });
+
+  test('postpone reschedules the continuation without writing', () => {
+    LedgerJob.start(ss, company, makeLedgers(3), Date.now() - 10 * 60 * 1000);
+    PartyLedger.createPartyLedger.mockClear();
+
+    expect(LedgerJob.postpone()).toBe(true);
+    expect(PartyLedger.createPartyLedger).not.toHaveBeenCalled();
+    expect(triggers).toHaveLength(1);
+    expect(triggers[0].fn).toBe('continueLedgerJob');
+    expect(LedgerJob.getProgress().text).toBe('1 of 3 ledgers');
+  });
+
+  test('postpone does nothing when no job is pending', () => {
+    expect(LedgerJob.postpone()).toBe(false);
+    expect(triggers).toHaveLength(0);
+  });
+
+  test('starting a new job cancels the unfinished one', () => {
+    LedgerJob.start(ss, company, makeLedgers(3), Date.now() - 10 * 60 * 1000);
+    LedgerJob.start(ss, company, makeLedgers(1));
+
+    expect(files['file-1'].trashed).toBe(true);
+    expect(triggers).toHaveLength(0);
+    expect(LedgerJob.getProgress().active).toBe(false);
+  });
+
+});
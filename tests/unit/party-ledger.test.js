@@ -0,0 +1,297 @@
+/**
+ * Unit tests for PartyLedger module
+ */
+
+// Load the modules (replace const with global assignment for Jest compatibility)
+const reconCode = require('fs').readFileSync('./src/reports/reconciliation.js', 'utf8');
+eval(reconCode.replace('const Reconciliation =', 'global.Reconciliation ='));
+const billCode = require('fs').readFileSync('./src/ledgers/bill-allocation.js', 'utf8');
+eval(billCode.replace('const BillAllocation =', 'global.BillAllocation ='));
+
+const partyLedgerCode = require('fs').readFileSync('./src/ledgers/party-ledger.js', 'utf8');
+eval(partyLedgerCode.replace('const PartyLedger =', 'global.PartyLedger ='));
+const PartyLedger = global.PartyLedger;
+
+describe('PartyLedger', () => {
+
+  describe('buildTransactionRows', () => {
+    test('accumulates a running balance row by row', () => {
+      const rows = PartyLedger.buildTransactionRows([
+        { date: '2025-04-01', particulars: 'OPENING BALANCE', voucherType: 'OPENING', debit: 0, credit: 500, isOpening: true },
+        { date: '2025-04-10', particulars: 'Sales Invoice: S-1', voucherType: 'SALES', docNo: 'S-1', debit: 1200, credit: 0 },
+        { date: '2025-04-20', particulars: 'NEFT', voucherType: 'BANK', reference: 'UTR1', debit: 0, credit: 1000 }
+      ]);
+
+      expect(rows.map(r => r[6])).toEqual([-500, 700, -300]);
+    });
+
+    test('fills the legend columns in order', () => {
+      const rows = PartyLedger.buildTransactionRows([
+        { date: '2025-04-10', particulars: 'Sales Invoice: S-1', docType: 'SALES', docNo: 'S-1', debit: 1200, credit: 0 }
+      ]);
+
+      expect(rows[0]).toEqual(['2025-04-10', 'Sales Invoice: S-1', 'SALES', 'S-1', 1200, '', 1200, '', '']);
+    });
+
+    test('shows the reconciliation status', () => {
+      const rows = PartyLedger.buildTransactionRows([
+        { docType: 'SALES', docNo: 'S-1', debit: 1200, credit: 0, reconStatus: 'Partial' }
+      ]);
+
+      expect(rows[0][7]).toBe('Partial');
+    });
+
+    test('avoids floating point drift', () => {
+      const rows = PartyLedger.buildTransactionRows([
+        { debit: 0.1 }, { debit: 0.2 }
+      ]);
+
+      expect(rows[1][6]).toBe(0.3);
+    });
+  });
+
+  describe('buildLedgerRows', () => {
+    const transactions = [
+      { date: new Date(2025, 3, 1), particulars: 'OPENING BALANCE', debit: 1000, credit: 0, isOpening: true },
+      { date: new Date(2025, 3, 10), particulars: 'Sales Invoice: S-1', debit: 500, credit: 0 },
+      { date: new Date(2025, 3, 20), particulars: 'NEFT', debit: 0, credit: 300 },
+      { date: new Date(2025, 4, 5), particulars: 'Sales Invoice: S-2', debit: 200, credit: 0 },
+      { date: new Date(2025, 6, 1), particulars: 'NEFT', debit: 0, credit: 1400 }
+    ];
+
+    test('returns only transaction rows when subtotals are off', () => {
+      const result = PartyLedger.buildLedgerRows(transactions, 'NONE');
+      expect(result.rows).toEqual(PartyLedger.buildTransactionRows(transactions));
+      expect(result.boldRows).toEqual([0]);
+    });
+
+    test('adds a monthly subtotal with period debit, credit and closing balance', () => {
+      const result = PartyLedger.buildLedgerRows(transactions, 'MONTHLY');
+      const subtotals = result.rows.filter(r => String(r[1]).indexOf('SUBTOTAL') === 0);
+
+      expect(subtotals.map(r => [r[1], r[4], r[5], r[6]])).toEqual([
+        ['SUBTOTAL - APR 2025', 500, 300, 1200],
+        ['SUBTOTAL - MAY 2025', 200, 0, 1400],
+        ['SUBTOTAL - JUL 2025', 0, 1400, 0]
+      ]);
+      expect(result.boldRows).toEqual([0, 3, 5, 7]);
+    });
+
+    test('groups by Indian FY quarter', () => {
+      const result = PartyLedger.buildLedgerRows(transactions, 'QUARTERLY');
+      const labels = result.rows.map(r => r[1]).filter(p => String(p).indexOf('SUBTOTAL') === 0);
+      expect(labels).toEqual(['SUBTOTAL - Q1 FY 2025-26', 'SUBTOTAL - Q2 FY 2025-26']);
+    });
+
+    test('does not add a subtotal for an opening entry on its own', () => {
+      const result = PartyLedger.buildLedgerRows([
+        { date: new Date(2025, 3, 1), debit: 1000, credit: 0, isOpening: true },
+        { date: new Date(2025, 4, 5), debit: 200, credit: 0 }
+      ], 'MONTHLY');
+
+      expect(result.rows.map(r => r[1])).toEqual(['', '', 'SUBTOTAL - MAY 2025']);
+    });
+  });
+
+  describe('getPeriodLabel', () => {
+    test('puts January to March in Q4 of the previous FY', () => {
+      expect(PartyLedger.getPeriodLabel(new Date(2026, 2, 31), 'QUARTERLY')).toBe('Q4 FY 2025-26');
+      expect(PartyLedger.getPeriodLabel(new Date(2025, 11, 31), 'QUARTERLY')).toBe('Q3 FY 2025-26');
+    });
+
+    test('labels missing dates as undated', () => {
+      expect(PartyLedger.getPeriodLabel('', 'MONTHLY')).toBe('UNDATED');
+    });
+  });
+
+  describe('getOptions', () => {
+    test('accepts MONTHLY / QUARTERLY and defaults to NONE', () => {
+      expect(PartyLedger.getOptions({ LEDGER_SUBTOTALS: 'quarterly' }).subtotals).toBe('QUARTERLY');
+      expect(PartyLedger.getOptions({ LEDGER_SUBTOTALS: 'weekly' }).subtotals).toBe('NONE');
+      expect(PartyLedger.getOptions({}).subtotals).toBe('NONE');
+    });
+
+    test('includes the bill settings', () => {
+      expect(PartyLedger.getOptions({ BILL_CREDIT_DAYS: '30', RECON_TOLERANCE: '0.5' })).toEqual({
+        subtotals: 'NONE', bills: { creditDays: 30, tolerance: 0.5 }, gstSplit: false
+      });
+      expect(PartyLedger.getOptions({}).bills.creditDays).toBe(0);
+    });
+
+    test('reads LEDGER_GST_SPLIT as a yes / no flag', () => {
+      expect(PartyLedger.getOptions({ LEDGER_GST_SPLIT: 'yes' }).gstSplit).toBe(true);
+      expect(PartyLedger.getOptions({ LEDGER_GST_SPLIT: 'NO' }).gstSplit).toBe(false);
+    });
+  });
+
+  describe('formatGstSplit', () => {
+    test('lists the taxable value and each tax head charged', () => {
+      expect(PartyLedger.formatGstSplit({ taxable: 1000, cgst: 90, sgst: 90, gst: 180 }))
+        .toBe('(Taxable 1,000.00 + CGST 90.00 + SGST 90.00)');
+      expect(PartyLedger.formatGstSplit({ taxable: 250000, igst: 45000, gst: 45000 }))
+        .toBe('(Taxable 250,000.00 + IGST 45,000.00)');
+    });
+
+    test('falls back to the GST total and skips lines without GST', () => {
+      expect(PartyLedger.formatGstSplit({ taxable: 500, gst: 90 })).toBe('(Taxable 500.00 + GST 90.00)');
+      expect(PartyLedger.formatGstSplit({ docType: 'BANK', debit: 100 })).toBe('');
+      expect(PartyLedger.formatGstSplit({ isOpening: true, gst: 10 })).toBe('');
+    });
+
+    test('is appended to particulars only when enabled', () => {
+      const txn = { particulars: 'Sales Invoice: S-1', taxable: 100, igst: 18, gst: 18, debit: 118 };
+      expect(PartyLedger.buildTransactionRows([txn])[0][1]).toBe('Sales Invoice: S-1');
+      expect(PartyLedger.buildTransactionRows([txn], true)[0][1])
+        .toBe('Sales Invoice: S-1 (Taxable 100.00 + IGST 18.00)');
+      expect(PartyLedger.buildLedgerRows([txn], 'NONE', true).rows[0][1])
+        .toBe('Sales Invoice: S-1 (Taxable 100.00 + IGST 18.00)');
+    });
+  });
+
+  describe('buildOutstandingRows', () => {
+    test('lists open bills and nets payments on account', () => {
+      const allocation = BillAllocation.allocate([
+        { date: new Date(2025, 3, 1), docType: 'SALES', docNo: 'S-1', debit: 1000 },
+        { date: new Date(2025, 3, 5), docType: 'SALES', docNo: 'S-2', debit: 500 },
+        { date: new Date(2025, 3, 9), docType: 'BANK', reference: 'UTR1', credit: 1200 }
+      ], 'CU', { creditDays: 0 });
+
+      const result = PartyLedger.buildOutstandingRows(allocation);
+
+      expect(result.rows).toEqual([
+        [new Date(2025, 3, 5), 'S-2', new Date(2025, 3, 5), '', 500, 200, 300]
+      ]);
+      expect(result.total).toBe(300);
+    });
+
+    test('fits in columns A:G, the columns a PDF statement exports', () => {
+      const allocation = BillAllocation.allocate([
+        { date: new Date(2025, 3, 1), docType: 'SALES', docNo: 'S-1', debit: 1000 }
+      ], 'CU', { creditDays: 0 });
+
+      expect(PartyLedger.buildOutstandingRows(allocation).rows[0]).toHaveLength(7);
+    });
+
+    test('a bill with no date has a blank due date and is not overdue', () => {
+      const allocation = BillAllocation.allocate([
+        { date: '', docType: 'SALES', docNo: 'S-9', debit: 400 }
+      ], 'CU', { creditDays: 30 });
+
+      const result = PartyLedger.buildOutstandingRows(allocation);
+
+      expect(result.rows).toEqual([['', 'S-9', '', '', 400, 0, 400]]);
+      expect(BillAllocation.getDaysOverdue(allocation.bills[0], new Date(2025, 5, 1))).toBe(0);
+    });
+
+    test('total goes negative when the party has paid in advance', () => {
+      const allocation = BillAllocation.allocate([
+        { date: new Date(2025, 3, 1), docType: 'PURCHASE', docNo: 'P-1', credit: 100 },
+        { date: new Date(2025, 3, 2), docType: 'BANK', debit: 150 }
+      ], 'SU', { creditDays: 0 });
+
+      const result = PartyLedger.buildOutstandingRows(allocation);
+
+      expect(result.rows).toEqual([]);
+      expect(result.total).toBe(-50);
+    });
+  });
+
+  describe('buildDaysOverdueFormula', () => {
+    test('counts days from the due date only while the bill is open and dated', () => {
+      expect(PartyLedger.buildDaysOverdueFormula(42)).toBe('=IF(OR(C42="",G42<=0),0,MAX(0,TODAY()-C42))');
+    });
+  });
+
+  describe('source locator', () => {
+    const txn = {
+      docType: 'PURCHASE', sourceId: '1AbcSheetId', sourceTab: 'Purchase Register', sourceRow: 57,
+      debit: 0, credit: 2500
+    };
+
+    test('is written to the hidden column', () => {
+      const rows = PartyLedger.buildTransactionRows([txn]);
+      expect(rows[0][PartyLedger.HIDDEN_COL - 1]).toBe('PURCHASE|1AbcSheetId|Purchase Register|57');
+    });
+
+    test('is empty for entries without a source row', () => {
+      expect(PartyLedger.buildSourceLocator({ isOpening: true, debit: 100 })).toBe('');
+    });
+
+    test('round-trips through parseSourceLocator', () => {
+      expect(PartyLedger.parseSourceLocator(PartyLedger.buildSourceLocator(txn))).toEqual({
+        type: 'PURCHASE', spreadsheetId: '1AbcSheetId', tab: 'Purchase Register', row: 57
+      });
+    });
+
+    test('keeps tab names containing the separator', () => {
+      const locator = PartyLedger.buildSourceLocator({ ...txn, docType: 'BANK', sourceTab: 'HDFC | CC' });
+      expect(PartyLedger.parseSourceLocator(locator).tab).toBe('HDFC | CC');
+    });
+
+    test('rejects values that are not locators', () => {
+      expect(PartyLedger.parseSourceLocator('')).toBeNull();
+      expect(PartyLedger.parseSourceLocator('CG-SUP-0001')).toBeNull();
+    });
+  });
+
+  describe('buildSheetName', () => {
+    test('prefixes the ledger category', () => {
+      expect(PartyLedger.buildSheetName('CG-SUP-0001', 'SU')).toBe('[SU] CG-SUP-0001');
+    });
+
+    test('defaults to customer category', () => {
+      expect(PartyLedger.buildSheetName('CG-CUS-0001')).toBe('[CU] CG-CUS-0001');
+    });
+
+    test('uses the [CO] prefix for contractors', () => {
+      expect(PartyLedger.buildSheetName('CG-CON-0001', 'CO')).toBe('[CO] CG-CON-0001');
+    });
+  });
+
+  describe('compareLedgers', () => {
+    test('groups suppliers, then contractors, then customers, each by name', () => {
+      const ledgers = [
+        { id: 'CG-CUS-0001', name: 'Alpha Motors', ledgerCategory: 'CU' },
+        { id: 'CG-CON-0002', name: 'Zen Builders', ledgerCategory: 'CO' },
+        { id: 'CG-SUP-0001', name: 'Steel Co', ledgerCategory: 'SU' },
+        { id: 'CG-CON-0001', name: 'Apex Electricals', ledgerCategory: 'CO' }
+      ];
+
+      expect(ledgers.sort(PartyLedger.compareLedgers).map(l => l.id))
+        .toEqual(['CG-SUP-0001', 'CG-CON-0001', 'CG-CON-0002', 'CG-CUS-0001']);
+    });
+  });
+
+  describe('readLedgerMaster', () => {
+    test('reads the index with totals and drops placeholder rows', () => {
+      const rows = [
+        ['CG-SUP-0001', 'Apex Tyres', '[SU]', 0, 11800.4, -11800.4, new Date(2025, 3, 15), '=HYPERLINK()'],
+        ['cg-cus-0001 ', 'Shree Motors', '[ CU ]', 2200, 1500, 700, '', '=HYPERLINK()'],
+        ['No ledgers found. Run Refresh to generate.', '', '', '', '', '', '', '']
+      ];
+      const ss = {
+        getSheetByName: (name) => name === 'Ledger Master' ?
+          { getLastRow: () => rows.length + 1, getRange: () => ({ getValues: () => rows }) } : null
+      };
+
+      expect(PartyLedger.readLedgerMaster(ss)).toEqual([
+        { id: 'CG-SUP-0001', name: 'Apex Tyres', ledgerCategory: 'SU', totalDebit: 0, totalCredit: 11800.4,
+          balance: -11800.4, lastTransaction: new Date(2025, 3, 15) },
+        { id: 'CG-CUS-0001', name: 'Shree Motors', ledgerCategory: 'CU', totalDebit: 2200, totalCredit: 1500,
+          balance: 700, lastTransaction: '' }
+      ]);
+    });
+
+    test('returns nothing when Ledger Master is missing', () => {
+      expect(PartyLedger.readLedgerMaster({ getSheetByName: () => null })).toEqual([]);
+    });
+  });
+
+  describe('CATEGORIES', () => {
+    test('labels each ledger category', () => {
+      expect(PartyLedger.CATEGORIES.CO).toEqual({ type: 'CONTRACTOR', label: 'CONTRACTOR LEDGER' });
+      expect(Object.keys(PartyLedger.CATEGORIES)).toEqual(['SU', 'CO', 'CU']);
+    });
+  });
+
+});
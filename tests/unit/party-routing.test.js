@@ -0,0 +1,140 @@
+/**
+ * Unit tests for PartyRouting module
+ */
+
+// Load the module (replace const with global assignment for Jest compatibility)
+const routingCode = require('fs').readFileSync('./src/ledgers/party-routing.js', 'utf8');
+eval(routingCode.replace('const PartyRouting =', 'global.PartyRouting ='));
+const PartyRouting = global.PartyRouting;
+
+describe('PartyRouting', () => {
+
+  const defaults = PartyRouting.getRules({}).rules;
+
+  function routeDefault(txn) {
+    return PartyRouting.route(defaults, txn, {}).category;
+  }
+
+  describe('default rules', () => {
+    test('route registers by source', () => {
+      expect(routeDefault({ docType: 'PURCHASE', partyId: 'CG-CUS-0001', credit: 100 })).toBe('SU');
+      expect(routeDefault({ docType: 'SALES', partyId: 'CG-SUP-0001', debit: 100 })).toBe('CU');
+      expect(routeDefault({ docType: 'CONTRACTOR', partyId: 'CG-CON-0001', credit: 100 })).toBe('CO');
+    });
+
+    test('route bank rows by party ID', () => {
+      expect(routeDefault({ docType: 'BANK', partyId: 'CG-SUP-0001', debit: 100 })).toBe('SU');
+      expect(routeDefault({ docType: 'BANK', partyId: 'cg-ren-0001', debit: 100 })).toBe('CU');
+      expect(routeDefault({ docType: 'BANK', partyId: 'CG-CON-0001', debit: 100 })).toBe('CO');
+      expect(routeDefault({ docType: 'BANK', partyId: 'CG-XYZ-0001', debit: 100 })).toBe('CU');
+    });
+
+    test('route master parties by direction', () => {
+      expect(routeDefault({ docType: 'BANK', partyId: 'CG-MAS-0001', credit: 100 })).toBe('SU');
+      expect(routeDefault({ docType: 'BANK', partyId: 'CG-MAS-0001', debit: 100 })).toBe('CU');
+    });
+
+    test('parse without errors', () => {
+      expect(PartyRouting.getRules({}).errors).toEqual([]);
+      expect(defaults).toHaveLength(PartyRouting.DEFAULT_RULES.length);
+    });
+  });
+
+  describe('parseRules', () => {
+    test('defaults blank SOURCE and DIRECTION to ANY and accepts bracketed routes', () => {
+      const { rules } = PartyRouting.parseRules([['cg-sup-*', '', '', '[su]']]);
+
+      expect(rules[0]).toMatchObject({ match: 'CG-SUP-*', source: 'ANY', direction: 'ANY', route: 'SU' });
+    });
+
+    test('reports and drops invalid rows', () => {
+      const { rules, errors } = PartyRouting.parseRules([
+        ['*', 'JOURNAL', 'ANY', 'SU'],
+        ['*', 'BANK', 'IN', 'SU'],
+        ['*', 'BANK', 'ANY', 'XX'],
+        ['*', 'BANK', 'ANY', 'CU']
+      ]);
+
+      expect(rules.map(r => r.index)).toEqual([4]);
+      expect(errors).toHaveLength(3);
+      expect(errors[0]).toContain('PARTY ROUTING rule 1 (*): SOURCE');
+    });
+
+    test('ignores blank rows', () => {
+      expect(PartyRouting.parseRules([['', '', '', '']])).toEqual({ rules: [], errors: [] });
+    });
+
+    test('treats pattern characters other than * literally', () => {
+      const { rules } = PartyRouting.parseRules([['CG.SUP*', 'ANY', 'ANY', 'SU']]);
+
+      expect(PartyRouting.route(rules, { partyId: 'CG.SUP-1' }, {}).category).toBe('SU');
+      expect(PartyRouting.route(rules, { partyId: 'CGXSUP-1' }, {}).category).toBeNull();
+    });
+  });
+
+  describe('route', () => {
+    const rules = PartyRouting.parseRules([
+      ['CG-SUP-0009', 'ANY', 'ANY', 'SKIP'],
+      ['TYPE:DEALER', 'BANK', 'ANY', 'CO'],
+      ['*-SUP-*', 'ANY', 'ANY', 'SU']
+    ]).rules;
+    const contacts = { 'CG-XYZ-0001': { type: 'DEALER' } };
+
+    test('first matching rule wins', () => {
+      const routed = PartyRouting.route(rules, { docType: 'BANK', partyId: 'CG-SUP-0009' }, contacts);
+      expect(routed).toEqual({ category: null, skipped: true, rule: rules[0] });
+    });
+
+    test('matches CONTACT TYPE from the contacts map', () => {
+      expect(PartyRouting.route(rules, { docType: 'BANK', partyId: 'cg-xyz-0001' }, contacts).category).toBe('CO');
+      expect(PartyRouting.route(rules, { docType: 'SALES', partyId: 'CG-XYZ-0001' }, contacts).category).toBeNull();
+    });
+
+    test('reports rows no rule matches', () => {
+      expect(PartyRouting.route(rules, { docType: 'SALES', partyId: 'CG-CUS-0001' }, contacts))
+        .toEqual({ category: null, skipped: false, rule: null });
+    });
+
+    test('direction rules skip rows with neither debit nor credit', () => {
+      const dr = PartyRouting.parseRules([['*', 'ANY', 'DR', 'CU']]).rules;
+      expect(PartyRouting.route(dr, { partyId: 'CG-CUS-0001', debit: 0, credit: 0 }, {}).category).toBeNull();
+    });
+  });
+
+  describe('preview', () => {
+    const rules = PartyRouting.parseRules([
+      ['CG-SUP-0009', 'ANY', 'ANY', 'SKIP'],
+      ['*-SUP-*', 'ANY', 'ANY', 'SU']
+    ]).rules;
+    const transactions = [
+      { docType: 'PURCHASE', partyId: 'CG-SUP-0001', credit: 100 },
+      { docType: 'BANK', partyId: 'CG-SUP-0001', debit: 100 },
+      { docType: 'BANK', partyId: 'CG-SUP-0009', debit: 50 },
+      { docType: 'SALES', partyId: 'CG-CUS-0001', debit: 10 },
+      { docType: 'SALES', partyId: 'CG-CUS-0001', debit: 20 },
+      { docType: 'SALES', partyId: '', debit: 5 }
+    ];
+
+    test('counts rows per category and rule without writing', () => {
+      const result = PartyRouting.preview(rules, transactions, {});
+
+      expect(result.total).toBe(6);
+      expect(result.blank).toBe(1);
+      expect(result.byCategory).toEqual({ SU: 2, CO: 0, CU: 0 });
+      expect(result.byRule.map(r => r.count)).toEqual([1, 2]);
+      expect(result.skipped).toBe(1);
+      expect(result.unmatched).toBe(2);
+      expect(result.unmatchedIds).toEqual(['CG-CUS-0001']);
+    });
+
+    test('formats a readable summary', () => {
+      const text = PartyRouting.formatPreview(PartyRouting.preview(rules, transactions, {}));
+
+      expect(text).toContain('6 source rows (1 with blank L/F)');
+      expect(text).toContain('Routed: [SU] 2, [CO] 0, [CU] 0');
+      expect(text).toContain('#1 CG-SUP-0009 / ANY / ANY -> SKIP: 1');
+      expect(text).toContain('Unrouted party IDs: CG-CUS-0001');
+    });
+  });
+
+});
@@ -0,0 +1,291 @@
+/**
+ * Unit tests for Refresh module
+ */
+
+// Mock Google Apps Script globals
+const getUi = jest.fn(() => { throw new Error('Cannot call SpreadsheetApp.getUi() from this context.'); });
+const ss = { getId: () => 'ss-1' };
+global.SpreadsheetApp = {
+  getActiveSpreadsheet: () => ss,
+  getUi: getUi
+};
+
+let config;
+let logs;
+global.Init = {
+  readConfig: () => config,
+  logRun: (source, action, rowsFetched, rowsWritten, status, durationMs, errorMessage) => {
+    logs.push({ source, action, rowsFetched, rowsWritten, status, errorMessage });
+  }
+};
+
+let lockAcquired;
+global.RunLock = {
+  acquire: jest.fn(() => lockAcquired ?
+    { acquired: true, token: 'token-1', holder: null, message: '' } :
+    { acquired: false, token: null, holder: {}, message: 'Refresh already in progress by a@b.com since 10:15.' }),
+  release: jest.fn()
+};
+global.LedgerCache = { clear: jest.fn() };
+
+global.fetchSourceData = jest.fn();
+global.fetchBankDataAllTabs = jest.fn();
+global.generateAllLedgers = jest.fn();
+
+global.formatLedgerCounts = (r) =>
+  'Created: ' + (r.created || 0) + ', Updated: ' + (r.updated || 0) + ', Skipped: ' + (r.skipped || 0);
+global.formatLedgerProgress = (r) => r.count + ' (' + global.formatLedgerCounts(r) + ')';
+global.formatDuplicateCounts = (d) => d.exact + ' exact (' + d.excluded + ' excluded), ' + d.likely + ' likely';
+global.formatReconciliationCounts = (s) =>
+  s.matched + ' matched, ' + s.partial + ' partial, ' + s.unmatched + ' unmatched';
+
+// Load the module (replace const with global assignment for Jest compatibility)
+const refreshCode = require('fs').readFileSync('./src/refresh.js', 'utf8');
+eval(refreshCode.replace('const Refresh =', 'global.Refresh ='));
+const Refresh = global.Refresh;
+
+describe('Refresh', () => {
+
+  const purchaseRow = { docType: 'PURCHASE', partyId: 'CG-SUP-0001', credit: 100 };
+  const salesRow = { docType: 'SALES', partyId: 'CG-CUS-0001', debit: 200 };
+  const bankRow = { docType: 'BANK', partyId: 'CG-SUP-0001', debit: 100 };
+
+  beforeEach(() => {
+    config = {
+      ORG_CODE: 'CG',
+      PURCHASE_SHEET_ID: 'p-1',
+      SALES_SHEET_ID: 's-1',
+      BANK_SHEET_ID: 'b-1'
+    };
+    logs = [];
+    getUi.mockClear();
+    lockAcquired = true;
+    RunLock.acquire.mockClear();
+    RunLock.release.mockClear();
+    LedgerCache.clear.mockClear();
+
+    fetchSourceData.mockReset().mockImplementation((cfg, type) => ({
+      rows: 1,
+      status: 'SUCCESS',
+      data: [type === 'PURCHASE' ? purchaseRow : salesRow]
+    }));
+    fetchBankDataAllTabs.mockReset().mockReturnValue({ rows: 1, status: 'SUCCESS', data: [bankRow] });
+    generateAllLedgers.mockReset().mockReturnValue({
+      count: 2, done: 2, created: 1, updated: 1, skipped: 0, exceptions: 0,
+      duplicates: { exact: 0, likely: 0, excluded: 0 },
+      reconciliation: { matched: 2, partial: 0, unmatched: 0 },
+      status: 'SUCCESS', error: null
+    });
+  });
+
+  describe('run', () => {
+    test('fetches every source and generates ledgers from the combined rows', () => {
+      const result = Refresh.run({ source: 'TRIGGER' });
+
+      expect(result.status).toBe('SUCCESS');
+      expect(result.source).toBe('TRIGGER');
+      expect(result.orgCode).toBe('CG');
+      expect(generateAllLedgers).toHaveBeenCalledWith(ss, config,
+        [purchaseRow, salesRow, bankRow], expect.any(Number));
+    });
+
+    test('never touches the UI', () => {
+      Refresh.run({ source: 'TRIGGER' });
+      expect(getUi).not.toHaveBeenCalled();
+    });
+
+    test('logs each step and a REFRESH summary entry', () => {
+      Refresh.run({ source: 'TRIGGER' });
+
+      expect(logs.map(l => l.source)).toEqual(['PURCHASE', 'SALES', 'BANK', 'LEDGER', 'REFRESH']);
+      const summary = logs[logs.length - 1];
+      expect(summary.action).toBe('Run (TRIGGER)');
+      expect(summary.rowsFetched).toBe(3);
+      expect(summary.rowsWritten).toBe(2);
+      expect(summary.status).toBe('SUCCESS');
+    });
+
+    test('defaults the source to MENU', () => {
+      expect(Refresh.run().source).toBe('MENU');
+    });
+
+    test('strips fetched rows from the result', () => {
+      const result = Refresh.run();
+
+      expect(result.purchase.data).toBeUndefined();
+      expect(result.sales.data).toBeUndefined();
+      expect(result.bank.data).toBeUndefined();
+      expect(result.bank.rows).toBe(1);
+    });
+
+    test('skips sources without a sheet ID', () => {
+      delete config.SALES_SHEET_ID;
+      const result = Refresh.run();
+
+      expect(fetchSourceData).toHaveBeenCalledTimes(1);
+      expect(result.sales.rows).toBe(0);
+    });
+
+    test('returns ERROR and still logs when ORG_CODE is missing', () => {
+      config.ORG_CODE = '';
+      const result = Refresh.run({ source: 'TRIGGER' });
+
+      expect(result.status).toBe('ERROR');
+      expect(result.error).toBe('ORG_CODE not set in CONFIG tab.');
+      expect(logs).toHaveLength(1);
+      expect(logs[0].source).toBe('REFRESH');
+      expect(logs[0].status).toBe('ERROR');
+    });
+
+    test('returns WARNING when a source fails but ledgers are generated', () => {
+      fetchSourceData.mockImplementation((cfg, type) => type === 'SALES' ?
+        { rows: 0, status: 'ERROR', error: 'Sheet not found' } :
+        { rows: 1, status: 'SUCCESS', data: [purchaseRow] });
+
+      const result = Refresh.run();
+
+      expect(result.status).toBe('WARNING');
+      expect(result.error).toBe('Sheet not found');
+      expect(generateAllLedgers).toHaveBeenCalled();
+    });
+
+    test('returns WARNING and logs the error when the bank fetch fails', () => {
+      fetchBankDataAllTabs.mockReturnValue({ data: [], rows: 0, status: 'ERROR', error: 'Bank sheet not accessible' });
+
+      const result = Refresh.run();
+
+      expect(result.status).toBe('WARNING');
+      expect(result.error).toBe('Bank sheet not accessible');
+      expect(result.bank).toMatchObject({ rows: 0, status: 'ERROR' });
+      expect(logs.find(log => log.source === 'BANK').status).toBe('ERROR');
+      expect(Refresh.formatSummary(result)).toContain('Bank: failed - Bank sheet not accessible');
+    });
+
+    test('returns ERROR when ledger generation fails', () => {
+      generateAllLedgers.mockReturnValue({
+        count: 0, created: 0, updated: 0, skipped: 0, status: 'ERROR', error: 'Quota exceeded'
+      });
+
+      const result = Refresh.run();
+
+      expect(result.status).toBe('ERROR');
+      expect(result.error).toBe('Quota exceeded');
+    });
+
+    test('returns IN_PROGRESS when ledgers continue in the background', () => {
+      generateAllLedgers.mockReturnValue({
+        count: 200, done: 80, created: 80, updated: 0, skipped: 0, status: 'IN_PROGRESS', error: null
+      });
+
+      expect(Refresh.run().status).toBe('IN_PROGRESS');
+    });
+
+    test('returns ERROR when a fetch throws', () => {
+      fetchBankDataAllTabs.mockImplementation(() => { throw new Error('Bank sheet not accessible'); });
+
+      const result = Refresh.run();
+
+      expect(result.status).toBe('ERROR');
+      expect(result.error).toBe('Bank sheet not accessible');
+      expect(generateAllLedgers).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('contractor register', () => {
+    const contractorRow = { docType: 'CONTRACTOR', partyId: 'CG-CON-0001', credit: 500 };
+
+    beforeEach(() => {
+      config.CONTRACTOR_SHEET_ID = 'c-1';
+      fetchSourceData.mockImplementation((cfg, type) => ({
+        rows: 1,
+        status: 'SUCCESS',
+        data: [{ PURCHASE: purchaseRow, SALES: salesRow, CONTRACTOR: contractorRow }[type]]
+      }));
+    });
+
+    test('fetches contractor bills when configured', () => {
+      const result = Refresh.run();
+
+      expect(fetchSourceData).toHaveBeenCalledWith(config, 'CONTRACTOR');
+      expect(generateAllLedgers.mock.calls[0][2]).toContain(contractorRow);
+      expect(result.contractor.rows).toBe(1);
+      expect(result.contractor.data).toBeUndefined();
+      expect(logs.map(l => l.source)).toContain('CONTRACTOR');
+    });
+
+    test('lists the contractor register in the summary only when configured', () => {
+      expect(Refresh.formatSummary(Refresh.run())).toContain('Contractor: 1 rows');
+
+      delete config.CONTRACTOR_SHEET_ID;
+      expect(Refresh.formatSummary(Refresh.run())).not.toContain('Contractor:');
+    });
+  });
+
+  describe('locking', () => {
+    test('holds the run lock for the whole run', () => {
+      Refresh.run({ source: 'TRIGGER' });
+
+      expect(RunLock.acquire).toHaveBeenCalledWith('Refresh (TRIGGER)');
+      expect(RunLock.release).toHaveBeenCalledWith('token-1');
+    });
+
+    test('releases the lock when the run fails', () => {
+      config.ORG_CODE = '';
+      Refresh.run();
+      expect(RunLock.release).toHaveBeenCalledWith('token-1');
+    });
+
+    test('skips the run when another run holds the lock', () => {
+      lockAcquired = false;
+      const result = Refresh.run({ source: 'TRIGGER' });
+
+      expect(result.status).toBe('SKIPPED');
+      expect(result.error).toContain('already in progress by a@b.com since 10:15');
+      expect(fetchSourceData).not.toHaveBeenCalled();
+      expect(generateAllLedgers).not.toHaveBeenCalled();
+      expect(RunLock.release).not.toHaveBeenCalled();
+      expect(Refresh.formatSummary(result)).toBe(result.error);
+    });
+
+    test('rebuild clears stored hashes once the lock is held', () => {
+      Refresh.run({ source: 'MENU', rebuild: true });
+
+      expect(RunLock.acquire).toHaveBeenCalledWith('Rebuild (MENU)');
+      expect(LedgerCache.clear).toHaveBeenCalled();
+      expect(logs[logs.length - 1].action).toBe('Rebuild (MENU)');
+    });
+
+    test('a skipped rebuild keeps stored hashes', () => {
+      lockAcquired = false;
+      Refresh.run({ source: 'MENU', rebuild: true });
+      expect(LedgerCache.clear).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('formatSummary', () => {
+    test('lists sources, ledgers, duplicates and reconciliation', () => {
+      const text = Refresh.formatSummary(Refresh.run());
+
+      expect(text).toContain('Org: CG');
+      expect(text).toContain('Purchase: 1 rows');
+      expect(text).toContain('Ledgers: 2 (Created: 1, Updated: 1, Skipped: 0)');
+      expect(text).toContain('Duplicates: 0 exact (0 excluded), 0 likely');
+      expect(text).toContain('Reconciliation: 2 matched, 0 partial, 0 unmatched');
+      expect(text).toMatch(/Duration: \d+\.\ds/);
+    });
+
+    test('shows failed sources', () => {
+      fetchSourceData.mockImplementation((cfg, type) => type === 'SALES' ?
+        { rows: 0, status: 'ERROR', error: 'Sheet not found' } :
+        { rows: 1, status: 'SUCCESS', data: [purchaseRow] });
+
+      expect(Refresh.formatSummary(Refresh.run())).toContain('Sales: failed - Sheet not found');
+    });
+
+    test('reduces to the error when config could not be read', () => {
+      config.ORG_CODE = '';
+      expect(Refresh.formatSummary(Refresh.run())).toBe('Refresh failed: ORG_CODE not set in CONFIG tab.');
+    });
+  });
+
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for RunLock module
+ */
+
+// Mock Google Apps Script globals
+let store = {};
+global.PropertiesService = {
+  getDocumentProperties: () => ({
+    getProperty: (name) => (name in store ? store[name] : null),
+    setProperty: (name, value) => { store[name] = value; },
+    deleteProperty: (name) => { delete store[name]; }
+  })
+};
+
+let guardFree;
+const guard = {
+  tryLock: jest.fn(() => guardFree),
+  releaseLock: jest.fn()
+};
+global.LockService = {
+  getDocumentLock: () => guard,
+  getScriptLock: () => guard
+};
+
+let user;
+global.Session = {
+  getEffectiveUser: () => ({ getEmail: () => user }),
+  getScriptTimeZone: () => 'UTC'
+};
+
+let uuid = 0;
+global.Utilities = {
+  getUuid: () => 'uuid-' + (++uuid),
+  formatDate: (date) => date.toISOString().substring(11, 16)
+};
+
+global.Logger = { log: () => {} };
+
+let logs;
+global.Init = {
+  logRun: (source, action, rowsFetched, rowsWritten, status, durationMs, errorMessage) => {
+    logs.push({ source, action, status, errorMessage });
+  }
+};
+
+// Load the module (replace const with global assignment for Jest compatibility)
+const lockCode = require('fs').readFileSync('./src/run-lock.js', 'utf8');
+eval(lockCode.replace('const RunLock =', 'global.RunLock ='));
+const RunLock = global.RunLock;
+
+describe('RunLock', () => {
+
+  beforeEach(() => {
+    store = {};
+    logs = [];
+    guardFree = true;
+    user = 'priya@example.com';
+    guard.tryLock.mockClear();
+    guard.releaseLock.mockClear();
+    jest.useFakeTimers().setSystemTime(new Date('2025-06-02T14:05:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('acquires a free lock and records the holder', () => {
+    const lock = RunLock.acquire('Refresh (MENU)');
+
+    expect(lock.acquired).toBe(true);
+    expect(lock.token).toBe('uuid-' + uuid);
+    expect(RunLock.getHolder()).toMatchObject({
+      owner: 'priya@example.com',
+      action: 'Refresh (MENU)',
+      startedAt: '2025-06-02T14:05:00.000Z'
+    });
+    expect(guard.releaseLock).toHaveBeenCalled();
+    expect(logs).toEqual([]);
+  });
+
+  test('blocks a second run and logs it as skipped', () => {
+    RunLock.acquire('Refresh (TRIGGER)');
+    user = 'arun@example.com';
+    jest.setSystemTime(new Date('2025-06-02T14:07:00Z'));
+
+    const lock = RunLock.acquire('Refresh (MENU)');
+
+    expect(lock.acquired).toBe(false);
+    expect(lock.token).toBeNull();
+    expect(lock.holder.owner).toBe('priya@example.com');
+    expect(lock.message).toBe('Refresh already in progress by priya@example.com since 14:05 ' +
+      '(Refresh (TRIGGER)). Try again when it has finished.');
+    expect(logs).toEqual([{
+      source: 'LOCK', action: 'Skipped Refresh (MENU)', status: 'SKIPPED', errorMessage: lock.message
+    }]);
+  });
+
+  test('release frees the lock for the next run', () => {
+    const first = RunLock.acquire('Refresh (MENU)');
+    RunLock.release(first.token);
+
+    expect(RunLock.getHolder()).toBeNull();
+    expect(RunLock.acquire('Refresh (SIDEBAR)').acquired).toBe(true);
+  });
+
+  test('release ignores a token that no longer holds the lock', () => {
+    RunLock.acquire('Refresh (MENU)');
+    RunLock.release('uuid-old');
+
+    expect(RunLock.getHolder()).not.toBeNull();
+  });
+
+  test('recovers a stale lock left by a crashed run', () => {
+    RunLock.acquire('Refresh (TRIGGER)');
+    jest.setSystemTime(Date.now() + RunLock.LEASE_MS + 1000);
+
+    const lock = RunLock.acquire('Refresh (MENU)');
+
+    expect(lock.acquired).toBe(true);
+    expect(RunLock.getHolder().action).toBe('Refresh (MENU)');
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toMatchObject({ source: 'LOCK', action: 'Recovered', status: 'WARNING' });
+    expect(logs[0].errorMessage).toContain('priya@example.com since 14:05 (Refresh (TRIGGER))');
+  });
+
+  test('treats an expired lock as free', () => {
+    RunLock.acquire('Refresh (TRIGGER)');
+    jest.setSystemTime(Date.now() + RunLock.LEASE_MS);
+
+    expect(RunLock.getHolder()).toBeNull();
+  });
+
+  test('reports busy when the lease itself cannot be checked', () => {
+    guardFree = false;
+    const lock = RunLock.acquire('Refresh (MENU)');
+
+    expect(lock.acquired).toBe(false);
+    expect(lock.message).toContain('already in progress by another run');
+    expect(logs[0].status).toBe('SKIPPED');
+  });
+
+  test('falls back to a generic owner when the user is unknown', () => {
+    user = '';
+    RunLock.acquire('Refresh (TRIGGER)');
+
+    expect(RunLock.getHolder().owner).toBe('another user');
+  });
+
+});
@@ -0,0 +1,238 @@
+/**
+ * Unit tests for Schedule module
+ */
+
+// Mock Google Apps Script globals
+let store = {};
+global.PropertiesService = {
+  getDocumentProperties: () => ({
+    getProperty: (name) => (name in store ? store[name] : null),
+    setProperty: (name, value) => { store[name] = value; },
+    deleteProperty: (name) => { delete store[name]; }
+  })
+};
+
+let triggers = [];
+let nextId = 1;
+
+function makeTrigger(handler, spec) {
+  const id = 'trigger-' + nextId++;
+  return { spec: spec, getUniqueId: () => id, getHandlerFunction: () => handler };
+}
+
+// Records the builder calls so tests can check what each trigger was asked for
+function makeBuilder(handler) {
+  const spec = {};
+  const builder = {
+    everyHours: (n) => { spec.everyHours = n; return builder; },
+    everyDays: (n) => { spec.everyDays = n; return builder; },
+    onWeekDay: (day) => { spec.weekDay = day; return builder; },
+    atHour: (h) => { spec.atHour = h; return builder; },
+    nearMinute: (m) => { spec.nearMinute = m; return builder; },
+    create: () => {
+      const trigger = makeTrigger(handler, spec);
+      triggers.push(trigger);
+      return trigger;
+    }
+  };
+  return builder;
+}
+
+global.ScriptApp = {
+  WeekDay: { MONDAY: 'MON', TUESDAY: 'TUE', WEDNESDAY: 'WED', THURSDAY: 'THU', FRIDAY: 'FRI' },
+  newTrigger: (handler) => ({ timeBased: () => makeBuilder(handler) }),
+  getProjectTriggers: () => triggers.slice(),
+  deleteTrigger: (trigger) => { triggers = triggers.filter(t => t !== trigger); }
+};
+
+// Load the module (replace const with global assignment for Jest compatibility)
+const scheduleCode = require('fs').readFileSync('./src/schedule.js', 'utf8');
+eval(scheduleCode.replace('const Schedule =', 'global.Schedule ='));
+const Schedule = global.Schedule;
+
+describe('Schedule', () => {
+
+  beforeEach(() => {
+    store = {};
+    triggers = [];
+    nextId = 1;
+  });
+
+  describe('getSettings', () => {
+    test('defaults to OFF at hour 2', () => {
+      expect(Schedule.getSettings({})).toEqual({ schedule: 'OFF', hour: 2, errors: [] });
+    });
+
+    test('reads schedule case-insensitively and numeric hours', () => {
+      expect(Schedule.getSettings({ REFRESH_SCHEDULE: ' nightly ', REFRESH_HOUR: 23 }))
+        .toEqual({ schedule: 'NIGHTLY', hour: 23, errors: [] });
+      expect(Schedule.getSettings({ REFRESH_SCHEDULE: 'WEEKDAYS', REFRESH_HOUR: '0' }).hour).toBe(0);
+    });
+
+    test('falls back and reports invalid values', () => {
+      const settings = Schedule.getSettings({ REFRESH_SCHEDULE: 'DAILY', REFRESH_HOUR: '7.5' });
+
+      expect(settings.schedule).toBe('OFF');
+      expect(settings.hour).toBe(2);
+      expect(settings.errors).toHaveLength(2);
+    });
+
+    test('rejects hours outside 0-23', () => {
+      expect(Schedule.getSettings({ REFRESH_SCHEDULE: 'NIGHTLY', REFRESH_HOUR: 24 }).errors).toHaveLength(1);
+    });
+  });
+
+  describe('describe', () => {
+    test('describes each schedule', () => {
+      expect(Schedule.describe({ schedule: 'OFF', hour: 2 })).toBe('Off');
+      expect(Schedule.describe({ schedule: 'HOURLY', hour: 2 })).toBe('Hourly');
+      expect(Schedule.describe({ schedule: 'NIGHTLY', hour: 2 })).toBe('Nightly at 02:00');
+      expect(Schedule.describe({ schedule: 'WEEKDAYS', hour: 18 })).toBe('Weekdays at 18:00');
+    });
+  });
+
+  describe('buildTriggerSpecs', () => {
+    test('hourly is one every-hour trigger', () => {
+      expect(Schedule.buildTriggerSpecs({ schedule: 'HOURLY', hour: 2 })).toEqual([{ everyHours: 1 }]);
+    });
+
+    test('weekdays is one weekly trigger per day Monday to Friday', () => {
+      const specs = Schedule.buildTriggerSpecs({ schedule: 'WEEKDAYS', hour: 7 });
+
+      expect(specs.map(s => s.weekDay)).toEqual(['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY']);
+      expect(specs.every(s => s.atHour === 7)).toBe(true);
+    });
+
+    test('off needs no triggers', () => {
+      expect(Schedule.buildTriggerSpecs({ schedule: 'OFF', hour: 2 })).toEqual([]);
+    });
+  });
+
+  describe('install / remove / list', () => {
+    test('installs nightly trigger and records it', () => {
+      const state = Schedule.install({ schedule: 'NIGHTLY', hour: 3 });
+
+      expect(triggers).toHaveLength(1);
+      expect(triggers[0].getHandlerFunction()).toBe('scheduledRefresh');
+      expect(triggers[0].spec).toEqual({ everyDays: 1, atHour: 3, nearMinute: 0 });
+      expect(Schedule.getInstalled()).toEqual(state);
+      expect(state.triggerIds).toEqual([triggers[0].getUniqueId()]);
+    });
+
+    test('installs weekday triggers using ScriptApp.WeekDay', () => {
+      Schedule.install({ schedule: 'WEEKDAYS', hour: 7 });
+      expect(triggers.map(t => t.spec.weekDay)).toEqual(['MON', 'TUE', 'WED', 'THU', 'FRI']);
+    });
+
+    test('replaces existing refresh triggers, including hand-made hourlyRefresh ones', () => {
+      triggers.push(makeTrigger('hourlyRefresh', {}));
+      triggers.push(makeTrigger('continueLedgerJob', {}));
+
+      Schedule.install({ schedule: 'HOURLY', hour: 2 });
+
+      expect(triggers.map(t => t.getHandlerFunction())).toEqual(['continueLedgerJob', 'scheduledRefresh']);
+    });
+
+    test('installing OFF removes everything', () => {
+      Schedule.install({ schedule: 'HOURLY', hour: 2 });
+
+      expect(Schedule.install({ schedule: 'OFF', hour: 2 })).toBeNull();
+      expect(triggers).toHaveLength(0);
+      expect(Schedule.getInstalled()).toBeNull();
+    });
+
+    test('remove leaves other triggers alone', () => {
+      triggers.push(makeTrigger('continueLedgerJob', {}));
+      Schedule.install({ schedule: 'WEEKDAYS', hour: 7 });
+
+      expect(Schedule.remove()).toBe(5);
+      expect(triggers.map(t => t.getHandlerFunction())).toEqual(['continueLedgerJob']);
+    });
+
+    test('list marks triggers installed from CONFIG as managed', () => {
+      Schedule.install({ schedule: 'HOURLY', hour: 2 });
+      triggers.push(makeTrigger('hourlyRefresh', {}));
+
+      expect(Schedule.list().map(t => [t.handler, t.managed])).toEqual([
+        ['scheduledRefresh', true],
+        ['hourlyRefresh', false]
+      ]);
+    });
+  });
+
+  describe('compare', () => {
+    const hourly = { schedule: 'HOURLY', hour: 2, errors: [] };
+    const nightly = { schedule: 'NIGHTLY', hour: 2, errors: [] };
+
+    test('no warnings when CONFIG and triggers agree', () => {
+      Schedule.install(nightly);
+      expect(Schedule.compare(nightly, Schedule.getInstalled(), Schedule.list())).toEqual([]);
+    });
+
+    test('no warnings when OFF and nothing installed', () => {
+      expect(Schedule.compare({ schedule: 'OFF', hour: 2 }, null, [])).toEqual([]);
+    });
+
+    test('warns when OFF but triggers exist', () => {
+      Schedule.install(hourly);
+      const warnings = Schedule.compare({ schedule: 'OFF', hour: 2 }, Schedule.getInstalled(), Schedule.list());
+
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toContain('OFF but 1 refresh trigger(s)');
+    });
+
+    test('warns when configured but never installed', () => {
+      const warnings = Schedule.compare(hourly, null, []);
+      expect(warnings[0]).toContain('has not been installed');
+    });
+
+    test('warns when the installed schedule differs', () => {
+      Schedule.install(hourly);
+      const warnings = Schedule.compare(nightly, Schedule.getInstalled(), Schedule.list());
+
+      expect(warnings).toEqual([expect.stringContaining('Installed schedule (Hourly) differs from CONFIG (Nightly at 02:00)')]);
+    });
+
+    test('warns when the hour differs', () => {
+      Schedule.install({ schedule: 'NIGHTLY', hour: 5 });
+      const warnings = Schedule.compare(nightly, Schedule.getInstalled(), Schedule.list());
+
+      expect(warnings[0]).toContain('Nightly at 05:00');
+    });
+
+    test('ignores the hour for hourly schedules', () => {
+      Schedule.install({ schedule: 'HOURLY', hour: 5 });
+      expect(Schedule.compare(hourly, Schedule.getInstalled(), Schedule.list())).toEqual([]);
+    });
+
+    test('warns when installed triggers were deleted', () => {
+      Schedule.install({ schedule: 'WEEKDAYS', hour: 2 });
+      triggers.pop();
+
+      const warnings = Schedule.compare({ schedule: 'WEEKDAYS', hour: 2 }, Schedule.getInstalled(), Schedule.list());
+      expect(warnings).toEqual([expect.stringContaining('1 installed refresh trigger(s) are missing')]);
+    });
+
+    test('warns about triggers not installed from CONFIG', () => {
+      Schedule.install(hourly);
+      triggers.push(makeTrigger('hourlyRefresh', {}));
+
+      const warnings = Schedule.compare(hourly, Schedule.getInstalled(), Schedule.list());
+      expect(warnings).toEqual([expect.stringContaining('1 refresh trigger(s) were not installed from CONFIG')]);
+    });
+  });
+
+  describe('check', () => {
+    test('includes invalid setting warnings', () => {
+      const warnings = Schedule.check({ REFRESH_SCHEDULE: 'SOMETIMES' });
+      expect(warnings).toEqual([expect.stringContaining('REFRESH_SCHEDULE should be')]);
+    });
+
+    test('reads installed state and live triggers', () => {
+      Schedule.install({ schedule: 'HOURLY', hour: 2 });
+      expect(Schedule.check({ REFRESH_SCHEDULE: 'HOURLY' })).toEqual([]);
+      expect(Schedule.check({ REFRESH_SCHEDULE: 'OFF' })).toHaveLength(1);
+    });
+  });
+
+});
@@ -0,0 +1,208 @@
+/**
+ * Unit tests for Statements module
+ */
+
+// Mock Google Apps Script globals
+global.Logger = { log: () => {} };
+global.SpreadsheetApp = { flush: jest.fn() };
+global.ScriptApp = { getOAuthToken: () => 'token-1' };
+
+let responseCode = 200;
+global.UrlFetchApp = {
+  fetch: jest.fn(() => ({
+    getResponseCode: () => responseCode,
+    getBlob: () => {
+      const blob = { name: '', setName: (name) => { blob.name = name; return blob; } };
+      return blob;
+    }
+  }))
+};
+
+let driveFiles = [];
+const folder = {
+  getFilesByName: (name) => {
+    const matches = driveFiles.filter(file => file.name === name && !file.trashed);
+    return { hasNext: () => matches.length > 0, next: () => matches.shift() };
+  },
+  createFile: jest.fn((blob) => {
+    const file = { id: 'file-' + (driveFiles.length + 1), name: blob.name, trashed: false };
+    file.getId = () => file.id;
+    file.getUrl = () => 'https://drive.google.com/file/d/' + file.id;
+    file.setTrashed = (value) => { file.trashed = value; };
+    driveFiles.push(file);
+    return file;
+  })
+};
+global.DriveApp = { getFolderById: jest.fn(() => folder) };
+
+// Load the modules (replace const with global assignment for Jest compatibility)
+for (const [file, name] of [
+  ['./src/ledgers/party-ledger.js', 'PartyLedger'],
+  ['./src/exports/drive-files.js', 'DriveFiles'],
+  ['./src/reports/statements.js', 'Statements']
+]) {
+  eval(require('fs').readFileSync(file, 'utf8').replace('const ' + name + ' =', 'global.' + name + ' ='));
+}
+const Statements = global.Statements;
+const PartyLedger = global.PartyLedger;
+
+describe('Statements', () => {
+
+  const MASTER_ROWS = [
+    ['CG-SUP-0001', 'Alpha Steels', '[SU]'],
+    ['CG-CUS-0001', 'Beta Motors', '[CU]'],
+    ['CG-MAS-0001', 'Gamma Group', '[SU]'],
+    ['CG-MAS-0001', 'Gamma Group', '[CU]']
+  ];
+
+  function makeSpreadsheet(ledgerTabs) {
+    const sheets = {
+      'Ledger Master': {
+        getLastRow: () => MASTER_ROWS.length + 1,
+        getRange: () => ({ getValues: () => MASTER_ROWS })
+      }
+    };
+    ledgerTabs.forEach((name, i) => {
+      sheets[name] = { getSheetId: () => 100 + i, getLastRow: () => 40 };
+    });
+    return {
+      getId: () => 'ss-1',
+      getSheetByName: (name) => sheets[name] || null
+    };
+  }
+
+  const settings = { folderId: 'folder-1', orgCode: 'CM', financialYear: '2025-26', errors: [] };
+
+  beforeEach(() => {
+    responseCode = 200;
+    driveFiles = [];
+    jest.clearAllMocks();
+  });
+
+  describe('getSettings', () => {
+    test('requires a folder ID', () => {
+      expect(Statements.getSettings({}).errors).toEqual(['STATEMENTS_FOLDER_ID not set']);
+      expect(Statements.getSettings({ STATEMENTS_FOLDER_ID: ' f1 ', ORG_CODE: 'cm', FINANCIAL_YEAR: '2025-26' }))
+        .toEqual({ folderId: 'f1', orgCode: 'CM', financialYear: '2025-26', errors: [] });
+    });
+  });
+
+  describe('selectLedgers', () => {
+    const ledgers = PartyLedger.readLedgerMaster(makeSpreadsheet([]));
+
+    test('returns everything for a blank or * filter', () => {
+      expect(Statements.selectLedgers(ledgers, '')).toHaveLength(4);
+      expect(Statements.selectLedgers(ledgers, ' * ')).toHaveLength(4);
+    });
+
+    test('filters by category and party ID pattern', () => {
+      expect(Statements.selectLedgers(ledgers, '[CU]').map(l => l.id)).toEqual(['CG-CUS-0001', 'CG-MAS-0001']);
+      expect(Statements.selectLedgers(ledgers, 'cg-sup-*').map(l => l.id)).toEqual(['CG-SUP-0001']);
+      expect(Statements.selectLedgers(ledgers, 'SU, CG-CUS-0001')).toHaveLength(3);
+      expect(Statements.selectLedgers(ledgers, 'CG-XYZ-*')).toEqual([]);
+    });
+  });
+
+  describe('buildFileName', () => {
+    test('uses <ORG>_<PARTYID>_<FY>.pdf', () => {
+      expect(Statements.buildFileName(settings, { id: 'CG-SUP-0001', ledgerCategory: 'SU' }))
+        .toBe('CM_CG-SUP-0001_2025-26.pdf');
+    });
+
+    test('adds the category when asked and drops unsafe characters', () => {
+      expect(Statements.buildFileName(settings, { id: 'CG-MAS-0001', ledgerCategory: 'CU' }, true))
+        .toBe('CM_CG-MAS-0001_CU_2025-26.pdf');
+      expect(Statements.buildFileName({ orgCode: 'CM', financialYear: '2025/26' }, { id: 'A B' }))
+        .toBe('CM_A-B_2025-26.pdf');
+    });
+  });
+
+  describe('buildExportUrl', () => {
+    test('exports columns A:G of one tab as A4 portrait PDF', () => {
+      const url = Statements.buildExportUrl('ss-1', 123, 45);
+      expect(url).toMatch(/^https:\/\/docs\.google\.com\/spreadsheets\/d\/ss-1\/export\?format=pdf&gid=123&/);
+      expect(url).toContain('range=A1%3AG45');
+      expect(url).toContain('size=A4');
+      expect(url).toContain('portrait=true');
+      expect(url).toContain('gridlines=false');
+    });
+  });
+
+  describe('exportLedgers', () => {
+    test('saves one PDF per ledger to the folder', () => {
+      const ss = makeSpreadsheet(['[SU] CG-SUP-0001', '[CU] CG-CUS-0001']);
+      const run = Statements.exportLedgers(ss, PartyLedger.readLedgerMaster(ss).slice(0, 2), settings);
+
+      expect(run.saved).toBe(2);
+      expect(run.failed).toBe(0);
+      expect(run.remaining).toBe(0);
+      expect(DriveApp.getFolderById).toHaveBeenCalledWith('folder-1');
+      expect(SpreadsheetApp.flush).toHaveBeenCalled();
+      expect(driveFiles.map(file => file.name)).toEqual(['CM_CG-SUP-0001_2025-26.pdf', 'CM_CG-CUS-0001_2025-26.pdf']);
+      expect(UrlFetchApp.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer token-1');
+      expect(run.results[0].url).toBe('https://drive.google.com/file/d/file-1');
+    });
+
+    test('adds the category for a party with two ledgers', () => {
+      const ss = makeSpreadsheet(['[SU] CG-MAS-0001', '[CU] CG-MAS-0001']);
+      const run = Statements.exportLedgers(ss, Statements.selectLedgers(PartyLedger.readLedgerMaster(ss), 'CG-MAS-*'), settings);
+
+      expect(run.results.map(result => result.fileName))
+        .toEqual(['CM_CG-MAS-0001_SU_2025-26.pdf', 'CM_CG-MAS-0001_CU_2025-26.pdf']);
+    });
+
+    test('replaces an earlier file of the same name', () => {
+      const ss = makeSpreadsheet(['[SU] CG-SUP-0001']);
+      const ledger = [PartyLedger.readLedgerMaster(ss)[0]];
+      Statements.exportLedgers(ss, ledger, settings);
+      Statements.exportLedgers(ss, ledger, settings);
+
+      expect(driveFiles).toHaveLength(2);
+      expect(driveFiles[0].trashed).toBe(true);
+      expect(driveFiles[1].trashed).toBe(false);
+    });
+
+    test('reports missing tabs and failed exports without stopping', () => {
+      const ss = makeSpreadsheet(['[CU] CG-CUS-0001']);
+      responseCode = 500;
+      const run = Statements.exportLedgers(ss, PartyLedger.readLedgerMaster(ss).slice(0, 2), settings);
+
+      expect(run.failed).toBe(2);
+      expect(run.results[0].error).toContain('Ledger tab not found');
+      expect(run.results[1].error).toBe('PDF export failed (HTTP 500)');
+      expect(folder.createFile).not.toHaveBeenCalled();
+    });
+
+    test('stops starting exports once the time budget is used', () => {
+      const ss = makeSpreadsheet(['[SU] CG-SUP-0001']);
+      const run = Statements.exportLedgers(ss, PartyLedger.readLedgerMaster(ss), settings, Date.now() - 5 * 60 * 1000);
+
+      expect(run.results).toEqual([]);
+      expect(run.remaining).toBe(4);
+      expect(Statements.formatResult(run)).toBe('Saved: 0, Failed: 0, Not reached: 4');
+    });
+
+    test('throws when the folder is not configured', () => {
+      expect(() => Statements.exportLedgers(makeSpreadsheet([]), [], Statements.getSettings({})))
+        .toThrow('STATEMENTS_FOLDER_ID not set');
+    });
+  });
+
+  describe('buildRows', () => {
+    test('links saved files and shows errors in STATUS', () => {
+      const when = new Date(2026, 0, 31, 10, 0);
+      const rows = Statements.buildRows([
+        { ledger: { id: 'CG-SUP-0001', name: 'Alpha', ledgerCategory: 'SU' }, fileName: 'a.pdf',
+          fileId: 'f1', url: 'https://drive/f1', status: 'SAVED', error: null },
+        { ledger: { id: 'CG-CUS-0001', name: 'Beta', ledgerCategory: 'CU' }, fileName: 'b.pdf',
+          fileId: '', url: '', status: 'ERROR', error: 'boom' }
+      ], when);
+
+      expect(rows[0]).toEqual([when, 'CG-SUP-0001', 'Alpha', '[SU]', 'a.pdf',
+        '=HYPERLINK("https://drive/f1", "Open PDF")', 'f1', 'SAVED']);
+      expect(rows[1][5]).toBe('');
+      expect(rows[1][7]).toBe('ERROR: boom');
+      expect(rows[0]).toHaveLength(Statements.HEADERS.length);
+    });
+  });
+});
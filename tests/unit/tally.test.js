@@ -0,0 +1,230 @@
+/**
+ * Unit tests for TallyExport module
+ */
+
+const fs = require('fs');
+
+// Load the modules (replace const with global assignment for Jest compatibility)
+const openingCode = fs.readFileSync('./src/ledgers/opening-balance.js', 'utf8');
+eval(openingCode.replace('const OpeningBalance =', 'global.OpeningBalance ='));
+const gstCode = fs.readFileSync('./src/reports/gst-summary.js', 'utf8');
+eval(gstCode.replace('const GstSummary =', 'global.GstSummary ='));
+const driveCode = fs.readFileSync('./src/exports/drive-files.js', 'utf8');
+eval(driveCode.replace('const DriveFiles =', 'global.DriveFiles ='));
+const tallyCode = fs.readFileSync('./src/exports/tally.js', 'utf8');
+eval(tallyCode.replace('const TallyExport =', 'global.TallyExport ='));
+const TallyExport = global.TallyExport;
+
+// Golden file: vouchers for the sample rows below, as Tally should import them
+const GOLDEN_FILE = './tests/fixtures/tally-vouchers.xml';
+
+describe('TallyExport', () => {
+
+  const config = {
+    ORG_NAME: 'Classic Motors Pvt Ltd',
+    ORG_CODE: 'cm',
+    FINANCIAL_YEAR: '2025-26',
+    EXPORT_FOLDER_ID: 'folder-1',
+    TALLY_PURCHASE_LEDGER: 'Purchase @ 18%',
+    TALLY_BANK_LEDGERS: 'HDFC CA=HDFC Bank A/c'
+  };
+
+  const contacts = {
+    'CG-SUP-0001': { id: 'CG-SUP-0001', name: 'Apex Tyres & Tubes' },
+    'CG-CUS-0001': { id: 'CG-CUS-0001', name: 'Shree Motors' }
+  };
+
+  const transactions = [
+    {
+      docType: 'PURCHASE', date: new Date(2025, 3, 5), partyId: 'CG-SUP-0001', partyName: 'Apex Tyres',
+      docNo: 'AT/101', particulars: 'Tyres', credit: 11800.40, taxable: 10000, cgst: 900, sgst: 900, gst: 1800
+    },
+    {
+      docType: 'PURCHASE', date: new Date(2025, 3, 6), partyId: 'cg-sup-0001', docNo: 'AT/102',
+      particulars: 'Courier', credit: 590, taxable: 500, gst: 90, gstType: 'IGST', isExpense: true
+    },
+    {
+      docType: 'SALES', date: new Date(2025, 3, 10), partyId: 'CG-CUS-0001', docNo: 'CM/S/001',
+      particulars: 'Vehicle sale', debit: 118000, taxable: 100000, igst: 18000, gst: 18000
+    },
+    {
+      docType: 'CONTRACTOR', date: new Date(2025, 3, 12), partyId: 'CG-CON-0001', partyName: 'Ravi <Civil> Works',
+      docNo: 'RW-7', particulars: 'Painting', credit: 25000
+    },
+    {
+      docType: 'BANK', date: new Date(2025, 3, 15), partyId: 'CG-SUP-0001', particulars: 'NEFT Apex',
+      debit: 11800.40, credit: 0, reference: 'UTR123', sourceTab: 'HDFC CA'
+    },
+    {
+      docType: 'BANK', date: new Date(2025, 3, 16), partyId: 'CG-CUS-0001', particulars: 'RTGS Shree',
+      debit: 0, credit: 50000, reference: 'UTR456', sourceTab: 'ICICI'
+    }
+  ];
+
+  describe('getSettings', () => {
+    test('uses CONFIG ledger names with defaults for the rest', () => {
+      const settings = TallyExport.getSettings(config);
+      expect(settings.company).toBe('Classic Motors Pvt Ltd');
+      expect(settings.orgCode).toBe('CM');
+      expect(settings.ledgers.purchase).toBe('Purchase @ 18%');
+      expect(settings.ledgers.sales).toBe('Sales');
+      expect(settings.ledgers.inputIgst).toBe('Input IGST');
+      expect(settings.bankLedgers).toEqual({ 'HDFC CA': 'HDFC Bank A/c' });
+      expect(settings.partyNameStyle).toBe('NAME');
+      expect(settings.errors).toEqual([]);
+    });
+
+    test('reports a missing folder and bad entries', () => {
+      const settings = TallyExport.getSettings({ TALLY_BANK_LEDGERS: 'HDFC', TALLY_PARTY_NAME: 'CODE' });
+      expect(settings.errors).toEqual([
+        'EXPORT_FOLDER_ID not set',
+        'TALLY_BANK_LEDGERS entry "HDFC" should be TAB=Tally ledger',
+        'TALLY_PARTY_NAME should be NAME, NAME_ID or ID'
+      ]);
+      expect(settings.partyNameStyle).toBe('NAME');
+    });
+
+    test('TALLY_COMPANY overrides ORG_NAME', () => {
+      expect(TallyExport.getSettings({ ORG_NAME: 'A', TALLY_COMPANY: 'A (2025-26)' }).company).toBe('A (2025-26)');
+    });
+  });
+
+  describe('getPartyLedgerName', () => {
+    const txn = { partyId: 'cg-sup-0001', partyName: 'Apex Tyres' };
+
+    test('takes the name from the contacts master', () => {
+      const settings = TallyExport.getSettings(config);
+      expect(TallyExport.getPartyLedgerName(txn, contacts, settings)).toBe('Apex Tyres & Tubes');
+    });
+
+    test('falls back to the register name when the party is not a contact', () => {
+      const settings = TallyExport.getSettings(config);
+      expect(TallyExport.getPartyLedgerName({ partyId: 'X-1', partyName: 'Other' }, contacts, settings)).toBe('Other');
+      expect(TallyExport.getPartyLedgerName({ partyId: '', partyName: '' }, contacts, settings)).toBe('');
+    });
+
+    test('NAME_ID and ID styles', () => {
+      expect(TallyExport.getPartyLedgerName(txn, contacts,
+        TallyExport.getSettings({ TALLY_PARTY_NAME: 'name_id' }))).toBe('Apex Tyres & Tubes (CG-SUP-0001)');
+      expect(TallyExport.getPartyLedgerName(txn, contacts,
+        TallyExport.getSettings({ TALLY_PARTY_NAME: 'ID' }))).toBe('CG-SUP-0001');
+    });
+  });
+
+  describe('buildVouchers', () => {
+    const settings = TallyExport.getSettings(config);
+
+    function totals(voucher) {
+      return Math.round(voucher.entries.reduce((sum, entry) => sum + entry.amount, 0) * 100) / 100;
+    }
+
+    test('purchase credits the party and debits taxable value, GST and round off', () => {
+      const voucher = TallyExport.buildVouchers(transactions[0], contacts, settings).vouchers[0];
+      expect(voucher.type).toBe('Purchase');
+      expect(voucher.entries.map(entry => [entry.ledger, entry.amount])).toEqual([
+        ['Apex Tyres & Tubes', -11800.40],
+        ['Purchase @ 18%', 10000],
+        ['Input CGST', 900],
+        ['Input SGST', 900],
+        ['Round Off', 0.40]
+      ]);
+      expect(totals(voucher)).toBe(0);
+    });
+
+    test('expense purchases use the expense ledger and GST TYPE splits a GST total', () => {
+      const voucher = TallyExport.buildVouchers(transactions[1], contacts, settings).vouchers[0];
+      expect(voucher.entries.map(entry => entry.ledger)).toEqual(['Apex Tyres & Tubes', 'Indirect Expenses', 'Input IGST']);
+      expect(totals(voucher)).toBe(0);
+    });
+
+    test('a GST total without GST TYPE is split CGST / SGST with a warning', () => {
+      const built = TallyExport.buildVouchers({
+        docType: 'SALES', date: new Date(2025, 3, 1), partyId: 'CG-CUS-0001', docNo: 'S2',
+        debit: 1180, taxable: 1000, gst: 180
+      }, contacts, settings);
+      expect(built.warning).toMatch(/GST TYPE blank/);
+      expect(built.vouchers[0].entries.map(entry => [entry.ledger, entry.amount])).toEqual([
+        ['Shree Motors', 1180],
+        ['Sales', -1000],
+        ['Output CGST', -90],
+        ['Output SGST', -90]
+      ]);
+    });
+
+    test('bank debits are payments and credits are receipts', () => {
+      const payment = TallyExport.buildVouchers(transactions[4], contacts, settings).vouchers[0];
+      expect(payment.type).toBe('Payment');
+      expect(payment.entries.map(entry => [entry.ledger, entry.amount])).toEqual([
+        ['Apex Tyres & Tubes', 11800.40],
+        ['HDFC Bank A/c', -11800.40]
+      ]);
+
+      const receipt = TallyExport.buildVouchers(transactions[5], contacts, settings).vouchers[0];
+      expect(receipt.type).toBe('Receipt');
+      expect(receipt.entries[0]).toEqual({ ledger: 'ICICI', amount: 50000, bill: null });
+    });
+
+    test('rows without a date, party or amount are left out with a reason', () => {
+      expect(TallyExport.buildVouchers({ docType: 'BANK', debit: 5, partyId: 'X' }, contacts, settings).error)
+        .toBe('No date');
+      expect(TallyExport.buildVouchers({ docType: 'BANK', date: new Date(2025, 3, 1), debit: 5 }, contacts, settings).error)
+        .toMatch(/No party/);
+      expect(TallyExport.buildVouchers({ docType: 'SALES', date: new Date(2025, 3, 1), partyId: 'X' }, contacts, settings).error)
+        .toBe('Zero amount');
+    });
+  });
+
+  describe('toXml', () => {
+    test('matches the golden file', () => {
+      const settings = TallyExport.getSettings(config);
+      const built = TallyExport.build(transactions, contacts, settings);
+      expect(built.skipped).toEqual([]);
+      expect(TallyExport.toXml(built.vouchers, settings)).toBe(fs.readFileSync(GOLDEN_FILE, 'utf8'));
+    });
+
+    test('escapes XML special characters', () => {
+      expect(TallyExport.escapeXml('A & B <"x">\'')).toBe('A &amp; B &lt;&quot;x&quot;&gt;&apos;');
+    });
+
+    test('formats dates as YYYYMMDD', () => {
+      expect(TallyExport.formatDate(new Date(2025, 3, 5))).toBe('20250405');
+    });
+  });
+
+  describe('save', () => {
+    test('replaces an export of the same day and saves as XML', () => {
+      const trashed = [];
+      const created = [];
+      global.DriveApp = {
+        getFolderById: () => ({
+          getFilesByName: () => {
+            const files = [{ setTrashed: () => trashed.push(true) }];
+            return { hasNext: () => files.length > 0, next: () => files.shift() };
+          },
+          createFile: (name, content, mimeType) => {
+            created.push([name, content, mimeType]);
+            return { getId: () => 'file-1', getUrl: () => 'https://drive/file-1' };
+          }
+        })
+      };
+
+      const file = TallyExport.save(TallyExport.getSettings(config), '<ENVELOPE/>', new Date(2025, 5, 30));
+      expect(file).toEqual({ fileName: 'CM_TALLY_2025-26_20250630.xml', fileId: 'file-1', url: 'https://drive/file-1' });
+      expect(trashed).toHaveLength(1);
+      expect(created).toEqual([['CM_TALLY_2025-26_20250630.xml', '<ENVELOPE/>', 'text/xml']]);
+    });
+
+    test('throws when EXPORT_FOLDER_ID is missing', () => {
+      expect(() => TallyExport.save(TallyExport.getSettings({}), '')).toThrow('EXPORT_FOLDER_ID not set');
+    });
+  });
+
+  describe('formatResult', () => {
+    test('counts vouchers by type with skipped rows', () => {
+      const settings = TallyExport.getSettings(config);
+      const built = TallyExport.build(transactions.concat([{ docType: 'BANK', debit: 1 }]), contacts, settings);
+      expect(TallyExport.formatResult(built))
+        .toBe('Purchase 2, Sales 1, Journal 1, Payment 1, Receipt 1 (1 rows skipped)');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for TrialBalance module
+ */
+
+// Load the module (replace const with global assignment for Jest compatibility)
+const tbCode = require('fs').readFileSync('./src/reports/trial-balance.js', 'utf8');
+eval(tbCode.replace('const TrialBalance =', 'global.TrialBalance ='));
+const TrialBalance = global.TrialBalance;
+
+describe('TrialBalance', () => {
+
+  function ledger(category, transactions) {
+    return {
+      ledgerCategory: category,
+      transactions: transactions,
+      totalDebit: transactions.reduce((sum, t) => sum + (t.debit || 0), 0),
+      totalCredit: transactions.reduce((sum, t) => sum + (t.credit || 0), 0)
+    };
+  }
+
+  const supplier = ledger('SU', [
+    { isOpening: true, debit: 0, credit: 1000 },
+    { docType: 'PURCHASE', account: 'Raw Material', gst: 180, debit: 0, credit: 1180 },
+    { docType: 'PURCHASE', account: 'Freight', isExpense: true, gst: 0, debit: 0, credit: 200 },
+    { docType: 'BANK', sourceTab: 'HDFC', debit: 1500, credit: 0 }
+  ]);
+  const customer = ledger('CU', [
+    { docType: 'SALES', account: 'domestic', gst: 90, debit: 590, credit: 0 },
+    { docType: 'SALES', account: '', gst: 0, debit: 100, credit: 0 },
+    { docType: 'BANK', sourceTab: 'HDFC', debit: 0, credit: 400 }
+  ]);
+  const contractor = ledger('CO', [
+    { docType: 'CONTRACTOR', debit: 0, credit: 700 },
+    { docType: 'BANK', sourceTab: 'SBI', debit: 700, credit: 0 }
+  ]);
+
+  function find(result, account) {
+    return result.lines.find(line => line.account === account);
+  }
+
+  test('posts each register line to its account head and GST', () => {
+    const result = TrialBalance.build([supplier, customer]);
+
+    expect(find(result, 'PURCHASE - RAW MATERIAL')).toMatchObject({ debit: 1000, credit: 0 });
+    expect(find(result, 'EXPENSE - FREIGHT')).toMatchObject({ group: 'EXPENSES', debit: 200 });
+    expect(find(result, 'GST INPUT')).toMatchObject({ group: 'DUTIES & TAXES', debit: 180 });
+    expect(find(result, 'SALES - DOMESTIC')).toMatchObject({ credit: 500 });
+    expect(find(result, 'SALES - UNSPECIFIED')).toMatchObject({ credit: 100 });
+    expect(find(result, 'GST OUTPUT')).toMatchObject({ credit: 90 });
+  });
+
+  test('nets each bank tab and the party control accounts', () => {
+    const result = TrialBalance.build([supplier, customer, contractor]);
+
+    expect(find(result, 'BANK - HDFC')).toMatchObject({ debit: 0, credit: 1100 });
+    expect(find(result, 'BANK - SBI')).toMatchObject({ credit: 700 });
+    expect(find(result, 'SUNDRY CREDITORS [SU]')).toMatchObject({ debit: 0, credit: 880 });
+    expect(find(result, 'SUNDRY DEBTORS [CU]')).toMatchObject({ debit: 290, credit: 0 });
+    expect(find(result, 'CONTRACTORS [CO]')).toBeUndefined();
+    expect(find(result, 'CONTRACTOR BILLS')).toMatchObject({ debit: 700 });
+    expect(find(result, 'OPENING BALANCES B/F')).toMatchObject({ debit: 1000 });
+  });
+
+  test('ties out when ledger totals match their lines', () => {
+    const result = TrialBalance.build([supplier, customer, contractor]);
+
+    expect(result.difference).toBe(0);
+    expect(result.totalDebit).toBe(result.totalCredit);
+    expect(TrialBalance.formatResult(result)).toBe('Balanced: Dr ' + result.totalDebit.toFixed(2) +
+      ', Cr ' + result.totalCredit.toFixed(2));
+  });
+
+  test('reports the difference when a ledger total is off', () => {
+    const broken = Object.assign({}, customer, { totalDebit: customer.totalDebit + 50 });
+    const result = TrialBalance.build([supplier, broken]);
+
+    expect(result.difference).toBe(50);
+    expect(TrialBalance.formatResult(result)).toContain('Out of balance by 50.00');
+  });
+
+  test('posts the taxable value from the register, not the party amount', () => {
+    const result = TrialBalance.build([ledger('CU', [
+      { docType: 'SALES', account: 'Domestic', taxable: 1000, gst: 180, debit: 1180, credit: 0 }
+    ])]);
+
+    expect(find(result, 'SALES - DOMESTIC')).toMatchObject({ credit: 1000 });
+    expect(find(result, 'GST OUTPUT')).toMatchObject({ credit: 180 });
+    expect(result.difference).toBe(0);
+  });
+
+  test('reports the difference when a register row does not add up to its total', () => {
+    // Grand total 1200 but ASS. VALUE 1000 + GST 180 = 1180
+    const result = TrialBalance.build([ledger('SU', [
+      { docType: 'PURCHASE', account: 'Stores', taxable: 1000, gst: 180, debit: 0, credit: 1200 },
+      { docType: 'BANK', sourceTab: 'HDFC', debit: 500, credit: 0 }
+    ])]);
+
+    expect(find(result, 'PURCHASE - STORES')).toMatchObject({ debit: 1000 });
+    expect(find(result, 'GST INPUT')).toMatchObject({ debit: 180 });
+    expect(find(result, 'SUNDRY CREDITORS [SU]')).toMatchObject({ credit: 700 });
+    expect(result.difference).toBe(-20);
+    expect(TrialBalance.formatResult(result)).toContain('Out of balance by 20.00');
+  });
+
+  test('lists groups in a fixed order', () => {
+    const groups = TrialBalance.build([supplier, customer, contractor]).lines.map(line => line.group);
+    const order = ['PURCHASE ACCOUNTS', 'EXPENSES', 'CONTRACTOR BILLS', 'SALES ACCOUNTS', 'DUTIES & TAXES',
+      'BANK ACCOUNTS', 'PARTY CONTROL', 'OPENING BALANCES'];
+
+    expect(groups.slice().sort((a, b) => order.indexOf(a) - order.indexOf(b))).toEqual(groups);
+  });
+
+});
@@ -0,0 +1,248 @@
+/**
+ * Unit tests for WebApi module
+ */
+
+const fs = require('fs');
+
+// Mock Google Apps Script globals
+global.Logger = { log: jest.fn() };
+global.ContentService = {
+  MimeType: { JSON: 'application/json' },
+  createTextOutput: jest.fn((text) => {
+    const output = { text: text, mimeType: null };
+    output.setMimeType = (mimeType) => { output.mimeType = mimeType; return output; };
+    return output;
+  })
+};
+
+// Load the modules (replace const with global assignment for Jest compatibility)
+for (const [file, name] of [
+  ['./src/reports/reconciliation.js', 'Reconciliation'],
+  ['./src/ledgers/bill-allocation.js', 'BillAllocation'],
+  ['./src/ledgers/party-ledger.js', 'PartyLedger'],
+  ['./src/ledgers/opening-balance.js', 'OpeningBalance'],
+  ['./src/exports/data-export.js', 'DataExport'],
+  ['./src/web-api.js', 'WebApi']
+]) {
+  eval(fs.readFileSync(file, 'utf8').replace('const ' + name + ' =', 'global.' + name + ' ='));
+}
+const WebApi = global.WebApi;
+const PartyLedger = global.PartyLedger;
+
+describe('WebApi', () => {
+
+  const MASTER_ROWS = [
+    ['CG-CUS-0001', 'Shree Motors', '[CU]', 2200, 1500, 700, new Date(2025, 4, 2), '=HYPERLINK()'],
+    ['CG-SUP-0001', 'Apex Tyres', '[SU]', 0, 800, -800, new Date(2025, 3, 8), '=HYPERLINK()'],
+    ['CG-MAS-0001', 'Gamma Group', '[SU]', 0, 100, -100, new Date(2025, 3, 1), '=HYPERLINK()'],
+    ['CG-MAS-0001', 'Gamma Group', '[CU]', 100, 0, 100, new Date(2025, 3, 1), '=HYPERLINK()']
+  ];
+
+  // Shree Motors ledger tab as createPartyLedger writes it: opening entry,
+  // monthly subtotals, blank padding rows, then the totals
+  const CUSTOMER_TXNS = [
+    { date: new Date(2025, 3, 1), particulars: 'OPENING BALANCE', voucherType: 'OPENING', debit: 500, credit: 0, isOpening: true },
+    {
+      date: new Date(2025, 3, 10), particulars: 'Sales Invoice: S-1', voucherType: 'SALES', docType: 'SALES', docNo: 'S-1',
+      debit: 1200, credit: 0, reconStatus: 'Matched', sourceId: 'sal-1', sourceTab: 'Register', sourceRow: 7
+    },
+    {
+      date: new Date(2025, 3, 20), particulars: 'NEFT', voucherType: 'BANK', docType: 'BANK', reference: 'UTR1',
+      debit: 0, credit: 1500, sourceId: 'bank-1', sourceTab: 'HDFC', sourceRow: 9
+    },
+    { date: new Date(2025, 4, 2), particulars: 'Sales Invoice: S-2', voucherType: 'SALES', docNo: 'S-2', debit: 500, credit: 0 }
+  ];
+  const CUSTOMER_ROWS = PartyLedger.buildLedgerRows(CUSTOMER_TXNS, 'MONTHLY').rows.concat([
+    ['', '', '', '', '', '', '', '', ''],
+    ['', '', '', '', '', '', '', '', ''],
+    ['', 'TOTAL', '', '', 2200, 1500, '', '', ''],
+    ['', 'CLOSING BALANCE', '', '', '', 700, '', '', '']
+  ]);
+
+  function makeSpreadsheet() {
+    const sheets = {
+      'Ledger Master': {
+        getLastRow: () => MASTER_ROWS.length + 1,
+        getRange: () => ({ getValues: () => MASTER_ROWS })
+      }
+    };
+    sheets[PartyLedger.buildSheetName('CG-CUS-0001', 'CU')] = {
+      getLastRow: () => PartyLedger.FIRST_TXN_ROW + CUSTOMER_ROWS.length - 1,
+      getRange: jest.fn(() => ({ getValues: () => CUSTOMER_ROWS }))
+    };
+    return { getSheetByName: (name) => sheets[name] || null };
+  }
+
+  const properties = { API_SECRET: 's3cret-key', API_SHEETS: 'CM=ss-cm' };
+  let openById;
+
+  function services(overrides) {
+    return Object.assign({ properties: properties, openById: openById, now: new Date(Date.UTC(2025, 5, 30)) }, overrides);
+  }
+
+  function request(action, params) {
+    return { pathInfo: action, parameter: Object.assign({ key: 's3cret-key' }, params) };
+  }
+
+  beforeEach(() => {
+    openById = jest.fn(() => makeSpreadsheet());
+  });
+
+  describe('getSettings', () => {
+    test('reads the secret and the org sheets', () => {
+      expect(WebApi.getSettings({ API_SECRET: 'x', API_SHEETS: 'cm=ss-1, KM = ss-2' })).toEqual({
+        secret: 'x', sheets: { CM: 'ss-1', KM: 'ss-2' }, errors: []
+      });
+    });
+
+    test('reports missing and malformed properties', () => {
+      expect(WebApi.getSettings({ API_SHEETS: 'ss-1' }).errors).toEqual([
+        'API_SECRET not set',
+        'API_SHEETS entry "ss-1" should be ORG=spreadsheet ID',
+        'API_SHEETS not set'
+      ]);
+    });
+  });
+
+  describe('checkKey', () => {
+    test('matches only the exact secret', () => {
+      expect(WebApi.checkKey('abc', 'abc')).toBe(true);
+      expect(WebApi.checkKey('abd', 'abc')).toBe(false);
+      expect(WebApi.checkKey('ab', 'abc')).toBe(false);
+      expect(WebApi.checkKey(undefined, 'abc')).toBe(false);
+      expect(WebApi.checkKey('', '')).toBe(false);
+    });
+  });
+
+  describe('parseDateParam', () => {
+    test('reads ISO and dd-mm-yyyy dates as local dates', () => {
+      expect(WebApi.parseDateParam('2025-04-15')).toEqual(new Date(2025, 3, 15));
+      expect(WebApi.parseDateParam('15-04-2025')).toEqual(new Date(2025, 3, 15));
+      expect(WebApi.parseDateParam('')).toBeNull();
+    });
+
+    test('rejects text that is not a date', () => {
+      expect(() => WebApi.parseDateParam('soon')).toThrow('Not a date: soon');
+    });
+  });
+
+  describe('serializeLedgerRows', () => {
+    test('keeps transaction lines and drops subtotals, padding and totals', () => {
+      const lines = WebApi.serializeLedgerRows(CUSTOMER_ROWS);
+
+      expect(lines.map(line => [line.date, line.particulars, line.debit, line.credit, line.balance])).toEqual([
+        ['2025-04-01', 'OPENING BALANCE', 500, 0, 500],
+        ['2025-04-10', 'Sales Invoice: S-1', 1200, 0, 1700],
+        ['2025-04-20', 'NEFT', 0, 1500, 200],
+        ['2025-05-02', 'Sales Invoice: S-2', 500, 0, 700]
+      ]);
+      expect(lines[0].is_opening).toBe(true);
+      expect(lines[1]).toMatchObject({
+        voucher_type: 'SALES', reference: 'S-1', status: 'Matched', is_opening: false,
+        source: { type: 'SALES', spreadsheet_id: 'sal-1', tab: 'Register', row: 7 }
+      });
+      expect(lines[3].source).toBeNull();
+    });
+  });
+
+  describe('buildStatement', () => {
+    const lines = WebApi.serializeLedgerRows(CUSTOMER_ROWS);
+
+    test('carries earlier lines into the opening balance', () => {
+      const statement = WebApi.buildStatement(lines, new Date(2025, 3, 15), new Date(2025, 3, 30));
+      expect(statement).toMatchObject({
+        from: '2025-04-15', to: '2025-04-30',
+        opening_balance: 1700, total_debit: 0, total_credit: 1500, closing_balance: 200
+      });
+      expect(statement.transactions.map(line => line.particulars)).toEqual(['NEFT']);
+    });
+
+    test('without dates covers the whole ledger after the opening entry', () => {
+      const statement = WebApi.buildStatement(lines, null, null);
+      expect(statement.opening_balance).toBe(500);
+      expect(statement.transactions).toHaveLength(3);
+      expect(statement.closing_balance).toBe(700);
+    });
+  });
+
+  describe('handle', () => {
+    test('parties lists Ledger Master with balances', () => {
+      const body = WebApi.handle(request('parties'), services());
+
+      expect(body).toMatchObject({ ok: true, api_version: '1', action: 'parties', org_code: 'CM',
+        generated_at: '2025-06-30T00:00:00.000Z' });
+      expect(body.parties).toHaveLength(4);
+      expect(body.parties[0]).toEqual({
+        party_id: 'CG-CUS-0001', party_name: 'Shree Motors', category: 'CU',
+        total_debit: 2200, total_credit: 1500, balance: 700, last_transaction: '2025-05-02'
+      });
+      expect(openById).toHaveBeenCalledWith('ss-cm');
+    });
+
+    test('parties filters by category', () => {
+      const body = WebApi.handle(request('parties', { category: '[su]' }), services());
+      expect(body.parties.map(party => party.party_id)).toEqual(['CG-SUP-0001', 'CG-MAS-0001']);
+    });
+
+    test('party returns the ledger lines', () => {
+      const body = WebApi.handle(request('party', { id: 'cg-cus-0001' }), services());
+      expect(body.party.party_name).toBe('Shree Motors');
+      expect(body.transactions).toHaveLength(4);
+    });
+
+    test('statement takes a date range', () => {
+      const body = WebApi.handle({ parameter: { key: 's3cret-key', action: 'statement', id: 'CG-CUS-0001',
+        from: '01-05-2025' } }, services());
+      expect(body.ok).toBe(true);
+      expect(body.statement).toMatchObject({ from: '2025-05-01', to: '', opening_balance: 200, closing_balance: 700 });
+    });
+
+    test('rejects a wrong or missing key before reading anything', () => {
+      const body = WebApi.handle(request('parties', { key: 'guess' }), services());
+      expect(body).toEqual({ ok: false, api_version: '1', action: 'parties',
+        error: { code: 'UNAUTHORIZED', message: 'Invalid key' } });
+      expect(openById).not.toHaveBeenCalled();
+    });
+
+    test('is closed until API_SECRET is set', () => {
+      const body = WebApi.handle(request('parties', { key: '' }), services({ properties: {} }));
+      expect(body.error.code).toBe('NOT_CONFIGURED');
+    });
+
+    test('reports bad requests', () => {
+      expect(WebApi.handle(request('balances'), services()).error.code).toBe('BAD_REQUEST');
+      expect(WebApi.handle(request('party'), services()).error.message).toBe('id is required');
+      expect(WebApi.handle(request('party', { id: 'CG-MAS-0001' }), services()).error.message)
+        .toBe('CG-MAS-0001 has more than one ledger - add category=SU or CU');
+      expect(WebApi.handle(request('statement', { id: 'CG-CUS-0001', from: '2025-05-01', to: '2025-04-01' }),
+        services()).error.message).toBe('from is after to');
+    });
+
+    test('reports unknown parties, orgs and missing ledger tabs as NOT_FOUND', () => {
+      expect(WebApi.handle(request('party', { id: 'X-1' }), services()).error.code).toBe('NOT_FOUND');
+      expect(WebApi.handle(request('parties', { org: 'KM' }), services()).error.message).toBe('Unknown org KM');
+      expect(WebApi.handle(request('party', { id: 'CG-SUP-0001' }), services()).error.message)
+        .toBe('Ledger tab missing for CG-SUP-0001 - run Refresh Data');
+    });
+
+    test('needs org when several sheets are served', () => {
+      const body = WebApi.handle(request('parties'), services({ properties: { API_SECRET: 's3cret-key',
+        API_SHEETS: 'CM=ss-cm, KM=ss-km' } }));
+      expect(body.error.message).toBe('org is required - one of CM, KM');
+    });
+
+    test('hides unexpected errors behind a generic message', () => {
+      const body = WebApi.handle(request('parties'), services({ openById: () => { throw new Error('quota'); } }));
+      expect(body.error).toEqual({ code: 'ERROR', message: 'Internal error' });
+      expect(Logger.log).toHaveBeenCalledWith('Web API error: quota');
+    });
+  });
+
+  describe('toJson', () => {
+    test('serializes the body as JSON output', () => {
+      const output = WebApi.toJson({ ok: true });
+      expect(output.text).toBe('{"ok":true}');
+      expect(output.mimeType).toBe('application/json');
+    });
+  });
+});